@@ -0,0 +1,63 @@
+// api/_art-styles.js
+// Art style registry (server side)
+// The data lives in shared/art-styles.json so the style gallery offers
+// exactly the styles the scene and character-model prompts know about.
+//
+// A book's style is saved in book_projects.art_style:
+//   { id, reference_url, previews: { [styleId]: imageUrl } }
+// reference_url is an optional image the parent uploads to pin the look;
+// previews are sample images made from the gallery.
+
+const registry = require("../shared/art-styles.json");
+
+const DEFAULT_ART_STYLE = registry.defaultStyle;
+
+// All styles keyed by id, in gallery order
+const ART_STYLES = Object.fromEntries(
+  Object.entries(registry.styles)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([id, style]) => [id, { id, ...style }])
+);
+
+/**
+ * Map an unknown or missing style id to the default
+ */
+function normalizeArtStyleId(id) {
+  return ART_STYLES[id] ? id : DEFAULT_ART_STYLE;
+}
+
+/**
+ * Fill in a stored art_style value (null for books made before styles)
+ */
+function normalizeArtStyle(artStyle) {
+  return {
+    id: normalizeArtStyleId(artStyle?.id),
+    reference_url: artStyle?.reference_url || null,
+    previews: artStyle?.previews && typeof artStyle.previews === "object" ? artStyle.previews : {},
+  };
+}
+
+/**
+ * The registry entry for a book's style
+ */
+function getArtStyle(artStyle) {
+  return ART_STYLES[normalizeArtStyle(artStyle).id];
+}
+
+/**
+ * Prompt bullets for a book's style
+ * @param {Object|null} artStyle - book_projects.art_style
+ * @param {"scene"|"character"} kind
+ */
+function styleBullets(artStyle, kind) {
+  return getArtStyle(artStyle)[kind].map(line => `• ${line}`).join("\n");
+}
+
+module.exports = {
+  DEFAULT_ART_STYLE,
+  ART_STYLES,
+  normalizeArtStyleId,
+  normalizeArtStyle,
+  getArtStyle,
+  styleBullets,
+};
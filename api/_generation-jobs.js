@@ -0,0 +1,97 @@
+// api/_generation-jobs.js
+// Shared helpers for the server-side scene generation queue
+// Used by api/generation-jobs/* and the worker in api/cron/process-generation-jobs.js
+
+const ACTIVE_JOB_STATUSES = ["queued", "running"];
+const FINISHED_JOB_STATUSES = ["complete", "failed", "cancelled"];
+
+// Attempts per job before it is marked failed
+const MAX_JOB_ATTEMPTS = 3;
+
+// Delay before retry n (1-based): 30s, 60s, 120s...
+const RETRY_BASE_DELAY_SECONDS = 30;
+
+// A running job whose worker hasn't reported back in this long is assumed dead
+// (function timeout, deploy) and goes back in the queue
+const STALE_LOCK_MINUTES = 10;
+
+// How long to wait on the worker kick before returning to the caller
+const KICK_TIMEOUT_MS = 2000;
+
+function getRetryDelaySeconds(attempts) {
+  return RETRY_BASE_DELAY_SECONDS * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Shape a generation_jobs row for the browser
+ */
+function toClientJob(job) {
+  return {
+    id: job.id,
+    batchId: job.batch_id,
+    projectId: job.project_id,
+    projectTitle: job.project_title || "Untitled Book",
+    page: job.page,
+    isRegeneration: job.is_regeneration,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error || null,
+    safetyRejection: !!job.safety_rejection,
+    imageUrl: job.result?.image_url || null,
+    printUrl: job.result?.print_url || null,
+    revisions: job.result?.revisions ?? null,
+    revisionHistory: job.result?.revision_history || [],
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at,
+  };
+}
+
+/**
+ * Start a worker run right away instead of waiting for the next cron tick.
+ * The worker is its own function invocation, so we only wait long enough
+ * for the request to go out; the cron picks up anything a failed kick misses.
+ */
+async function kickWorker() {
+  const baseUrl = process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}`
+    : process.env.BASE_URL;
+
+  if (!baseUrl) {
+    console.warn("[GenerationJobs] No VERCEL_URL or BASE_URL, leaving jobs for the cron");
+    return;
+  }
+
+  const headers = {};
+  if (process.env.CRON_SECRET) {
+    headers.Authorization = `Bearer ${process.env.CRON_SECRET}`;
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), KICK_TIMEOUT_MS);
+
+  try {
+    await fetch(`${baseUrl}/api/cron/process-generation-jobs`, {
+      method: "POST",
+      headers,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      console.warn("[GenerationJobs] Worker kick failed:", err.message);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  FINISHED_JOB_STATUSES,
+  MAX_JOB_ATTEMPTS,
+  STALE_LOCK_MINUTES,
+  getRetryDelaySeconds,
+  toClientJob,
+  kickWorker,
+};
@@ -0,0 +1,305 @@
+// api/_image-provider.js
+// Image generation provider layer
+// generate-scene.js and generate-character-model.js ask for images through here
+// instead of calling OpenAI directly, so the model, size and quality come from
+// the environment and dev/test runs can use an offline stub.
+//
+// Providers (IMAGE_PROVIDER):
+//   openai - OpenAI Responses API with the image_generation tool (default)
+//   stub   - deterministic placeholder PNGs, no network, no cost
+//
+// Settings (see docs/IMAGE_PROVIDERS.md), most specific wins:
+//   <PURPOSE>_IMAGE_<SETTING>  e.g. SCENE_IMAGE_QUALITY=high
+//   IMAGE_<SETTING>            e.g. IMAGE_QUALITY=medium
+// where SETTING is MODEL, SIZE, QUALITY or ORCHESTRATOR_MODEL
+// and PURPOSE is SCENE or CHARACTER.
+// Callers may ask for a size per request (scenes match the book's image
+// frame with sizeForAspect); a SIZE set in the environment still wins.
+
+const crypto = require("crypto");
+const OpenAI = require("openai");
+const { encodePng, decodePng } = require("./_png.js");
+
+const IMAGE_DEFAULTS = {
+  model: "gpt-image-1-mini",
+  size: "1024x1024",
+  quality: "low",
+  orchestratorModel: "gpt-4.1", // text model that drives the image_generation tool
+};
+
+const VALID_SIZES = ["1024x1024", "1024x1536", "1536x1024", "auto"];
+const VALID_QUALITIES = ["low", "medium", "high", "auto"];
+
+// Fixed output shapes the image models support, as width / height
+const SIZE_ASPECTS = {
+  "1024x1024": 1,
+  "1024x1536": 2 / 3,
+  "1536x1024": 3 / 2,
+};
+
+const SETTING_ENV_NAMES = {
+  model: "MODEL",
+  size: "SIZE",
+  quality: "QUALITY",
+  orchestratorModel: "ORCHESTRATOR_MODEL",
+};
+
+function readSetting(purpose, key) {
+  const name = SETTING_ENV_NAMES[key];
+  return process.env[`${purpose.toUpperCase()}_IMAGE_${name}`]
+    || process.env[`IMAGE_${name}`]
+    || IMAGE_DEFAULTS[key];
+}
+
+function getProviderName() {
+  if (process.env.IMAGE_PROVIDER) {
+    return process.env.IMAGE_PROVIDER.toLowerCase();
+  }
+  // DEV_MODE used to short-circuit character generation; it now selects the stub
+  if (process.env.DEV_MODE === "true") {
+    return "stub";
+  }
+  return "openai";
+}
+
+/**
+ * Resolved image settings for a purpose ("scene" | "character")
+ */
+function getImageConfig(purpose) {
+  const config = {
+    provider: getProviderName(),
+    model: readSetting(purpose, "model"),
+    size: readSetting(purpose, "size"),
+    quality: readSetting(purpose, "quality"),
+    orchestratorModel: readSetting(purpose, "orchestratorModel"),
+    // Per-request sizes only apply when the environment leaves SIZE unset
+    sizeFromEnv: !!(process.env[`${purpose.toUpperCase()}_IMAGE_SIZE`] || process.env.IMAGE_SIZE),
+  };
+
+  if (!VALID_SIZES.includes(config.size)) {
+    console.warn(`[ImageProvider] Unsupported ${purpose} image size "${config.size}", using ${IMAGE_DEFAULTS.size}`);
+    config.size = IMAGE_DEFAULTS.size;
+  }
+
+  if (!VALID_QUALITIES.includes(config.quality)) {
+    console.warn(`[ImageProvider] Unsupported ${purpose} image quality "${config.quality}", using ${IMAGE_DEFAULTS.quality}`);
+    config.quality = IMAGE_DEFAULTS.quality;
+  }
+
+  return config;
+}
+
+// -------------------------------------------------------
+// OpenAI adapter
+// -------------------------------------------------------
+let openaiClient = null;
+
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+async function openaiGenerate(config, { prompt, references = [], background = "opaque", mask = null }) {
+  const content = [{ type: "input_text", text: prompt }];
+  for (const imageUrl of references) {
+    content.push({ type: "input_image", image_url: imageUrl });
+  }
+
+  const tool = {
+    type: "image_generation",
+    model: config.model,
+    size: config.size,
+    quality: config.quality,
+    background,
+    output_format: "png",
+    output_compression: 100,
+    moderation: "auto",
+  };
+  // Masked edit: the first reference is the image being edited
+  if (mask) {
+    tool.input_image_mask = { image_url: mask };
+  }
+
+  const response = await getOpenAIClient().responses.create({
+    model: config.orchestratorModel,
+    input: [{ role: "user", content }],
+    tools: [tool],
+  });
+
+  const imageCall = response.output.find(o => o.type === "image_generation_call");
+  if (!imageCall?.result) {
+    console.error("[ImageProvider] OpenAI returned no image:", response.output?.map(o => o.type));
+    return null;
+  }
+
+  return {
+    buffer: Buffer.from(imageCall.result, "base64"),
+    mimeType: "image/png",
+    provider: "openai",
+    model: config.model,
+  };
+}
+
+// -------------------------------------------------------
+// Stub adapter
+// Same inputs always give the same PNG: a pale background (unless
+// transparent) with a block whose colour and size come from a hash of the
+// prompt and references, so tests can assert on output and dev runs can
+// tell pages apart.
+// -------------------------------------------------------
+function decodeDataUrlPng(dataUrl) {
+  const match = /^data:image\/png;base64,(.+)$/.exec(String(dataUrl));
+  if (!match) throw new Error("Stub masked edits need PNG data URLs");
+  return decodePng(Buffer.from(match[1], "base64"));
+}
+
+// Masked edit: the source image with the masked (transparent) area tinted
+// by a colour from a hash of the prompt
+function stubEditMasked(prompt, imageUrl, maskUrl) {
+  const image = decodeDataUrlPng(imageUrl);
+  const mask = decodeDataUrlPng(maskUrl);
+  if (mask.width !== image.width || mask.height !== image.height) {
+    throw new Error("Mask size doesn't match the image");
+  }
+
+  const hash = crypto.createHash("sha256").update(prompt).digest();
+  const rgba = Buffer.from(image.rgba);
+  for (let i = 0; i < rgba.length; i += 4) {
+    if (mask.rgba[i + 3] >= 128) continue;
+    rgba[i] = (rgba[i] + hash[0]) >> 1;
+    rgba[i + 1] = (rgba[i + 1] + hash[1]) >> 1;
+    rgba[i + 2] = (rgba[i + 2] + hash[2]) >> 1;
+  }
+
+  return {
+    buffer: encodePng(image.width, image.height, rgba),
+    mimeType: "image/png",
+    provider: "stub",
+    model: "stub",
+  };
+}
+
+async function stubGenerate(config, { prompt, references = [], background = "opaque", mask = null }) {
+  if (mask) {
+    return stubEditMasked(prompt, references[0], mask);
+  }
+
+  const [width, height] = (config.size === "auto" ? IMAGE_DEFAULTS.size : config.size)
+    .split("x")
+    .map(Number);
+
+  const hash = crypto.createHash("sha256")
+    .update(prompt)
+    .update(String(references.length))
+    .digest();
+
+  const subject = [hash[0], hash[1], hash[2]];
+  const backdrop = subject.map(c => Math.round(c / 4 + 191)); // pale tint of the subject colour
+  const blockSize = 0.35 + (hash[3] / 255) * 0.3; // 35-65% of the short side
+  const side = Math.round(Math.min(width, height) * blockSize);
+  const left = Math.round((width - side) / 2);
+  const top = Math.round((height - side) / 2);
+
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const inBlock = x >= left && x < left + side && y >= top && y < top + side;
+      if (inBlock) {
+        rgba[i] = subject[0];
+        rgba[i + 1] = subject[1];
+        rgba[i + 2] = subject[2];
+        rgba[i + 3] = 255;
+      } else if (background !== "transparent") {
+        rgba[i] = backdrop[0];
+        rgba[i + 1] = backdrop[1];
+        rgba[i + 2] = backdrop[2];
+        rgba[i + 3] = 255;
+      }
+    }
+  }
+
+  return {
+    buffer: encodePng(width, height, rgba),
+    mimeType: "image/png",
+    provider: "stub",
+    model: "stub",
+  };
+}
+
+/**
+ * The supported size closest in shape to an aspect ratio (width / height)
+ * Compared on a log scale so 2:1 and 1:2 are equally far from square.
+ */
+function sizeForAspect(aspect) {
+  if (!Number.isFinite(aspect) || aspect <= 0) return IMAGE_DEFAULTS.size;
+
+  return Object.entries(SIZE_ASPECTS)
+    .map(([size, ratio]) => ({ size, distance: Math.abs(Math.log(aspect / ratio)) }))
+    .sort((a, b) => a.distance - b.distance)[0].size;
+}
+
+// Config for one request, with the caller's size unless the env pins one
+function withRequestSize(config, size) {
+  if (!size || config.sizeFromEnv) return config;
+  if (!VALID_SIZES.includes(size)) {
+    console.warn(`[ImageProvider] Unsupported requested size "${size}", using ${config.size}`);
+    return config;
+  }
+  return { ...config, size };
+}
+
+const ADAPTERS = {
+  openai: openaiGenerate,
+  stub: stubGenerate,
+};
+
+/**
+ * Image provider for a purpose ("scene" | "character")
+ *
+ * generate({ prompt, background, size })                  - text-to-image
+ * editWithReferences({ prompt, references, background, size }) - image guided
+ *   by reference images (data URLs or https URLs), e.g. character model sheets
+ * editMasked({ prompt, image, mask, references, size }) - repaint only part of
+ *   an image. mask is a PNG data URL the same size as image; its transparent
+ *   pixels mark the area to change. references are extra guide images
+ *
+ * size is optional and overrides the configured size for that request.
+ *
+ * All three resolve to { buffer, mimeType, provider, model }, or null when the
+ * model answered without an image. Provider errors (including safety
+ * rejections) are thrown as-is.
+ */
+function getImageProvider(purpose) {
+  const config = getImageConfig(purpose);
+  const adapter = ADAPTERS[config.provider];
+
+  if (!adapter) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${config.provider}" (expected ${Object.keys(ADAPTERS).join(" or ")})`);
+  }
+
+  return {
+    name: config.provider,
+    config,
+    generate: ({ prompt, background, size }) =>
+      adapter(withRequestSize(config, size), { prompt, references: [], background }),
+    editWithReferences: ({ prompt, references, background, size }) =>
+      adapter(withRequestSize(config, size), { prompt, references: references || [], background }),
+    editMasked: ({ prompt, image, mask, references, size }) =>
+      adapter(withRequestSize(config, size), {
+        prompt,
+        references: [image, ...(references || [])],
+        background: "opaque",
+        mask,
+      }),
+  };
+}
+
+module.exports = {
+  IMAGE_DEFAULTS,
+  getImageConfig,
+  getImageProvider,
+  sizeForAspect,
+};
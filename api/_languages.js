@@ -0,0 +1,126 @@
+// api/_languages.js
+// Shared language/script registry (server side)
+// Reads shared/languages.json - the same data js/core/languages.js gives the
+// compositor. Used for story language options, translated editions and
+// picking fonts in the print PDF pipeline.
+//
+// Right-to-left and complex-shaping scripts (Arabic, Hebrew, Devanagari, Thai)
+// aren't listed: pdf-lib draws glyphs in logical order without bidi or shaping.
+
+const registry = require("../shared/languages.json");
+
+const DEFAULT_LANGUAGE = registry.defaultLanguage;
+
+// All supported languages keyed by code, in display order
+const LANGUAGES = Object.fromEntries(
+  Object.entries(registry.languages)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([code, language]) => [code, { code, ...language }])
+);
+
+const SCRIPTS = registry.scripts;
+
+const SCRIPT_PATTERNS = Object.fromEntries(
+  registry.detectOrder.map(script => [script, new RegExp(SCRIPTS[script].pattern)])
+);
+
+const BREAK_ANYWHERE = new RegExp(registry.breakAnywherePattern);
+
+/**
+ * Map an unknown or missing language code to the default
+ */
+function normalizeLanguage(code) {
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function getLanguage(code) {
+  return LANGUAGES[normalizeLanguage(code)];
+}
+
+/**
+ * Script a piece of text needs a font for
+ * The first non-Latin script found wins. Han characters are shared by
+ * Chinese and Japanese, so a Japanese book's kanji-only text still gets
+ * the Japanese font.
+ *
+ * @param {string} text
+ * @param {string} [language] - The book's language, if known
+ * @returns {string} Script key in SCRIPTS
+ */
+function detectScript(text, language) {
+  const value = text || "";
+  const script = registry.detectOrder.find(s => SCRIPT_PATTERNS[s].test(value)) || "latin";
+
+  if (script === "chinese" && getLanguage(language).script === "japanese") {
+    return "japanese";
+  }
+  return script;
+}
+
+/**
+ * Split text into line-wrapping units
+ * Words stay whole; Chinese/Japanese characters (written without spaces) are
+ * one unit each so a line can break between any two of them. Whitespace is
+ * kept as its own unit so the wrapper knows where spaces were.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForWrap(text) {
+  const tokens = [];
+  for (const part of (text || "").match(/\s+|\S+/g) || []) {
+    if (/^\s/.test(part) || !BREAK_ANYWHERE.test(part)) {
+      tokens.push(part);
+      continue;
+    }
+    // Latin runs inside CJK text ("3只cats") stay together
+    tokens.push(...part.match(new RegExp(`${registry.breakAnywherePattern}|(?:(?!${registry.breakAnywherePattern})\\S)+`, "g")));
+  }
+  return tokens;
+}
+
+/**
+ * Greedy line wrap that understands scripts written without spaces
+ *
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {Function} measure - (line) => width, in the same units as maxWidth
+ * @returns {string[]}
+ */
+function wrapLines(text, maxWidth, measure) {
+  const lines = [];
+  let line = "";
+  let space = false;
+
+  for (const token of tokenizeForWrap((text || "").replace(/\s+/g, " ").trim())) {
+    if (/^\s/.test(token)) {
+      space = !!line;
+      continue;
+    }
+
+    const candidate = space ? `${line} ${token}` : line + token;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = candidate;
+    }
+    space = false;
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  SCRIPTS,
+  normalizeLanguage,
+  getLanguage,
+  detectScript,
+  tokenizeForWrap,
+  wrapLines,
+};
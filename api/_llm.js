@@ -0,0 +1,380 @@
+// api/_llm.js
+// Shared text-generation layer for structured (JSON) model output
+// Replaces the per-endpoint cleanJsonOutput + client.responses.create pattern.
+//
+// generateJson() sends a prompt, extracts the JSON object from the reply,
+// validates it against a JSON schema and, when it doesn't parse or validate,
+// asks the model to repair it. Every call is accounted for in tokens and
+// estimated cost.
+//
+// Providers (LLM_PROVIDER):
+//   openai - OpenAI Responses API (default)
+//   replay - answers from recorded fixtures, no network (offline tests)
+//   record - calls OpenAI and writes each answer as a fixture for replay
+// Fixtures live in LLM_FIXTURES_DIR (default fixtures/llm), one file per
+// call name + model + prompt hash.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+const { createClient } = require("@supabase/supabase-js");
+
+// Repair attempts after the first answer
+const DEFAULT_MAX_REPAIRS = 2;
+
+// USD per 1M tokens (input, output) - used for cost estimates only
+const MODEL_PRICING = {
+  "gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+};
+
+let openaiClient = null;
+let supabase = null;
+
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || "openai").toLowerCase();
+}
+
+function getFixturesDir() {
+  return process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "llm");
+}
+
+/**
+ * Raised when the model's output still fails validation after all repairs
+ */
+class LlmOutputError extends Error {
+  constructor(name, errors, raw) {
+    super(`${name}: model output failed validation (${errors.slice(0, 3).join("; ")})`);
+    this.name = "LlmOutputError";
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+// -------------------------------------------------------
+// JSON extraction
+// -------------------------------------------------------
+
+/**
+ * Strip code fences and surrounding prose, returning the outermost {...}
+ */
+function cleanJsonOutput(text) {
+  if (!text) return text;
+
+  text = text.replace(/```json/gi, "");
+  text = text.replace(/```/g, "");
+  text = text.trim();
+
+  const firstBrace = text.indexOf("{");
+  const lastBrace = text.lastIndexOf("}");
+
+  if (firstBrace === -1 || lastBrace === -1) {
+    throw new Error("No JSON object found in model output.");
+  }
+
+  return text.substring(firstBrace, lastBrace + 1);
+}
+
+// -------------------------------------------------------
+// Schema validation
+// Supports the subset of JSON Schema our prompts use: type (string or
+// array), properties, required, additionalProperties (schema), items,
+// minItems, maxItems, enum, minimum, maximum, minLength.
+// -------------------------------------------------------
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateSchema(value, schema, at = "$") {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${at} should be ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string" && schema.minLength != null && value.length < schema.minLength) {
+    errors.push(`${at} should have at least ${schema.minLength} characters`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propSchema, `${at}.${key}`));
+      }
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      for (const [key, item] of Object.entries(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push(...validateSchema(item, schema.additionalProperties, `${at}.${key}`));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// -------------------------------------------------------
+// Providers
+// -------------------------------------------------------
+
+function fixturePath(name, model, prompt) {
+  const hash = crypto.createHash("sha256").update(`${model}\n${prompt}`).digest("hex").slice(0, 16);
+  return path.join(getFixturesDir(), name, `${hash}.json`);
+}
+
+async function openaiComplete({ model, prompt }) {
+  const response = await getOpenAIClient().responses.create({
+    model,
+    input: prompt,
+  });
+
+  const text = response.output_text ?? response.output?.[0]?.content?.[0]?.text ?? "";
+  return {
+    text,
+    usage: {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+    },
+  };
+}
+
+async function replayComplete({ name, model, prompt }) {
+  const file = fixturePath(name, model, prompt);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No LLM fixture for "${name}" at ${file} (record it with LLM_PROVIDER=record)`);
+  }
+  const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { text: fixture.text, usage: fixture.usage || { inputTokens: 0, outputTokens: 0 } };
+}
+
+async function recordComplete(request) {
+  const result = await openaiComplete(request);
+  const file = fixturePath(request.name, request.model, request.prompt);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    name: request.name,
+    model: request.model,
+    prompt: request.prompt,
+    text: result.text,
+    usage: result.usage,
+    recorded_at: new Date().toISOString(),
+  }, null, 2));
+  return result;
+}
+
+const PROVIDERS = {
+  openai: openaiComplete,
+  replay: replayComplete,
+  record: recordComplete,
+};
+
+// -------------------------------------------------------
+// Usage accounting
+// -------------------------------------------------------
+
+function estimateCostUsd(model, inputTokens, outputTokens) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return null;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
+// One row per generateJson call in llm_usage (skipped for replayed fixtures)
+async function recordUsage(entry) {
+  if (process.env.LLM_USAGE_TRACKING === "false" || entry.provider === "replay") return;
+
+  const { error } = await getSupabase()
+    .from("llm_usage")
+    .insert({
+      call_name: entry.name,
+      model: entry.model,
+      provider: entry.provider,
+      project_id: entry.projectId || null,
+      user_id: entry.userId || null,
+      input_tokens: entry.inputTokens,
+      output_tokens: entry.outputTokens,
+      cost_usd: entry.costUsd,
+      attempts: entry.attempts,
+      succeeded: entry.succeeded,
+    });
+
+  if (error) {
+    console.warn(`[LLM] Failed to record usage for ${entry.name}:`, error.message);
+  }
+}
+
+// -------------------------------------------------------
+// Main entry point
+// -------------------------------------------------------
+
+function buildRepairPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+═══ YOUR PREVIOUS RESPONSE WAS INVALID ═══
+Problems:
+${errors.slice(0, 10).map(e => `- ${e}`).join("\n")}
+
+Previous response:
+${(raw || "(empty)").slice(0, 4000)}
+
+Return ONLY the corrected JSON object, with no other text.`;
+}
+
+/**
+ * Generate a JSON object from a prompt and validate it
+ *
+ * @param {Object} options
+ * @param {string} options.name - Call name for logs, fixtures and usage (e.g. "story-ideas")
+ * @param {string} options.model - e.g. "gpt-4.1-mini"
+ * @param {string} options.prompt
+ * @param {Object} [options.schema] - JSON schema the parsed object must satisfy
+ * @param {number} [options.maxRepairs] - Repair attempts after the first answer
+ * @param {*} [options.fallback] - Returned (or called, if a function) when all attempts fail;
+ *   without one an LlmOutputError is thrown
+ * @param {Object} [options.context] - { projectId, userId } for usage accounting
+ * @returns {Promise<{data: Object, usage: Object, fallback: boolean}>}
+ */
+async function generateJson({
+  name,
+  model,
+  prompt,
+  schema = null,
+  maxRepairs = DEFAULT_MAX_REPAIRS,
+  fallback,
+  context = {},
+}) {
+  const provider = getProviderName();
+  const complete = PROVIDERS[provider];
+
+  if (!complete) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const usage = { inputTokens: 0, outputTokens: 0, costUsd: 0, attempts: 0 };
+  let currentPrompt = prompt;
+  let raw = null;
+  let errors = [];
+
+  // Log and record usage for the whole call (first answer + repairs)
+  const account = async (outcome) => {
+    usage.costUsd = estimateCostUsd(model, usage.inputTokens, usage.outputTokens);
+    console.log(`[LLM] ${name} (${model}, ${provider}): ${usage.inputTokens} in / ${usage.outputTokens} out` +
+      (usage.costUsd != null ? `, ~$${usage.costUsd.toFixed(4)}` : "") +
+      `, ${usage.attempts} attempt(s), ${outcome}`);
+    await recordUsage({
+      name,
+      model,
+      provider,
+      ...context,
+      ...usage,
+      succeeded: outcome === "ok",
+    });
+  };
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const result = await complete({ name, model, prompt: currentPrompt });
+    usage.attempts++;
+    usage.inputTokens += result.usage.inputTokens;
+    usage.outputTokens += result.usage.outputTokens;
+    raw = result.text;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanJsonOutput(raw));
+      errors = validateSchema(parsed, schema);
+    } catch (err) {
+      errors = [`Response is not valid JSON: ${err.message}`];
+    }
+
+    if (errors.length === 0) {
+      await account("ok");
+      return { data: parsed, usage, fallback: false };
+    }
+
+    console.warn(`[LLM] ${name}: invalid output on attempt ${attempt + 1}:`, errors.slice(0, 5));
+    currentPrompt = buildRepairPrompt(prompt, raw, errors);
+  }
+
+  if (fallback !== undefined) {
+    console.error(`[LLM] ${name}: using fallback after ${usage.attempts} invalid response(s)`);
+    await account("fallback");
+    return {
+      data: typeof fallback === "function" ? fallback() : fallback,
+      usage,
+      fallback: true,
+    };
+  }
+
+  await account("failed");
+  throw new LlmOutputError(name, errors, raw);
+}
+
+module.exports = {
+  LlmOutputError,
+  MODEL_PRICING,
+  cleanJsonOutput,
+  validateSchema,
+  estimateCostUsd,
+  generateJson,
+};
@@ -0,0 +1,382 @@
+// api/_moderation.js
+// Content safety layer
+// Endpoints screen what parents type, what the story model writes and what
+// the image model draws through here before it is saved or shown. Each check
+// returns a decision:
+//   allow - nothing found
+//   flag  - saved as usual, the reason is shown to the parent and the
+//           decision is logged for admin review
+//   block - not saved; the endpoint answers 422 with the reason
+// Flag and block decisions are written to moderation_events and listed in
+// the admin dashboard (api/admin/moderation.js).
+//
+// Providers (MODERATION_PROVIDER):
+//   local  - rule-based word lists and personal-info patterns, images only
+//            get a file type check. No network, no cost (default)
+//   openai - local rules, then the OpenAI moderation endpoint for text and
+//            images; the stricter decision wins
+//   off    - allow everything (nothing is logged)
+//
+// MODERATION_BLOCKLIST adds comma-separated terms that always block.
+
+const OpenAI = require("openai");
+const { createClient } = require("@supabase/supabase-js");
+
+const OPENAI_MODERATION_MODEL = "omni-moderation-latest";
+
+// Longest excerpt of moderated text stored with an event
+const MAX_EXCERPT_LENGTH = 500;
+
+// -------------------------------------------------------
+// Local rules
+// Written for a picture book audience: anything adult blocks, peril and
+// mild language are flagged so a person can look. Only words with no
+// innocent reading block; ones that also mean something harmless (weeds in
+// a garden, naked mole rats, a paint stripper, a female dog) are flagged.
+// -------------------------------------------------------
+const TEXT_RULES = [
+  {
+    category: "sexual",
+    action: "block",
+    pattern: /\b(sexy|sexual|porn\w*|nsfw|erotic\w*|striptease)\b/i,
+    reason: "Sexual content isn't allowed in books.",
+  },
+  {
+    category: "sexual",
+    action: "flag",
+    pattern: /\b(sex|nude|nudity|naked|stripper)\b/i,
+    reason: "Some words may describe nudity. Check they suit a children's book.",
+  },
+  {
+    category: "self-harm",
+    action: "block",
+    pattern: /\b(suicide|suicidal|self[- ]harm|kill(?:s|ed|ing)? (?:myself|yourself|himself|herself|themselves))\b/i,
+    reason: "Content about self-harm isn't allowed in books.",
+  },
+  {
+    category: "drugs",
+    action: "block",
+    pattern: /\b(cocaine|heroin|methamphetamine|crack pipe|marijuana)\b/i,
+    reason: "Content about drugs isn't allowed in books.",
+  },
+  {
+    category: "drugs",
+    action: "flag",
+    pattern: /\b(meth|weed|overdose)\b/i,
+    reason: "Some words may refer to drugs. Check they suit a children's book.",
+  },
+  {
+    category: "profanity",
+    action: "block",
+    pattern: /\b(fuck\w*|shit\w*|cunt\w*|asshole\w*|motherf\w*)\b/i,
+    reason: "Strong language isn't allowed in books.",
+  },
+  {
+    category: "violence",
+    action: "flag",
+    pattern: /\b(kill(?:s|ed|ing|er)?|murder\w*|gun|guns|shoot(?:s|ing)?|shot dead|stab\w*|blood(?:y|ied)?|gore|behead\w*|torture\w*)\b/i,
+    reason: "Some words describe violence. Check they suit a children's book.",
+  },
+  {
+    category: "mild-language",
+    action: "flag",
+    pattern: /\b(damn\w*|crap\w*|bitch\w*|stupid idiot|shut up)\b/i,
+    reason: "Some words may be too rude for a children's book.",
+  },
+  {
+    category: "personal-info",
+    action: "flag",
+    pattern: /[\w.+-]+@[\w-]+\.[\w.-]+|\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d{1,3}[\s.-]?\d[\d\s.-]{7,}\d|\b\d{1,5}\s+\w+(?:\s\w+)?\s+(?:street|st|road|rd|avenue|ave|lane|ln|drive|dr|court|ct)\b/i,
+    reason: "This looks like an email, phone number or address. Avoid printing personal details in a book.",
+  },
+];
+
+// First bytes of the image types uploads and generators produce
+const IMAGE_SIGNATURES = {
+  "image/png": [0x89, 0x50, 0x4e, 0x47],
+  "image/jpeg": [0xff, 0xd8, 0xff],
+  "image/webp": [0x52, 0x49, 0x46, 0x46], // "RIFF", checked for "WEBP" below
+};
+
+function extraBlocklist() {
+  return (process.env.MODERATION_BLOCKLIST || "")
+    .split(",")
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function localTextDecision(text) {
+  const findings = TEXT_RULES
+    .filter(rule => rule.pattern.test(text))
+    .map(({ category, action, reason }) => ({ category, action, reason }));
+
+  const listed = extraBlocklist().find(term =>
+    new RegExp(`\\b${escapeRegExp(term)}\\b`, "i").test(text)
+  );
+  if (listed) {
+    findings.unshift({
+      category: "blocklist",
+      action: "block",
+      reason: "This text contains a word that isn't allowed in books.",
+    });
+  }
+
+  return combineFindings(findings, "local");
+}
+
+function localImageDecision({ buffer, mimeType }) {
+  if (!buffer) return allowDecision("local");
+
+  const signature = IMAGE_SIGNATURES[mimeType];
+  const matches = signature
+    && signature.every((byte, i) => buffer[i] === byte)
+    && (mimeType !== "image/webp" || buffer.toString("ascii", 8, 12) === "WEBP");
+
+  if (!matches) {
+    return combineFindings([{
+      category: "invalid-image",
+      action: "block",
+      reason: "This file isn't a JPEG, PNG or WebP image.",
+    }], "local");
+  }
+  return allowDecision("local");
+}
+
+// -------------------------------------------------------
+// OpenAI moderation endpoint
+// -------------------------------------------------------
+let openaiClient = null;
+
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+// OpenAI categories that always block; any other flagged category is flagged
+const OPENAI_BLOCK_CATEGORIES = new Set([
+  "sexual",
+  "sexual/minors",
+  "self-harm",
+  "self-harm/intent",
+  "self-harm/instructions",
+  "violence/graphic",
+  "hate/threatening",
+  "harassment/threatening",
+  "illicit/violent",
+]);
+
+const OPENAI_REASONS = {
+  sexual: "Sexual content isn't allowed in books.",
+  "self-harm": "Content about self-harm isn't allowed in books.",
+  violence: "This describes or shows violence. Check it suits a children's book.",
+  hate: "This may be hateful towards a group of people.",
+  harassment: "This may be hurtful or harassing.",
+  illicit: "This describes illegal activity.",
+};
+
+async function openaiDecision(input) {
+  const response = await getOpenAIClient().moderations.create({
+    model: OPENAI_MODERATION_MODEL,
+    input,
+  });
+  const result = response.results?.[0];
+  if (!result?.flagged) return allowDecision("openai");
+
+  const findings = Object.entries(result.categories)
+    .filter(([, flagged]) => flagged)
+    .map(([category]) => ({
+      category,
+      action: OPENAI_BLOCK_CATEGORIES.has(category) ? "block" : "flag",
+      reason: OPENAI_REASONS[category.split("/")[0]] || "This may not be suitable for a children's book.",
+    }));
+
+  return combineFindings(findings, "openai");
+}
+
+// -------------------------------------------------------
+// Decisions
+// -------------------------------------------------------
+function allowDecision(provider) {
+  return { action: "allow", categories: [], reason: null, provider };
+}
+
+// Block beats flag; the reason comes from the first finding with the
+// strongest action
+function combineFindings(findings, provider) {
+  if (findings.length === 0) return allowDecision(provider);
+
+  const action = findings.some(f => f.action === "block") ? "block" : "flag";
+  const lead = findings.find(f => f.action === action);
+
+  return {
+    action,
+    categories: [...new Set(findings.map(f => f.category))],
+    reason: lead.reason,
+    provider,
+  };
+}
+
+function stricter(a, b) {
+  const rank = { allow: 0, flag: 1, block: 2 };
+  if (rank[b.action] > rank[a.action]) return b;
+  if (rank[b.action] < rank[a.action] || b.action === "allow") return a;
+  return { ...a, categories: [...new Set([...a.categories, ...b.categories])], provider: `${a.provider}+${b.provider}` };
+}
+
+function getProviderName() {
+  return (process.env.MODERATION_PROVIDER || "local").toLowerCase();
+}
+
+// -------------------------------------------------------
+// Event log
+// -------------------------------------------------------
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+async function recordEvent(kind, decision, context, content) {
+  const { data, error } = await getSupabase()
+    .from("moderation_events")
+    .insert({
+      kind,
+      source: context.source || "unknown",
+      action: decision.action,
+      categories: decision.categories,
+      reason: decision.reason,
+      provider: decision.provider,
+      excerpt: content.excerpt || null,
+      content_url: content.url || null,
+      project_id: context.projectId || null,
+      user_id: context.userId || null,
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    console.warn(`[Moderation] Failed to record ${decision.action} from ${context.source}:`, error.message);
+    return null;
+  }
+  return data.id;
+}
+
+async function finish(kind, decision, context, content) {
+  if (decision.action !== "allow") {
+    console.log(`[Moderation] ${decision.action} ${kind} from ${context.source}: ${decision.categories.join(", ")}`);
+    decision.eventId = await recordEvent(kind, decision, context, content);
+  }
+  return decision;
+}
+
+/**
+ * Screen text (user input or generated)
+ *
+ * @param {string|string[]} text - One string or several fields; blanks are skipped
+ * @param {Object} context - { source, projectId, userId } for the event log
+ * @returns {Promise<{action, categories, reason, provider, eventId?}>}
+ */
+async function moderateText(text, context = {}) {
+  const provider = getProviderName();
+  const joined = (Array.isArray(text) ? text : [text])
+    .filter(t => typeof t === "string" && t.trim())
+    .join("\n");
+
+  if (provider === "off" || !joined) return allowDecision(provider);
+
+  let decision = localTextDecision(joined);
+
+  if (provider === "openai" && decision.action !== "block") {
+    try {
+      decision = stricter(decision, await openaiDecision(joined));
+    } catch (err) {
+      // An outage shouldn't stop parents writing; the local rules still applied
+      console.warn("[Moderation] OpenAI text check failed:", err.message);
+    }
+  } else if (provider !== "openai" && provider !== "local") {
+    throw new Error(`Unknown MODERATION_PROVIDER "${provider}" (expected local, openai or off)`);
+  }
+
+  return finish("text", decision, context, { excerpt: joined.slice(0, MAX_EXCERPT_LENGTH) });
+}
+
+/**
+ * Screen an image (uploaded photo or generated illustration)
+ *
+ * @param {Object} image - { buffer, mimeType } before upload, or { url } for a stored image
+ * @param {Object} context - { source, projectId, userId } for the event log
+ * @returns {Promise<{action, categories, reason, provider, eventId?}>}
+ */
+async function moderateImage(image, context = {}) {
+  const provider = getProviderName();
+  if (provider === "off") return allowDecision(provider);
+
+  let decision = localImageDecision(image);
+
+  if (provider === "openai" && decision.action !== "block") {
+    const imageUrl = image.url
+      || `data:${image.mimeType};base64,${image.buffer.toString("base64")}`;
+    try {
+      decision = stricter(decision, await openaiDecision([
+        { type: "image_url", image_url: { url: imageUrl } },
+      ]));
+    } catch (err) {
+      console.warn("[Moderation] OpenAI image check failed:", err.message);
+    }
+  } else if (provider !== "openai" && provider !== "local") {
+    throw new Error(`Unknown MODERATION_PROVIDER "${provider}" (expected local, openai or off)`);
+  }
+
+  return finish("image", decision, context, { url: image.url });
+}
+
+/**
+ * Thrown when generated content is blocked, so callers shared with the job
+ * worker can fail the job without retrying
+ */
+class ModerationError extends Error {
+  constructor(decision) {
+    super(decision.reason || "Content blocked by moderation");
+    this.name = "ModerationError";
+    this.decision = decision;
+  }
+}
+
+/**
+ * The decision as returned to the browser (no internal ids)
+ */
+function publicDecision(decision) {
+  if (!decision || decision.action === "allow") return null;
+  return { action: decision.action, categories: decision.categories, reason: decision.reason };
+}
+
+/**
+ * Answer a blocked request
+ */
+function sendBlocked(res, decision) {
+  return res.status(422).json({
+    error: "Content blocked",
+    message: decision.reason,
+    moderation: publicDecision(decision),
+  });
+}
+
+module.exports = {
+  moderateText,
+  moderateImage,
+  ModerationError,
+  publicDecision,
+  sendBlocked,
+};
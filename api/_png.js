@@ -0,0 +1,179 @@
+// api/_png.js
+// Minimal PNG encode/decode for server-side image work
+// No image libraries are deployed with the API functions, so the stub image
+// provider (api/_image-provider.js) and the local upscaler (api/_upscaler.js)
+// read and write PNGs with this. Only what the image models produce is
+// supported: 8-bit greyscale/RGB(A), not interlaced.
+
+const zlib = require("zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Colour type -> channels per pixel
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} rgba - width * height * 4 bytes
+ */
+function encodePng(width, height, rgba) {
+  // Each scanline is prefixed with filter type 0 (none)
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Width and height from a PNG header, or null if the buffer isn't a PNG
+ */
+function readPngSize(buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * Throws on anything outside the supported subset.
+ * @returns {{width: number, height: number, rgba: Buffer}}
+ */
+function decodePng(buffer) {
+  if (!readPngSize(buffer)) {
+    throw new Error("Not a PNG image");
+  }
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = CHANNELS[header?.colorType];
+  if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error(`Unsupported PNG (colour type ${header?.colorType}, bit depth ${header?.bitDepth}, interlace ${header?.interlace})`);
+  }
+
+  const { width, height } = header;
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo the per-scanline filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    const prev = out - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y > 0 ? pixels[prev + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[prev + x - channels] : 0;
+      let value = line[x];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  if (channels === 4) {
+    return { width, height, rgba: pixels };
+  }
+
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const src = i * channels;
+    const dst = i * 4;
+    if (channels >= 3) {
+      rgba[dst] = pixels[src];
+      rgba[dst + 1] = pixels[src + 1];
+      rgba[dst + 2] = pixels[src + 2];
+    } else {
+      rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = pixels[src];
+    }
+    rgba[dst + 3] = channels === 2 ? pixels[src + 1] : 255;
+  }
+
+  return { width, height, rgba };
+}
+
+module.exports = {
+  encodePng,
+  decodePng,
+  readPngSize,
+};
@@ -1,7 +1,8 @@
 // api/_r2.js
 // Cloudflare R2 Storage Utility
 
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 
 // R2 uses S3-compatible API
 const r2Client = new S3Client({
@@ -53,4 +54,22 @@ export function getR2PublicUrl(filePath) {
   return `${PUBLIC_URL_BASE}/${filePath}`;
 }
 
+/**
+ * Create a short-lived signed download URL for a private file
+ * @param {string} filePath - The path/key for the file in the bucket
+ * @param {Object} options - { expiresIn: seconds (default 300), filename: suggested download name }
+ * @returns {Promise<string>} The signed URL
+ */
+export async function getSignedR2Url(filePath, options = {}) {
+  const { expiresIn = 300, filename } = options;
+
+  const command = new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: filePath,
+    ...(filename ? { ResponseContentDisposition: `attachment; filename="${filename.replace(/"/g, "")}"` } : {}),
+  });
+
+  return getSignedUrl(r2Client, command, { expiresIn });
+}
+
 export { r2Client, BUCKET_NAME, PUBLIC_URL_BASE };
\ No newline at end of file
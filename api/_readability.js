@@ -0,0 +1,112 @@
+// api/_readability.js
+// Post-generation story check: page count against the requested length and
+// a Flesch-Kincaid readability score per page against the reading-level
+// target. Stored on book_projects.story_report and shown in the story editor.
+// Flesch-Kincaid is calibrated for English only; for other languages the report
+// keeps word and sentence counts but has no grades.
+
+const { READING_LEVELS } = require("./_story-options.js");
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require("./_languages.js");
+
+// Syllables are estimated from vowel groups - good enough for short picture
+// book sentences, not a dictionary lookup
+function countSyllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+
+  const trimmed = w
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "");
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Word, sentence and syllable counts plus Flesch scores for one passage
+ *
+ * @param {string} text
+ * @param {string} [language] - Story language; scores are only given for English
+ */
+function analyzeText(text, language = DEFAULT_LANGUAGE) {
+  if (normalizeLanguage(language) !== DEFAULT_LANGUAGE) {
+    return analyzeUnscored(text);
+  }
+
+  const words = (text || "").match(/[A-Za-z][A-Za-z'’-]*/g) || [];
+  if (words.length === 0) {
+    return { words: 0, sentences: 0, syllables: 0, fleschKincaidGrade: null, fleschReadingEase: null };
+  }
+
+  // Verse lines often end without punctuation, so line breaks count as sentence ends too
+  const sentences = Math.max(1, (text.match(/[^.!?\n]*[A-Za-z][^.!?\n]*(?:[.!?]+|\n|$)/g) || []).length);
+  const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+
+  const wordsPerSentence = words.length / sentences;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    words: words.length,
+    sentences,
+    syllables,
+    fleschKincaidGrade: round1(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    fleschReadingEase: round1(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+  };
+}
+
+// Counts without scores for non-English text (Chinese/Japanese count characters as words)
+function analyzeUnscored(text) {
+  const value = (text || "").trim();
+  const words = value.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]|(?:(?![\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff])[\p{L}\p{N}'’-])+/gu) || [];
+  const sentences = value ? Math.max(1, (value.match(/[^.!?。！？\n]+(?:[.!?。！？]+|\n|$)/g) || []).length) : 0;
+  return { words: words.length, sentences, syllables: null, fleschKincaidGrade: null, fleschReadingEase: null };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Build the story report for a set of pages
+ *
+ * @param {Array<{page: number, text: string}>} pages
+ * @param {Object} options - Normalized story options (see _story-options.js)
+ */
+function buildStoryReport(pages, options) {
+  const level = READING_LEVELS[options.readingLevel];
+  const scored = normalizeLanguage(options.language) === DEFAULT_LANGUAGE;
+  const maxGrade = scored ? level?.maxGrade ?? null : null;
+
+  const pageReports = (pages || []).map(p => {
+    const stats = analyzeText(p.text, options.language);
+    return {
+      page: p.page,
+      ...stats,
+      aboveTarget: maxGrade != null && stats.fleschKincaidGrade != null && stats.fleschKincaidGrade > maxGrade,
+    };
+  });
+
+  const graded = pageReports.filter(p => p.fleschKincaidGrade != null);
+  const averageGrade = graded.length
+    ? round1(graded.reduce((sum, p) => sum + p.fleschKincaidGrade, 0) / graded.length)
+    : null;
+
+  return {
+    requestedPageCount: options.pageCount,
+    actualPageCount: pageReports.length,
+    readingLevel: options.readingLevel,
+    language: normalizeLanguage(options.language),
+    readingLevelLabel: level?.label || null,
+    maxGrade,
+    averageGrade,
+    pagesAboveTarget: pageReports.filter(p => p.aboveTarget).map(p => p.page),
+    pages: pageReports,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  countSyllables,
+  analyzeText,
+  buildStoryReport,
+};
@@ -0,0 +1,109 @@
+// api/_regeneration-feedback.js
+// What the user said was wrong with an illustration they regenerated
+// Sent with a regeneration from the image modal, queued with the job
+// (generation_jobs.feedback) and folded into generate-scene.js: the scene
+// analysis gets it so it can change its decisions, the image prompt gets it
+// so the drawing changes. The new illustration entry keeps it as
+// "feedback" (and revision_history entries keep theirs) for later analysis.
+//
+// Shape: { issues: ["time_of_day", ...], notes: "free text" }
+
+const MAX_FEEDBACK_NOTES = 500;
+
+// Toggles shown in the image modal (index.html, #regen-issues)
+const FEEDBACK_ISSUES = {
+  character_look: {
+    label: "Character looks wrong",
+    analysis: "A character did not look like themselves. Keep every character that has a reference image in the scene as primary or secondary so their reference is attached.",
+    prompt: "A character did not look like their reference last time. Match every character's face, hair, skin tone, outfit and colours to their reference image exactly.",
+  },
+  missing_character: {
+    label: "Missing character",
+    analysis: "A character who should be in this scene was missing. Re-read the page and the story so far and include everyone the text implies is present.",
+    prompt: "A character was missing last time. Draw every character listed in CHARACTERS IN SCENE, clearly visible.",
+  },
+  time_of_day: {
+    label: "Wrong time of day",
+    analysis: "The time of day was wrong. Re-read the page and choose the time it supports; do not simply repeat the previous choice.",
+    prompt: "The time of day was wrong last time. The lighting and sky must clearly show the time of day given above.",
+  },
+  location: {
+    label: "Wrong location",
+    analysis: "The location was wrong. Re-read the page and the story so far and choose the place the text describes; do not simply repeat the previous choice.",
+    prompt: "The location was wrong last time. The setting must clearly be the location given above.",
+  },
+};
+
+/**
+ * Clean up feedback from a request
+ * Unknown issues are dropped and notes are trimmed to MAX_FEEDBACK_NOTES.
+ * @returns {{issues: string[], notes: string}|null} null when there is nothing to act on
+ */
+function normalizeFeedback(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const issues = [...new Set(Array.isArray(raw.issues) ? raw.issues : [])]
+    .filter(issue => FEEDBACK_ISSUES[issue]);
+  const notes = String(raw.notes || "").trim().slice(0, MAX_FEEDBACK_NOTES);
+
+  if (issues.length === 0 && !notes) return null;
+  return { issues, notes };
+}
+
+/**
+ * Feedback section for the scene analysis prompt
+ * @param {Object|null} feedback - normalized feedback
+ * @param {Object|null} previousComposition - scene_composition of the version being replaced
+ */
+function feedbackForAnalysis(feedback, previousComposition) {
+  if (!feedback) return "";
+
+  const previous = previousComposition || {};
+  const lines = feedback.issues.map(issue => `• ${FEEDBACK_ISSUES[issue].analysis}`);
+
+  if (feedback.issues.includes("time_of_day") && previous.time_of_day) {
+    lines.push(`• The previous version used: ${previous.time_of_day.toUpperCase()}.`);
+  }
+  if (feedback.issues.includes("location") && previous.location) {
+    lines.push(`• The previous version was set at: ${previous.location}.`);
+  }
+  if (feedback.issues.includes("missing_character") && previous.characters_in_scene?.length) {
+    lines.push(`• The previous version only showed: ${previous.characters_in_scene.map(c => c.name).join(", ")}.`);
+  }
+  if (feedback.notes) {
+    lines.push(`• In their words: "${feedback.notes}"`);
+  }
+
+  return `
+=== USER FEEDBACK ON THE PREVIOUS VERSION (MUST ADDRESS) ===
+The user regenerated this page because the last illustration was wrong.
+${lines.join("\n")}
+This feedback overrides the continuity defaults below. Explain in the matching *_reasoning / *_reason fields how you addressed it.
+`;
+}
+
+/**
+ * Feedback section for the image prompt
+ * @param {Object|null} feedback - normalized feedback
+ */
+function feedbackForPrompt(feedback) {
+  if (!feedback) return "";
+
+  const lines = feedback.issues.map(issue => `• ${FEEDBACK_ISSUES[issue].prompt}`);
+  if (feedback.notes) {
+    lines.push(`• Requested change: ${feedback.notes}`);
+  }
+
+  return `
+=== FIX FROM THE PREVIOUS VERSION (CRITICAL) ===
+${lines.join("\n")}
+`;
+}
+
+module.exports = {
+  MAX_FEEDBACK_NOTES,
+  FEEDBACK_ISSUES,
+  normalizeFeedback,
+  feedbackForAnalysis,
+  feedbackForPrompt,
+};
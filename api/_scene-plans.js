@@ -0,0 +1,138 @@
+// api/_scene-plans.js
+// Pinned scene composition plans
+// analyzeSceneComposition (generate-scene.js) decides who and what is in a
+// picture, where, when and how it is framed. api/analyze-scene.js shows that
+// plan to the user, who can edit it and pin it to the page; generate-scene.js
+// then draws from the pinned plan instead of analyzing again, for this and
+// every later regeneration until it is unpinned. Two cases analyze again
+// anyway, without touching the pin:
+//   - the plan is stale: the page text changed since it was pinned, so the
+//     plan may describe a scene the page no longer has
+//   - the regeneration carries "what was wrong" feedback
+//     (api/_regeneration-feedback.js): the feedback is about the drawn
+//     composition, so the page is re-planned from it with the feedback applied
+//
+// Stored in book_projects.scene_plans (keyed by page like illustrations, so
+// api/story-pages.js moves them with their page):
+//   [{ page, plan, page_text, pinned_at }]
+// page_text is the text the plan was made for.
+
+const TIMES_OF_DAY = ["morning", "afternoon", "evening", "night"];
+const SHOT_TYPES = ["wide", "medium", "medium-close", "close-up", "detail"];
+const PROMINENCE = ["primary", "secondary", "background"];
+const PROP_IMPORTANCE = ["focal", "supporting", "background"];
+
+const MAX_TEXT_LENGTH = 300;
+
+function cleanText(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+function objectsIn(list) {
+  return Array.isArray(list) ? list.filter(item => item && typeof item === "object") : [];
+}
+
+// Entries whose key is in a registry section, first of each key only
+function inRegistry(list, section) {
+  const seen = new Set();
+  return objectsIn(list).filter(item => {
+    if (!section[item.key] || seen.has(item.key)) return false;
+    seen.add(item.key);
+    return true;
+  });
+}
+
+/**
+ * Make a plan safe to draw from
+ * Characters, groups and props must be in the book's registry (names are
+ * taken from it); enums fall back to defaults and free text is trimmed.
+ *
+ * @param {Object} plan - a scene composition, from the analysis or the editor
+ * @param {Object} registry - { characters, props, groups } from generate-scene.js buildRegistry
+ * @returns {Object} scene composition
+ */
+function normalizeScenePlan(plan, registry) {
+  const source = plan && typeof plan === "object" ? plan : {};
+  const characters = registry?.characters || {};
+  const props = registry?.props || {};
+  const groups = registry?.groups || {};
+
+  const charactersInScene = inRegistry(source.characters_in_scene, characters)
+    .map(c => ({
+      key: c.key,
+      name: characters[c.key].name || c.name,
+      prominence: oneOf(c.prominence, PROMINENCE, "secondary"),
+      emotion: cleanText(c.emotion),
+      reason: cleanText(c.reason),
+    }));
+
+  const propsInScene = inRegistry(source.props_in_scene, props)
+    .map(p => ({
+      key: p.key,
+      name: props[p.key].name || p.name,
+      importance: oneOf(p.importance, PROP_IMPORTANCE, "supporting"),
+      reason: cleanText(p.reason),
+      visible: true,
+    }));
+
+  const shownProps = new Set(propsInScene.map(p => p.key));
+
+  return {
+    location: cleanText(source.location, 120) || null,
+    location_reasoning: cleanText(source.location_reasoning),
+    characters_in_scene: charactersInScene,
+    unnamed_characters_in_scene: objectsIn(source.unnamed_characters_in_scene).map(uc => ({
+      description: cleanText(uc.description),
+      visual: cleanText(uc.visual),
+      emotion: cleanText(uc.emotion),
+      role_in_scene: cleanText(uc.role_in_scene),
+    })),
+    emotion_attribution: Array.isArray(source.emotion_attribution?.examples)
+      ? { examples: source.emotion_attribution.examples.map(e => cleanText(e)).filter(Boolean) }
+      : undefined,
+    groups_in_scene: inRegistry(source.groups_in_scene, groups)
+      .map(g => ({ key: g.key, name: groups[g.key].name || g.name, reason: cleanText(g.reason) })),
+    props_in_scene: propsInScene,
+    // A prop the user put back in the scene is no longer hidden or absent
+    hidden_props: objectsIn(source.hidden_props)
+      .filter(p => props[p.key] && !shownProps.has(p.key))
+      .map(p => ({ key: p.key, name: props[p.key].name || p.name, hiding_spot: cleanText(p.hiding_spot), reason: cleanText(p.reason) })),
+    absent_props: objectsIn(source.absent_props)
+      .filter(p => !shownProps.has(p.key))
+      .map(p => ({ key: p.key, name: cleanText(p.name), reason: cleanText(p.reason) })),
+    time_of_day: oneOf(source.time_of_day, TIMES_OF_DAY, "afternoon"),
+    time_reason: cleanText(source.time_reason),
+    shot_type: oneOf(source.shot_type, SHOT_TYPES, "medium"),
+    shot_reason: cleanText(source.shot_reason),
+    focal_point: cleanText(source.focal_point) || "the scene",
+    show_characters: source.show_characters !== false,
+    notes: cleanText(source.notes, 1000),
+  };
+}
+
+/**
+ * The pinned plan entry for a page, or null
+ */
+function getPinnedPlan(scenePlans, page) {
+  return (Array.isArray(scenePlans) ? scenePlans : [])
+    .find(entry => Number(entry.page) === Number(page) && entry.plan) || null;
+}
+
+/**
+ * Whether a pinned plan was made for different page text than the page has now
+ */
+function isPlanStale(entry, pageText) {
+  return !!entry?.pinned_at && (entry.page_text || "").trim() !== (pageText || "").trim();
+}
+
+module.exports = {
+  TIMES_OF_DAY,
+  SHOT_TYPES,
+  normalizeScenePlan,
+  getPinnedPlan,
+  isPlanStale,
+};
@@ -0,0 +1,77 @@
+// api/_special-pages.js
+// Front and back matter: title page, dedication, about the author, "The End"
+// Reads shared/special-pages.json - the same data js/core/special-pages.js
+// gives the story editor and compositor.
+//
+// Stored on book_projects.special_pages as { [kind]: { enabled, ...fields } }.
+// NULL (older books) means story pages only.
+
+const registry = require("../shared/special-pages.json");
+
+// All special page kinds, keyed by kind, in reading order
+const SPECIAL_PAGE_KINDS = Object.fromEntries(
+  Object.entries(registry.kinds)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([kind, page]) => [kind, { kind, ...page }])
+);
+
+const MAX_TEXT_LENGTH = registry.maxTextLength;
+
+/**
+ * Fill in and trim special pages
+ * Unknown kinds and fields are dropped; every kind is present in the result.
+ *
+ * @param {Object} [input] - { [kind]: { enabled, ...fields } }
+ * @returns {Object}
+ */
+function normalizeSpecialPages(input) {
+  const pages = input && typeof input === "object" ? input : {};
+
+  return Object.fromEntries(Object.values(SPECIAL_PAGE_KINDS).map(({ kind, fields }) => {
+    const page = pages[kind] && typeof pages[kind] === "object" ? pages[kind] : {};
+    const values = Object.fromEntries(Object.keys(fields).map(field => [
+      field,
+      typeof page[field] === "string" ? page[field].trim().slice(0, MAX_TEXT_LENGTH) : "",
+    ]));
+    return [kind, { enabled: page.enabled === true, ...values }];
+  }));
+}
+
+/**
+ * Enabled special pages, with blank fields filled in
+ * Title and author default to the book title and child's name, the author
+ * photo to the main character's photo, other fields to the registry defaults.
+ *
+ * @param {Object} project - book_projects row (special_pages, selected_idea, kid_name, character_models)
+ * @returns {{front: Array<{kind, label, fields}>, back: Array<{kind, label, fields}>}}
+ */
+function resolveSpecialPages(project) {
+  const pages = normalizeSpecialPages(project?.special_pages);
+  const protagonist = (project?.character_models || []).find(cm => cm.is_protagonist || cm.role === "protagonist");
+
+  const fallbacks = {
+    title: project?.selected_idea?.title || "My Book",
+    author: project?.kid_name || "",
+    photoUrl: protagonist?.source_photo_url || "",
+  };
+
+  const resolved = { front: [], back: [] };
+  for (const { kind, label, placement, fields } of Object.values(SPECIAL_PAGE_KINDS)) {
+    if (!pages[kind].enabled) continue;
+
+    const values = Object.fromEntries(Object.keys(fields).map(field => [
+      field,
+      pages[kind][field] || fields[field] || fallbacks[field] || "",
+    ]));
+
+    resolved[placement].push({ kind, label, fields: values });
+  }
+  return resolved;
+}
+
+module.exports = {
+  SPECIAL_PAGE_KINDS,
+  MAX_TEXT_LENGTH,
+  normalizeSpecialPages,
+  resolveSpecialPages,
+};
@@ -0,0 +1,179 @@
+// api/_story-options.js
+// Story generation options chosen in the new-story modal and stored on
+// book_projects.story_options, including optional details (lesson, occasion,
+// setting, supporting cast). story-ideas.js and write-story.js read them
+// through normalizeStoryOptions() so missing or unknown values fall back
+// to the defaults for the chosen age band.
+
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require("./_languages.js");
+
+const AGE_BANDS = {
+  "0-3": {
+    label: "Ages 0–3",
+    audience: "a toddler aged 0–3 (board-book style: very short, simple, repetitive sentences)",
+    defaultPageCount: 8,
+    defaultReadingLevel: "read-aloud",
+  },
+  "4-7": {
+    label: "Ages 4–7",
+    audience: "a child aged 4–7 (picture book)",
+    defaultPageCount: 12,
+    defaultReadingLevel: "read-aloud",
+  },
+  "8-10": {
+    label: "Ages 8–10",
+    audience: "a child aged 8–10 (illustrated early chapter-book style, richer vocabulary)",
+    defaultPageCount: 16,
+    defaultReadingLevel: "independent",
+  },
+};
+
+// maxGrade is the Flesch-Kincaid grade a page should stay at or below
+const READING_LEVELS = {
+  "read-aloud": {
+    label: "Read aloud (an adult reads)",
+    instruction: "It will be read aloud by an adult, so vocabulary can be a little richer than the child could read alone.",
+    maxGrade: 4,
+  },
+  "early": {
+    label: "Early reader (K–1)",
+    instruction: "The child will read it themselves as an early reader: short sentences, common one- and two-syllable words.",
+    maxGrade: 1.5,
+  },
+  "developing": {
+    label: "Developing reader (grades 1–2)",
+    instruction: "The child will read it themselves as a developing reader: simple sentences, mostly familiar words.",
+    maxGrade: 2.5,
+  },
+  "independent": {
+    label: "Independent reader (grades 3–4)",
+    instruction: "The child reads independently: varied sentences and some new words they can work out from context.",
+    maxGrade: 4.5,
+  },
+};
+
+const TONES = ["playful", "gentle", "adventurous", "funny", "heartwarming", "educational"];
+
+const STYLES = ["rhyming", "prose"];
+
+// Occasions a book can be made for; prompt is what the writer is told
+const OCCASIONS = {
+  "birthday": { label: "Birthday", prompt: "a birthday present - the story can celebrate the child's birthday" },
+  "new-sibling": { label: "New sibling", prompt: "welcoming a new baby brother or sister - reassuring, about love growing bigger" },
+  "first-day-of-school": { label: "First day of school", prompt: "starting school - about brave first steps and making friends" },
+  "moving-house": { label: "Moving house", prompt: "moving to a new home - about saying goodbye and finding new favourite places" },
+  "holiday": { label: "Holiday", prompt: "a holiday celebration - festive and warm" },
+  "bedtime": { label: "Bedtime", prompt: "reading at bedtime - calm, winding down to a sleepy ending" },
+};
+
+// Free-text details (lesson, setting, supporting cast) are trimmed to this
+const MAX_DETAIL_LENGTH = 200;
+
+const MIN_PAGE_COUNT = 4;
+const MAX_PAGE_COUNT = 24;
+
+const STORY_OPTION_DEFAULTS = {
+  ageBand: "4-7",
+  style: "rhyming",
+  tone: "playful",
+};
+
+function normalizeDetail(value) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, MAX_DETAIL_LENGTH) : "";
+}
+
+/**
+ * Fill in and validate story options
+ * Unknown values are replaced with defaults rather than rejected, so older
+ * projects (no story_options) and partial requests still work. The optional
+ * details (lesson, occasion, setting, supportingCast) are "" when not given.
+ *
+ * @param {Object} [input] - { ageBand, pageCount, style, tone, readingLevel, language, lesson, occasion, setting, supportingCast }
+ * @returns {{ageBand: string, pageCount: number, style: string, tone: string, readingLevel: string, language: string, lesson: string, occasion: string, setting: string, supportingCast: string}}
+ */
+function normalizeStoryOptions(input = {}) {
+  const options = input || {};
+
+  const ageBand = AGE_BANDS[options.ageBand] ? options.ageBand : STORY_OPTION_DEFAULTS.ageBand;
+  const band = AGE_BANDS[ageBand];
+
+  let pageCount = parseInt(options.pageCount, 10);
+  if (!Number.isFinite(pageCount)) {
+    pageCount = band.defaultPageCount;
+  }
+  pageCount = Math.min(MAX_PAGE_COUNT, Math.max(MIN_PAGE_COUNT, pageCount));
+
+  return {
+    ageBand,
+    pageCount,
+    style: STYLES.includes(options.style) ? options.style : STORY_OPTION_DEFAULTS.style,
+    tone: TONES.includes(options.tone) ? options.tone : STORY_OPTION_DEFAULTS.tone,
+    readingLevel: READING_LEVELS[options.readingLevel] ? options.readingLevel : band.defaultReadingLevel,
+    language: normalizeLanguage(options.language),
+    lesson: normalizeDetail(options.lesson),
+    occasion: OCCASIONS[options.occasion] ? options.occasion : "",
+    setting: normalizeDetail(options.setting),
+    supportingCast: normalizeDetail(options.supportingCast),
+  };
+}
+
+/**
+ * Prompt lines describing the audience and format for the story writer
+ */
+function describeStoryOptions(options) {
+  const band = AGE_BANDS[options.ageBand];
+  const level = READING_LEVELS[options.readingLevel];
+
+  return [
+    `- Audience: ${band.audience}`,
+    `- Length: exactly ${options.pageCount} pages, one short passage per page`,
+    options.style === "rhyming"
+      ? "- Style: rhyming verse with a steady rhythm"
+      : "- Style: prose (no rhyming)",
+    `- Tone: ${options.tone}`,
+    `- Reading level: ${level.label}. ${level.instruction}`,
+    describeLanguage(options.language),
+    describeStoryDetails(options),
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Prompt lines for the optional details the parent asked for
+ * Shared by story-ideas.js and write-story.js so ideas and the finished
+ * story honour the same lesson, occasion, setting and cast.
+ * @returns {string} "" when none were given
+ */
+function describeStoryDetails(options) {
+  return [
+    options.lesson && `- Lesson: the story should gently teach "${options.lesson}" through what happens, without preaching`,
+    options.occasion && `- Occasion: the book is for ${OCCASIONS[options.occasion].prompt}`,
+    options.setting && `- Setting: ${options.setting}`,
+    options.supportingCast && `- Supporting characters: ${options.supportingCast}`,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Prompt line for the language the text must be written in
+ */
+function describeLanguage(code) {
+  const language = LANGUAGES[normalizeLanguage(code)];
+  return language.code === DEFAULT_LANGUAGE
+    ? `- Language: ${language.englishName}`
+    : `- Language: write everything in ${language.englishName} (${language.label}), natural and idiomatic for a native-speaking child - not a literal translation`;
+}
+
+module.exports = {
+  AGE_BANDS,
+  READING_LEVELS,
+  TONES,
+  STYLES,
+  MIN_PAGE_COUNT,
+  MAX_PAGE_COUNT,
+  OCCASIONS,
+  MAX_DETAIL_LENGTH,
+  STORY_OPTION_DEFAULTS,
+  normalizeStoryOptions,
+  describeStoryOptions,
+  describeStoryDetails,
+  describeLanguage,
+};
@@ -0,0 +1,108 @@
+// api/_story-versions.js
+// Story version history (story_versions table)
+// Every write that replaces book_projects.story_json records the new pages as
+// a version right after it, so the latest version is always the current draft
+// and regenerating or saving never loses an earlier one. Drafts written before
+// version history existed are backfilled by the migration (reason "backfill").
+// Writers:
+//   write-story.js    - source "ai",   reason "generate"
+//   save-story.js     - source "user", reason "save"
+//   finalize-story.js - source "user", reason "finalize"
+//   story-versions/restore.js - source "user", reason "restore"
+//   story-pages.js    - source "user", reason "pages" (insert/delete/move)
+//   translate-book.js - source "ai",   reason "translate" (first version of an edition)
+
+const { createClient } = require("@supabase/supabase-js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const VERSION_SOURCES = ["ai", "user"];
+
+function samePages(a, b) {
+  const normalize = (pages) => (pages || []).map(p => [Number(p.page), (p.text || "").trim()]);
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Record a version of a project's story
+ * Skipped when the pages are identical to the latest version (repeat saves).
+ * Failures are logged, not thrown - history must never block a save.
+ *
+ * @param {Object} version
+ * @param {string} version.projectId
+ * @param {string} version.userId
+ * @param {Array} version.storyPages
+ * @param {"ai"|"user"} version.source - Who wrote this text
+ * @param {string} version.reason - "generate" | "save" | "finalize" | "restore" | "pages" | "translate"
+ *   ("backfill" rows only come from the migration)
+ * @param {string} [version.restoredFrom] - Version id, for restores
+ * @returns {Promise<Object|null>} The new story_versions row, or null
+ */
+async function recordStoryVersion({ projectId, userId, storyPages, source, reason, restoredFrom = null }) {
+  if (!VERSION_SOURCES.includes(source)) {
+    throw new Error(`Invalid story version source "${source}"`);
+  }
+
+  try {
+    const { data: latest } = await supabase
+      .from("story_versions")
+      .select("version_number, story_json")
+      .eq("project_id", projectId)
+      .order("version_number", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latest && samePages(latest.story_json, storyPages)) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from("story_versions")
+      .insert({
+        project_id: projectId,
+        user_id: userId || null,
+        version_number: (latest?.version_number || 0) + 1,
+        source,
+        reason,
+        restored_from: restoredFrom,
+        story_json: storyPages,
+      })
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error(`[StoryVersions] Failed to record ${reason} version for ${projectId}:`, error);
+      return null;
+    }
+
+    return data;
+  } catch (err) {
+    console.error(`[StoryVersions] Failed to record ${reason} version for ${projectId}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Shape a story_versions row for the browser
+ */
+function toClientVersion(row) {
+  return {
+    id: row.id,
+    versionNumber: row.version_number,
+    source: row.source,
+    reason: row.reason,
+    restoredFrom: row.restored_from,
+    pageCount: Array.isArray(row.story_json) ? row.story_json.length : 0,
+    storyJson: row.story_json || [],
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  VERSION_SOURCES,
+  recordStoryVersion,
+  toClientVersion,
+};
@@ -0,0 +1,71 @@
+// api/_trim-sizes.js
+// Shared trim-size registry (server side)
+// Reads shared/trim-sizes.json - the same data js/core/trim-sizes.js gives the compositor
+
+const registry = require("../shared/trim-sizes.json");
+
+// Bleed added on every side of a trim-size page for print (in points)
+const BLEED = registry.bleedPt;
+
+const DEFAULT_SIZE_CODE = registry.defaultSizeCode;
+
+// Legacy size code -> registry size code
+const TRIM_SIZE_ALIASES = registry.aliases;
+
+// All supported trim sizes keyed by size code; width/height in points (72 per inch)
+const TRIM_SIZES = Object.fromEntries(
+  Object.entries(registry.sizes)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([code, size]) => [code, {
+      code,
+      ...size,
+      width: size.widthIn * 72,
+      height: size.heightIn * 72,
+      name: `${size.widthIn}" × ${size.heightIn}"`,
+    }])
+);
+
+/**
+ * Map legacy or Lulu-table size codes (e.g. 'portrait-medium', 'standard') to a registry code
+ * Unknown codes fall back to the default size
+ */
+function normalizeSizeCode(code) {
+  if (code && TRIM_SIZES[code]) return code;
+  if (code && TRIM_SIZE_ALIASES[code]) return TRIM_SIZE_ALIASES[code];
+  return DEFAULT_SIZE_CODE;
+}
+
+/**
+ * Look up a trim size by (possibly legacy) code
+ */
+function getTrimSize(code) {
+  return TRIM_SIZES[normalizeSizeCode(code)];
+}
+
+/**
+ * The illustration frame of a book, in points
+ * The compositor saves its template's image frame with the layout
+ * (compositor_layout.imageFrame); before a layout is saved the whole trim
+ * page stands in for it.
+ * @param {Object|null} layout - book_projects.compositor_layout
+ * @returns {{width: number, height: number, sizeCode: string}}
+ */
+function getImageFrame(layout) {
+  const size = getTrimSize(layout?.pageSize);
+  const frame = layout?.imageFrame;
+
+  if (frame && Number(frame.width) > 0 && Number(frame.height) > 0) {
+    return { width: Number(frame.width), height: Number(frame.height), sizeCode: size.code };
+  }
+  return { width: size.width, height: size.height, sizeCode: size.code };
+}
+
+module.exports = {
+  BLEED,
+  DEFAULT_SIZE_CODE,
+  TRIM_SIZES,
+  TRIM_SIZE_ALIASES,
+  normalizeSizeCode,
+  getTrimSize,
+  getImageFrame,
+};
@@ -0,0 +1,203 @@
+// api/_tts-provider.js
+// Text-to-speech provider layer for read-aloud narration
+// api/narration.js asks for page audio through here, so the model and format
+// come from the environment and dev/test runs can use an offline stub.
+//
+// Providers (TTS_PROVIDER):
+//   openai - OpenAI speech endpoint (default)
+//   stub   - a short tone followed by silence as long as the page would
+//            take to read, as a WAV file. No network, no cost
+//
+// Settings (see docs/NARRATION.md):
+//   TTS_MODEL   e.g. gpt-4o-mini-tts (default), tts-1, tts-1-hd
+//   TTS_FORMAT  mp3 (default), wav, opus, aac
+// Voices come from shared/narration-voices.json, the same list the voice
+// picker shows.
+
+const crypto = require("crypto");
+const OpenAI = require("openai");
+const registry = require("../shared/narration-voices.json");
+const { getLanguage } = require("./_languages.js");
+
+const TTS_DEFAULTS = {
+  model: "gpt-4o-mini-tts",
+  format: "mp3",
+};
+
+const FORMATS = {
+  mp3: { mimeType: "audio/mpeg", extension: "mp3" },
+  wav: { mimeType: "audio/wav", extension: "wav" },
+  opus: { mimeType: "audio/ogg", extension: "ogg" },
+  aac: { mimeType: "audio/aac", extension: "aac" },
+};
+
+// Models that take reading instructions (pace, warmth, language)
+const INSTRUCTABLE_MODELS = ["gpt-4o-mini-tts"];
+
+const DEFAULT_VOICE = registry.defaultVoice;
+
+// All voices keyed by id, in picker order
+const VOICES = Object.fromEntries(
+  Object.entries(registry.voices)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([id, voice]) => [id, { id, ...voice }])
+);
+
+/**
+ * Map an unknown or missing voice to the default
+ */
+function normalizeVoice(voice) {
+  return VOICES[voice] ? voice : DEFAULT_VOICE;
+}
+
+function getProviderName() {
+  return (process.env.TTS_PROVIDER || "openai").toLowerCase();
+}
+
+/**
+ * Resolved narration settings
+ */
+function getTtsConfig() {
+  const config = {
+    provider: getProviderName(),
+    model: process.env.TTS_MODEL || TTS_DEFAULTS.model,
+    format: (process.env.TTS_FORMAT || TTS_DEFAULTS.format).toLowerCase(),
+  };
+
+  if (!FORMATS[config.format]) {
+    console.warn(`[TTS] Unsupported format "${config.format}", using ${TTS_DEFAULTS.format}`);
+    config.format = TTS_DEFAULTS.format;
+  }
+
+  return config;
+}
+
+// -------------------------------------------------------
+// OpenAI adapter
+// -------------------------------------------------------
+let openaiClient = null;
+
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+async function openaiSynthesize(config, { text, voice, language }) {
+  const request = {
+    model: config.model,
+    voice,
+    input: text,
+    response_format: config.format,
+  };
+
+  if (INSTRUCTABLE_MODELS.includes(config.model)) {
+    request.instructions = `Read this page of a children's picture book aloud in ${getLanguage(language).englishName}. Speak warmly and clearly at a gentle bedtime-story pace, with a little expression for dialogue.`;
+  }
+
+  const response = await getOpenAIClient().audio.speech.create(request);
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    ...FORMATS[config.format],
+    durationSeconds: null,
+    provider: "openai",
+    model: config.model,
+  };
+}
+
+// -------------------------------------------------------
+// Stub adapter
+// 8 kHz mono WAV: a 0.3 s tone (pitch from a hash of the voice and text, so
+// clips can be told apart) then silence at roughly reading speed.
+// -------------------------------------------------------
+const STUB_SAMPLE_RATE = 8000;
+const STUB_SECONDS_PER_WORD = 0.4;
+const STUB_MAX_SECONDS = 30;
+
+function encodeWav(samples) {
+  const header = Buffer.alloc(44);
+  const dataSize = samples.length * 2;
+
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(STUB_SAMPLE_RATE, 24);
+  header.writeUInt32LE(STUB_SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataSize, 40);
+
+  const data = Buffer.alloc(dataSize);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+  return Buffer.concat([header, data]);
+}
+
+async function stubSynthesize(config, { text, voice }) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const durationSeconds = Math.min(STUB_MAX_SECONDS, Math.max(1, words * STUB_SECONDS_PER_WORD));
+
+  const hash = crypto.createHash("sha256").update(voice).update(text).digest();
+  const frequency = 300 + (hash[0] / 255) * 500; // 300-800 Hz
+
+  const samples = new Array(Math.round(durationSeconds * STUB_SAMPLE_RATE)).fill(0);
+  const toneSamples = Math.round(0.3 * STUB_SAMPLE_RATE);
+  for (let i = 0; i < toneSamples; i++) {
+    samples[i] = Math.round(Math.sin((2 * Math.PI * frequency * i) / STUB_SAMPLE_RATE) * 8000);
+  }
+
+  return {
+    buffer: encodeWav(samples),
+    ...FORMATS.wav,
+    durationSeconds,
+    provider: "stub",
+    model: "stub",
+  };
+}
+
+const ADAPTERS = {
+  openai: openaiSynthesize,
+  stub: stubSynthesize,
+};
+
+/**
+ * The configured TTS provider
+ *
+ * synthesize({ text, voice, language }) resolves to
+ * { buffer, mimeType, extension, durationSeconds, provider, model }.
+ * durationSeconds is null when the provider doesn't report it. Unknown
+ * voices fall back to the default; provider errors are thrown as-is.
+ */
+function getTtsProvider() {
+  const config = getTtsConfig();
+  const adapter = ADAPTERS[config.provider];
+
+  if (!adapter) {
+    throw new Error(`Unknown TTS_PROVIDER "${config.provider}" (expected ${Object.keys(ADAPTERS).join(" or ")})`);
+  }
+
+  return {
+    name: config.provider,
+    config,
+    synthesize: ({ text, voice, language }) =>
+      adapter(config, { text, voice: normalizeVoice(voice), language }),
+  };
+}
+
+module.exports = {
+  TTS_DEFAULTS,
+  DEFAULT_VOICE,
+  VOICES,
+  RECORDING_TYPES: registry.recordingTypes,
+  MAX_RECORDING_SECONDS: registry.maxRecordingSeconds,
+  normalizeVoice,
+  getTtsConfig,
+  getTtsProvider,
+};
@@ -0,0 +1,266 @@
+// api/_upscaler.js
+// Print upscaling provider layer
+// Image models return about 1 megapixel, which prints soft at 300dpi.
+// generate-scene.js makes a second, print-resolution copy of every scene
+// through here; the web copy stays as it is for the app and previews.
+//
+// Providers (UPSCALE_PROVIDER):
+//   local     - bicubic resampling in-process (default). No network, no cost,
+//               no new detail, but no jaggies either
+//   replicate - an upscaling model on Replicate (Real-ESRGAN by default),
+//               resampled locally to the exact size. Falls back to local
+//               if the call fails
+//   off       - no print copy; print uses the web image
+//
+// Settings (see docs/IMAGE_PROVIDERS.md):
+//   UPSCALE_DPI         print resolution to aim for (default 300)
+//   UPSCALE_MAX_FACTOR  never enlarge more than this (default 4)
+//   UPSCALE_MODEL       Replicate model, "owner/name" or "owner/name:version"
+//   REPLICATE_API_TOKEN
+
+const { BLEED } = require("./_trim-sizes.js");
+const { encodePng, decodePng, readPngSize } = require("./_png.js");
+
+const UPSCALE_DEFAULTS = {
+  dpi: 300,
+  maxFactor: 4,
+  model: "nightmareai/real-esrgan",
+};
+
+const REPLICATE_API = "https://api.replicate.com/v1";
+const REPLICATE_POLL_MS = 2000;
+const REPLICATE_TIMEOUT_MS = 120000;
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Resolved upscale settings
+ */
+function getUpscaleConfig() {
+  return {
+    provider: (process.env.UPSCALE_PROVIDER || "local").toLowerCase(),
+    dpi: readNumber("UPSCALE_DPI", UPSCALE_DEFAULTS.dpi),
+    maxFactor: readNumber("UPSCALE_MAX_FACTOR", UPSCALE_DEFAULTS.maxFactor),
+    model: process.env.UPSCALE_MODEL || UPSCALE_DEFAULTS.model,
+  };
+}
+
+/**
+ * Pixel size that covers a print frame at the configured dpi
+ * The frame is grown by the bleed on every side, since full-page art runs
+ * into it. The image keeps its own shape (the compositor crops it to the
+ * frame), so the scale is whatever covers both sides.
+ *
+ * @param {{width: number, height: number}} image - pixels
+ * @param {{width: number, height: number}} frame - points
+ * @returns {{width: number, height: number}|null} null when the image is already big enough
+ */
+function getPrintTarget(image, frame, config = getUpscaleConfig()) {
+  const neededWidth = ((frame.width + BLEED * 2) / 72) * config.dpi;
+  const neededHeight = ((frame.height + BLEED * 2) / 72) * config.dpi;
+  const scale = Math.min(
+    config.maxFactor,
+    Math.max(neededWidth / image.width, neededHeight / image.height)
+  );
+
+  if (scale <= 1) return null;
+  return { width: Math.round(image.width * scale), height: Math.round(image.height * scale) };
+}
+
+// -------------------------------------------------------
+// Local adapter
+// Separable bicubic (Catmull-Rom) resampling of RGBA pixels
+// -------------------------------------------------------
+function cubicWeight(t) {
+  const x = Math.abs(t);
+  if (x < 1) return 1.5 * x * x * x - 2.5 * x * x + 1;
+  if (x < 2) return -0.5 * x * x * x + 2.5 * x * x - 4 * x + 2;
+  return 0;
+}
+
+// Resample one axis: for each output position, the 4 source indexes and weights
+function axisTaps(srcSize, dstSize) {
+  const ratio = srcSize / dstSize;
+  const taps = new Array(dstSize);
+
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) * ratio - 0.5;
+    const base = Math.floor(center);
+    const indexes = [];
+    const weights = [];
+    for (let k = -1; k <= 2; k++) {
+      indexes.push(Math.min(srcSize - 1, Math.max(0, base + k)));
+      weights.push(cubicWeight(center - (base + k)));
+    }
+    taps[i] = { indexes, weights };
+  }
+  return taps;
+}
+
+function resampleRgba({ width, height, rgba }, target) {
+  const xTaps = axisTaps(width, target.width);
+  const yTaps = axisTaps(height, target.height);
+
+  // Horizontal pass into a float buffer (target width x source height)
+  const rows = new Float32Array(target.width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < target.width; x++) {
+      const { indexes, weights } = xTaps[x];
+      const out = (y * target.width + x) * 4;
+      for (let k = 0; k < 4; k++) {
+        const src = (y * width + indexes[k]) * 4;
+        const w = weights[k];
+        rows[out] += rgba[src] * w;
+        rows[out + 1] += rgba[src + 1] * w;
+        rows[out + 2] += rgba[src + 2] * w;
+        rows[out + 3] += rgba[src + 3] * w;
+      }
+    }
+  }
+
+  // Vertical pass into the output pixels
+  const output = Buffer.alloc(target.width * target.height * 4);
+  for (let y = 0; y < target.height; y++) {
+    const { indexes, weights } = yTaps[y];
+    for (let x = 0; x < target.width; x++) {
+      const out = (y * target.width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        let value = 0;
+        for (let k = 0; k < 4; k++) {
+          value += rows[(indexes[k] * target.width + x) * 4 + c] * weights[k];
+        }
+        output[out + c] = value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+      }
+    }
+  }
+
+  return output;
+}
+
+async function localUpscale(config, { buffer, target }) {
+  const image = decodePng(buffer);
+  return {
+    buffer: encodePng(target.width, target.height, resampleRgba(image, target)),
+    mimeType: "image/png",
+    ...target,
+    provider: "local",
+  };
+}
+
+// -------------------------------------------------------
+// Replicate adapter
+// -------------------------------------------------------
+async function replicateRequest(url, options = {}) {
+  const resp = await fetch(url, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${process.env.REPLICATE_API_TOKEN}`,
+      "Content-Type": "application/json",
+      ...options.headers,
+    },
+  });
+  const data = await resp.json();
+  if (!resp.ok) {
+    throw new Error(`Replicate ${resp.status}: ${data?.detail || JSON.stringify(data)}`);
+  }
+  return data;
+}
+
+async function replicateUpscale(config, { buffer, image, target }) {
+  if (!process.env.REPLICATE_API_TOKEN) {
+    throw new Error("REPLICATE_API_TOKEN is not set");
+  }
+
+  // Pinned versions go through /predictions, bare model names through the model route
+  const [model, version] = config.model.split(":");
+  const input = {
+    image: `data:image/png;base64,${buffer.toString("base64")}`,
+    scale: Math.min(4, Math.max(2, Math.ceil(target.width / image.width))),
+  };
+
+  let prediction = await replicateRequest(
+    version ? `${REPLICATE_API}/predictions` : `${REPLICATE_API}/models/${model}/predictions`,
+    {
+      method: "POST",
+      headers: { Prefer: "wait" },
+      body: JSON.stringify(version ? { version, input } : { input }),
+    }
+  );
+
+  const startedAt = Date.now();
+  while (["starting", "processing"].includes(prediction.status)) {
+    if (Date.now() - startedAt > REPLICATE_TIMEOUT_MS) {
+      throw new Error("Replicate upscale timed out");
+    }
+    await new Promise(resolve => setTimeout(resolve, REPLICATE_POLL_MS));
+    prediction = await replicateRequest(prediction.urls.get);
+  }
+
+  if (prediction.status !== "succeeded") {
+    throw new Error(`Replicate upscale ${prediction.status}: ${prediction.error || "no output"}`);
+  }
+
+  const outputUrl = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+  const resp = await fetch(outputUrl);
+  if (!resp.ok) {
+    throw new Error(`Failed to fetch upscaled image: ${resp.status}`);
+  }
+
+  // The model upscales by a whole factor; land on the exact target size
+  const upscaled = await localUpscale(config, { buffer: Buffer.from(await resp.arrayBuffer()), target });
+  return { ...upscaled, provider: "replicate" };
+}
+
+const ADAPTERS = {
+  local: localUpscale,
+  replicate: replicateUpscale,
+  off: null,
+};
+
+/**
+ * The configured upscaler
+ *
+ * upscaleForPrint({ buffer, frame }) takes a PNG and the print frame in
+ * points and resolves to { buffer, mimeType, width, height, provider }, or
+ * null when no print copy is needed (the image already covers the frame at
+ * the target dpi, or the provider is "off"). Provider failures other than
+ * the local one fall back to local resampling.
+ */
+function getUpscaler() {
+  const config = getUpscaleConfig();
+
+  if (!(config.provider in ADAPTERS)) {
+    throw new Error(`Unknown UPSCALE_PROVIDER "${config.provider}" (expected ${Object.keys(ADAPTERS).join(", ")})`);
+  }
+
+  return {
+    name: config.provider,
+    config,
+    upscaleForPrint: async ({ buffer, frame }) => {
+      const adapter = ADAPTERS[config.provider];
+      const image = readPngSize(buffer);
+      if (!adapter || !image) return null;
+
+      const target = getPrintTarget(image, frame, config);
+      if (!target) return null;
+
+      try {
+        return await adapter(config, { buffer, image, target });
+      } catch (err) {
+        if (adapter === localUpscale) throw err;
+        console.warn(`[Upscaler] ${config.provider} failed, resampling locally:`, err.message);
+        return localUpscale(config, { buffer, image, target });
+      }
+    },
+  };
+}
+
+module.exports = {
+  UPSCALE_DEFAULTS,
+  getUpscaleConfig,
+  getPrintTarget,
+  getUpscaler,
+};
@@ -0,0 +1,167 @@
+// api/admin/moderation.js
+// Admin endpoint to review moderation decisions (see api/_moderation.js)
+// GET  ?reviewStatus=pending&action=block&source=story-ideas&limit=50&offset=0
+// POST { eventId, reviewStatus: "approved" | "rejected" | "pending", note }
+
+const { createClient } = require("@supabase/supabase-js");
+const { requireAdmin } = require("./_admin-auth.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const ACTIONS = ["flag", "block"];
+
+async function handler(req, res) {
+  switch (req.method) {
+    case "GET":
+      return listEvents(req, res);
+    case "POST":
+      return reviewEvent(req, res);
+    default:
+      return res.status(405).json({ error: "Method not allowed" });
+  }
+}
+
+/**
+ * List moderation events, newest first
+ */
+async function listEvents(req, res) {
+  try {
+    const {
+      reviewStatus,
+      action,
+      source,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+
+    let query = supabase
+      .from("moderation_events")
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (REVIEW_STATUSES.includes(reviewStatus)) {
+      query = query.eq("review_status", reviewStatus);
+    }
+    if (ACTIONS.includes(action)) {
+      query = query.eq("action", action);
+    }
+    if (source) {
+      query = query.eq("source", source);
+    }
+
+    const { data: events, error, count } = await query;
+
+    if (error) {
+      console.error("Error fetching moderation events:", error);
+      return res.status(500).json({ error: "Failed to fetch moderation events" });
+    }
+
+    // Book titles for context
+    const projectIds = [...new Set(events.map(e => e.project_id).filter(Boolean))];
+    const titles = {};
+    if (projectIds.length > 0) {
+      const { data: books } = await supabase
+        .from("book_projects")
+        .select("id, selected_idea, kid_name")
+        .in("id", projectIds);
+
+      books?.forEach(b => {
+        titles[b.id] = b.selected_idea?.title || (b.kid_name ? `${b.kid_name}'s book` : "Untitled");
+      });
+    }
+
+    // Pending total for the tab badge
+    const { count: pendingCount } = await supabase
+      .from("moderation_events")
+      .select("id", { count: "exact", head: true })
+      .eq("review_status", "pending");
+
+    return res.status(200).json({
+      events: events.map(e => ({
+        id: e.id,
+        kind: e.kind,
+        source: e.source,
+        action: e.action,
+        categories: e.categories || [],
+        reason: e.reason,
+        provider: e.provider,
+        excerpt: e.excerpt,
+        contentUrl: e.content_url,
+        projectId: e.project_id,
+        bookTitle: titles[e.project_id] || null,
+        userId: e.user_id,
+        reviewStatus: e.review_status,
+        reviewNote: e.review_note,
+        reviewedBy: e.reviewed_by,
+        reviewedAt: e.reviewed_at,
+        createdAt: e.created_at,
+      })),
+      total: count,
+      pending: pendingCount || 0,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (err) {
+    console.error("Admin moderation list error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+/**
+ * Record an admin's review of a decision
+ * approved - the decision was right; rejected - it was a false positive
+ */
+async function reviewEvent(req, res) {
+  const { eventId, reviewStatus, note } = req.body || {};
+
+  if (!eventId) {
+    return res.status(400).json({ error: "eventId required" });
+  }
+  if (!REVIEW_STATUSES.includes(reviewStatus)) {
+    return res.status(400).json({
+      error: "Invalid reviewStatus",
+      message: `reviewStatus must be one of: ${REVIEW_STATUSES.join(", ")}`,
+    });
+  }
+
+  try {
+    const pending = reviewStatus === "pending";
+    const { data: event, error } = await supabase
+      .from("moderation_events")
+      .update({
+        review_status: reviewStatus,
+        review_note: typeof note === "string" && note.trim() ? note.trim() : null,
+        reviewed_by: pending ? null : req.adminUser?.email || null,
+        reviewed_at: pending ? null : new Date().toISOString(),
+      })
+      .eq("id", eventId)
+      .select("id, review_status, review_note, reviewed_by, reviewed_at")
+      .single();
+
+    if (error || !event) {
+      console.error("Error updating moderation event:", error);
+      return res.status(404).json({ error: "Moderation event not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      event: {
+        id: event.id,
+        reviewStatus: event.review_status,
+        reviewNote: event.review_note,
+        reviewedBy: event.reviewed_by,
+        reviewedAt: event.reviewed_at,
+      },
+    });
+  } catch (err) {
+    console.error("Admin moderation review error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+module.exports = requireAdmin(handler);
@@ -0,0 +1,163 @@
+// api/analyze-scene.js (CommonJS)
+// The scene composition plan for a page, before (or instead of) generating
+// POST { projectId, page, action, ... }
+//   { action: "analyze" }              - the pinned plan if there is one,
+//                                        otherwise a fresh analysis
+//   { action: "analyze", fresh: true } - always analyze again
+//   { action: "pin", plan }            - save an (edited) plan for the page;
+//                                        generation uses it from now on
+//   { action: "unpin" }                - back to analyzing on every generation
+//
+// Responds with { page, plan, pinned, pinned_at, stale, options }. "stale"
+// means the page text changed since the plan was pinned - generation analyzes
+// the page again until it is re-pinned; "options" lists the book's
+// characters, props and groups the plan may use. See api/_scene-plans.js.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
+const { normalizeScenePlan, getPinnedPlan, isPlanStale } = require("./_scene-plans.js");
+const { buildRegistry, planScene } = require("./generate-scene.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACTIONS = ["analyze", "pin", "unpin"];
+
+// What the plan editor can add to a scene
+function planOptions(registry) {
+  return {
+    characters: Object.entries(registry.characters || {}).map(([key, c]) => ({
+      key,
+      name: c.name,
+      role: c.role,
+      has_model: !!c.has_model,
+    })),
+    props: Object.entries(registry.props || {}).map(([key, p]) => ({ key, name: p.name })),
+    groups: Object.entries(registry.groups || {}).map(([key, g]) => ({ key, name: g.name })),
+  };
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to plan illustrations"
+    });
+  }
+
+  const { projectId, action = "analyze", fresh, plan } = req.body || {};
+  const page = Number(req.body?.page);
+
+  if (!projectId || !Number.isInteger(page)) {
+    return res.status(400).json({ error: "Missing projectId or page" });
+  }
+
+  if (!ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${ACTIONS.join(", ")}` });
+  }
+
+  if (action === "pin" && (!plan || typeof plan !== "object")) {
+    return res.status(400).json({ error: "Missing plan" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, story_json, character_model_url, character_models, illustrations, props_registry, scene_plans")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to edit this project"
+      });
+    }
+
+    const allPages = project.story_json || [];
+    const pageText = allPages.find(p => Number(p.page) === page)?.text;
+
+    if (!pageText) {
+      return res.status(404).json({ error: `Page ${page} has no text` });
+    }
+
+    const registry = buildRegistry(project);
+    const otherPlans = (project.scene_plans || []).filter(entry => Number(entry.page) !== page);
+    const respond = (entry, extra = {}) => res.status(200).json({
+      page,
+      plan: entry.plan,
+      pinned: !!entry.pinned_at,
+      pinned_at: entry.pinned_at || null,
+      stale: isPlanStale(entry, pageText),
+      options: planOptions(registry),
+      ...extra,
+    });
+
+    if (action === "analyze") {
+      const pinned = getPinnedPlan(project.scene_plans, page);
+      if (pinned && !fresh) {
+        return respond({ ...pinned, plan: normalizeScenePlan(pinned.plan, registry) });
+      }
+
+      const analyzed = await planScene(project, registry, { projectId, page, pageText, allPages });
+      return respond({ plan: normalizeScenePlan(analyzed, registry) });
+    }
+
+    let scenePlans = otherPlans;
+    let entry = { plan: null };
+    let moderation = null;
+
+    if (action === "pin") {
+      const normalized = normalizeScenePlan(plan, registry);
+
+      // Location and focal point are free text from the editor
+      moderation = await moderateText(
+        [normalized.location, normalized.focal_point],
+        { source: "analyze-scene", userId: user.id, projectId }
+      );
+      if (moderation.action === "block") {
+        return sendBlocked(res, moderation);
+      }
+
+      entry = { page, plan: normalized, page_text: pageText, pinned_at: new Date().toISOString() };
+      scenePlans = [...otherPlans, entry];
+    }
+
+    const { error: updateError } = await supabase
+      .from("book_projects")
+      .update({ scene_plans: scenePlans })
+      .eq("id", projectId);
+
+    if (updateError) {
+      console.error("ANALYZE-SCENE ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save scene plan." });
+    }
+
+    return respond(entry, { scene_plans: scenePlans, moderation: publicDecision(moderation) });
+
+  } catch (err) {
+    console.error("ANALYZE-SCENE ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to plan scene.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "1mb" } },
+};
@@ -0,0 +1,222 @@
+// api/art-style.js (CommonJS)
+// The book's illustration style (shared/art-styles.json)
+// POST { projectId, action, ... }
+//   { action: "set", styleId }           - use this style for new illustrations
+//   { action: "reference", image }       - upload a style reference image
+//                                          (data URL); image: null clears it
+//   { action: "preview", styleId }       - make a sample image in that style
+//
+// Saved in book_projects.art_style:
+//   { id, reference_url, previews: { [styleId]: imageUrl } }
+// Existing illustrations keep the style they were drawn in; only new and
+// regenerated pages (and new character models) use the new one.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { uploadToR2 } = require("./_r2.js");
+const { getImageProvider } = require("./_image-provider.js");
+const { moderateImage, sendBlocked } = require("./_moderation.js");
+const { ART_STYLES, normalizeArtStyle } = require("./_art-styles.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACTIONS = ["set", "reference", "preview"];
+
+const REFERENCE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+async function fetchAsDataUrl(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Fetch failed: ${resp.status}`);
+  const contentType = (resp.headers.get("content-type") || "image/png").split(";")[0].trim();
+  return `data:${contentType};base64,${Buffer.from(await resp.arrayBuffer()).toString("base64")}`;
+}
+
+function buildPreviewPrompt(style, name, hasCharacter, hasStyleReference) {
+  return `
+Create a sample children's picture-book illustration to preview an art style.
+
+=== SCENE ===
+${hasCharacter
+    ? `${name}, exactly as drawn in the FIRST attached image, flying a kite on a sunny hill with a small dog running alongside.`
+    : "A child flying a kite on a sunny hill with a small dog running alongside."}
+
+=== STYLE REQUIREMENTS (${style.label.toUpperCase()}) ===
+${style.scene.map(line => `• ${line}`).join("\n")}
+• Simple uncluttered background
+• No text in image
+${hasStyleReference ? `
+=== STYLE REFERENCE ===
+• The ${hasCharacter ? "SECOND" : "attached"} image is an art style reference only
+• Copy its medium, palette, line work and texture - do NOT draw anything from it
+` : ""}
+Generate the illustration now.
+`;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to change the art style"
+    });
+  }
+
+  const { projectId, action, styleId, image } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${ACTIONS.join(", ")}` });
+  }
+
+  if (action !== "reference" && !ART_STYLES[styleId]) {
+    return res.status(400).json({ error: `Unknown art style "${styleId}"` });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("id, user_id, kid_name, character_models, art_style")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to edit this project"
+      });
+    }
+
+    let artStyle = normalizeArtStyle(project.art_style);
+    const moderationContext = { source: "art-style", userId: user.id, projectId };
+
+    if (action === "set") {
+      artStyle = { ...artStyle, id: styleId };
+
+    } else if (action === "reference") {
+      if (!image) {
+        artStyle = { ...artStyle, reference_url: null };
+      } else {
+        const match = /^data:([^;]+);base64,(.+)$/.exec(String(image));
+        const ext = match && REFERENCE_TYPES[match[1]];
+
+        if (!ext) {
+          return res.status(400).json({
+            error: "Invalid image",
+            message: "The style reference must be a JPEG, PNG or WebP image"
+          });
+        }
+
+        const buffer = Buffer.from(match[2], "base64");
+        const moderation = await moderateImage({ buffer, mimeType: match[1] }, moderationContext);
+        if (moderation.action === "block") {
+          return sendBlocked(res, moderation);
+        }
+
+        const upload = await uploadToR2(
+          `art-styles/${projectId}/reference-${Date.now()}.${ext}`,
+          buffer,
+          match[1]
+        );
+
+        if (!upload.success) {
+          console.error("ART-STYLE UPLOAD ERROR:", upload.error);
+          return res.status(500).json({ error: "Failed to upload style reference." });
+        }
+
+        artStyle = { ...artStyle, reference_url: upload.publicUrl };
+      }
+
+    } else {
+      // "preview" - the main character (if modelled) drawn in the style
+      const protagonist = (project.character_models || []).find(cm => cm.is_protagonist || cm.role === "protagonist");
+      const references = [];
+
+      if (protagonist?.model_url) {
+        references.push(await fetchAsDataUrl(protagonist.model_url));
+      }
+      if (artStyle.reference_url) {
+        references.push(await fetchAsDataUrl(artStyle.reference_url));
+      }
+
+      const generated = await getImageProvider("scene").editWithReferences({
+        prompt: buildPreviewPrompt(
+          ART_STYLES[styleId],
+          protagonist?.name || project.kid_name,
+          !!protagonist?.model_url,
+          !!artStyle.reference_url
+        ),
+        references,
+        background: "opaque",
+      });
+
+      if (!generated?.buffer) {
+        return res.status(500).json({ error: "Model produced no preview image." });
+      }
+
+      const moderation = await moderateImage(
+        { buffer: generated.buffer, mimeType: generated.mimeType || "image/png" },
+        moderationContext
+      );
+      if (moderation.action === "block") {
+        return sendBlocked(res, moderation);
+      }
+
+      const upload = await uploadToR2(
+        `art-styles/${projectId}/preview-${styleId}-${Date.now()}.png`,
+        generated.buffer,
+        "image/png"
+      );
+
+      if (!upload.success) {
+        console.error("ART-STYLE UPLOAD ERROR:", upload.error);
+        return res.status(500).json({ error: "Failed to upload style preview." });
+      }
+
+      artStyle = { ...artStyle, previews: { ...artStyle.previews, [styleId]: upload.publicUrl } };
+    }
+
+    const { error: updateError } = await supabase
+      .from("book_projects")
+      .update({ art_style: artStyle })
+      .eq("id", projectId);
+
+    if (updateError) {
+      console.error("ART-STYLE ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save art style." });
+    }
+
+    return res.status(200).json({ art_style: artStyle });
+
+  } catch (err) {
+    console.error("ART-STYLE ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to update art style.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
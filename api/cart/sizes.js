@@ -2,6 +2,7 @@
 // Get available hardcover sizes and their prices
 
 const { createClient } = require("@supabase/supabase-js");
+const { TRIM_SIZES } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -22,11 +23,20 @@ async function handler(req, res) {
 
     if (error) throw error;
 
-    // Format prices
-    const formatted = sizes.map(s => ({
-      ...s,
-      priceFormatted: `$${(s.price_cents / 100).toFixed(2)}`,
-    }));
+    // Only offer sizes the compositor and print pipeline know about.
+    // Prices come from the table; dimensions from the shared registry.
+    const formatted = sizes
+      .filter(s => TRIM_SIZES[s.size_code])
+      .map(s => {
+        const trim = TRIM_SIZES[s.size_code];
+        return {
+          ...s,
+          dimensions: trim.name,
+          widthIn: trim.widthIn,
+          heightIn: trim.heightIn,
+          priceFormatted: `$${(s.price_cents / 100).toFixed(2)}`,
+        };
+      });
 
     return res.status(200).json({ sizes: formatted });
 
@@ -3,6 +3,7 @@
 
 const { createClient } = require("@supabase/supabase-js");
 const { getCurrentUser } = require("../_auth.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -35,7 +36,7 @@ async function handler(req, res) {
   }
 
   // Size is required for hardcover, null for ebook
-  const itemSize = productType === "hardcover" ? (size || "square-medium") : null;
+  const itemSize = productType === "hardcover" ? normalizeSizeCode(size) : null;
 
   try {
     // Verify the book exists and belongs to user
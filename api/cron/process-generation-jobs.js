@@ -0,0 +1,349 @@
+// api/cron/process-generation-jobs.js
+// Worker for the server-side scene generation queue (generation_jobs)
+//
+// Runs every minute from Vercel Cron, and is also kicked by
+// /api/generation-jobs/enqueue so new work starts straight away.
+// Each run:
+// 1. Re-queues jobs whose worker died mid-run (stale locks), or fails them
+//    if they have no attempts left
+// 2. Claims queued jobs and runs the generate-scene pipeline on them
+// 3. Retries failures with backoff, up to the job's max_attempts. A job that
+//    was cancelled or re-claimed while it ran keeps its newer state.
+// 4. Kicks off another run if it ran out of time with work left
+//
+// Kicks authenticate with CRON_SECRET; without it in production only the
+// cron tick starts the worker.
+//
+// Configure in vercel.json:
+// {
+//   "crons": [{
+//     "path": "/api/cron/process-generation-jobs",
+//     "schedule": "* * * * *"
+//   }]
+// }
+
+const { createClient } = require("@supabase/supabase-js");
+const { generateScene, isSafetyRejection } = require("../generate-scene.js");
+const {
+  STALE_LOCK_MINUTES,
+  getRetryDelaySeconds,
+  kickWorker,
+} = require("../_generation-jobs.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Pages generated side by side (matches what the browser queue used to allow)
+const WORKER_CONCURRENCY = 2;
+
+// Stop claiming new jobs after this long; a scene can take a couple of
+// minutes and has to finish inside maxDuration below
+const CLAIM_BUDGET_MS = 150 * 1000;
+
+// Columns needed to fail a job and record its history without loading it all
+const JOB_SUMMARY_COLUMNS = "id, user_id, project_id, project_title, page, attempts, max_attempts";
+
+function attemptsExhausted(job) {
+  return job.attempts >= job.max_attempts;
+}
+
+// Fail a job that has used up its attempts without running it again. The
+// update is conditional on the job still being as it was read (and, for a
+// stale job, still stale), so a worker that picked it up meanwhile keeps it.
+async function failExhaustedJob(job, fromStatus, error, staleBefore = null) {
+  const now = new Date().toISOString();
+  let query = supabase
+    .from("generation_jobs")
+    .update({
+      status: "failed",
+      error,
+      locked_at: null,
+      completed_at: now,
+      updated_at: now,
+    })
+    .eq("id", job.id)
+    .eq("status", fromStatus);
+
+  if (staleBefore) query = query.lt("locked_at", staleBefore);
+
+  const { data: failed } = await query.select("id").maybeSingle();
+  if (!failed) return false;
+
+  await recordHistory(job, "failed", null);
+  return true;
+}
+
+// Put jobs whose worker stopped reporting back into the queue, or fail them
+// if that was their last attempt
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000).toISOString();
+
+  const { data: staleJobs, error } = await supabase
+    .from("generation_jobs")
+    .select(JOB_SUMMARY_COLUMNS)
+    .eq("status", "running")
+    .lt("locked_at", staleBefore);
+
+  if (error) {
+    console.error("[GenerationWorker] Failed to load stale jobs:", error);
+    return { requeued: 0, failed: 0 };
+  }
+
+  let requeued = 0;
+  let failed = 0;
+
+  for (const job of staleJobs || []) {
+    if (attemptsExhausted(job)) {
+      if (await failExhaustedJob(job, "running", "Worker timed out", staleBefore)) failed++;
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    const { data: queued, error: updateError } = await supabase
+      .from("generation_jobs")
+      .update({
+        status: "queued",
+        locked_at: null,
+        run_after: now,
+        error: "Worker timed out",
+        updated_at: now,
+      })
+      .eq("id", job.id)
+      .eq("status", "running")
+      .lt("locked_at", staleBefore)
+      .select("id")
+      .maybeSingle();
+
+    if (updateError) {
+      console.error(`[GenerationWorker] Failed to requeue stale job ${job.id}:`, updateError);
+    } else if (queued) {
+      requeued++;
+    }
+  }
+
+  return { requeued, failed };
+}
+
+// Claim the oldest runnable job. The update is conditional on the job still
+// being queued, so two workers can't both take it. Jobs already at their
+// attempt limit are failed instead of run again.
+async function claimNextJob() {
+  const { data: candidates, error } = await supabase
+    .from("generation_jobs")
+    .select(JOB_SUMMARY_COLUMNS)
+    .eq("status", "queued")
+    .lte("run_after", new Date().toISOString())
+    .order("created_at", { ascending: true })
+    .order("page", { ascending: true })
+    .limit(5);
+
+  if (error) {
+    throw new Error(`Failed to load queued jobs: ${error.message}`);
+  }
+
+  for (const candidate of candidates || []) {
+    if (attemptsExhausted(candidate)) {
+      await failExhaustedJob(candidate, "queued", "No attempts left");
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    const { data: claimed } = await supabase
+      .from("generation_jobs")
+      .update({
+        status: "running",
+        attempts: candidate.attempts + 1,
+        locked_at: now,
+        updated_at: now,
+      })
+      .eq("id", candidate.id)
+      .eq("status", "queued")
+      .select("*")
+      .maybeSingle();
+
+    if (claimed) return claimed;
+  }
+
+  return null;
+}
+
+// Mirror the finished job into generation_history (the queue dropdown's history)
+// using the job id, so the browser's copy of the same entry lines up with it
+async function recordHistory(job, status, imageUrl) {
+  const { error } = await supabase
+    .from("generation_history")
+    .insert({
+      id: job.id,
+      user_id: job.user_id,
+      project_id: job.project_id,
+      project_title: job.project_title || "Untitled Book",
+      page_number: job.page,
+      image_url: imageUrl,
+      status,
+    });
+
+  if (error) {
+    console.error(`[GenerationWorker] Failed to record history for job ${job.id}:`, error);
+  }
+}
+
+// Record the outcome of a job this worker ran. Conditional on the job still
+// being running under this claim (a re-claim bumps attempts), so a job that
+// was cancelled, or requeued and picked up again, meanwhile isn't overwritten
+// by a late worker. Returns whether the row was updated.
+async function finishRunningJob(job, fields) {
+  const { data: updated, error } = await supabase
+    .from("generation_jobs")
+    .update(fields)
+    .eq("id", job.id)
+    .eq("status", "running")
+    .eq("attempts", job.attempts)
+    .select("id")
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[GenerationWorker] Failed to update job ${job.id}:`, error);
+  } else if (!updated) {
+    console.warn(`[GenerationWorker] Job ${job.id} changed while it ran; dropping this outcome`);
+  }
+  return !!updated;
+}
+
+async function runJob(job) {
+  console.log(`[GenerationWorker] Job ${job.id}: project ${job.project_id} page ${job.page} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    const result = await generateScene({
+      projectId: job.project_id,
+      page: job.page,
+      pageText: job.page_text,
+      isRegeneration: job.is_regeneration,
+      shotTypeOverride: job.shot_type_override,
+      feedback: job.feedback,
+    });
+
+    const now = new Date().toISOString();
+    const finished = await finishRunningJob(job, {
+      status: "complete",
+      result: {
+        image_url: result.image_url,
+        print_url: result.print_url,
+        revisions: result.revisions,
+        revision_history: result.revision_history,
+      },
+      error: null,
+      locked_at: null,
+      completed_at: now,
+      updated_at: now,
+    });
+    if (!finished) return "superseded";
+
+    await recordHistory(job, "complete", result.image_url);
+    return "complete";
+
+  } catch (err) {
+    console.error(`[GenerationWorker] Job ${job.id} failed:`, err?.message);
+
+    const safetyRejection = isSafetyRejection(err);
+    const canRetry = !safetyRejection && job.attempts < job.max_attempts;
+    const now = new Date();
+
+    if (canRetry) {
+      const delaySeconds = getRetryDelaySeconds(job.attempts);
+      const requeued = await finishRunningJob(job, {
+        status: "queued",
+        error: err?.message || "Generation failed",
+        locked_at: null,
+        run_after: new Date(now.getTime() + delaySeconds * 1000).toISOString(),
+        updated_at: now.toISOString(),
+      });
+      return requeued ? "retrying" : "superseded";
+    }
+
+    const failed = await finishRunningJob(job, {
+      status: "failed",
+      error: err?.message || "Generation failed",
+      safety_rejection: safetyRejection,
+      locked_at: null,
+      completed_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    });
+    if (!failed) return "superseded";
+
+    await recordHistory(job, "failed", null);
+    return "failed";
+  }
+}
+
+async function handler(req, res) {
+  // Verify this is a legitimate cron call (or a kick carrying the cron secret)
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const cronSecret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization;
+  const hasValidSecret = cronSecret && authHeader === `Bearer ${cronSecret}`;
+
+  if (!isVercelCron && !hasValidSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const startedAt = Date.now();
+  const counts = { complete: 0, retrying: 0, failed: 0, superseded: 0 };
+
+  try {
+    const { requeued, failed: timedOut } = await requeueStaleJobs();
+    if (requeued > 0 || timedOut > 0) {
+      console.log(`[GenerationWorker] Re-queued ${requeued} stale job(s), failed ${timedOut} out of attempts`);
+    }
+    counts.failed += timedOut;
+
+    // Each lane keeps claiming jobs until the queue is empty or time runs out
+    const lane = async () => {
+      while (Date.now() - startedAt < CLAIM_BUDGET_MS) {
+        const job = await claimNextJob();
+        if (!job) return;
+        const outcome = await runJob(job);
+        counts[outcome]++;
+      }
+    };
+
+    await Promise.all(Array.from({ length: WORKER_CONCURRENCY }, lane));
+
+    // Out of time with runnable work left - hand over to a fresh invocation
+    const { count: remaining } = await supabase
+      .from("generation_jobs")
+      .select("id", { count: "exact", head: true })
+      .eq("status", "queued")
+      .lte("run_after", new Date().toISOString());
+
+    if (remaining > 0 && Date.now() - startedAt >= CLAIM_BUDGET_MS) {
+      await kickWorker();
+    }
+
+    console.log('[GenerationWorker] Run complete:', { requeued, ...counts, remaining });
+
+    return res.status(200).json({
+      success: true,
+      requeued,
+      ...counts,
+      remaining: remaining || 0,
+    });
+
+  } catch (err) {
+    console.error('[GenerationWorker] Fatal error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+
+// Vercel config for longer timeout (a scene can take a couple of minutes)
+module.exports.config = {
+  maxDuration: 300, // 5 minutes
+};
@@ -0,0 +1,274 @@
+// api/edit-scene.js (CommonJS)
+// Edits part of a page's current illustration instead of regenerating it
+// POST { projectId, page, mask, instruction }
+//   mask        - PNG data URL the size of the illustration; transparent
+//                 pixels mark the area to change, everything else is kept
+//   instruction - what to change, e.g. "make the dog brown"
+//
+// The edited image becomes the page's current illustration and the old one
+// moves into revision_history, the same as a regeneration, so "Use This
+// Version" can undo it.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { getImageProvider } = require("./_image-provider.js");
+const { uploadToR2 } = require("./_r2.js");
+const { decodePng, readPngSize } = require("./_png.js");
+const { moderateText, moderateImage, publicDecision, sendBlocked } = require("./_moderation.js");
+const { getArtStyle, normalizeArtStyle, styleBullets } = require("./_art-styles.js");
+const { getImageFrame } = require("./_trim-sizes.js");
+const { uploadPrintCopy, isSafetyRejection } = require("./generate-scene.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// Revision history keeps the same number of past versions as generate-scene.js
+const MAX_HISTORY = 2;
+
+function buildEditPrompt(instruction, pageText, artStyle) {
+  return `
+You MUST edit this illustration using the image_generation tool.
+Return ONLY a tool call.
+
+The attached image is a page from a children's picture book. Change ONLY the masked area:
+${instruction}
+
+=== PAGE TEXT (for context) ===
+"${pageText || ""}"
+
+=== STYLE REQUIREMENTS (${getArtStyle(artStyle).label.toUpperCase()}) ===
+${styleBullets(artStyle, "scene")}
+• The edited area must blend seamlessly with the rest of the picture
+• No text in image
+
+=== STRICT RULES ===
+• Keep everything outside the masked area exactly as it is
+• Keep characters' faces, outfits and colours unchanged unless the change asks otherwise
+• Do not add new characters or objects unless the change asks for them
+
+Apply the edit now.
+`;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit illustrations"
+    });
+  }
+
+  const { projectId, mask } = req.body || {};
+  const page = Number(req.body?.page);
+  const instruction = String(req.body?.instruction || "").trim();
+
+  if (!projectId || !Number.isInteger(page)) {
+    return res.status(400).json({ error: "Missing projectId or page" });
+  }
+
+  if (!instruction) {
+    return res.status(400).json({
+      error: "Missing instruction",
+      message: "Describe what should change in the painted area"
+    });
+  }
+
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return res.status(400).json({
+      error: "Instruction too long",
+      message: `Keep the change under ${MAX_INSTRUCTION_LENGTH} characters`
+    });
+  }
+
+  const maskMatch = /^data:image\/png;base64,(.+)$/.exec(String(mask || ""));
+  if (!maskMatch) {
+    return res.status(400).json({ error: "Invalid mask", message: "The mask must be a PNG image" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, illustrations, story_json, art_style, compositor_layout")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to edit this project"
+      });
+    }
+
+    const existing = (project.illustrations || []).find(i => Number(i.page) === page);
+    if (!existing?.image_url) {
+      return res.status(404).json({ error: `Page ${page} has no illustration to edit` });
+    }
+
+    const moderationContext = { source: "edit-scene", userId: user.id, projectId };
+    const textModeration = await moderateText(instruction, moderationContext);
+    if (textModeration.action === "block") {
+      return sendBlocked(res, textModeration);
+    }
+
+    // The current illustration (cache-busters are stripped from stored URLs)
+    const imageResp = await fetch(existing.image_url.split("?")[0]);
+    if (!imageResp.ok) {
+      return res.status(502).json({ error: "Could not load the current illustration." });
+    }
+    const imageBuffer = Buffer.from(await imageResp.arrayBuffer());
+    const imageSize = readPngSize(imageBuffer);
+
+    let maskImage;
+    try {
+      maskImage = decodePng(Buffer.from(maskMatch[1], "base64"));
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid mask", message: err.message });
+    }
+
+    if (!imageSize || maskImage.width !== imageSize.width || maskImage.height !== imageSize.height) {
+      return res.status(400).json({
+        error: "Invalid mask",
+        message: "The mask must be the same size as the illustration"
+      });
+    }
+
+    let painted = false;
+    for (let i = 3; i < maskImage.rgba.length; i += 4) {
+      if (maskImage.rgba[i] < 128) {
+        painted = true;
+        break;
+      }
+    }
+    if (!painted) {
+      return res.status(400).json({
+        error: "Empty mask",
+        message: "Paint over the part of the picture you want to change"
+      });
+    }
+
+    const pageText = (project.story_json || []).find(p => Number(p.page) === page)?.text || existing.page_text;
+    const artStyle = normalizeArtStyle(project.art_style);
+
+    const edited = await getImageProvider("scene").editMasked({
+      prompt: buildEditPrompt(instruction, pageText, artStyle),
+      image: `data:image/png;base64,${imageBuffer.toString("base64")}`,
+      mask: String(mask),
+      size: `${imageSize.width}x${imageSize.height}`,
+    });
+
+    if (!edited?.buffer) {
+      return res.status(500).json({ error: "Model produced no edited image." });
+    }
+
+    const imageModeration = await moderateImage(
+      { buffer: edited.buffer, mimeType: edited.mimeType || "image/png" },
+      moderationContext
+    );
+    if (imageModeration.action === "block") {
+      return sendBlocked(res, imageModeration);
+    }
+
+    const newRevisions = (existing.revisions || 0) + 1;
+    const filePath = `illustrations/${projectId}-page-${page}-r${newRevisions}.png`;
+    const uploadResult = await uploadToR2(filePath, edited.buffer, "image/png");
+
+    if (!uploadResult.success) {
+      console.error("EDIT-SCENE UPLOAD ERROR:", uploadResult.error);
+      return res.status(500).json({ error: "Failed to upload edited illustration." });
+    }
+
+    const printUrl = await uploadPrintCopy(
+      edited.buffer,
+      getImageFrame(project.compositor_layout),
+      filePath.replace(/\.png$/, "-print.png")
+    );
+
+    // Re-fetch so pages finished by the generation queue meanwhile aren't lost
+    const { data: current } = await supabase
+      .from("book_projects")
+      .select("illustrations")
+      .eq("id", projectId)
+      .single();
+
+    const illustrations = Array.isArray(current?.illustrations) ? current.illustrations : [];
+    const latest = illustrations.find(i => Number(i.page) === page) || existing;
+
+    const revisionHistory = [
+      ...(latest.revision_history || []),
+      {
+        revision: latest.revisions || 0,
+        image_url: latest.image_url,
+        print_url: latest.print_url || null,
+        created_at: latest.last_updated || new Date().toISOString(),
+        notes: latest.revision_notes || null,
+        feedback: latest.feedback || null,
+      },
+    ].slice(-MAX_HISTORY);
+
+    const updated = {
+      ...latest,
+      image_url: uploadResult.publicUrl,
+      print_url: printUrl,
+      revisions: newRevisions,
+      revision_notes: instruction,
+      feedback: null,
+      last_updated: new Date().toISOString(),
+      revision_history: revisionHistory,
+    };
+
+    const { error: updateError } = await supabase
+      .from("book_projects")
+      .update({ illustrations: [...illustrations.filter(i => Number(i.page) !== page), updated] })
+      .eq("id", projectId);
+
+    if (updateError) {
+      console.error("EDIT-SCENE ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save edited illustration." });
+    }
+
+    return res.status(200).json({
+      page,
+      image_url: updated.image_url,
+      print_url: updated.print_url,
+      revisions: updated.revisions,
+      revision_history: updated.revision_history,
+      moderation: publicDecision(textModeration) || publicDecision(imageModeration),
+    });
+
+  } catch (err) {
+    console.error("EDIT-SCENE ERROR:", err);
+
+    if (isSafetyRejection(err)) {
+      return res.status(400).json({
+        error: "The edit was rejected by the image safety system.",
+        message: "Try describing the change differently.",
+        safety_rejection: true,
+      });
+    }
+
+    return res.status(500).json({
+      error: "Failed to edit illustration.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+  maxDuration: 300, // an edit plus the print upscale can take a couple of minutes
+};
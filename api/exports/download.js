@@ -0,0 +1,248 @@
+// api/exports/download.js
+// Server-enforced ebook downloads
+// Checks ownership and remaining downloads, generates the clean PDF on demand,
+// stores it in R2 and hands back a short-lived signed URL
+//
+// The stored PDF's file name carries a hash of what the book is made from
+// (text, illustrations, special pages, pre-rendered pages and trim size), so
+// a book edited after purchase is generated again on its next download.
+
+const crypto = require("crypto");
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const { uploadToR2, getSignedR2Url } = require("../_r2.js");
+const { generateInteriorPdf } = require("../lulu/generate-print-pdf.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Signed URLs only need to live long enough for the browser to start the download
+const SIGNED_URL_TTL_SECONDS = 300;
+
+// Trim size to render the ebook at: the size its pages were pre-rendered at,
+// otherwise the size chosen in the compositor
+function bookSizeCode(book) {
+  return normalizeSizeCode(book.print_pages_size_code || book.compositor_layout?.pageSize);
+}
+
+// Short hash of everything generateInteriorPdf draws the book from
+function pdfSourceKey(book, sizeCode) {
+  const source = JSON.stringify([
+    sizeCode,
+    book.selected_idea?.title || null,
+    book.kid_name || null,
+    book.story_options?.language || null,
+    book.story_json || [],
+    (book.illustrations || []).map(i => [i.page, i.url || null]),
+    book.special_pages || null,
+    book.print_pages || [],
+    book.print_pages_size_code || null,
+  ]);
+  return crypto.createHash("sha256").update(source).digest("hex").slice(0, 16);
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to download your book",
+    });
+  }
+
+  const { bookId } = req.body || {};
+
+  if (!bookId) {
+    return res.status(400).json({ error: "Missing bookId" });
+  }
+
+  try {
+    // Verify ownership and entitlement
+    const { data: book, error: bookError } = await supabase
+      .from("book_projects")
+      .select(`
+        id,
+        user_id,
+        selected_idea,
+        ebook_unlocked,
+        kid_name,
+        story_json,
+        story_options,
+        illustrations,
+        special_pages,
+        print_pages,
+        print_pages_size_code,
+        compositor_layout
+      `)
+      .eq("id", bookId)
+      .single();
+
+    if (bookError || !book) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+
+    if (book.user_id !== user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (!book.ebook_unlocked) {
+      return res.status(403).json({
+        error: "Purchase required",
+        message: "Purchase the ebook to download it",
+      });
+    }
+
+    // Most recent ebook export record (created by the Stripe webhook)
+    const { data: exportRecord } = await supabase
+      .from("book_exports")
+      .select("id, file_path, download_count, max_downloads, expires_at")
+      .eq("book_id", bookId)
+      .eq("user_id", user.id)
+      .eq("product_type", "ebook")
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!exportRecord) {
+      return res.status(403).json({
+        error: "No download available",
+        message: "We couldn't find a purchase for this ebook",
+      });
+    }
+
+    if (exportRecord.expires_at && new Date(exportRecord.expires_at) < new Date()) {
+      return res.status(410).json({
+        error: "Download expired",
+        message: "This download link has expired. Please contact support.",
+      });
+    }
+
+    const downloadCount = exportRecord.download_count || 0;
+    const maxDownloads = exportRecord.max_downloads;
+
+    if (maxDownloads != null && downloadCount >= maxDownloads) {
+      return res.status(403).json({
+        error: "Download limit reached",
+        message: `You've used all ${maxDownloads} downloads for this ebook`,
+      });
+    }
+
+    const title = book.selected_idea?.title || "My Book";
+    const sizeCode = bookSizeCode(book);
+    const sourceKey = pdfSourceKey(book, sizeCode);
+    let filePath = exportRecord.file_path;
+
+    // Generate the PDF the first time it's downloaded, and again whenever
+    // the book has changed since the stored one was made
+    if (!filePath || !filePath.endsWith(`-${sourceKey}.pdf`)) {
+      console.log(`[Download] Generating ebook PDF for book ${bookId} at ${sizeCode}${filePath ? " (book changed)" : ""}`);
+
+      const result = await generateInteriorPdf(bookId, {
+        sizeCode,
+        includeBleed: false,
+        padToMinimum: false,
+      });
+
+      // Entitlement says unlocked but the book still carries the watermark flag
+      if (result.watermarked) {
+        console.error(`[Download] Book ${bookId} is unlocked but still watermarked`);
+        return res.status(409).json({
+          error: "Book not ready",
+          message: "Your purchase is still being processed. Please try again in a minute.",
+        });
+      }
+
+      const newPath = `ebook-exports/${user.id}/${bookId}/${exportRecord.id}-${Date.now()}-${sourceKey}.pdf`;
+      const upload = await uploadToR2(newPath, result.buffer, "application/pdf");
+
+      if (!upload.success) {
+        throw new Error(`Failed to store ebook PDF: ${upload.error}`);
+      }
+
+      await supabase
+        .from("book_exports")
+        .update({
+          file_path: newPath,
+          file_size_bytes: result.buffer.length,
+        })
+        .eq("id", exportRecord.id);
+
+      filePath = newPath;
+    }
+
+    // Count the download - conditional on the count we checked so
+    // parallel requests can't both spend the last download
+    const { data: updated, error: countError } = await supabase
+      .from("book_exports")
+      .update({
+        download_count: downloadCount + 1,
+        last_downloaded_at: new Date().toISOString(),
+      })
+      .eq("id", exportRecord.id)
+      .eq("download_count", downloadCount)
+      .select("download_count")
+      .maybeSingle();
+
+    if (countError) {
+      throw new Error(`Failed to record download: ${countError.message}`);
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        error: "Download in progress",
+        message: "Another download just started. Please try again.",
+      });
+    }
+
+    const { error: logError } = await supabase
+      .from("export_downloads")
+      .insert({
+        export_id: exportRecord.id,
+        user_id: user.id,
+        file_path: filePath,
+        ip_address: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || null,
+        user_agent: req.headers["user-agent"] || null,
+      });
+
+    if (logError) {
+      // Don't block the download - the counter above is what's enforced
+      console.error("[Download] Failed to log download:", logError);
+    }
+
+    const filename = `${title.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || "my-book"}.pdf`;
+    const url = await getSignedR2Url(filePath, {
+      expiresIn: SIGNED_URL_TTL_SECONDS,
+      filename,
+    });
+
+    return res.status(200).json({
+      url,
+      filename,
+      expiresIn: SIGNED_URL_TTL_SECONDS,
+      downloadCount: updated.download_count,
+      maxDownloads,
+      downloadsRemaining: maxDownloads != null ? maxDownloads - updated.download_count : null,
+    });
+
+  } catch (err) {
+    console.error("EXPORT DOWNLOAD ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to prepare download",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  maxDuration: 60,
+};
@@ -2,12 +2,10 @@
 // Locks the story and extracts unified story registry
 // Single API call for all narrative + visual data
 
-const OpenAI = require("openai");
 const { createClient } = require("@supabase/supabase-js");
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { generateJson } = require("./_llm.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
+const { recordStoryVersion } = require("./_story-versions.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -18,28 +16,60 @@ const supabase = createClient(
    Helpers
 ------------------------------------------------- */
 
-function cleanJsonOutput(text) {
-  if (!text) return text;
-
-  text = text.replace(/```json/gi, "");
-  text = text.replace(/```/g, "");
-  text = text.trim();
-
-  const firstBrace = text.indexOf("{");
-  const lastBrace = text.lastIndexOf("}");
-
-  if (firstBrace === -1 || lastBrace === -1) {
-    throw new Error("No JSON object found in model output.");
-  }
-
-  return text.substring(firstBrace, lastBrace + 1);
-}
+// Only the structure the illustration pipeline relies on is enforced
+const REGISTRY_SCHEMA = {
+  type: "object",
+  required: ["characters", "props", "environments"],
+  properties: {
+    characters: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["name", "role"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          role: { type: "string" },
+          visual: { type: ["object", "null"] },
+          first_seen_page: { type: ["integer", "null"] },
+        },
+      },
+    },
+    groups: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string" },
+          detected_count: { type: ["integer", "null"] },
+          members: { type: "array" },
+        },
+      },
+    },
+    props: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" } },
+      },
+    },
+    environments: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" } },
+      },
+    },
+  },
+};
 
 /**
  * Extract unified story registry - ALL data in ONE call
  * Combines narrative facts + visual descriptions + props + environments + groups
  */
-async function extractUnifiedRegistry(storyPages, kidInterests, kidName, existingCharacterModels) {
+async function extractUnifiedRegistry(storyPages, kidInterests, kidName, existingCharacterModels, projectId) {
   const fullText = storyPages.map(p => p.text).join("\n");
   
   // Build list of characters that have uploaded models
@@ -184,16 +214,13 @@ VISUAL CONSISTENCY:
   console.log("Story pages:", storyPages.length);
   console.log("=============================");
 
-  const response = await client.responses.create({
+  const { data: registry } = await generateJson({
+    name: "finalize-story-registry",
     model: "gpt-4.1",
-    input: prompt,
+    prompt,
+    schema: REGISTRY_SCHEMA,
+    context: { projectId },
   });
-
-  const raw =
-    response.output_text ??
-    response.output?.[0]?.content?.[0]?.text;
-
-  const registry = JSON.parse(cleanJsonOutput(raw));
   
   // Ensure groups section exists
   if (!registry.groups) {
@@ -238,6 +265,124 @@ VISUAL CONSISTENCY:
   return registry;
 }
 
+/* -------------------------------------------------
+   Re-finalizing an unlocked story (see unlock-story.js)
+------------------------------------------------- */
+
+function pageTextMap(pages) {
+  return new Map((pages || []).map(p => [Number(p.page), (p.text || "").trim()]));
+}
+
+// Pages that are new or whose text differs from the finalized copy
+function findChangedPages(previousPages, storyPages) {
+  const previous = pageTextMap(previousPages);
+  return storyPages.filter(p => previous.get(Number(p.page)) !== (p.text || "").trim());
+}
+
+/**
+ * Extract only the characters, groups, props and environments that the
+ * changed pages introduce - everything already in the registry is kept as is,
+ * so model sheets, members and prop photos attached to it survive.
+ */
+async function extractRegistryAdditions(changedPages, existingRegistry, kidName, projectId) {
+  const known = (section) =>
+    Object.entries(existingRegistry[section] || {})
+      .map(([key, entry]) => `${key} (${entry.name})`)
+      .join(", ") || "none";
+
+  const prompt = `
+You are updating the STORY REGISTRY of a children's picture book after its text was edited.
+
+Child's name: "${kidName || 'Unknown'}"
+
+ALREADY IN THE REGISTRY (do NOT return these again, even if renamed or re-described):
+- Characters: ${known("characters")}
+- Groups: ${known("groups")}
+- Props: ${known("props")}
+- Environments: ${known("environments")}
+
+EDITED PAGES:
+${changedPages.map(p => `Page ${p.page}: ${p.text}`).join("\n")}
+
+Return ONLY JSON with entries that are NEW in the edited pages, using the same
+shape as the existing registry. Use empty objects for sections with nothing new:
+
+{
+  "characters": {
+    "character_key": {
+      "name": "Character Name",
+      "role": "protagonist | sibling | friend | parent | pet | other",
+      "type": "human | dog | cat | etc",
+      "visual": { "hair": "...", "colors": "...", "distinctive_features": "...", "typical_clothing": "..." },
+      "has_model": false,
+      "visual_source": "auto",
+      "first_seen_page": 1
+    }
+  },
+  "groups": {},
+  "props": {
+    "prop_key": { "name": "Prop Name", "description": "...", "visual": "...", "first_seen_page": 1 }
+  },
+  "environments": {
+    "environment_key": { "name": "Location Name", "description": "...", "style": "...", "first_seen_page": 1 }
+  }
+}
+
+Only include significant props and real locations; do NOT include characters as props.
+`;
+
+  const { data: additions } = await generateJson({
+    name: "finalize-story-registry-additions",
+    model: "gpt-4.1",
+    prompt,
+    schema: REGISTRY_SCHEMA,
+    context: { projectId },
+  });
+
+  const registry = JSON.parse(JSON.stringify(existingRegistry));
+  const added = [];
+
+  for (const section of ["characters", "groups", "props", "environments"]) {
+    registry[section] = registry[section] || {};
+    for (const [key, entry] of Object.entries(additions[section] || {})) {
+      if (registry[section][key]) continue;
+      if (section === "groups") {
+        entry.members = entry.members || [];
+        entry.key = key;
+      }
+      registry[section][key] = entry;
+      added.push(`${section}.${key}`);
+    }
+  }
+
+  console.log(`[Finalize] Registry additions from ${changedPages.length} edited page(s):`, added);
+  return registry;
+}
+
+/**
+ * Flag illustrations whose page text changed since they were generated.
+ * The text an illustration was drawn from is its page_text (newer
+ * illustrations) or the finalized copy of the story (older ones).
+ * Regenerating a page writes a fresh entry, which clears the flag.
+ */
+function markStaleIllustrations(illustrations, previousPages, storyPages) {
+  const previous = pageTextMap(previousPages);
+  const current = pageTextMap(storyPages);
+  const now = new Date().toISOString();
+
+  return (illustrations || []).map(illus => {
+    const page = Number(illus.page);
+    const drawnFrom = illus.page_text != null ? illus.page_text.trim() : previous.get(page);
+    const currentText = current.get(page);
+
+    if (illus.stale || drawnFrom == null || drawnFrom === currentText) {
+      return illus;
+    }
+
+    return { ...illus, stale: true, stale_since: now };
+  });
+}
+
 /* -------------------------------------------------
    Main Handler
 ------------------------------------------------- */
@@ -263,7 +408,7 @@ async function handler(req, res) {
     --------------------------------------------- */
     const { data: project, error: projectError } = await supabase
       .from("book_projects")
-      .select("kid_name, kid_interests, character_models, character_model_url")
+      .select("user_id, kid_name, kid_interests, character_models, character_model_url, props_registry, illustrations, finalized_story_json")
       .eq("id", projectId)
       .single();
 
@@ -273,6 +418,15 @@ async function handler(req, res) {
 
     const { kid_name, kid_interests, character_models } = project;
 
+    // Screen the final text before it drives any illustration prompts
+    const moderation = await moderateText(
+      storyPages.map(p => p?.text),
+      { source: "finalize-story", userId: project.user_id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
     // Handle legacy: create character_models array if only old field exists
     let existingCharacterModels = Array.isArray(character_models) ? character_models : [];
     
@@ -290,14 +444,37 @@ async function handler(req, res) {
 
     /* ---------------------------------------------
        2. Extract unified registry (SINGLE API CALL)
+       When re-finalizing an unlocked story, only the edited pages are
+       sent and only new entries are added to the existing registry.
     --------------------------------------------- */
-    console.log("Extracting unified story registry...");
-    const storyRegistry = await extractUnifiedRegistry(
-      storyPages,
-      kid_interests,
-      kid_name,
-      existingCharacterModels
-    );
+    const previousPages = Array.isArray(project.finalized_story_json) ? project.finalized_story_json : null;
+    const existingRegistry = Array.isArray(project.props_registry) ? project.props_registry[0] : null;
+    let storyRegistry;
+    let illustrations = project.illustrations;
+    let stalePages = [];
+
+    if (previousPages) {
+      illustrations = markStaleIllustrations(project.illustrations, previousPages, storyPages);
+      stalePages = illustrations.filter(i => i.stale).map(i => Number(i.page));
+    }
+
+    if (previousPages && existingRegistry) {
+      const changedPages = findChangedPages(previousPages, storyPages);
+      console.log(`Re-finalizing: ${changedPages.length} page(s) changed`);
+
+      storyRegistry = changedPages.length > 0
+        ? await extractRegistryAdditions(changedPages, existingRegistry, kid_name, projectId)
+        : existingRegistry;
+    } else {
+      console.log("Extracting unified story registry...");
+      storyRegistry = await extractUnifiedRegistry(
+        storyPages,
+        kid_interests,
+        kid_name,
+        existingCharacterModels,
+        projectId
+      );
+    }
 
     console.log("=== UNIFIED REGISTRY EXTRACTED ===");
     console.log(JSON.stringify(storyRegistry, null, 2));
@@ -316,6 +493,8 @@ async function handler(req, res) {
         props_registry: [storyRegistry],  // Unified registry stored here
         context_registry: null,            // Deprecated - clear it
         character_models: existingCharacterModels,
+        finalized_story_json: null,        // No longer unlocked
+        ...(previousPages ? { illustrations } : {}), // Stale flags
       })
       .eq("id", projectId)
       .select("*")
@@ -326,6 +505,14 @@ async function handler(req, res) {
       return res.status(500).json({ error: "Failed to finalize story." });
     }
 
+    await recordStoryVersion({
+      projectId,
+      userId: project.user_id,
+      storyPages: updated.story_json,
+      source: "user",
+      reason: "finalize",
+    });
+
     /* ---------------------------------------------
        4. Respond with full project data
     --------------------------------------------- */
@@ -336,6 +523,9 @@ async function handler(req, res) {
       story_registry: storyRegistry,       // New unified name
       props_registry: updated.props_registry, // For backward compat
       character_models: updated.character_models,
+      illustrations: updated.illustrations || [],
+      stale_pages: stalePages,
+      moderation: publicDecision(moderation),
     });
 
   } catch (err) {
@@ -348,6 +538,8 @@ async function handler(req, res) {
 }
 
 module.exports = handler;
+module.exports.extractUnifiedRegistry = extractUnifiedRegistry;
+module.exports.extractRegistryAdditions = extractRegistryAdditions;
 module.exports.config = {
   api: { bodyParser: { sizeLimit: "2mb" } },
 };
\ No newline at end of file
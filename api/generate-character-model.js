@@ -1,18 +1,13 @@
-import OpenAI from "openai";
 import { createClient } from "@supabase/supabase-js";
 import { uploadToR2 } from "./_r2.js";
-
-const DEV_MODE = process.env.DEV_MODE === "true";
-const DEV_MODEL_URL = process.env.DEV_CHARACTER_MODEL_URL;
+import { getImageProvider } from "./_image-provider.js";
+import { moderateImage, sendBlocked } from "./_moderation.js";
+import { getArtStyle, normalizeArtStyle, styleBullets } from "./_art-styles.js";
 
 export const config = {
   api: { bodyParser: { sizeLimit: "10mb" } }
 };
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
@@ -29,6 +24,27 @@ function generateCharacterKey(name) {
     .replace(/^_|_$/g, "");
 }
 
+/**
+ * Fetch the book's art style reference as a data URL (null if unusable)
+ */
+async function loadStyleReference(url) {
+  if (!url) return null;
+
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      console.error(`Failed to fetch art style reference: ${resp.status}`);
+      return null;
+    }
+    const contentType = (resp.headers.get("content-type") || "image/png").split(";")[0].trim();
+    const buffer = Buffer.from(await resp.arrayBuffer());
+    return `data:${contentType};base64,${buffer.toString("base64")}`;
+  } catch (err) {
+    console.error("Failed to load art style reference:", err.message);
+    return null;
+  }
+}
+
 /**
  * Multi-Character Model Generation
  * 
@@ -63,81 +79,11 @@ export default async function handler(req, res) {
   const characterKey = generateCharacterKey(characterName);
   const role = characterRole || (isProtagonist ? "protagonist" : "other");
 
-  // -------------------------------------------------------------
-  // 🔧 DEV MODE — Placeholder character model
-  // -------------------------------------------------------------
-  if (DEV_MODE) {
-    console.log("🔧 DEV MODE ENABLED — Using placeholder character model.");
-
-    const { data: project } = await supabase
-      .from("book_projects")
-      .select("character_models, props_registry, context_registry")
-      .eq("id", projectId)
-      .single();
-
-    // Initialize or get existing character_models array
-    let characterModels = Array.isArray(project?.character_models) 
-      ? project.character_models 
-      : [];
-
-    // Remove existing entry for this character if any
-    characterModels = characterModels.filter(cm => cm.character_key !== characterKey);
-
-    // Add new character model
-    const newModel = {
-      character_key: characterKey,
-      name: characterName,
-      role: role,
-      model_url: DEV_MODEL_URL,
-      source_photo_url: null,
-      visual_source: "user",
-      created_at: new Date().toISOString(),
-      is_protagonist: isProtagonist || false,
-      dev_placeholder: true,
-    };
-
-    characterModels.push(newModel);
-
-    // Update props_registry to link character
-    let registry = Array.isArray(project?.props_registry) && project.props_registry.length
-      ? project.props_registry[0]
-      : { characters: {}, props: {}, environments: {}, notes: "" };
-
-    registry.characters[characterKey] = {
-      ...registry.characters[characterKey],
-      name: characterName,
-      role: role,
-      visual_source: "user",
-      has_model: true,
-      model_key: characterKey,
-      locked_at: new Date().toISOString(),
-    };
-
-    await supabase
-      .from("book_projects")
-      .update({
-        character_models: characterModels,
-        props_registry: [registry],
-        // Keep legacy field updated for backward compatibility
-        ...(isProtagonist ? { character_model_url: DEV_MODEL_URL } : {}),
-      })
-      .eq("id", projectId);
-
-    return res.status(200).json({
-      characterModel: newModel,
-      characterModels: characterModels,
-      devMode: true,
-    });
-  }
-
-  // -------------------------------------------------------------
-  // Production flow
-  // -------------------------------------------------------------
   try {
     // Fetch project data
     const { data: project, error: projectError } = await supabase
       .from("book_projects")
-      .select("photo_url, character_models, props_registry, context_registry")
+      .select("user_id, photo_url, character_models, props_registry, context_registry, art_style")
       .eq("id", projectId)
       .single();
 
@@ -160,46 +106,37 @@ export default async function handler(req, res) {
     const arrayBuffer = await imgResp.arrayBuffer();
     const imageBuffer = Buffer.from(arrayBuffer);
 
+    // The book's art style; its reference image (if any) goes second
+    const artStyle = normalizeArtStyle(project.art_style);
+    const styleReference = await loadStyleReference(artStyle.reference_url);
+
     // Build character-specific prompt
-    const prompt = buildCharacterModelPrompt(characterName, role);
-
-    // GPT-4.1 Image Generation
-    const response = await client.responses.create({
-      model: "gpt-4.1",
-      input: [
-        {
-          role: "user",
-          content: [
-            { type: "input_text", text: prompt },
-            {
-              type: "input_image",
-              image_url: `data:image/png;base64,${imageBuffer.toString("base64")}`
-            }
-          ]
-        }
+    const prompt = buildCharacterModelPrompt(characterName, role, artStyle, !!styleReference);
+
+    // Image generation (provider + model/size/quality from env, see _image-provider.js)
+    const imageProvider = getImageProvider("character");
+    const generated = await imageProvider.editWithReferences({
+      prompt,
+      references: [
+        `data:image/png;base64,${imageBuffer.toString("base64")}`,
+        ...(styleReference ? [styleReference] : []),
       ],
-      tools: [
-        {
-          type: "image_generation",
-          model: "gpt-image-1-mini", //changed to adjust for pricing. WAS gpt-image-1 originally
-          size: "1024x1024",
-          quality: "low", // Change to "high" for production
-          background: "transparent",
-          output_format: "png",
-          output_compression: 100,
-          moderation: "auto",
-        },
-      ]
+      background: "transparent",
     });
 
-    const imageCall = response.output.find(o => o.type === "image_generation_call");
-
-    if (!imageCall?.result) {
-      console.error("NO IMAGE GENERATED:", response);
+    if (!generated?.buffer) {
       return res.status(500).json({ error: "Model did not generate a character image." });
     }
 
-    const pngBuffer = Buffer.from(imageCall.result, "base64");
+    const pngBuffer = generated.buffer;
+
+    const moderation = await moderateImage(
+      { buffer: pngBuffer, mimeType: generated.mimeType || "image/png" },
+      { source: "generate-character-model", projectId, userId: project.user_id }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
 
     // Upload to R2 storage with character-specific path
     const filePath = `character_models/${projectId}/${characterKey}.png`;
@@ -233,6 +170,7 @@ export default async function handler(req, res) {
       visual_source: "user",
       created_at: new Date().toISOString(),
       is_protagonist: isProtagonist || false,
+      ...(generated.provider === "stub" ? { dev_placeholder: true } : {}),
     };
 
     characterModels.push(newModel);
@@ -280,14 +218,16 @@ export default async function handler(req, res) {
 
 /**
  * Build a role-appropriate character model prompt
+ * @param {string} name
+ * @param {string} role
+ * @param {Object} artStyle - normalized book_projects.art_style
+ * @param {boolean} hasStyleReference - a style reference image is attached second
  */
-function buildCharacterModelPrompt(name, role) {
+function buildCharacterModelPrompt(name, role, artStyle, hasStyleReference) {
+  const styleLabel = getArtStyle(artStyle).label;
   const baseStyle = `
-STYLE REQUIREMENTS (Jett Book Style):
-• Soft, rounded cartoon proportions
-• Slightly oversized head, friendly bright eyes
-• Simple pastel-adjacent palette, gentle gradients
-• Clean, medium-weight outlines
+STYLE REQUIREMENTS (${styleLabel}):
+${styleBullets(artStyle, "character")}
 • Warm neutral white balance (5000–5500K)
 • Soft ambient lighting
 • NO BACKGROUND — transparent PNG
@@ -299,7 +239,12 @@ OUTPUT:
 • A full-body character model sheet
 • Transparent PNG
 • Character should be recognizable and consistent for reuse across multiple illustrations
-`;
+${hasStyleReference ? `
+STYLE REFERENCE:
+• The SECOND attached image is an art style reference only
+• Copy its medium, palette, line work and texture - do NOT draw anything from it
+• The character's likeness comes from the FIRST attached image
+` : ""}`;
 
   if (role === "pet") {
     return `
@@ -338,6 +283,6 @@ ${baseStyle}
 
 ADDITIONAL NOTES:
 • Capture their unique features accurately
-• Style should match other characters in the book (soft, rounded, friendly)
+• Style should match other characters in the book (${styleLabel}, friendly)
 `;
 }
\ No newline at end of file
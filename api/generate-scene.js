@@ -2,13 +2,16 @@
 // Scene generation using unified story registry
 // Simplified to use single registry for all data
 
-const OpenAI = require("openai");
 const { createClient } = require("@supabase/supabase-js");
 const { uploadToR2 } = require("./_r2.js");
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { getImageProvider, sizeForAspect } = require("./_image-provider.js");
+const { getUpscaler } = require("./_upscaler.js");
+const { getImageFrame } = require("./_trim-sizes.js");
+const { generateJson } = require("./_llm.js");
+const { moderateText, moderateImage, ModerationError, publicDecision, sendBlocked } = require("./_moderation.js");
+const { getArtStyle, normalizeArtStyle, styleBullets } = require("./_art-styles.js");
+const { normalizeFeedback, feedbackForAnalysis, feedbackForPrompt } = require("./_regeneration-feedback.js");
+const { TIMES_OF_DAY, SHOT_TYPES, normalizeScenePlan, getPinnedPlan, isPlanStale } = require("./_scene-plans.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -19,42 +22,81 @@ const supabase = createClient(
 // We cap at 12 for optimal quality - system decides how to allocate
 const MAX_TOTAL_REFERENCE_IMAGES = 12;
 
+// What the image prompt builder reads from a scene composition
+const SCENE_COMPOSITION_SCHEMA = {
+  type: "object",
+  required: ["characters_in_scene", "shot_type", "time_of_day"],
+  properties: {
+    location: { type: ["string", "null"] },
+    characters_in_scene: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["key", "name"],
+        properties: {
+          key: { type: "string" },
+          name: { type: "string" },
+          prominence: { type: "string", enum: ["primary", "secondary", "background"] },
+        },
+      },
+    },
+    unnamed_characters_in_scene: { type: "array" },
+    groups_in_scene: { type: "array" },
+    props_in_scene: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          importance: { type: "string", enum: ["focal", "supporting", "background"] },
+        },
+      },
+    },
+    hidden_props: { type: "array" },
+    absent_props: { type: "array" },
+    time_of_day: { type: "string", enum: TIMES_OF_DAY },
+    shot_type: { type: "string", enum: SHOT_TYPES },
+  },
+};
+
 // -------------------------------------------------------
 // Helper: Extract location from page text
 // -------------------------------------------------------
-async function extractLocationUsingAI(pageText) {
-  const extraction = await client.responses.create({
+async function extractLocationUsingAI(pageText, context = {}) {
+  const { data } = await generateJson({
+    name: "scene-location",
     model: "gpt-4.1-mini",
-    input: `
+    prompt: `
 Extract the primary LOCATION or SETTING from this text.
 Return ONLY JSON: { "location": "..." }
 If none mentioned, infer from context (e.g., "backyard", "bedroom").
 
 Text: "${pageText}"
 `,
+    schema: {
+      type: "object",
+      required: ["location"],
+      properties: { location: { type: ["string", "null"] } },
+    },
+    maxRepairs: 1,
+    fallback: { location: null },
+    context,
   });
 
-  const raw = extraction.output_text ?? extraction.output?.[0]?.content?.[0]?.text;
-  if (!raw) return null;
-
-  try {
-    const obj = JSON.parse(raw.replace(/```json|```/g, "").trim());
-    return obj.location || null;
-  } catch {
-    return null;
-  }
+  return data.location || null;
 }
 
 // -------------------------------------------------------
 // Helper: Extract new props from page text
 // -------------------------------------------------------
-async function extractPropsUsingAI(pageText, existingProps) {
+async function extractPropsUsingAI(pageText, existingProps, context = {}) {
   const existingKeys = Object.keys(existingProps || {});
   const existingNames = Object.values(existingProps || {}).map(p => p.name?.toLowerCase()).filter(Boolean);
   
-  const extraction = await client.responses.create({
+  const { data } = await generateJson({
+    name: "scene-props",
     model: "gpt-4.1-mini",
-    input: `
+    prompt: `
 Extract physical objects/props from this text that could appear in an illustration.
 
 ALREADY KNOWN PROPS (do not duplicate these):
@@ -76,17 +118,29 @@ Return ONLY JSON:
 
 Text: "${pageText}"
 `,
+    schema: {
+      type: "object",
+      required: ["props"],
+      properties: {
+        props: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["name"],
+            properties: {
+              name: { type: "string", minLength: 1 },
+              description: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    maxRepairs: 1,
+    fallback: { props: [] },
+    context,
   });
 
-  const raw = extraction.output_text ?? extraction.output?.[0]?.content?.[0]?.text;
-  if (!raw) return [];
-
-  try {
-    const obj = JSON.parse(raw.replace(/```json|```/g, "").trim());
-    return obj.props || [];
-  } catch {
-    return [];
-  }
+  return data.props;
 }
 
 // -------------------------------------------------------
@@ -177,7 +231,7 @@ function deduplicateProps(props) {
 // -------------------------------------------------------
 // Helper: Analyze which characters AND props appear in this scene
 // -------------------------------------------------------
-async function analyzeSceneComposition(pageText, registry, characterModels, allPages, currentPage, shotHistory = [], totalPages = 1, shotTypeOverride = null, timeHistory = [], previousPageData = null) {
+async function analyzeSceneComposition(pageText, registry, characterModels, allPages, currentPage, shotHistory = [], totalPages = 1, shotTypeOverride = null, timeHistory = [], previousPageData = null, feedback = null, previousComposition = null, context = {}) {
   // Build character list from registry
   const knownCharacters = Object.entries(registry.characters || {}).map(([key, char]) => ({
     key,
@@ -250,7 +304,7 @@ async function analyzeSceneComposition(pageText, registry, characterModels, allP
 
   const prompt = `
 Analyze WHO and WHAT should VISUALLY APPEAR in this illustration, determine TIME OF DAY, LOCATION, and choose the best SHOT TYPE.
-
+${feedbackForAnalysis(feedback, previousComposition)}
 === PREVIOUS PAGE'S TIME AND LOCATION (USE FOR CONTINUITY) ===
 ${previousTime ? `Previous page time: ${previousTime.toUpperCase()}` : 'No previous page (this is page 1)'}
 ${previousLocation ? `Previous page location: ${previousLocation}` : ''}
@@ -536,41 +590,29 @@ RULES FOR LOCATION:
 NOTE: Max ${MAX_TOTAL_REFERENCE_IMAGES} total reference images (characters + group members + props combined).
 `;
 
-  const response = await client.responses.create({
+  const { data: parsed } = await generateJson({
+    name: "scene-composition",
     model: "gpt-4.1-mini",
-    input: prompt,
+    prompt,
+    schema: SCENE_COMPOSITION_SCHEMA,
+    context,
+    // Protagonist-only medium shot if the model never gives a usable answer
+    fallback: () => {
+      const protagonist = knownCharacters.find(c => c.role === "protagonist");
+      return {
+        characters_in_scene: protagonist ? [{ ...protagonist, prominence: "primary" }] : [],
+        props_in_scene: [],
+        shot_type: "medium",
+        focal_point: "the scene",
+        show_characters: true,
+        notes: "",
+      };
+    },
   });
 
-  const raw = response.output_text ?? response.output?.[0]?.content?.[0]?.text;
-
-  if (!raw) {
-    const protagonist = knownCharacters.find(c => c.role === "protagonist");
-    return {
-      characters_in_scene: protagonist ? [{ ...protagonist, prominence: "primary" }] : [],
-      props_in_scene: [],
-      shot_type: "medium",
-      focal_point: "the scene",
-      show_characters: true,
-      notes: "",
-    };
-  }
-
-  try {
-    const parsed = JSON.parse(raw.replace(/```json|```/g, "").trim());
-    // Ensure props_in_scene exists
-    if (!parsed.props_in_scene) parsed.props_in_scene = [];
-    return parsed;
-  } catch {
-    const protagonist = knownCharacters.find(c => c.role === "protagonist");
-    return {
-      characters_in_scene: protagonist ? [{ ...protagonist, prominence: "primary" }] : [],
-      props_in_scene: [],
-      shot_type: "medium",
-      focal_point: "the scene",
-      show_characters: true,
-      notes: "",
-    };
-  }
+  // Ensure props_in_scene exists
+  if (!parsed.props_in_scene) parsed.props_in_scene = [];
+  return parsed;
 }
 
 // -------------------------------------------------------
@@ -865,6 +907,56 @@ async function prepareGroupMemberImages(registry, sceneComposition) {
   return images;
 }
 
+// -------------------------------------------------------
+// Helper: Load the book's art style reference image (if any)
+// Returns null when there is none or it can't be used
+// -------------------------------------------------------
+async function prepareStyleReferenceImage(artStyle) {
+  const url = artStyle.reference_url;
+  if (!url) return null;
+
+  try {
+    const resp = await fetch(url);
+
+    if (!resp.ok) {
+      console.error(`Failed to fetch art style reference: ${resp.status}`);
+      return null;
+    }
+
+    let contentType = resp.headers.get('content-type') || '';
+    contentType = contentType.split(';')[0].trim().toLowerCase();
+
+    if (!VALID_IMAGE_TYPES.includes(contentType)) {
+      const lower = url.toLowerCase();
+      if (lower.includes('.jpg') || lower.includes('.jpeg')) {
+        contentType = 'image/jpeg';
+      } else if (lower.includes('.webp')) {
+        contentType = 'image/webp';
+      } else {
+        contentType = 'image/png';
+      }
+    }
+
+    const base64 = Buffer.from(await resp.arrayBuffer()).toString("base64");
+
+    if (isActuallySVG(base64)) {
+      console.error("⚠️ Skipping art style reference: File content is SVG, not a valid image format");
+      return null;
+    }
+
+    console.log(`🎨 Loaded art style reference (${contentType})`);
+    return {
+      key: 'art_style',
+      name: 'Art style reference',
+      type: 'style',
+      data_url: `data:${contentType};base64,${base64}`,
+    };
+  } catch (err) {
+    console.error("Failed to load art style reference:", err.message);
+    return null;
+  }
+}
+
 // -------------------------------------------------------
 // Helper: Build group visual rules for the prompt
 // -------------------------------------------------------
@@ -935,255 +1027,339 @@ function buildPropVisualRules(registry, sceneComposition, propImageIndexMap) {
 }
 
 // -------------------------------------------------------
-// Main handler
+// Safety rejection detection (copyright, content policy, etc.)
 // -------------------------------------------------------
-async function handler(req, res) {
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
+function isSafetyRejection(err) {
+  if (err instanceof ModerationError) return true;
+
+  const errorMessage = err?.message || '';
+  return errorMessage.includes('safety system') ||
+         errorMessage.includes('rejected') ||
+         errorMessage.includes('content policy') ||
+         (err?.status === 400 && errorMessage.toLowerCase().includes('request'));
+}
 
-  const { projectId, page, pageText, isRegeneration, allPages } = req.body || {};
+// -------------------------------------------------------
+// Helper: Upscale a scene for print and upload it next to the web copy
+// Returns the print URL, or null when there is none
+// -------------------------------------------------------
+async function uploadPrintCopy(sceneBuffer, imageFrame, filePath) {
+  try {
+    const upscaled = await getUpscaler().upscaleForPrint({ buffer: sceneBuffer, frame: imageFrame });
+    if (!upscaled) return null;
 
-  if (!projectId || !page || !pageText) {
-    return res.status(400).json({ error: "Missing projectId, page, or pageText" });
+    const upload = await uploadToR2(filePath, upscaled.buffer, upscaled.mimeType);
+    if (!upload.success) {
+      console.error("Print copy upload error:", upload.error);
+      return null;
+    }
+
+    console.log(`🖨️ Print copy ${upscaled.width}x${upscaled.height} (${upscaled.provider})`);
+    return upload.publicUrl;
+  } catch (err) {
+    console.error("Print upscale failed:", err.message);
+    return null;
   }
+}
 
-  try {
-    // 1. Load project
-    const { data: project, error: projectError } = await supabase
-      .from("book_projects")
-      .select("character_model_url, character_models, illustrations, props_registry")
-      .eq("id", projectId)
-      .single();
-
-    if (projectError) {
-      console.error("Project fetch error:", projectError);
-      return res.status(500).json({ error: "Could not load project." });
-    }
+// -------------------------------------------------------
+// Helper: Unified registry from the project row
+// props_registry plus character models (and the legacy single model)
+// -------------------------------------------------------
+function buildRegistry(project) {
+  let registry;
+  if (Array.isArray(project.props_registry) && project.props_registry.length > 0) {
+    registry = project.props_registry[0];
+  } else if (project.props_registry && typeof project.props_registry === "object") {
+    registry = project.props_registry;
+  } else {
+    registry = { characters: {}, props: {}, environments: {} };
+  }
 
-    // 2. Get unified registry
-    let registry;
-    if (Array.isArray(project.props_registry) && project.props_registry.length > 0) {
-      registry = project.props_registry[0];
-    } else if (project.props_registry && typeof project.props_registry === "object") {
-      registry = project.props_registry;
-    } else {
-      registry = { characters: {}, props: {}, environments: {} };
-    }
+  // Ensure registry has all sections
+  if (!registry.characters) registry.characters = {};
+  if (!registry.props) registry.props = {};
+  if (!registry.environments) registry.environments = {};
+
+  // Handle legacy character_model_url
+  if (project.character_model_url && Object.keys(registry.characters).length === 0) {
+    registry.characters.protagonist = {
+      name: "Child",
+      role: "protagonist",
+      type: "human",
+      has_model: true,
+      visual_source: "user",
+      model_url: project.character_model_url,
+    };
+  }
 
-    // Ensure registry has all sections
-    if (!registry.characters) registry.characters = {};
-    if (!registry.props) registry.props = {};
-    if (!registry.environments) registry.environments = {};
-
-    // Handle legacy character_model_url
-    if (project.character_model_url && Object.keys(registry.characters).length === 0) {
-      registry.characters.protagonist = {
-        name: "Child",
-        role: "protagonist",
-        type: "human",
+  // Merge character_models into registry if needed
+  for (const cm of (project.character_models || [])) {
+    if (!registry.characters[cm.character_key]) {
+      registry.characters[cm.character_key] = {
+        name: cm.name,
+        role: cm.role,
+        type: cm.role === "pet" ? "animal" : "human",
         has_model: true,
         visual_source: "user",
-        model_url: project.character_model_url,
+        model_url: cm.model_url,
       };
+    } else if (cm.model_url) {
+      registry.characters[cm.character_key].has_model = true;
+      registry.characters[cm.character_key].model_url = cm.model_url;
+      registry.characters[cm.character_key].visual_source = "user";
     }
+  }
 
-    // Merge character_models into registry if needed
-    for (const cm of (project.character_models || [])) {
-      if (!registry.characters[cm.character_key]) {
-        registry.characters[cm.character_key] = {
-          name: cm.name,
-          role: cm.role,
-          type: cm.role === "pet" ? "animal" : "human",
-          has_model: true,
-          visual_source: "user",
-          model_url: cm.model_url,
-        };
-      } else if (cm.model_url) {
-        registry.characters[cm.character_key].has_model = true;
-        registry.characters[cm.character_key].model_url = cm.model_url;
-        registry.characters[cm.character_key].visual_source = "user";
-      }
-    }
-
-    const existingIllustrations = Array.isArray(project.illustrations) ? project.illustrations : [];
-    const existingForPage = existingIllustrations.find(i => Number(i.page) === Number(page));
-    const previousRevisions = existingForPage?.revisions || 0;
-    const existingHistory = existingForPage?.revision_history || [];
-    const isRegen = !!isRegeneration;
-
-    // Build shot history from previous pages' illustrations
-    const shotHistory = existingIllustrations
-      .filter(i => Number(i.page) < Number(page) && i.scene_composition?.shot_type)
-      .sort((a, b) => Number(a.page) - Number(b.page))
-      .map(i => ({
-        page: i.page,
-        shot_type: i.scene_composition.shot_type
-      }));
-
-    // Build time history from previous pages' illustrations
-    const timeHistory = existingIllustrations
-      .filter(i => Number(i.page) < Number(page) && i.scene_composition?.time_of_day)
-      .sort((a, b) => Number(a.page) - Number(b.page))
-      .map(i => ({
-        page: i.page,
-        time_of_day: i.scene_composition.time_of_day,
-        location: i.scene_composition.location
-      }));
-    
-    // Get the most recent time/location for continuity
-    const previousPageData = timeHistory.length > 0 ? timeHistory[timeHistory.length - 1] : null;
+  return registry;
+}
 
-    // Check if user requested a specific shot type override
-    const shotTypeOverride = req.body.shotTypeOverride || null;
+// -------------------------------------------------------
+// Helper: Analyze a page's scene composition
+// Earlier pages' shots and times feed the variety and continuity rules;
+// the page's current composition is what regeneration feedback refers to
+// -------------------------------------------------------
+async function planScene(project, registry, { projectId = null, page, pageText, allPages, shotTypeOverride = null, feedback = null }) {
+  const existingIllustrations = Array.isArray(project.illustrations) ? project.illustrations : [];
+  const existingForPage = existingIllustrations.find(i => Number(i.page) === Number(page));
+
+  // Build shot history from previous pages' illustrations
+  const shotHistory = existingIllustrations
+    .filter(i => Number(i.page) < Number(page) && i.scene_composition?.shot_type)
+    .sort((a, b) => Number(a.page) - Number(b.page))
+    .map(i => ({
+      page: i.page,
+      shot_type: i.scene_composition.shot_type
+    }));
+
+  // Build time history from previous pages' illustrations
+  const timeHistory = existingIllustrations
+    .filter(i => Number(i.page) < Number(page) && i.scene_composition?.time_of_day)
+    .sort((a, b) => Number(a.page) - Number(b.page))
+    .map(i => ({
+      page: i.page,
+      time_of_day: i.scene_composition.time_of_day,
+      location: i.scene_composition.location
+    }));
+  
+  // Get the most recent time/location for continuity
+  const previousPageData = timeHistory.length > 0 ? timeHistory[timeHistory.length - 1] : null;
 
-    // 3. Analyze scene composition (now includes props, groups, and cinematography)
-    console.log("=== ANALYZING SCENE ===");
-    const totalPages = allPages?.length || 1;
-    const sceneComposition = await analyzeSceneComposition(
-      pageText, registry, project.character_models, allPages, page, shotHistory, totalPages, shotTypeOverride, timeHistory, previousPageData
-    );
-    console.log("Location:", sceneComposition.location, sceneComposition.location_reasoning ? `(${sceneComposition.location_reasoning})` : '');
-    console.log("Characters:", sceneComposition.characters_in_scene?.map(c => `${c.name}${c.emotion ? ` [${c.emotion}]` : ''}`));
-    if (sceneComposition.unnamed_characters_in_scene?.length > 0) {
-      console.log("Unnamed characters:", sceneComposition.unnamed_characters_in_scene?.map(uc => uc.description));
-    }
-    console.log("Groups:", sceneComposition.groups_in_scene?.map(g => g.name));
-    console.log("Time of day:", sceneComposition.time_of_day, sceneComposition.time_reason ? `(${sceneComposition.time_reason})` : '');
-    console.log("Shot type:", sceneComposition.shot_type, sceneComposition.shot_reason ? `(${sceneComposition.shot_reason})` : '');
-    if (sceneComposition.emotion_attribution?.examples?.length > 0) {
-      console.log("Emotion attribution:", sceneComposition.emotion_attribution.examples);
-    }
-    console.log("Props to SHOW:", sceneComposition.props_in_scene?.map(p => p.name));
-    if (sceneComposition.hidden_props?.length > 0) {
-      console.log("Props HIDDEN:", sceneComposition.hidden_props?.map(p => `${p.name} (${p.hiding_spot})`));
-    }
-    if (sceneComposition.absent_props?.length > 0) {
-      console.log("Props ABSENT (not shown):", sceneComposition.absent_props?.map(p => `${p.name} (${p.reason})`));
-    }
+  return analyzeSceneComposition(
+    pageText, registry, project.character_models, allPages, page, shotHistory, allPages?.length || 1, shotTypeOverride, timeHistory, previousPageData,
+    feedback, existingForPage?.scene_composition, { projectId, userId: project.user_id || null }
+  );
+}
 
-    // 4. Prepare all reference images
-    const characterImages = await prepareCharacterModelImages(registry, sceneComposition);
-    const groupMemberImages = await prepareGroupMemberImages(registry, sceneComposition);
-    const propImages = await preparePropReferenceImages(registry, sceneComposition);
+// -------------------------------------------------------
+// Scene generation pipeline
+// Shared by the HTTP handler below and the generation job worker
+// (api/cron/process-generation-jobs.js). Throws on failure.
+// -------------------------------------------------------
+async function generateScene({ projectId, page, pageText, isRegeneration, allPages, shotTypeOverride = null, feedback = null }) {
+  // 1. Load project
+  const { data: project, error: projectError } = await supabase
+    .from("book_projects")
+    .select("user_id, story_json, character_model_url, character_models, illustrations, props_registry, art_style, compositor_layout, scene_plans")
+    .eq("id", projectId)
+    .single();
+
+  if (projectError) {
+    console.error("Project fetch error:", projectError);
+    throw new Error("Could not load project.");
+  }
 
-    // 5. Extract location and new props
-    const [detectedLocation, newProps] = await Promise.all([
-      extractLocationUsingAI(pageText),
-      extractPropsUsingAI(pageText, registry.props),
-    ]);
+  // The generation job worker doesn't pass the story; use the saved pages so
+  // the analysis still sees the story around this page and the page count
+  const storyPages = Array.isArray(allPages) && allPages.length > 0
+    ? allPages
+    : (Array.isArray(project.story_json) ? project.story_json : []);
+
+  // 2. Get unified registry
+  const registry = buildRegistry(project);
+
+  const existingIllustrations = Array.isArray(project.illustrations) ? project.illustrations : [];
+  const existingForPage = existingIllustrations.find(i => Number(i.page) === Number(page));
+  const previousRevisions = existingForPage?.revisions || 0;
+  const existingHistory = existingForPage?.revision_history || [];
+  const isRegen = !!isRegeneration;
+  const regenFeedback = isRegen ? normalizeFeedback(feedback) : null;
+
+  // 3. Scene composition (characters, props, groups, location, time, cinematography) -
+  // the plan the user pinned for this page (api/analyze-scene.js), or a fresh
+  // analysis. A pin made for older page text, or regeneration feedback, means
+  // analyzing again; the pin stays for later generations (see api/_scene-plans.js)
+  const pinnedPlan = getPinnedPlan(project.scene_plans, page);
+  const pinnedStale = isPlanStale(pinnedPlan, pageText);
+  const usePinnedPlan = !!pinnedPlan && !pinnedStale && !regenFeedback;
+  if (pinnedPlan && !usePinnedPlan) {
+    console.log(`=== NOT USING PINNED SCENE PLAN (${pinnedStale ? "page text changed" : "regeneration feedback"}) ===`);
+  }
+  console.log(usePinnedPlan ? "=== USING PINNED SCENE PLAN ===" : "=== ANALYZING SCENE ===");
+  const sceneComposition = usePinnedPlan
+    ? normalizeScenePlan({ ...pinnedPlan.plan, shot_type: shotTypeOverride || pinnedPlan.plan.shot_type }, registry)
+    : await planScene(project, registry, { projectId, page, pageText, allPages: storyPages, shotTypeOverride, feedback: regenFeedback });
+  console.log("Location:", sceneComposition.location, sceneComposition.location_reasoning ? `(${sceneComposition.location_reasoning})` : '');
+  console.log("Characters:", sceneComposition.characters_in_scene?.map(c => `${c.name}${c.emotion ? ` [${c.emotion}]` : ''}`));
+  if (sceneComposition.unnamed_characters_in_scene?.length > 0) {
+    console.log("Unnamed characters:", sceneComposition.unnamed_characters_in_scene?.map(uc => uc.description));
+  }
+  console.log("Groups:", sceneComposition.groups_in_scene?.map(g => g.name));
+  console.log("Time of day:", sceneComposition.time_of_day, sceneComposition.time_reason ? `(${sceneComposition.time_reason})` : '');
+  console.log("Shot type:", sceneComposition.shot_type, sceneComposition.shot_reason ? `(${sceneComposition.shot_reason})` : '');
+  if (sceneComposition.emotion_attribution?.examples?.length > 0) {
+    console.log("Emotion attribution:", sceneComposition.emotion_attribution.examples);
+  }
+  console.log("Props to SHOW:", sceneComposition.props_in_scene?.map(p => p.name));
+  if (sceneComposition.hidden_props?.length > 0) {
+    console.log("Props HIDDEN:", sceneComposition.hidden_props?.map(p => `${p.name} (${p.hiding_spot})`));
+  }
+  if (sceneComposition.absent_props?.length > 0) {
+    console.log("Props ABSENT (not shown):", sceneComposition.absent_props?.map(p => `${p.name} (${p.reason})`));
+  }
 
-    // 6. Combine all reference images with intelligent prioritization
-    // Priority: 1) Primary characters, 2) Group members, 3) Focal props, 4) Secondary chars, 5) Supporting props
-    const prioritizedImages = [];
-    
-    // Add primary characters first (most important for consistency)
-    const primaryChars = characterImages.filter(img => {
-      const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
-      return sceneChar?.prominence === 'primary';
-    });
-    prioritizedImages.push(...primaryChars);
-    
-    // Add group members (typically important when mentioned)
-    prioritizedImages.push(...groupMemberImages);
-    
-    // Add focal props
-    const focalProps = propImages.filter(img => img.importance === 'focal');
-    prioritizedImages.push(...focalProps);
-    
-    // Add secondary characters
-    const secondaryChars = characterImages.filter(img => {
-      const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
-      return sceneChar?.prominence === 'secondary';
-    });
-    prioritizedImages.push(...secondaryChars);
-    
-    // Add supporting props
-    const supportingProps = propImages.filter(img => img.importance === 'supporting');
-    prioritizedImages.push(...supportingProps);
-    
-    // Add background characters
-    const bgChars = characterImages.filter(img => {
-      const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
-      return sceneChar?.prominence === 'background';
-    });
-    prioritizedImages.push(...bgChars);
-    
-    // Add background props
-    const bgProps = propImages.filter(img => img.importance === 'background');
-    prioritizedImages.push(...bgProps);
-    
-    // Apply the total limit
-    const allReferenceImages = prioritizedImages.slice(0, MAX_TOTAL_REFERENCE_IMAGES);
-    
-    if (prioritizedImages.length > MAX_TOTAL_REFERENCE_IMAGES) {
-      console.log(`⚠️ Trimmed reference images from ${prioritizedImages.length} to ${MAX_TOTAL_REFERENCE_IMAGES}`);
+  // 4. Prepare all reference images
+  const characterImages = await prepareCharacterModelImages(registry, sceneComposition);
+  const groupMemberImages = await prepareGroupMemberImages(registry, sceneComposition);
+  const propImages = await preparePropReferenceImages(registry, sceneComposition);
+  const artStyle = normalizeArtStyle(project.art_style);
+  const styleImage = await prepareStyleReferenceImage(artStyle);
+
+  // 5. Extract location and new props
+  const llmContext = { projectId, userId: project.user_id };
+  const [detectedLocation, newProps] = await Promise.all([
+    extractLocationUsingAI(pageText, llmContext),
+    extractPropsUsingAI(pageText, registry.props, llmContext),
+  ]);
+
+  // 6. Combine all reference images with intelligent prioritization
+  // Priority: 1) Primary characters, 2) Group members, 3) Focal props, 4) Secondary chars, 5) Supporting props
+  const prioritizedImages = [];
+  
+  // Add primary characters first (most important for consistency)
+  const primaryChars = characterImages.filter(img => {
+    const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
+    return sceneChar?.prominence === 'primary';
+  });
+  prioritizedImages.push(...primaryChars);
+  
+  // Add group members (typically important when mentioned)
+  prioritizedImages.push(...groupMemberImages);
+  
+  // Add focal props
+  const focalProps = propImages.filter(img => img.importance === 'focal');
+  prioritizedImages.push(...focalProps);
+  
+  // Add secondary characters
+  const secondaryChars = characterImages.filter(img => {
+    const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
+    return sceneChar?.prominence === 'secondary';
+  });
+  prioritizedImages.push(...secondaryChars);
+  
+  // Add supporting props
+  const supportingProps = propImages.filter(img => img.importance === 'supporting');
+  prioritizedImages.push(...supportingProps);
+  
+  // Add background characters
+  const bgChars = characterImages.filter(img => {
+    const sceneChar = sceneComposition.characters_in_scene?.find(c => c.key === img.key);
+    return sceneChar?.prominence === 'background';
+  });
+  prioritizedImages.push(...bgChars);
+  
+  // Add background props
+  const bgProps = propImages.filter(img => img.importance === 'background');
+  prioritizedImages.push(...bgProps);
+  
+  // Apply the total limit - the style reference (if any) keeps one slot and
+  // goes last so character/prop image numbers don't shift
+  const subjectLimit = MAX_TOTAL_REFERENCE_IMAGES - (styleImage ? 1 : 0);
+  const allReferenceImages = prioritizedImages.slice(0, subjectLimit);
+  if (styleImage) allReferenceImages.push(styleImage);
+  
+  if (prioritizedImages.length > subjectLimit) {
+    console.log(`⚠️ Trimmed reference images from ${prioritizedImages.length} to ${subjectLimit}`);
+  }
+  
+  // Build index maps for prompt references
+  const charImageIndexMap = {};
+  const groupMemberIndexMap = {};
+  const propImageIndexMap = {};
+  
+  allReferenceImages.forEach((img, index) => {
+    if (img.type === 'style') {
+      return;
+    } else if (img.type === 'group_member') {
+      groupMemberIndexMap[img.key] = index;
+    } else if (img.importance) {
+      // It's a prop (has importance field)
+      propImageIndexMap[img.key] = index;
+    } else {
+      // It's a character
+      charImageIndexMap[img.key] = index;
     }
-    
-    // Build index maps for prompt references
-    const charImageIndexMap = {};
-    const groupMemberIndexMap = {};
-    const propImageIndexMap = {};
-    
-    allReferenceImages.forEach((img, index) => {
-      if (img.type === 'group_member') {
-        groupMemberIndexMap[img.key] = index;
-      } else if (img.importance) {
-        // It's a prop (has importance field)
-        propImageIndexMap[img.key] = index;
-      } else {
-        // It's a character
-        charImageIndexMap[img.key] = index;
-      }
-    });
-    
-    console.log("Image index map - Characters:", charImageIndexMap);
-    console.log("Image index map - Group Members:", groupMemberIndexMap);
-    console.log("Image index map - Props:", propImageIndexMap);
-    console.log(`Total reference images: ${allReferenceImages.length}/${MAX_TOTAL_REFERENCE_IMAGES}`);
-
-    // 7. Build the prompt with image index references
-    const characterRules = buildCharacterVisualRules(registry, sceneComposition, charImageIndexMap);
-    const groupRules = buildGroupVisualRules(registry, sceneComposition, groupMemberIndexMap);
-    const propRules = buildPropVisualRules(registry, sceneComposition, propImageIndexMap);
-    
-    // Determine lighting based on time of day
-    const timeOfDay = sceneComposition.time_of_day || 'afternoon';
-    const lightingGuide = {
-      morning: "Warm golden morning light, soft orange/yellow tones, gentle sunrise glow, long shadows",
-      afternoon: "Bright daylight, warm colors (5000-5500K), clear and cheerful",
-      evening: "Warm sunset colors, orange/pink sky tones, golden hour lighting, cozy atmosphere",
-      night: "Nighttime scene with dark blue/purple sky, moonlight or warm indoor lighting, stars visible if outdoors, cozy lamp light if indoors"
-    };
-    const currentLighting = lightingGuide[timeOfDay] || lightingGuide.afternoon;
-    
-    // Determine framing based on shot type
-    const shotType = sceneComposition.shot_type || 'medium';
-    const framingGuide = {
-      wide: "Full scene visible, characters shown head-to-toe with environment surrounding them, establishing the location",
-      medium: "Characters shown full-body or from knees up, balanced view of characters and environment",
-      "medium-close": "Characters framed from waist or chest up, focus on upper body and face, minimal background",
-      "close-up": "Head and shoulders framing, or single important object filling most of frame, intimate emotional focus",
-      detail: "Extreme close-up on hands, object, or specific detail, minimal or no character bodies visible"
-    };
-    const currentFraming = framingGuide[shotType] || framingGuide.medium;
-    
-    // Use scene composition location if available, otherwise fall back to detected
-    const sceneLocation = sceneComposition.location || detectedLocation || "infer from context";
-    
-    // Build emotion attribution section
-    const emotionSection = sceneComposition.emotion_attribution?.examples?.length > 0
-      ? `\n=== EMOTION ATTRIBUTION (CRITICAL) ===\n${sceneComposition.emotion_attribution.examples.join("\n")}\nApply these emotions to the CORRECT characters/entities as described above.`
-      : '';
-    
-    // Build unnamed characters section
-    const unnamedCharsSection = sceneComposition.unnamed_characters_in_scene?.length > 0
-      ? `\n=== UNNAMED CHARACTERS IN SCENE ===\n${sceneComposition.unnamed_characters_in_scene.map(uc => 
-          `• ${uc.description}: ${uc.visual}\n  Emotion: ${uc.emotion || 'neutral'}\n  Role: ${uc.role_in_scene || 'present in scene'}`
-        ).join("\n")}\nThese unnamed characters must look EXACTLY as described for visual consistency.`
-      : '';
-    
-    const prompt = `
+  });
+  
+  console.log("Image index map - Characters:", charImageIndexMap);
+  console.log("Image index map - Group Members:", groupMemberIndexMap);
+  console.log("Image index map - Props:", propImageIndexMap);
+  console.log(`Total reference images: ${allReferenceImages.length}/${MAX_TOTAL_REFERENCE_IMAGES}`);
+
+  // 7. Build the prompt with image index references
+  const characterRules = buildCharacterVisualRules(registry, sceneComposition, charImageIndexMap);
+  const groupRules = buildGroupVisualRules(registry, sceneComposition, groupMemberIndexMap);
+  const propRules = buildPropVisualRules(registry, sceneComposition, propImageIndexMap);
+  
+  // Match the shape of the book's image frame (portrait, square or landscape)
+  const imageProvider = getImageProvider("scene");
+  const imageFrame = getImageFrame(project.compositor_layout);
+  const sceneSize = imageProvider.config.sizeFromEnv
+    ? imageProvider.config.size
+    : sizeForAspect(imageFrame.width / imageFrame.height);
+  const [sceneWidth, sceneHeight] = sceneSize.split("x").map(Number);
+  const orientation = sceneWidth > sceneHeight ? "landscape" : sceneWidth < sceneHeight ? "portrait" : "square";
+  const imageSizeLabel = sceneSize === "auto"
+    ? "• PNG"
+    : `• ${sceneSize.replace("x", "×")} PNG, ${orientation} - compose for this frame shape`;
+
+  // Determine lighting based on time of day
+  const timeOfDay = sceneComposition.time_of_day || 'afternoon';
+  const lightingGuide = {
+    morning: "Warm golden morning light, soft orange/yellow tones, gentle sunrise glow, long shadows",
+    afternoon: "Bright daylight, warm colors (5000-5500K), clear and cheerful",
+    evening: "Warm sunset colors, orange/pink sky tones, golden hour lighting, cozy atmosphere",
+    night: "Nighttime scene with dark blue/purple sky, moonlight or warm indoor lighting, stars visible if outdoors, cozy lamp light if indoors"
+  };
+  const currentLighting = lightingGuide[timeOfDay] || lightingGuide.afternoon;
+  
+  // Determine framing based on shot type
+  const shotType = sceneComposition.shot_type || 'medium';
+  const framingGuide = {
+    wide: "Full scene visible, characters shown head-to-toe with environment surrounding them, establishing the location",
+    medium: "Characters shown full-body or from knees up, balanced view of characters and environment",
+    "medium-close": "Characters framed from waist or chest up, focus on upper body and face, minimal background",
+    "close-up": "Head and shoulders framing, or single important object filling most of frame, intimate emotional focus",
+    detail: "Extreme close-up on hands, object, or specific detail, minimal or no character bodies visible"
+  };
+  const currentFraming = framingGuide[shotType] || framingGuide.medium;
+  
+  // Use scene composition location if available, otherwise fall back to detected
+  const sceneLocation = sceneComposition.location || detectedLocation || "infer from context";
+  
+  // Build emotion attribution section
+  const emotionSection = sceneComposition.emotion_attribution?.examples?.length > 0
+    ? `\n=== EMOTION ATTRIBUTION (CRITICAL) ===\n${sceneComposition.emotion_attribution.examples.join("\n")}\nApply these emotions to the CORRECT characters/entities as described above.`
+    : '';
+  
+  // Build unnamed characters section
+  const unnamedCharsSection = sceneComposition.unnamed_characters_in_scene?.length > 0
+    ? `\n=== UNNAMED CHARACTERS IN SCENE ===\n${sceneComposition.unnamed_characters_in_scene.map(uc => 
+        `• ${uc.description}: ${uc.visual}\n  Emotion: ${uc.emotion || 'neutral'}\n  Role: ${uc.role_in_scene || 'present in scene'}`
+      ).join("\n")}\nThese unnamed characters must look EXACTLY as described for visual consistency.`
+    : '';
+  
+  const prompt = `
 You MUST generate this illustration using the image_generation tool.
 Return ONLY a tool call.
 
@@ -1228,6 +1404,7 @@ ${sceneComposition.hidden_props.map(p => `• ${p.name}: Hide it ${p.hiding_spot
 IMPORTANT: Show hidden items subtly - peeking out, partially covered, in the background. The reader should be able to spot them if looking carefully.
 ` : ''}
 
+${feedbackForPrompt(regenFeedback)}
 ${sceneComposition.absent_props?.length > 0 ? `
 === PROPS TO EXCLUDE (DO NOT DRAW) ===
 These items are mentioned but should NOT appear visually:
@@ -1238,15 +1415,17 @@ ${allReferenceImages.length > 0 ? `
 === REFERENCE IMAGES PROVIDED (${allReferenceImages.length} total) ===
 The following reference images are attached IN ORDER. You MUST use them:
 ${allReferenceImages.map((img, i) => {
-  if (img.type === 'group_member') {
-    return `• Reference Image #${i + 1}: ${img.name} (GROUP MEMBER from ${img.group_name} - draw this exact person)`;
-  } else if (img.isHidden) {
-    return `• Reference Image #${i + 1}: ${img.name} (PROP - show HIDDEN ${img.hidingSpot})`;
-  } else if (img.importance) {
-    return `• Reference Image #${i + 1}: ${img.name} (PROP - show this exact object)`;
-  } else {
-    return `• Reference Image #${i + 1}: ${img.name} (CHARACTER - draw this exact person/animal)`;
-  }
+if (img.type === 'style') {
+  return `• Reference Image #${i + 1}: ${img.name} (ART STYLE ONLY - copy its medium, palette, line work and texture; do NOT draw anything from it)`;
+} else if (img.type === 'group_member') {
+  return `• Reference Image #${i + 1}: ${img.name} (GROUP MEMBER from ${img.group_name} - draw this exact person)`;
+} else if (img.isHidden) {
+  return `• Reference Image #${i + 1}: ${img.name} (PROP - show HIDDEN ${img.hidingSpot})`;
+} else if (img.importance) {
+  return `• Reference Image #${i + 1}: ${img.name} (PROP - show this exact object)`;
+} else {
+  return `• Reference Image #${i + 1}: ${img.name} (CHARACTER - draw this exact person/animal)`;
+}
 }).join("\n")}
 
 CRITICAL: Each character, group member, and prop listed above with a reference image MUST look EXACTLY like their reference image. Copy the colors, shape, and details precisely.
@@ -1258,14 +1437,13 @@ ${registry.environments?.[detectedLocation?.toLowerCase()]?.style || "Child-frie
 === LIGHTING (CRITICAL - MATCH TIME OF DAY) ===
 ${currentLighting}
 
-=== STYLE REQUIREMENTS ===
-• Soft pastel children's-book illustration
-• Clean rounded outlines, gentle shading
+=== STYLE REQUIREMENTS (${getArtStyle(artStyle).label.toUpperCase()}) ===
+${styleBullets(artStyle, "scene")}
 • MUST match the time of day: ${timeOfDay.toUpperCase()} lighting
 • MUST use ${shotType.toUpperCase()} shot framing: ${currentFraming}
 • Simple uncluttered backgrounds
 • No text in image
-• 1024×1024 PNG
+${imageSizeLabel}
 
 === STRICT RULES ===
 • Reference images are EXACT visual guides - match them precisely
@@ -1274,154 +1452,199 @@ ${currentLighting}
 • Match the TIME OF DAY lighting exactly (${timeOfDay})
 • Match the SHOT TYPE framing exactly (${shotType})
 • Hidden props should be subtle but findable by careful readers
-• Maintain consistent art style while matching references
+• Maintain consistent art style while matching references${styleImage ? `
+• The art style reference sets the look only - nothing in it should appear in the scene` : ''}
 
 Generate the illustration now.
 `;
 
-    // 7. Build input with images (characters + props)
-    const inputContent = [{ type: "input_text", text: prompt }];
-    for (const img of allReferenceImages) {
-      // Log the data URL prefix to debug content type issues
-      const prefix = img.data_url.substring(0, 50);
-      const imgType = img.importance ? 'prop' : 'character';
-      const hiddenLabel = img.isHidden ? ' (hidden)' : '';
-      console.log(`Adding ${imgType} image for ${img.name}${hiddenLabel}: ${prefix}...`);
-      inputContent.push({ type: "input_image", image_url: img.data_url });
-    }
+  // 8. Generate image with the character + prop references
+  for (const img of allReferenceImages) {
+    // Log the data URL prefix to debug content type issues
+    const prefix = img.data_url.substring(0, 50);
+    const imgType = img.type === 'style' ? 'style' : img.importance ? 'prop' : 'character';
+    const hiddenLabel = img.isHidden ? ' (hidden)' : '';
+    console.log(`Adding ${imgType} image for ${img.name}${hiddenLabel}: ${prefix}...`);
+  }
 
-    // 8. Generate image
-    const response = await client.responses.create({
-      model: "gpt-4.1", 
-      input: [{ role: "user", content: inputContent }],
-      tools: [{
-        type: "image_generation",
-        model: "gpt-image-1-mini", //CHANGED TO TEST IF CHEAPER MODEL IS STILL GOOD LOOKING. WAS: gpt-image-1. Consider changing to gpt-image-1.5 if visual fidelity or context isn't working right on image-1-mini
-        size: "1024x1024",
-        quality: "low",  // Change to "high" for production
-        background: "opaque",
-        output_format: "png",
-        output_compression: 100,
-        moderation: "auto",
-      }],
-    });
+  const generated = await imageProvider.editWithReferences({
+    prompt,
+    references: allReferenceImages.map(img => img.data_url),
+    background: "opaque",
+    size: sceneSize,
+  });
 
-    const imgCall = response.output.find(o => o.type === "image_generation_call");
-    if (!imgCall?.result) {
-      return res.status(500).json({ error: "Model produced no image." });
-    }
+  if (!generated?.buffer) {
+    throw new Error("Model produced no image.");
+  }
 
-    const sceneBuffer = Buffer.from(imgCall.result, "base64");
+  const sceneBuffer = generated.buffer;
 
-    // 9. Upload image to R2
-    const newRevisions = isRegen ? previousRevisions + 1 : 0;
-    const filePath = `illustrations/${projectId}-page-${page}-r${newRevisions}.png`;
+  // Blocked illustrations are never stored; the worker treats this like a
+  // provider safety rejection and doesn't retry
+  const moderation = await moderateImage(
+    { buffer: sceneBuffer, mimeType: generated.mimeType || "image/png" },
+    { source: "generate-scene", projectId, userId: project.user_id }
+  );
+  if (moderation.action === "block") {
+    throw new ModerationError(moderation);
+  }
 
-    const uploadResult = await uploadToR2(filePath, sceneBuffer, "image/png");
+  // 9. Upload image to R2
+  const newRevisions = isRegen ? previousRevisions + 1 : 0;
+  const filePath = `illustrations/${projectId}-page-${page}-r${newRevisions}.png`;
 
-    if (!uploadResult.success) {
-      console.error("R2 upload error:", uploadResult.error);
-      return res.status(500).json({ error: "Failed to upload illustration." });
-    }
+  const uploadResult = await uploadToR2(filePath, sceneBuffer, "image/png");
 
-    const imageUrl = uploadResult.publicUrl;
-
-    // 10. Update registry with new props/environments
-    if (detectedLocation) {
-      const envKey = detectedLocation.toLowerCase().trim();
-      if (!registry.environments[envKey]) {
-        registry.environments[envKey] = {
-          name: detectedLocation,
-          style: `Consistent ${detectedLocation} setting`,
-          first_seen_page: page,
-        };
-      }
-    }
+  if (!uploadResult.success) {
+    console.error("R2 upload error:", uploadResult.error);
+    throw new Error("Failed to upload illustration.");
+  }
 
-    for (const p of newProps) {
-      const key = (p.name || "").toLowerCase().trim().replace(/\s+/g, "_");
-      if (key && !registry.props[key] && !registry.characters[key]) {
-        registry.props[key] = {
-          name: p.name,
-          description: p.description,
-          first_seen_page: page,
-        };
-      }
+  const imageUrl = uploadResult.publicUrl;
+
+  // 9b. Print-resolution copy for the PDF. Not fatal - without one, print
+  // uses the web image
+  const printUrl = await uploadPrintCopy(sceneBuffer, imageFrame, filePath.replace(/\.png$/, "-print.png"));
+
+  // 10. Update registry with new props/environments
+  if (detectedLocation) {
+    const envKey = detectedLocation.toLowerCase().trim();
+    if (!registry.environments[envKey]) {
+      registry.environments[envKey] = {
+        name: detectedLocation,
+        style: `Consistent ${detectedLocation} setting`,
+        first_seen_page: page,
+      };
     }
+  }
 
-    await supabase
-      .from("book_projects")
-      .update({ props_registry: [registry] })
-      .eq("id", projectId);
-
-    // 11. Update illustrations (re-fetch to avoid race conditions with parallel generation)
-    const { data: currentProject } = await supabase
-      .from("book_projects")
-      .select("illustrations")
-      .eq("id", projectId)
-      .single();
-    
-    const currentIllustrations = Array.isArray(currentProject?.illustrations) 
-      ? currentProject.illustrations 
-      : [];
-    
-    // Build revision history
-    let newHistory = [...existingHistory];
-    if (isRegen && existingForPage?.image_url) {
-      newHistory.push({
-        revision: previousRevisions,
-        image_url: existingForPage.image_url,
-        created_at: existingForPage.last_updated || new Date().toISOString(),
-      });
-      if (newHistory.length > 2) newHistory = newHistory.slice(-2);
+  for (const p of newProps) {
+    const key = (p.name || "").toLowerCase().trim().replace(/\s+/g, "_");
+    if (key && !registry.props[key] && !registry.characters[key]) {
+      registry.props[key] = {
+        name: p.name,
+        description: p.description,
+        first_seen_page: page,
+      };
     }
+  }
 
-    // Filter out old entry for this page and add new one
-    const updatedIllustrations = currentIllustrations.filter(i => Number(i.page) !== Number(page));
-    updatedIllustrations.push({
-      page,
-      image_url: imageUrl,
-      revisions: newRevisions,
-      last_updated: new Date().toISOString(),
-      revision_history: newHistory,
-      scene_composition: sceneComposition,
+  await supabase
+    .from("book_projects")
+    .update({ props_registry: [registry] })
+    .eq("id", projectId);
+
+  // 11. Update illustrations (re-fetch to avoid race conditions with parallel generation)
+  const { data: currentProject } = await supabase
+    .from("book_projects")
+    .select("illustrations")
+    .eq("id", projectId)
+    .single();
+  
+  const currentIllustrations = Array.isArray(currentProject?.illustrations) 
+    ? currentProject.illustrations 
+    : [];
+  
+  // Build revision history
+  let newHistory = [...existingHistory];
+  if (isRegen && existingForPage?.image_url) {
+    newHistory.push({
+      revision: previousRevisions,
+      image_url: existingForPage.image_url,
+      print_url: existingForPage.print_url || null,
+      created_at: existingForPage.last_updated || new Date().toISOString(),
+      notes: existingForPage.revision_notes || null,
+      feedback: existingForPage.feedback || null,
     });
+    if (newHistory.length > 2) newHistory = newHistory.slice(-2);
+  }
 
-    const { error: updateError } = await supabase
-      .from("book_projects")
-      .update({ illustrations: updatedIllustrations })
-      .eq("id", projectId);
-    
-    if (updateError) {
-      console.error("Failed to save illustration:", updateError);
-      // Don't fail the request - image was generated and uploaded successfully
+  // Filter out old entry for this page and add new one
+  const updatedIllustrations = currentIllustrations.filter(i => Number(i.page) !== Number(page));
+  updatedIllustrations.push({
+    page,
+    image_url: imageUrl,
+    print_url: printUrl,
+    revisions: newRevisions,
+    last_updated: new Date().toISOString(),
+    revision_history: newHistory,
+    feedback: regenFeedback, // what was wrong with the version this one replaced
+    scene_composition: sceneComposition,
+    page_text: pageText, // lets finalize-story.js tell when the text has moved on (stale)
+  });
+
+  const { error: updateError } = await supabase
+    .from("book_projects")
+    .update({ illustrations: updatedIllustrations })
+    .eq("id", projectId);
+  
+  if (updateError) {
+    console.error("Failed to save illustration:", updateError);
+    // Don't fail the request - image was generated and uploaded successfully
+  }
+
+  // 12. Done
+  return {
+    page,
+    image_url: imageUrl,
+    print_url: printUrl,
+    revisions: newRevisions,
+    revision_history: newHistory,
+    scene_composition: sceneComposition,
+  };
+}
+
+// -------------------------------------------------------
+// Main handler
+// -------------------------------------------------------
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { projectId, page, pageText, isRegeneration, allPages, shotTypeOverride, feedback } = req.body || {};
+
+  if (!projectId || !page || !pageText) {
+    return res.status(400).json({ error: "Missing projectId, page, or pageText" });
+  }
+
+  try {
+    // Feedback notes are written into the prompts - screen them like the
+    // queue does (api/generation-jobs/enqueue.js)
+    const moderation = await moderateText(
+      isRegeneration ? normalizeFeedback(feedback)?.notes : null,
+      { source: "generate-scene", projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
     }
 
-    // 12. Done
-    return res.status(200).json({
+    const result = await generateScene({
+      projectId,
       page,
-      image_url: imageUrl,
-      revisions: newRevisions,
-      revision_history: newHistory,
-      scene_composition: sceneComposition,
+      pageText,
+      isRegeneration,
+      allPages,
+      shotTypeOverride: shotTypeOverride || null,
+      feedback: feedback || null,
     });
 
+    return res.status(200).json({ ...result, moderation: publicDecision(moderation) });
+
   } catch (err) {
     console.error("Generation error:", err?.message, err?.stack);
+
+    if (err instanceof ModerationError) {
+      return sendBlocked(res, err.decision);
+    }
     
-    // Check for OpenAI safety system rejection (copyright, content policy, etc.)
-    const errorMessage = err?.message || '';
-    const isSafetyRejection = errorMessage.includes('safety system') || 
-                              errorMessage.includes('rejected') ||
-                              errorMessage.includes('content policy') ||
-                              (err?.status === 400 && errorMessage.toLowerCase().includes('request'));
-    
-    if (isSafetyRejection) {
+    if (isSafetyRejection(err)) {
       return res.status(400).json({
         error: "Image generation was rejected by OpenAI's safety system.",
         details: "This may be due to copyright concerns (e.g., copyrighted characters like Mario, Disney characters, etc.) or content policy violations. Please use original photos or non-copyrighted reference images.",
         safety_rejection: true,
-        original_error: errorMessage,
+        original_error: err?.message || '',
       });
     }
     
@@ -1433,6 +1656,11 @@ Generate the illustration now.
 }
 
 module.exports = handler;
+module.exports.generateScene = generateScene;
+module.exports.buildRegistry = buildRegistry;
+module.exports.planScene = planScene;
+module.exports.isSafetyRejection = isSafetyRejection;
+module.exports.uploadPrintCopy = uploadPrintCopy;
 module.exports.config = {
   api: { bodyParser: { sizeLimit: "10mb" } },
-};
\ No newline at end of file
+};
@@ -0,0 +1,85 @@
+// api/generation-jobs/cancel.js
+// Cancel queued scene generation jobs
+// Body: { jobId } for one page, { batchId } for one "generate all" run, or { projectId } for everything on a book
+// Jobs a worker has already started are left to finish - their image is being paid for either way
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const { toClientJob } = require("../_generation-jobs.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in",
+    });
+  }
+
+  const { jobId, batchId, projectId } = req.body || {};
+
+  if (!jobId && !batchId && !projectId) {
+    return res.status(400).json({ error: "Missing jobId, batchId, or projectId" });
+  }
+
+  try {
+    const now = new Date().toISOString();
+
+    let query = supabase
+      .from("generation_jobs")
+      .update({
+        status: "cancelled",
+        completed_at: now,
+        updated_at: now,
+      })
+      .eq("user_id", user.id)
+      .eq("status", "queued");
+
+    if (jobId) query = query.eq("id", jobId);
+    if (batchId) query = query.eq("batch_id", batchId);
+    if (projectId) query = query.eq("project_id", projectId);
+
+    const { data: cancelled, error: cancelError } = await query.select("*");
+
+    if (cancelError) {
+      throw new Error(`Failed to cancel jobs: ${cancelError.message}`);
+    }
+
+    // Tell the caller about anything that was already running
+    let runningQuery = supabase
+      .from("generation_jobs")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", user.id)
+      .eq("status", "running");
+
+    if (jobId) runningQuery = runningQuery.eq("id", jobId);
+    if (batchId) runningQuery = runningQuery.eq("batch_id", batchId);
+    if (projectId) runningQuery = runningQuery.eq("project_id", projectId);
+
+    const { count: stillRunning } = await runningQuery;
+
+    return res.status(200).json({
+      cancelled: (cancelled || []).map(toClientJob),
+      stillRunning: stillRunning || 0,
+    });
+
+  } catch (err) {
+    console.error("CANCEL GENERATION ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to cancel generation",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,163 @@
+// api/generation-jobs/enqueue.js
+// Queue scene generation for one or more pages of a book
+// The work happens in api/cron/process-generation-jobs.js, so it survives the tab closing
+
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const {
+  ACTIVE_JOB_STATUSES,
+  MAX_JOB_ATTEMPTS,
+  toClientJob,
+  kickWorker,
+} = require("../_generation-jobs.js");
+const { normalizeFeedback } = require("../_regeneration-feedback.js");
+const { moderateText, publicDecision, sendBlocked } = require("../_moderation.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to generate illustrations",
+    });
+  }
+
+  // pages: [{ page, pageText, isRegeneration, shotTypeOverride, feedback }]
+  // feedback (regenerations only): { issues, notes } - see api/_regeneration-feedback.js
+  const { projectId, pages } = req.body || {};
+
+  if (!projectId || !Array.isArray(pages) || pages.length === 0) {
+    return res.status(400).json({ error: "Missing projectId or pages" });
+  }
+
+  const invalid = pages.find(p => !Number.isInteger(Number(p?.page)) || Number(p.page) < 1 || !p.pageText);
+  if (invalid) {
+    return res.status(400).json({ error: "Each page needs a page number and pageText" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("id, user_id, selected_idea, finalized_story_json")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    // Unlocked for editing (api/unlock-story.js) - the text may still change
+    if (project.finalized_story_json) {
+      return res.status(409).json({
+        error: "Story is being edited",
+        message: "Finalize the story again before generating illustrations.",
+      });
+    }
+
+    // Pages already queued or running are left alone
+    const { data: activeJobs, error: activeError } = await supabase
+      .from("generation_jobs")
+      .select("page")
+      .eq("project_id", projectId)
+      .in("status", ACTIVE_JOB_STATUSES);
+
+    if (activeError) {
+      throw new Error(`Failed to check active jobs: ${activeError.message}`);
+    }
+
+    const activePages = new Set((activeJobs || []).map(j => Number(j.page)));
+    const skipped = [];
+    const seen = new Set();
+    const batchId = crypto.randomUUID();
+    const projectTitle = project.selected_idea?.title || "Untitled Book";
+
+    const rows = [];
+    for (const p of pages) {
+      const page = Number(p.page);
+      if (activePages.has(page) || seen.has(page)) {
+        skipped.push(page);
+        continue;
+      }
+      seen.add(page);
+      rows.push({
+        user_id: user.id,
+        project_id: projectId,
+        project_title: projectTitle,
+        batch_id: batchId,
+        page,
+        page_text: p.pageText,
+        is_regeneration: !!p.isRegeneration,
+        shot_type_override: p.shotTypeOverride || null,
+        feedback: p.isRegeneration ? normalizeFeedback(p.feedback) : null,
+        max_attempts: MAX_JOB_ATTEMPTS,
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(200).json({ batchId: null, jobs: [], skipped });
+    }
+
+    // Feedback notes are written into the scene prompts, so they're screened
+    // like any other text the parent types
+    const moderation = await moderateText(
+      rows.map(row => row.feedback?.notes),
+      { source: "generation-jobs", userId: user.id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from("generation_jobs")
+      .insert(rows)
+      .select("*");
+
+    if (insertError) {
+      // Unique index on active (project, page) - another request queued it first
+      if (insertError.code === "23505") {
+        return res.status(409).json({
+          error: "Already queued",
+          message: "One of these pages was just queued. Please try again.",
+        });
+      }
+      throw new Error(`Failed to queue jobs: ${insertError.message}`);
+    }
+
+    console.log(`[GenerationJobs] Queued ${inserted.length} page(s) for project ${projectId} (batch ${batchId})`);
+
+    await kickWorker();
+
+    return res.status(200).json({
+      batchId,
+      jobs: inserted
+        .sort((a, b) => a.page - b.page)
+        .map(toClientJob),
+      skipped,
+      moderation: publicDecision(moderation),
+    });
+
+  } catch (err) {
+    console.error("ENQUEUE GENERATION ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to queue illustrations",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
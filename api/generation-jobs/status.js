@@ -0,0 +1,126 @@
+// api/generation-jobs/status.js
+// Progress of the user's scene generation jobs
+// GET ?projectId=<id>&since=<ISO timestamp>
+//   - every queued/running job (optionally for one project)
+//   - jobs that finished after `since`, so the client can pick up results it missed
+//   - per-batch totals for the active batches ("3 of 12")
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const {
+  ACTIVE_JOB_STATUSES,
+  FINISHED_JOB_STATUSES,
+  toClientJob,
+} = require("../_generation-jobs.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in",
+    });
+  }
+
+  const { projectId, since } = req.query || {};
+
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: "Invalid since timestamp" });
+  }
+
+  // Taken before querying so the next poll doesn't miss jobs finishing now
+  const serverTime = new Date().toISOString();
+
+  try {
+    let activeQuery = supabase
+      .from("generation_jobs")
+      .select("*")
+      .eq("user_id", user.id)
+      .in("status", ACTIVE_JOB_STATUSES)
+      .order("created_at", { ascending: true })
+      .order("page", { ascending: true });
+
+    if (projectId) activeQuery = activeQuery.eq("project_id", projectId);
+
+    const { data: activeJobs, error: activeError } = await activeQuery;
+
+    if (activeError) {
+      throw new Error(`Failed to load active jobs: ${activeError.message}`);
+    }
+
+    let finishedJobs = [];
+    if (since) {
+      let finishedQuery = supabase
+        .from("generation_jobs")
+        .select("*")
+        .eq("user_id", user.id)
+        .in("status", FINISHED_JOB_STATUSES)
+        .gt("updated_at", new Date(since).toISOString())
+        .order("updated_at", { ascending: true })
+        .limit(100);
+
+      if (projectId) finishedQuery = finishedQuery.eq("project_id", projectId);
+
+      const { data, error: finishedError } = await finishedQuery;
+
+      if (finishedError) {
+        throw new Error(`Failed to load finished jobs: ${finishedError.message}`);
+      }
+      finishedJobs = data || [];
+    }
+
+    // Totals for every batch that still has work in flight
+    const batchIds = [...new Set((activeJobs || []).map(j => j.batch_id))];
+    const batches = {};
+
+    if (batchIds.length > 0) {
+      const { data: batchJobs, error: batchError } = await supabase
+        .from("generation_jobs")
+        .select("batch_id, project_id, status")
+        .in("batch_id", batchIds);
+
+      if (batchError) {
+        throw new Error(`Failed to load batches: ${batchError.message}`);
+      }
+
+      for (const job of batchJobs || []) {
+        const batch = batches[job.batch_id] || (batches[job.batch_id] = {
+          projectId: job.project_id,
+          total: 0,
+          queued: 0,
+          running: 0,
+          complete: 0,
+          failed: 0,
+          cancelled: 0,
+        });
+        batch.total++;
+        batch[job.status]++;
+      }
+    }
+
+    return res.status(200).json({
+      jobs: [...(activeJobs || []), ...finishedJobs].map(toClientJob),
+      batches,
+      serverTime,
+    });
+
+  } catch (err) {
+    console.error("GENERATION STATUS ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to load generation status",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
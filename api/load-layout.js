@@ -0,0 +1,64 @@
+// api/load-layout.js (CommonJS)
+// Loads the saved compositor layout document for a project
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Check authentication
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to access this project"
+    });
+  }
+
+  const { projectId } = req.body || {};
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("book_projects")
+      .select("id, user_id, compositor_layout, compositor_layout_version, compositor_layout_updated_at")
+      .eq("id", projectId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // Verify ownership
+    if (data.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to access this project"
+      });
+    }
+
+    return res.status(200).json({
+      projectId: data.id,
+      layout: data.compositor_layout || null,
+      version: data.compositor_layout_version || 0,
+      updatedAt: data.compositor_layout_updated_at || null,
+    });
+
+  } catch (err) {
+    console.error("LOAD-LAYOUT ERROR:", err);
+    return res.status(500).json({ error: "Failed to load layout" });
+  }
+}
+
+module.exports = handler;
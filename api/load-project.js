@@ -35,18 +35,26 @@ async function handler(req, res) {
       .select(`
         id,
         user_id,
+        source_project_id,
         kid_name,
         kid_interests,
         story_ideas,
         selected_idea,
         story_json,
         story_locked,
+        story_options,
+        story_report,
+        finalized_story_json,
         illustrations,
         character_model_url,
         character_models,
         pending_character_photos,
         context_registry,
-        props_registry
+        props_registry,
+        special_pages,
+        narration,
+        art_style,
+        scene_plans
       `)
       .eq("id", projectId)
       .single();
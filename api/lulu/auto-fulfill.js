@@ -6,6 +6,7 @@ const { createClient } = require("@supabase/supabase-js");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const { generateInteriorPdf, generateCoverPdf } = require("./generate-print-pdf.js");
 const { submitPrintJob } = require("./submit-print-job.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -113,7 +114,7 @@ async function autoFulfillOrder(orderId, options = {}) {
     }
 
     const bookId = order.book_id;
-    const sizeCode = order.size || 'square-medium';
+    const sizeCode = normalizeSizeCode(order.size);
 
     console.log(`[AutoFulfill] Processing book ${bookId} with size ${sizeCode}`);
 
@@ -2,6 +2,8 @@
 // Lulu Print API Client
 // Handles authentication and all API interactions with Lulu's print-on-demand service
 
+const { TRIM_SIZES, TRIM_SIZE_ALIASES } = require("../_trim-sizes.js");
+
 /**
  * LuluClient - Handles authentication and API calls to Lulu Print API
  * 
@@ -302,19 +304,21 @@ class LuluClient {
 
 // POD Package ID mappings for your book sizes
 // Format: Trim Size + Color + Print Quality + Bind + Paper + PPI + Finish + Linen + Foil
+// The sizes we sell come from the shared trim-size registry; legacy codes resolve
+// to the registry size they were renamed to, except where this table already
+// mapped them to a different package
 const POD_PACKAGE_IDS = {
-  // Square formats - perfect for children's books
-  'square-small': '0700X0700FCSTDHC080CW444GXX', // 7"x7" Full Color Standard Hardcover
-  'square-medium': '0850X0850FCSTDHC080CW444GXX', // 8.5"x8.5" Full Color Standard Hardcover
-  'square-large': '1000X1000FCSTDHC080CW444GXX', // 10"x10" Full Color Standard Hardcover
-  
-  // Landscape formats
+  ...Object.fromEntries(
+    Object.values(TRIM_SIZES).map(size => [size.code, size.luluPodPackageId])
+  ),
+  ...Object.fromEntries(
+    Object.entries(TRIM_SIZE_ALIASES).map(([alias, code]) => [alias, TRIM_SIZES[code].luluPodPackageId])
+  ),
+  'portrait-medium': '0827X1169FCSTDHC080CW444GXX', // 8.27"x11.69" (A4) Full Color Standard Hardcover (legacy)
+
+  // Other Lulu hardcover formats (not offered in the compositor)
   'landscape-small': '0850X0600FCSTDHC080CW444GXX', // 8.5"x6" Full Color Standard Hardcover
-  'landscape-medium': '1100X0850FCSTDHC080CW444GXX', // 11"x8.5" Full Color Standard Hardcover
-  
-  // Portrait formats
   'portrait-small': '0600X0900FCSTDHC080CW444GXX', // 6"x9" Full Color Standard Hardcover
-  'portrait-medium': '0827X1169FCSTDHC080CW444GXX', // 8.27"x11.69" (A4) Full Color Standard Hardcover
   
   // Paperback alternatives (lower cost option)
   'square-medium-pb': '0850X0850FCSTDPB080CW444GXX', // 8.5"x8.5" Full Color Standard Paperback
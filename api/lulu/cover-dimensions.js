@@ -0,0 +1,41 @@
+// api/lulu/cover-dimensions.js
+// Cover wrap geometry for the compositor's cover designer
+// Spine width depends on page count, so the designer asks here before laying out the cover
+
+const { getCurrentUser } = require("../_auth.js");
+const { getCoverSpec } = require("./generate-print-pdf.js");
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in",
+    });
+  }
+
+  const { sizeCode, pageCount } = req.body || {};
+
+  if (!Number.isInteger(pageCount) || pageCount < 1) {
+    return res.status(400).json({ error: "Invalid pageCount" });
+  }
+
+  try {
+    const spec = await getCoverSpec(sizeCode, pageCount);
+    return res.status(200).json({ spec });
+
+  } catch (err) {
+    console.error("Cover dimensions error:", err);
+    return res.status(500).json({
+      error: "Failed to get cover dimensions",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
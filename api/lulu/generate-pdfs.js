@@ -5,6 +5,7 @@
 const { createClient } = require("@supabase/supabase-js");
 const { getCurrentUser } = require("../_auth.js");
 const { luluClient } = require("./client.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -99,8 +100,16 @@ async function handler(req, res) {
       book = bookData;
     }
 
+    // Clean page images are only handed out for paid books
+    if (!isInternalCall && book.has_watermark !== false) {
+      return res.status(403).json({
+        error: "Purchase required",
+        message: "Purchase this book to generate print-ready files",
+      });
+    }
+
     // Get POD package for dimensions
-    const sizeCode = order?.size || 'square-medium';
+    const sizeCode = normalizeSizeCode(order?.size);
     const { data: podPackage } = await supabase
       .from("lulu_pod_packages")
       .select("*")
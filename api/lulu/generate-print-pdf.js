@@ -3,26 +3,38 @@
 // Uses pdf-lib with custom embedded fonts for print-quality output
 
 const { createClient } = require("@supabase/supabase-js");
-const { PDFDocument, rgb } = require("pdf-lib");
+const { PDFDocument, rgb, degrees } = require("pdf-lib");
 const fontkit = require("@pdf-lib/fontkit");
+const { TRIM_SIZES, BLEED, normalizeSizeCode } = require("../_trim-sizes.js");
+const { luluClient } = require("./client.js");
+const { SCRIPTS, detectScript, wrapLines } = require("../_languages.js");
+const { resolveSpecialPages } = require("../_special-pages.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Page dimensions in points (1 inch = 72 points)
-const PAGE_DIMENSIONS = {
-  'square-small': { width: 504, height: 504, inches: '7×7' },
-  'square-medium': { width: 612, height: 612, inches: '8.5×8.5' },
-  'square-large': { width: 720, height: 720, inches: '10×10' },
-  'landscape-medium': { width: 792, height: 612, inches: '11×8.5' },
-  'portrait-medium': { width: 612, height: 792, inches: '8.5×11' },
-};
+// Page dimensions in points (1 inch = 72 points), from the shared trim-size registry
+const PAGE_DIMENSIONS = Object.fromEntries(
+  Object.entries(TRIM_SIZES).map(([code, size]) => [code, {
+    width: size.width,
+    height: size.height,
+    inches: `${size.widthIn}×${size.heightIn}`,
+  }])
+);
 
 const COVER_WRAP = 54;
-const COVER_BLEED = 9;
-const BLEED = 9;
+const COVER_BLEED = BLEED;
+
+// Lulu's minimum page count for hardcovers - shorter interiors are padded with blank pages
+const MIN_PAGES = 24;
+
+// Watermark drawn on every page of an unpaid book (mirrors WATERMARK_DEFAULTS in js/compositor/renderer.js)
+const WATERMARK_TEXT = 'BrightStories.ai Preview';
+const WATERMARK_OPACITY = 0.18;
+const WATERMARK_FONT_SIZE = 22;
+const WATERMARK_SPACING = 280;
 
 // Font URLs from Google Fonts CDN (these are stable URLs)
 const FONT_URLS = {
@@ -30,6 +42,14 @@ const FONT_URLS = {
   bold: 'https://fonts.gstatic.com/s/opensans/v40/memSYaGs126MiZpBA-UvWbX2vVnXBbObj2OVZyOOSr4dVJWUgsg-1y4nY1M2xLER.ttf',
 };
 
+// Open Sans covers Latin, Cyrillic and Greek; Chinese, Japanese and Korean text
+// needs a Noto CJK font (shared/languages.json), keyed "<script>-<weight>"
+const SCRIPT_FONT_URLS = Object.fromEntries(
+  Object.entries(SCRIPTS)
+    .filter(([, script]) => script.pdfFonts)
+    .flatMap(([name, script]) => Object.entries(script.pdfFonts).map(([weight, url]) => [`${name}-${weight}`, url]))
+);
+
 // Cache for downloaded fonts
 let fontCache = {};
 
@@ -41,7 +61,7 @@ async function getFont(type = 'regular') {
     return fontCache[type];
   }
   
-  const url = FONT_URLS[type];
+  const url = FONT_URLS[type] || SCRIPT_FONT_URLS[type];
   if (!url) {
     throw new Error(`Unknown font type: ${type}`);
   }
@@ -65,6 +85,53 @@ async function getFont(type = 'regular') {
   }
 }
 
+/**
+ * Embed Open Sans plus a fallback font for every other script in `texts`
+ * CJK fonts are large, so they're only downloaded when the book needs them
+ * and embedded as subsets.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {string[]} texts - Everything that will be drawn as text
+ * @param {string} [language] - The book's language (story_options.language)
+ * @returns {Promise<{regular: PDFFont, bold: PDFFont, forText: Function}>}
+ */
+async function embedFonts(pdfDoc, texts, language) {
+  const [regularFontBytes, boldFontBytes] = await Promise.all([
+    getFont('regular'),
+    getFont('bold'),
+  ]);
+
+  const fonts = {
+    latin: {
+      regular: await pdfDoc.embedFont(regularFontBytes),
+      bold: await pdfDoc.embedFont(boldFontBytes),
+    },
+  };
+
+  const scripts = new Set(texts.filter(Boolean).map(text => detectScript(text, language)));
+  for (const script of scripts) {
+    if (!SCRIPTS[script].pdfFonts) continue;
+
+    const [regularBytes, boldBytes] = await Promise.all([
+      getFont(`${script}-regular`),
+      getFont(`${script}-bold`),
+    ]);
+    fonts[script] = {
+      regular: await pdfDoc.embedFont(regularBytes, { subset: true }),
+      bold: await pdfDoc.embedFont(boldBytes, { subset: true }),
+    };
+  }
+
+  return {
+    regular: fonts.latin.regular,
+    bold: fonts.latin.bold,
+    // Font that has glyphs for this text
+    forText(text, weight = 'regular') {
+      return (fonts[detectScript(text, language)] || fonts.latin)[weight];
+    },
+  };
+}
+
 /**
  * Fetch image as buffer
  */
@@ -85,40 +152,145 @@ async function fetchImageAsBuffer(url) {
 
 /**
  * Simple text wrapping helper
+ * Chinese and Japanese lines can break between any two characters (no spaces)
  */
 function wrapText(text, font, fontSize, maxWidth) {
-  const cleanText = text.replace(/[\n\r]+/g, ' ').replace(/\s+/g, ' ').trim();
-  
-  const words = cleanText.split(' ');
-  const lines = [];
-  let currentLine = '';
-  
-  for (const word of words) {
-    if (!word) continue;
-    
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const testWidth = font.widthOfTextAtSize(testLine, fontSize);
-    
-    if (testWidth > maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
+  return wrapLines(text, maxWidth, (line) => font.widthOfTextAtSize(line, fontSize));
+}
+
+/**
+ * Draw wrapped, horizontally centred lines starting at baseline y
+ * @returns {number} Baseline for whatever comes next
+ */
+function drawCenteredText(page, text, { font, size, y, maxWidth, color }) {
+  const { width: pageWidth } = page.getSize();
+  const lineHeight = size * 1.4;
+
+  for (const line of wrapText(text, font, size, maxWidth)) {
+    page.drawText(line, {
+      x: (pageWidth - font.widthOfTextAtSize(line, size)) / 2,
+      y,
+      size,
+      font,
+      color,
+    });
+    y -= lineHeight;
+  }
+  return y;
+}
+
+/**
+ * Fallback layout for a title page, dedication or back-matter page
+ * (the compositor's SPECIAL_PAGE_TEMPLATES are used when pages are pre-rendered)
+ * @param {Object} special - { kind, fields } from resolveSpecialPages
+ */
+async function drawSpecialPage(pdfDoc, special, { pageWidth, pageHeight, width, fonts }) {
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  const { kind, fields } = special;
+  const maxWidth = width - 80;
+  const accent = rgb(0.4, 0.494, 0.918);
+
+  page.drawRectangle({
+    x: 0,
+    y: 0,
+    width: pageWidth,
+    height: pageHeight,
+    color: kind === "title" ? accent : rgb(1, 1, 1),
+  });
+
+  if (kind === "title") {
+    const white = rgb(1, 1, 1);
+    let y = drawCenteredText(page, fields.title, { font: fonts.forText(fields.title, "bold"), size: 36, y: pageHeight / 2 + 40, maxWidth, color: white });
+    if (fields.subtitle) {
+      y = drawCenteredText(page, fields.subtitle, { font: fonts.forText(fields.subtitle), size: 18, y: y - 4, maxWidth, color: white });
+    }
+    if (fields.author) {
+      const authorText = `by ${fields.author}`;
+      drawCenteredText(page, authorText, { font: fonts.forText(authorText), size: 18, y: y - 24, maxWidth, color: white });
     }
+    return page;
   }
-  
-  if (currentLine) {
-    lines.push(currentLine);
+
+  if (kind === "dedication") {
+    drawCenteredText(page, fields.text, { font: fonts.forText(fields.text), size: 16, y: pageHeight / 2 + 20, maxWidth: width * 0.6, color: rgb(0.3, 0.3, 0.3) });
+    return page;
+  }
+
+  if (kind === "about-author") {
+    let y = pageHeight * 0.55;
+    const imageBytes = fields.photoUrl ? await fetchImageAsBuffer(fields.photoUrl) : null;
+    if (imageBytes) {
+      let image;
+      try {
+        image = await pdfDoc.embedPng(imageBytes);
+      } catch {
+        try {
+          image = await pdfDoc.embedJpg(imageBytes);
+        } catch (e) {
+          console.error(`[PDF] Failed to embed author photo:`, e.message);
+        }
+      }
+
+      if (image) {
+        const box = width * 0.4;
+        const scale = Math.min(box / image.width, box / image.height);
+        page.drawImage(image, {
+          x: (pageWidth - image.width * scale) / 2,
+          y: pageHeight - pageHeight * 0.1 - image.height * scale,
+          width: image.width * scale,
+          height: image.height * scale,
+        });
+        y = pageHeight - pageHeight * 0.1 - image.height * scale - 40;
+      }
+    }
+
+    y = drawCenteredText(page, fields.heading, { font: fonts.forText(fields.heading, "bold"), size: 22, y, maxWidth, color: accent });
+    if (fields.text) {
+      drawCenteredText(page, fields.text, { font: fonts.forText(fields.text), size: 13, y: y - 10, maxWidth, color: rgb(0.2, 0.2, 0.2) });
+    }
+    return page;
+  }
+
+  // the-end
+  drawCenteredText(page, fields.text, { font: fonts.forText(fields.text, "bold"), size: 40, y: pageHeight / 2, maxWidth, color: accent });
+  return page;
+}
+
+/**
+ * Tile the preview watermark diagonally across a page
+ */
+function drawWatermark(page, font) {
+  const { width, height } = page.getSize();
+  const textWidth = font.widthOfTextAtSize(WATERMARK_TEXT, WATERMARK_FONT_SIZE);
+  let row = 0;
+
+  for (let y = 0; y <= height + WATERMARK_SPACING; y += WATERMARK_SPACING / 2, row++) {
+    const offset = row % 2 ? WATERMARK_SPACING / 2 : 0;
+    for (let x = -WATERMARK_SPACING; x <= width + WATERMARK_SPACING; x += WATERMARK_SPACING) {
+      page.drawText(WATERMARK_TEXT, {
+        x: x + offset - textWidth / 2,
+        y,
+        size: WATERMARK_FONT_SIZE,
+        font,
+        color: rgb(0, 0, 0),
+        opacity: WATERMARK_OPACITY,
+        rotate: degrees(30),
+      });
+    }
   }
-  
-  return lines;
 }
 
 /**
  * Generate print-ready interior PDF for a book
+ * Books that still have has_watermark set are always watermarked -
+ * callers can't request a clean copy of an unpaid book.
  */
 async function generateInteriorPdf(bookId, options = {}) {
-  const { sizeCode = 'square-medium' } = options;
+  const {
+    sizeCode: requestedSizeCode,
+    includeBleed = true,   // Digital downloads don't need the print bleed
+    padToMinimum = true,   // ...or Lulu's minimum page count
+  } = options;
   
   console.log(`[PDF] Generating interior PDF for book ${bookId}`);
   
@@ -129,10 +301,15 @@ async function generateInteriorPdf(bookId, options = {}) {
       id,
       selected_idea,
       story_json,
+      story_options,
       illustrations,
       kid_name,
+      character_models,
+      special_pages,
       print_pages,
-      print_cover_image
+      print_pages_size_code,
+      print_cover_image,
+      has_watermark
     `)
     .eq("id", bookId)
     .single();
@@ -141,14 +318,29 @@ async function generateInteriorPdf(bookId, options = {}) {
     throw new Error(`Book not found: ${bookId}`);
   }
 
+  // Treat a missing flag as unpaid
+  const applyWatermark = book.has_watermark !== false;
+
   const pages = book.story_json || [];
   const illustrations = book.illustrations || [];
   const title = book.selected_idea?.title || 'My Book';
   const author = book.kid_name || 'Author';
+  const specialPages = resolveSpecialPages(book);
   
   // Check if we have pre-rendered pages from the compositor
   const printPages = book.print_pages || [];
+  const sizeCode = normalizeSizeCode(requestedSizeCode);
+
+  // Pages rendered at another size would be cropped to fit, cutting off text
+  // near the edges, so the order fails until they're rendered at its size.
+  // Pages with no recorded size predate the size registry; each one is
+  // checked against the page's shape when it's embedded below.
   const usePreRenderedPages = printPages.length > 0;
+  const legacyPrintPages = usePreRenderedPages && !book.print_pages_size_code;
+
+  if (usePreRenderedPages && !legacyPrintPages && book.print_pages_size_code !== sizeCode) {
+    throw new Error(`Pre-rendered pages are ${book.print_pages_size_code}, not ${sizeCode}: re-render pages at ${sizeCode} in the compositor`);
+  }
 
   if (pages.length === 0 && printPages.length === 0) {
     throw new Error('Book has no pages');
@@ -164,21 +356,27 @@ async function generateInteriorPdf(bookId, options = {}) {
   }
 
   const { width, height } = dimensions;
-  const pageWidth = width + (BLEED * 2);
-  const pageHeight = height + (BLEED * 2);
+  const bleed = includeBleed ? BLEED : 0;
+  const pageWidth = width + (bleed * 2);
+  const pageHeight = height + (bleed * 2);
 
   // Create PDF and register fontkit for custom fonts
   const pdfDoc = await PDFDocument.create();
   pdfDoc.registerFontkit(fontkit);
   
-  // Download and embed custom fonts
-  const [regularFontBytes, boldFontBytes] = await Promise.all([
-    getFont('regular'),
-    getFont('bold'),
-  ]);
-  
-  const regularFont = await pdfDoc.embedFont(regularFontBytes);
-  const boldFont = await pdfDoc.embedFont(boldFontBytes);
+  // Download and embed custom fonts (pre-rendered pages only draw the watermark)
+  const fonts = await embedFonts(
+    pdfDoc,
+    usePreRenderedPages ? [] : [
+      title,
+      author,
+      ...pages.map(p => p.text),
+      ...[...specialPages.front, ...specialPages.back].flatMap(p => Object.values(p.fields)),
+    ],
+    book.story_options?.language
+  );
+  const regularFont = fonts.regular;
+  const boldFont = fonts.bold;
   
   console.log(`[PDF] Fonts embedded successfully`);
   
@@ -192,6 +390,9 @@ async function generateInteriorPdf(bookId, options = {}) {
     // Use pre-rendered pages from compositor
     console.log(`[PDF] Using ${printPages.length} pre-rendered pages`);
     
+    const pageShape = pageWidth / pageHeight;
+    let misshapenPage = null;
+
     for (let i = 0; i < printPages.length; i++) {
       const pageInfo = printPages[i];
       const page = pdfDoc.addPage([pageWidth, pageHeight]);
@@ -222,9 +423,13 @@ async function generateInteriorPdf(bookId, options = {}) {
               }
             }
             
-            if (image) {
-              // Draw the pre-rendered page image filling the entire page (with bleed)
-              const scale = Math.min(pageWidth / image.width, pageHeight / image.height);
+            // A legacy page made for another shape would lose its edges
+            if (image && legacyPrintPages && Math.abs(image.width / image.height - pageShape) > pageShape * 0.02) {
+              misshapenPage = pageInfo.pageNumber ?? i + 1;
+            } else if (image) {
+              // Scale to cover the entire page (with bleed) so no white edges show
+              // when trimmed
+              const scale = Math.max(pageWidth / image.width, pageHeight / image.height);
               const scaledWidth = image.width * scale;
               const scaledHeight = image.height * scale;
               
@@ -240,40 +445,24 @@ async function generateInteriorPdf(bookId, options = {}) {
           console.error(`[PDF] Pre-rendered page error:`, imgErr.message);
         }
       }
+
+      if (misshapenPage !== null) {
+        throw new Error(`Pre-rendered page ${misshapenPage} doesn't fit ${sizeCode}: re-render pages at ${sizeCode} in the compositor`);
+      }
     }
   } else {
     // Fallback: Generate simple pages from data (original behavior)
     console.log(`[PDF] No pre-rendered pages, using fallback generation`);
     
-    // Title page
-    const titlePage = pdfDoc.addPage([pageWidth, pageHeight]);
-    
-    titlePage.drawRectangle({
-      x: 0,
-      y: 0,
-      width: pageWidth,
-      height: pageHeight,
-      color: rgb(0.4, 0.494, 0.918),
-    });
-    
-    const titleWidth = boldFont.widthOfTextAtSize(title, 36);
-    titlePage.drawText(title, {
-      x: (pageWidth - titleWidth) / 2,
-      y: pageHeight / 2 + 20,
-      size: 36,
-      font: boldFont,
-      color: rgb(1, 1, 1),
-    });
-    
-    const authorText = `by ${author}`;
-    const authorWidth = regularFont.widthOfTextAtSize(authorText, 18);
-    titlePage.drawText(authorText, {
-      x: (pageWidth - authorWidth) / 2,
-      y: pageHeight / 2 - 30,
-      size: 18,
-      font: regularFont,
-      color: rgb(1, 1, 1),
-    });
+    const layout = { pageWidth, pageHeight, width, fonts };
+
+    // Title page - the book's own title page when set up, otherwise a plain one
+    if (!specialPages.front.some(p => p.kind === "title")) {
+      await drawSpecialPage(pdfDoc, { kind: "title", fields: { title, subtitle: "", author } }, layout);
+    }
+    for (const special of specialPages.front) {
+      await drawSpecialPage(pdfDoc, special, layout);
+    }
 
     // Build page data
     const pageData = pages.map((page) => {
@@ -316,8 +505,8 @@ async function generateInteriorPdf(bookId, options = {}) {
             }
             
             if (image) {
-              const imgX = BLEED + 20;
-              const imgY = pageHeight - BLEED - 20 - (height * 0.55);
+              const imgX = bleed + 20;
+              const imgY = pageHeight - bleed - 20 - (height * 0.55);
               const imgWidth = width - 40;
               const imgHeight = height * 0.55;
               
@@ -340,20 +529,21 @@ async function generateInteriorPdf(bookId, options = {}) {
 
       // Add text
       if (pageInfo.text) {
-        const textX = BLEED + 30;
+        const textX = bleed + 30;
         const textWidth = width - 60;
         const fontSize = 14;
         const lineHeight = fontSize * 1.4;
         
-        const lines = wrapText(pageInfo.text, regularFont, fontSize, textWidth);
-        let textY = BLEED + height * 0.35;
+        const textFont = fonts.forText(pageInfo.text);
+        const lines = wrapText(pageInfo.text, textFont, fontSize, textWidth);
+        let textY = bleed + height * 0.35;
         
         for (const line of lines) {
           page.drawText(line, {
             x: textX,
             y: textY,
             size: fontSize,
-            font: regularFont,
+            font: textFont,
             color: rgb(0.2, 0.2, 0.2),
           });
           textY -= lineHeight;
@@ -365,19 +555,23 @@ async function generateInteriorPdf(bookId, options = {}) {
       const pageNumWidth = regularFont.widthOfTextAtSize(pageNumText, 10);
       page.drawText(pageNumText, {
         x: (pageWidth - pageNumWidth) / 2,
-        y: BLEED + 15,
+        y: bleed + 15,
         size: 10,
         font: regularFont,
         color: rgb(0.6, 0.6, 0.6),
       });
     }
+
+    // About the author, The End
+    for (const special of specialPages.back) {
+      await drawSpecialPage(pdfDoc, special, layout);
+    }
   }
 
   // Add blank pages if needed
   let currentPageCount = pdfDoc.getPageCount();
-  const MIN_PAGES = 24;
   
-  if (currentPageCount < MIN_PAGES) {
+  if (padToMinimum && currentPageCount < MIN_PAGES) {
     const blankPagesToAdd = MIN_PAGES - currentPageCount;
     console.log(`[PDF] Adding ${blankPagesToAdd} blank pages`);
     
@@ -395,6 +589,11 @@ async function generateInteriorPdf(bookId, options = {}) {
     currentPageCount = MIN_PAGES;
   }
 
+  if (applyWatermark) {
+    console.log(`[PDF] Book ${bookId} is unpaid, applying watermark`);
+    pdfDoc.getPages().forEach(page => drawWatermark(page, boldFont));
+  }
+
   const pdfBytes = await pdfDoc.save();
   const pdfBuffer = Buffer.from(pdfBytes);
   
@@ -404,17 +603,72 @@ async function generateInteriorPdf(bookId, options = {}) {
     buffer: pdfBuffer,
     pageCount: currentPageCount,
     dimensions,
+    watermarked: applyWatermark,
+  };
+}
+
+/**
+ * Number of pages the printed interior will have (padded to Lulu's minimum)
+ */
+function getPrintPageCount(pageCount) {
+  return Math.max(MIN_PAGES, pageCount || 0);
+}
+
+/**
+ * Full cover wrap geometry for a trim size and page count (in points)
+ * Asks Lulu first since spine width depends on their paper stock,
+ * and falls back to our own estimate if the API isn't available.
+ * margin is the bleed + board wrap on every outer edge.
+ */
+async function getCoverSpec(sizeCode, pageCount) {
+  const size = TRIM_SIZES[normalizeSizeCode(sizeCode)];
+  const printPageCount = getPrintPageCount(pageCount);
+
+  let width = null;
+  let height = null;
+  let source = 'estimate';
+
+  if (luluClient.isConfigured()) {
+    try {
+      const dims = await luluClient.getCoverDimensions(size.luluPodPackageId, printPageCount, 'pt');
+      width = parseFloat(dims.width);
+      height = parseFloat(dims.height);
+      source = 'lulu';
+    } catch (err) {
+      console.warn(`[PDF] Lulu cover dimensions unavailable, estimating: ${err.message}`);
+    }
+  }
+
+  if (!width || !height) {
+    const spineWidth = Math.round(Math.max(0.25, printPageCount * 0.0025) * 72);
+    width = (COVER_BLEED * 2) + (COVER_WRAP * 2) + (size.width * 2) + spineWidth;
+    height = (COVER_BLEED * 2) + (COVER_WRAP * 2) + size.height;
+    source = 'estimate';
+  }
+
+  const margin = (height - size.height) / 2;
+  const spineWidth = width - (size.width * 2) - (margin * 2);
+
+  return {
+    sizeCode: size.code,
+    pageCount: printPageCount,
+    width,
+    height,
+    trimWidth: size.width,
+    trimHeight: size.height,
+    margin,
+    spineWidth,
+    source,
   };
 }
 
 /**
  * Generate print-ready cover PDF
+ * Uses the cover designed in the compositor (print_cover_image) when it was
+ * rendered for this size and page count, otherwise draws a simple default cover
  */
 async function generateCoverPdf(bookId, options = {}) {
-  const { 
-    sizeCode = 'square-medium',
-    pageCount = 24,
-  } = options;
+  const sizeCode = normalizeSizeCode(options.sizeCode);
 
   console.log(`[PDF] Generating cover PDF for book ${bookId}`);
 
@@ -423,8 +677,11 @@ async function generateCoverPdf(bookId, options = {}) {
     .select(`
       id,
       selected_idea,
+      story_options,
       illustrations,
-      kid_name
+      kid_name,
+      print_cover_image,
+      print_cover_spec
     `)
     .eq("id", bookId)
     .single();
@@ -440,34 +697,30 @@ async function generateCoverPdf(bookId, options = {}) {
   const coverIllustration = illustrations.find(i => i.page === 1);
   const coverImageUrl = coverIllustration?.url || null;
 
-  const dimensions = PAGE_DIMENSIONS[sizeCode];
-  if (!dimensions) {
-    throw new Error(`Invalid size code: ${sizeCode}`);
-  }
-
-  const { width, height } = dimensions;
-  
-  const spineInches = Math.max(0.25, pageCount * 0.0025);
-  const spineWidth = Math.round(spineInches * 72);
-  
-  console.log(`[PDF] Cover: ${pageCount} pages, spine=${spineInches.toFixed(3)}"`);
-
-  const coverWidth = (COVER_BLEED * 2) + (COVER_WRAP * 2) + (width * 2) + spineWidth;
-  const coverHeight = (COVER_BLEED * 2) + (COVER_WRAP * 2) + height;
+  const spec = await getCoverSpec(sizeCode, options.pageCount || MIN_PAGES);
+  const { width, height } = PAGE_DIMENSIONS[spec.sizeCode];
+  const spineWidth = spec.spineWidth;
+  const coverWidth = spec.width;
+  const coverHeight = spec.height;
   
+  console.log(`[PDF] Cover: ${spec.pageCount} pages, spine=${(spineWidth / 72).toFixed(3)}" (${spec.source})`);
   console.log(`[PDF] Cover dimensions: ${(coverWidth/72).toFixed(3)}" x ${(coverHeight/72).toFixed(3)}"`);
 
+  const designed = book.print_cover_spec;
+  if (book.print_cover_image && designed) {
+    if (designed.sizeCode === spec.sizeCode && Math.abs(designed.spineWidth - spineWidth) < 1) {
+      return drawDesignedCover(book.print_cover_image, spec);
+    }
+    console.warn(`[PDF] Designed cover is for ${designed.sizeCode}/${designed.pageCount} pages, need ${spec.sizeCode}/${spec.pageCount} - using default cover`);
+  }
+
   const pdfDoc = await PDFDocument.create();
   pdfDoc.registerFontkit(fontkit);
   
   // Embed fonts
-  const [regularFontBytes, boldFontBytes] = await Promise.all([
-    getFont('regular'),
-    getFont('bold'),
-  ]);
-  
-  const regularFont = await pdfDoc.embedFont(regularFontBytes);
-  const boldFont = await pdfDoc.embedFont(boldFontBytes);
+  const authorText = `by ${author}`;
+  const fonts = await embedFonts(pdfDoc, [title, authorText], book.story_options?.language);
+  const regularFont = fonts.regular;
   
   const page = pdfDoc.addPage([coverWidth, coverHeight]);
 
@@ -480,8 +733,8 @@ async function generateCoverPdf(bookId, options = {}) {
     color: rgb(0.4, 0.494, 0.918),
   });
 
-  const contentStartX = COVER_BLEED + COVER_WRAP;
-  const contentStartY = COVER_BLEED + COVER_WRAP;
+  const contentStartX = spec.margin;
+  const contentStartY = spec.margin;
 
   // Spine
   const spineX = contentStartX + width;
@@ -545,23 +798,24 @@ async function generateCoverPdf(bookId, options = {}) {
   }
 
   // Title
-  const titleWidth = boldFont.widthOfTextAtSize(title, 32);
+  const titleFont = fonts.forText(title, 'bold');
+  const titleWidth = titleFont.widthOfTextAtSize(title, 32);
   page.drawText(title, {
     x: frontCenterX - titleWidth / 2,
     y: contentStartY + height * 0.25,
     size: 32,
-    font: boldFont,
+    font: titleFont,
     color: rgb(1, 1, 1),
   });
 
   // Author
-  const authorText = `by ${author}`;
-  const authorWidth = regularFont.widthOfTextAtSize(authorText, 16);
+  const authorFont = fonts.forText(authorText);
+  const authorWidth = authorFont.widthOfTextAtSize(authorText, 16);
   page.drawText(authorText, {
     x: frontCenterX - authorWidth / 2,
     y: contentStartY + height * 0.25 - 35,
     size: 16,
-    font: regularFont,
+    font: authorFont,
     color: rgb(1, 1, 1),
   });
 
@@ -577,12 +831,58 @@ async function generateCoverPdf(bookId, options = {}) {
       height: coverHeight,
       spineWidth,
     },
+    designed: false,
+  };
+}
+
+/**
+ * Build the cover PDF from the full-wrap image rendered by the compositor
+ * The image already contains back, spine, front, bleed and wrap
+ */
+async function drawDesignedCover(imageUrl, spec) {
+  console.log(`[PDF] Using designed cover from compositor`);
+
+  const imageBytes = await fetchImageAsBuffer(imageUrl);
+  if (!imageBytes) {
+    throw new Error('Failed to fetch designed cover image');
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  let image;
+  try {
+    image = await pdfDoc.embedJpg(imageBytes);
+  } catch {
+    image = await pdfDoc.embedPng(imageBytes);
+  }
+
+  const page = pdfDoc.addPage([spec.width, spec.height]);
+  page.drawImage(image, {
+    x: 0,
+    y: 0,
+    width: spec.width,
+    height: spec.height,
+  });
+
+  const pdfBuffer = Buffer.from(await pdfDoc.save());
+
+  console.log(`[PDF] Cover PDF generated: ${pdfBuffer.length} bytes`);
+
+  return {
+    buffer: pdfBuffer,
+    dimensions: {
+      width: spec.width,
+      height: spec.height,
+      spineWidth: spec.spineWidth,
+    },
+    designed: true,
   };
 }
 
 module.exports = {
   generateInteriorPdf,
   generateCoverPdf,
+  getCoverSpec,
+  getPrintPageCount,
   PAGE_DIMENSIONS,
   BLEED,
   COVER_WRAP,
@@ -44,7 +44,9 @@ module.exports = async function handler(req, res) {
       .from('book_projects')
       .update({
         print_pages: [],
+        print_pages_size_code: null,
         print_cover_image: null,
+        print_cover_spec: null,
         print_pages_updated_at: new Date().toISOString(),
       })
       .eq('id', bookId);
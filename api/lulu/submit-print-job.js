@@ -4,6 +4,7 @@
 
 const { createClient } = require("@supabase/supabase-js");
 const { luluClient, SHIPPING_LEVELS } = require("./client.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -113,7 +114,7 @@ async function submitPrintJob(orderId, options = {}) {
   }
 
   // 4. Get POD package mapping for this size
-  const sizeCode = order.size || 'square-medium'; // Default to square-medium
+  const sizeCode = normalizeSizeCode(order.size); // Legacy codes map to registry sizes
   
   const { data: podPackage, error: podError } = await supabase
     .from("lulu_pod_packages")
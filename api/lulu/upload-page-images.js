@@ -1,10 +1,12 @@
 // api/lulu/upload-page-images.js
 // Receives rendered page images from the compositor and stores them for print PDF generation
 // Supports incremental uploads (one page at a time) to avoid payload size limits
+// The designed cover wrap is sent on its own request with the coverSpec it was laid out for
 
 const { createClient } = require("@supabase/supabase-js");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const { getCurrentUser } = require("../_auth.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -37,13 +39,13 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const { bookId, pages, coverImage } = req.body;
+    const { bookId, pages = [], coverImage, coverSpec, sizeCode } = req.body;
     
     if (!bookId) {
       return res.status(400).json({ error: 'Missing bookId' });
     }
     
-    if (!pages || !Array.isArray(pages) || pages.length === 0) {
+    if (!Array.isArray(pages) || (pages.length === 0 && !coverImage)) {
       return res.status(400).json({ error: 'Missing or invalid pages array' });
     }
 
@@ -114,7 +116,7 @@ module.exports = async function handler(req, res) {
       console.log(`[Upload] Page ${pageNumber} uploaded: ${url}`);
     }
 
-    // Upload cover image if provided (usually first page)
+    // Upload cover image if provided (full wrap from the cover designer)
     let coverUrl = null;
     if (coverImage) {
       const base64Data = coverImage.replace(/^data:image\/\w+;base64,/, '');
@@ -148,9 +150,17 @@ module.exports = async function handler(req, res) {
       print_pages: mergedPages,
       print_pages_updated_at: new Date().toISOString(),
     };
+
+    // Record the trim size the pages were rendered at so the PDF step can check it
+    if (sizeCode) {
+      updateData.print_pages_size_code = normalizeSizeCode(sizeCode);
+    }
     
     if (coverUrl) {
       updateData.print_cover_image = coverUrl;
+      // Size and spine the wrap was laid out for - generateCoverPdf only uses
+      // the image when these still match the order
+      updateData.print_cover_spec = coverSpec || null;
     }
 
     const { error: updateError } = await supabase
@@ -0,0 +1,210 @@
+// api/narration.js (CommonJS)
+// Read-aloud narration, one audio clip per story page
+// POST { projectId, action, ... }
+//   { action: "generate", page, voice }            - narrate the page with a TTS voice
+//   { action: "record", page, audio, durationSeconds } - save the parent's own
+//                                                    recording (data URL)
+//   { action: "delete", page }
+//   { action: "voice", voice }                     - the book's default voice
+//
+// Clips are saved in book_projects.narration:
+//   { voice, clips: [{ page, audio_url, source: "tts" | "recorded", voice,
+//                      text, mime_type, duration_seconds, created_at }] }
+// text is the page text the clip was made from; once the page is edited the
+// clip no longer matches and the narration panel offers to redo it.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { uploadToR2 } = require("./_r2.js");
+const {
+  DEFAULT_VOICE,
+  RECORDING_TYPES,
+  MAX_RECORDING_SECONDS,
+  normalizeVoice,
+  getTtsProvider,
+} = require("./_tts-provider.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACTIONS = ["generate", "record", "delete", "voice"];
+
+function normalizeNarration(narration) {
+  return {
+    voice: normalizeVoice(narration?.voice),
+    clips: Array.isArray(narration?.clips) ? narration.clips : [],
+  };
+}
+
+// Replace (or remove, when clip is null) the clip for a page
+function withClip(narration, page, clip) {
+  const clips = narration.clips.filter(c => Number(c.page) !== page);
+  if (clip) clips.push(clip);
+  clips.sort((a, b) => a.page - b.page);
+  return { ...narration, clips };
+}
+
+async function uploadClip(projectId, page, buffer, mimeType, extension) {
+  const upload = await uploadToR2(
+    `narration/${projectId}/page-${page}-${Date.now()}.${extension}`,
+    buffer,
+    mimeType
+  );
+
+  if (!upload.success) {
+    console.error("NARRATION UPLOAD ERROR:", upload.error);
+    return null;
+  }
+  return upload.publicUrl;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to narrate your book"
+    });
+  }
+
+  const { projectId, action, voice, audio, durationSeconds } = req.body || {};
+  const page = Number(req.body?.page);
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${ACTIONS.join(", ")}` });
+  }
+
+  if (action !== "voice" && !Number.isInteger(page)) {
+    return res.status(400).json({ error: "Missing page" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("id, user_id, story_json, story_options, narration")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to edit this project"
+      });
+    }
+
+    let narration = normalizeNarration(project.narration);
+    const pageText = (project.story_json || []).find(p => Number(p.page) === page)?.text?.trim() || "";
+    let clip = null;
+
+    if (action === "voice") {
+      narration = { ...narration, voice: normalizeVoice(voice) };
+
+    } else if (action === "delete") {
+      narration = withClip(narration, page, null);
+
+    } else if (!pageText) {
+      return res.status(400).json({ error: `Page ${page} has no text to narrate` });
+
+    } else if (action === "generate") {
+      const clipVoice = normalizeVoice(voice || narration.voice || DEFAULT_VOICE);
+      const speech = await getTtsProvider().synthesize({
+        text: pageText,
+        voice: clipVoice,
+        language: project.story_options?.language,
+      });
+
+      const audioUrl = await uploadClip(projectId, page, speech.buffer, speech.mimeType, speech.extension);
+      if (!audioUrl) {
+        return res.status(500).json({ error: "Failed to upload narration." });
+      }
+
+      clip = {
+        page,
+        audio_url: audioUrl,
+        source: "tts",
+        voice: clipVoice,
+        text: pageText,
+        mime_type: speech.mimeType,
+        duration_seconds: speech.durationSeconds,
+        created_at: new Date().toISOString(),
+      };
+      narration = withClip(narration, page, clip);
+
+    } else {
+      // "record" - browsers send audio/webm;codecs=opus and the like
+      const match = /^data:([^;,]+)[^,]*;base64,(.+)$/.exec(String(audio || ""));
+      const extension = match && RECORDING_TYPES[match[1]];
+
+      if (!extension) {
+        return res.status(400).json({
+          error: "Invalid recording",
+          message: `Recordings must be one of: ${Object.keys(RECORDING_TYPES).join(", ")}`
+        });
+      }
+
+      const seconds = Number(durationSeconds) || null;
+      if (seconds && seconds > MAX_RECORDING_SECONDS) {
+        return res.status(400).json({
+          error: "Recording too long",
+          message: `Keep each page under ${MAX_RECORDING_SECONDS} seconds`
+        });
+      }
+
+      const audioUrl = await uploadClip(projectId, page, Buffer.from(match[2], "base64"), match[1], extension);
+      if (!audioUrl) {
+        return res.status(500).json({ error: "Failed to upload recording." });
+      }
+
+      clip = {
+        page,
+        audio_url: audioUrl,
+        source: "recorded",
+        voice: null,
+        text: pageText,
+        mime_type: match[1],
+        duration_seconds: seconds,
+        created_at: new Date().toISOString(),
+      };
+      narration = withClip(narration, page, clip);
+    }
+
+    const { error: updateError } = await supabase
+      .from("book_projects")
+      .update({ narration })
+      .eq("id", projectId);
+
+    if (updateError) {
+      console.error("NARRATION ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save narration." });
+    }
+
+    return res.status(200).json({ narration, clip });
+
+  } catch (err) {
+    console.error("NARRATION ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to narrate page.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
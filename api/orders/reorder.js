@@ -3,6 +3,7 @@
 
 const { createClient } = require("@supabase/supabase-js");
 const { getCurrentUser } = require("../_auth.js");
+const { normalizeSizeCode } = require("../_trim-sizes.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -68,7 +69,7 @@ async function handler(req, res) {
     }
 
     const productType = order.product?.name || 'hardcover';
-    const size = productType === 'hardcover' ? (order.size || 'square-medium') : null;
+    const size = productType === 'hardcover' ? normalizeSizeCode(order.size) : null;
 
     // Check if item already in cart
     let query = supabase
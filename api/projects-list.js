@@ -35,6 +35,8 @@ async function handler(req, res) {
         selected_idea,
         story_json,
         story_locked,
+        story_options,
+        source_project_id,
         illustrations,
         character_model_url,
         user_id
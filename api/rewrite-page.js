@@ -0,0 +1,168 @@
+// api/rewrite-page.js (CommonJS)
+// Rewrites one page of a draft story (simplify, rhyme, lengthen, shorten,
+// change tone). The rest of the story is sent along as context so names,
+// events and voice stay consistent.
+// Nothing is saved here - the editor shows a diff and the user accepts or
+// rejects it, then saves through save-story.js as usual.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { generateJson } = require("./_llm.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
+const { TONES, normalizeStoryOptions, describeStoryOptions } = require("./_story-options.js");
+const { analyzeText } = require("./_readability.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const REWRITE_ACTIONS = {
+  simplify: () => "Simplify it: shorter sentences and easier words, same events and meaning.",
+  rhyme: () => "Make it rhyme: rewrite it as rhyming verse with a steady rhythm, same events and meaning.",
+  lengthen: () => "Lengthen it: add a little more detail or description (roughly half as long again), without new plot events that would contradict later pages.",
+  shorten: () => "Shorten it: keep only what matters (roughly half the length), same events and meaning.",
+  tone: (tone) => `Change the tone to ${tone}, keeping the same events and meaning.`,
+};
+
+const REWRITE_SCHEMA = {
+  type: "object",
+  required: ["text"],
+  properties: {
+    text: { type: "string", minLength: 1 },
+  },
+};
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit your story"
+    });
+  }
+
+  // storyPages: the editor's current (possibly unsaved) pages, used as context
+  const { projectId, page, action, tone, storyPages } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!REWRITE_ACTIONS[action]) {
+    return res.status(400).json({
+      error: "Invalid action",
+      message: `action must be one of: ${Object.keys(REWRITE_ACTIONS).join(", ")}`
+    });
+  }
+
+  if (action === "tone" && !TONES.includes(tone)) {
+    return res.status(400).json({
+      error: "Invalid tone",
+      message: `tone must be one of: ${TONES.join(", ")}`
+    });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, kid_name, story_json, story_locked, story_options, selected_idea")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to modify this project"
+      });
+    }
+
+    if (project.story_locked === true) {
+      return res.status(400).json({
+        error: "Story is locked and cannot be edited."
+      });
+    }
+
+    const pages = Array.isArray(storyPages) && storyPages.length
+      ? storyPages
+      : project.story_json || [];
+
+    const target = pages.find(p => Number(p.page) === Number(page));
+
+    if (!target || !target.text?.trim()) {
+      return res.status(400).json({ error: `Page ${page} has no text to rewrite` });
+    }
+
+    const options = normalizeStoryOptions(project.story_options);
+
+    const storyContext = pages
+      .map(p => Number(p.page) === Number(page)
+        ? `Page ${p.page} (REWRITE THIS PAGE): ${p.text}`
+        : `Page ${p.page}: ${p.text}`)
+      .join("\n");
+
+    const prompt = `
+You are a children's author revising one page of a picture book.
+
+BOOK:
+${describeStoryOptions(options)}
+- Title: ${project.selected_idea?.title || "Untitled"}
+- Main character: ${project.kid_name || "the child"}
+
+FULL STORY (for context - keep names, events and voice consistent with it):
+${storyContext}
+
+TASK:
+Rewrite page ${target.page} only. ${REWRITE_ACTIONS[action](tone)}
+It must still flow from the page before and into the page after.
+
+Return ONLY JSON:
+{ "text": "the new text for page ${target.page}" }
+`;
+
+    const { data } = await generateJson({
+      name: "rewrite-page",
+      model: "gpt-4.1-mini",
+      prompt,
+      schema: REWRITE_SCHEMA,
+      context: { projectId, userId: user.id },
+    });
+
+    const text = data.text.trim();
+
+    const moderation = await moderateText(text, { source: "rewrite-page", userId: user.id, projectId });
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    return res.status(200).json({
+      page: target.page,
+      action,
+      original: target.text,
+      text,
+      readability: {
+        before: analyzeText(target.text, options.language),
+        after: analyzeText(text, options.language),
+      },
+      moderation: publicDecision(moderation),
+    });
+
+  } catch (err) {
+    console.error("REWRITE-PAGE ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to rewrite page.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,120 @@
+// api/save-layout.js (CommonJS)
+// Saves the compositor layout document for a project (autosave target)
+// Uses compositor_layout_version for optimistic concurrency
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Check authentication
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to save your layout"
+    });
+  }
+
+  const { projectId, layout, baseVersion } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!layout || typeof layout !== "object" || Array.isArray(layout)) {
+    return res.status(400).json({ error: "Missing or invalid layout" });
+  }
+
+  if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+    return res.status(400).json({ error: "Missing or invalid baseVersion" });
+  }
+
+  try {
+    // Check if project exists and belongs to user
+    const { data: project, error: checkError } = await supabase
+      .from("book_projects")
+      .select("user_id, compositor_layout, compositor_layout_version")
+      .eq("id", projectId)
+      .single();
+
+    if (checkError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // Verify ownership
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to modify this project"
+      });
+    }
+
+    const currentVersion = project.compositor_layout_version || 0;
+
+    // Another tab (or device) saved since this client last loaded the layout
+    if (currentVersion !== baseVersion) {
+      return res.status(409).json({
+        error: "Layout conflict",
+        message: "This layout was changed somewhere else",
+        version: currentVersion,
+        layout: project.compositor_layout,
+      });
+    }
+
+    const nextVersion = currentVersion + 1;
+
+    // Conditional update: only applies if the version is still the one we checked
+    const { data: updated, error: updateError } = await supabase
+      .from("book_projects")
+      .update({
+        compositor_layout: layout,
+        compositor_layout_version: nextVersion,
+        compositor_layout_updated_at: new Date().toISOString(),
+      })
+      .eq("id", projectId)
+      .eq("compositor_layout_version", currentVersion)
+      .select("id, compositor_layout_version, compositor_layout_updated_at")
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("SAVE-LAYOUT ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save layout." });
+    }
+
+    // Lost the race between the check and the update
+    if (!updated) {
+      return res.status(409).json({
+        error: "Layout conflict",
+        message: "This layout was changed somewhere else",
+      });
+    }
+
+    return res.status(200).json({
+      projectId: updated.id,
+      version: updated.compositor_layout_version,
+      updatedAt: updated.compositor_layout_updated_at,
+    });
+
+  } catch (err) {
+    console.error("SAVE-LAYOUT ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to save layout.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "2mb" } },
+};
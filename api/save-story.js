@@ -3,6 +3,10 @@
 
 const { createClient } = require("@supabase/supabase-js");
 const { getCurrentUser } = require("./_auth.js");
+const { normalizeStoryOptions } = require("./_story-options.js");
+const { buildStoryReport } = require("./_readability.js");
+const { recordStoryVersion } = require("./_story-versions.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -38,7 +42,7 @@ async function handler(req, res) {
     // Check if project exists and belongs to user, also check if locked
     const { data: project, error: checkError } = await supabase
       .from("book_projects")
-      .select("story_locked, user_id")
+      .select("story_locked, user_id, story_options")
       .eq("id", projectId)
       .single();
 
@@ -60,15 +64,27 @@ async function handler(req, res) {
       });
     }
 
+    const moderation = await moderateText(
+      storyPages.map(p => p?.text),
+      { source: "save-story", userId: user.id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    // Re-run the length/readability check against the edited text
+    const storyReport = buildStoryReport(storyPages, normalizeStoryOptions(project.story_options));
+
     // Save the story pages and ensure story_locked is false
     const { data: updated, error: updateError } = await supabase
       .from("book_projects")
       .update({
         story_json: storyPages,
         story_locked: false,
+        story_report: storyReport,
       })
       .eq("id", projectId)
-      .select("id, story_json, story_locked")
+      .select("id, story_json, story_locked, story_report")
       .single();
 
     if (updateError) {
@@ -76,10 +92,20 @@ async function handler(req, res) {
       return res.status(500).json({ error: "Failed to save story." });
     }
 
+    await recordStoryVersion({
+      projectId,
+      userId: user.id,
+      storyPages: updated.story_json,
+      source: "user",
+      reason: "save",
+    });
+
     return res.status(200).json({
       projectId: updated.id,
       story_json: updated.story_json,
       story_locked: updated.story_locked,
+      story_report: updated.story_report,
+      moderation: publicDecision(moderation),
     });
 
   } catch (err) {
@@ -84,6 +84,7 @@ async function handler(req, res) {
         // Add current to history
         revision: existingForPage.revisions,
         image_url: existingForPage.image_url,
+        print_url: existingForPage.print_url || null,
         created_at: existingForPage.last_updated || new Date().toISOString(),
         notes: existingForPage.revision_notes || null,
       });
@@ -97,6 +98,7 @@ async function handler(req, res) {
         return {
           ...illus,
           image_url: selectedRevision.image_url,
+          print_url: selectedRevision.print_url || null,
           // Keep the same revision number (we're not creating a new revision)
           last_updated: new Date().toISOString(),
           revision_history: trimmedHistory,
@@ -125,6 +127,7 @@ async function handler(req, res) {
       message: "Illustration updated",
       page: pageNum,
       image_url: updatedIllus.image_url,
+      print_url: updatedIllus.print_url,
       revisions: updatedIllus.revisions,
       revision_history: updatedIllus.revision_history,
     });
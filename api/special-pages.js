@@ -0,0 +1,136 @@
+// api/special-pages.js (CommonJS)
+// Saves a book's front and back matter (title page, dedication, about the
+// author, "The End")
+// POST { projectId, specialPages, authorPhoto }
+//   specialPages - { [kind]: { enabled, ...fields } } (see shared/special-pages.json)
+//   authorPhoto  - optional data URL; uploaded and stored as about-author.photoUrl
+//
+// Special pages aren't part of story_json, so they can be edited while the
+// story is locked without touching illustrations.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { uploadToR2 } = require("./_r2.js");
+const { normalizeSpecialPages } = require("./_special-pages.js");
+const { moderateText, moderateImage, publicDecision, sendBlocked } = require("./_moderation.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PHOTO_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit your book"
+    });
+  }
+
+  const { projectId, specialPages, authorPhoto } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!specialPages || typeof specialPages !== "object") {
+    return res.status(400).json({ error: "Missing specialPages" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("id, user_id")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to edit this project"
+      });
+    }
+
+    const pages = normalizeSpecialPages(specialPages);
+    const moderationContext = { source: "special-pages", userId: user.id, projectId };
+
+    const moderation = await moderateText(
+      Object.values(pages).flatMap(({ enabled, photoUrl, ...fields }) => Object.values(fields)),
+      moderationContext
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    if (authorPhoto) {
+      const match = /^data:([^;]+);base64,(.+)$/.exec(String(authorPhoto));
+      const ext = match && PHOTO_TYPES[match[1]];
+
+      if (!ext) {
+        return res.status(400).json({
+          error: "Invalid photo",
+          message: "The author photo must be a JPEG, PNG or WebP image"
+        });
+      }
+
+      const buffer = Buffer.from(match[2], "base64");
+      const photoModeration = await moderateImage({ buffer, mimeType: match[1] }, moderationContext);
+      if (photoModeration.action === "block") {
+        return sendBlocked(res, photoModeration);
+      }
+
+      const upload = await uploadToR2(
+        `special-pages/${projectId}/author-${Date.now()}.${ext}`,
+        buffer,
+        match[1]
+      );
+
+      if (!upload.success) {
+        console.error("SPECIAL-PAGES UPLOAD ERROR:", upload.error);
+        return res.status(500).json({ error: "Failed to upload author photo." });
+      }
+
+      pages["about-author"].photoUrl = upload.publicUrl;
+    }
+
+    const { error: updateError } = await supabase
+      .from("book_projects")
+      .update({ special_pages: pages })
+      .eq("id", projectId);
+
+    if (updateError) {
+      console.error("SPECIAL-PAGES ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to save special pages." });
+    }
+
+    return res.status(200).json({ special_pages: pages, moderation: publicDecision(moderation) });
+
+  } catch (err) {
+    console.error("SPECIAL-PAGES ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to save special pages.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
@@ -1,33 +1,250 @@
 // api/story-ideas.js (CommonJS)
-const OpenAI = require("openai").default;
+// Story ideas for the idea picker
+// POST { name, interests, projectId, storyOptions, mode, ideaIndex, premise }
+//   mode "new" (default) - 5 fresh ideas, replacing the list
+//   mode "more"          - 4 ideas in the spirit of story_ideas[ideaIndex]
+//   mode "remix"         - 4 twists on story_ideas[ideaIndex]
+//   mode "custom"        - the parent's own premise, tidied into an idea
+// "more" and "remix" keep the chosen idea first in the new list; "custom"
+// adds the premise to the front of the current list. All modes except "new"
+// work on an existing project and reuse its child and story options.
+// What the parent typed is screened before any generation; generated ideas
+// that moderation blocks are dropped from the list.
+
 const { createClient } = require("@supabase/supabase-js");
 const { getCurrentUser } = require("./_auth.js");
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { generateJson } = require("./_llm.js");
+const { normalizeStoryOptions, describeLanguage, describeStoryDetails } = require("./_story-options.js");
+const { moderateText, sendBlocked } = require("./_moderation.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// 🔥 CLEAN JSON OUTPUT FROM MODEL
-function cleanJsonOutput(text) {
-  if (!text) return text;
+const IDEAS_SCHEMA = {
+  type: "object",
+  required: ["ideas"],
+  properties: {
+    ideas: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["title", "description"],
+        properties: {
+          title: { type: "string", minLength: 1 },
+          description: { type: "string", minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+const REFINE_MODES = ["more", "remix", "custom"];
+
+// Custom premises are capped a little above an idea description
+const MAX_PREMISE_LENGTH = 1000;
+
+function ideasSchema(count) {
+  return {
+    ...IDEAS_SCHEMA,
+    properties: {
+      ideas: { ...IDEAS_SCHEMA.properties.ideas, minItems: count, maxItems: count },
+    },
+  };
+}
+
+// Free-text fields the parent can fill in
+function userText(name, interests, options, premise = "") {
+  return [name, interests, premise, options.lesson, options.setting, options.supportingCast];
+}
+
+/**
+ * Generated ideas minus any that moderation blocks
+ */
+async function screenIdeas(ideas, context) {
+  const decisions = await Promise.all(
+    ideas.map(idea => moderateText([idea.title, idea.description], context))
+  );
+  return ideas.filter((_, i) => decisions[i].action !== "block");
+}
+
+const NO_SAFE_IDEAS = {
+  action: "block",
+  categories: [],
+  reason: "We couldn't come up with suitable ideas. Try different interests or story details.",
+};
+
+function describeChild(name, interests, options) {
+  return `
+Child:
+- Name: ${name}
+- Interests: ${interests || "not specified"}
+- Age: ${options.ageBand.replace("-", "–")} years old
+- Tone: ${options.tone}
+${describeLanguage(options.language)}
+${describeStoryDetails(options)}
+`;
+}
+
+function newIdeasPrompt({ name, interests, options }) {
+  return `
+You are a children's author. Create 5 fun, kid-friendly story ideas.
+
+Return ONLY JSON:
+{
+  "ideas": [
+    { "title": "...", "description": "..." }
+  ]
+}
+
+${describeChild(name, interests, options)}`;
+}
 
-  text = text.replace(/```json/gi, "");
-  text = text.replace(/```/g, "");
-  text = text.trim();
+function refinePrompt(mode, { name, interests, options, idea, premise }) {
+  const format = `
+Return ONLY JSON:
+{
+  "ideas": [
+    { "title": "...", "description": "..." }
+  ]
+}
+`;
 
-  const firstBrace = text.indexOf("{");
-  const lastBrace = text.lastIndexOf("}");
+  if (mode === "custom") {
+    return `
+You are a children's author. A parent has written their own premise for a picture book.
+Turn it into one story idea: a short, catchy title and a 1-3 sentence description.
+Keep everything the parent asked for - don't add a different plot or drop their details.
 
-  if (firstBrace === -1 || lastBrace === -1) {
-    throw new Error("No JSON object found in model output.");
+PREMISE:
+${premise}
+${describeChild(name, interests, options)}
+${format}`;
   }
 
-  return text.substring(firstBrace, lastBrace + 1);
+  const direction = mode === "more"
+    ? "Create 4 new story ideas in the same spirit as this one: similar themes and feel, but each with its own plot."
+    : "Create 4 remixes of this idea: keep its heart, but give each a different twist - a new setting, a surprise problem, an unexpected friend or a different ending.";
+
+  return `
+You are a children's author. The parent liked this story idea:
+- Title: ${idea.title}
+- Description: ${idea.description}
+
+${direction} Don't repeat the original idea.
+${describeChild(name, interests, options)}
+${format}`;
+}
+
+/**
+ * Ask the model for story ideas (before moderation)
+ * @param {string} mode - "new", "more", "remix" or "custom"
+ * @param {Object} input - { name, interests, options, idea, premise }
+ * @param {Object} [context] - { userId, projectId } for usage accounting
+ * @returns {Promise<Array<{title: string, description: string}>>}
+ */
+async function generateIdeas(mode, input, context = {}) {
+  const isNew = mode === "new";
+  const { data: parsed } = await generateJson({
+    name: isNew ? "story-ideas" : `story-ideas-${mode}`,
+    model: "gpt-4.1-mini",
+    prompt: isNew ? newIdeasPrompt(input) : refinePrompt(mode, input),
+    schema: isNew ? IDEAS_SCHEMA : ideasSchema(mode === "custom" ? 1 : 4),
+    context,
+  });
+  return parsed.ideas;
+}
+
+/**
+ * "More like this", "remix" and "write my own premise" on an existing project
+ */
+async function refineIdeas(req, res, user) {
+  const { projectId, mode, ideaIndex, storyOptions } = req.body;
+  const premise = typeof req.body.premise === "string" ? req.body.premise.trim() : "";
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  const { data: project, error: projectError } = await supabase
+    .from("book_projects")
+    .select("id, user_id, kid_name, kid_interests, story_ideas, story_options")
+    .eq("id", projectId)
+    .single();
+
+  if (projectError || !project) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  if (project.user_id !== user.id) {
+    return res.status(403).json({
+      error: "Access denied",
+      message: "You don't have permission to modify this project"
+    });
+  }
+
+  const currentIdeas = Array.isArray(project.story_ideas) ? project.story_ideas : [];
+  const idea = currentIdeas[ideaIndex];
+
+  if (mode === "custom") {
+    if (!premise) {
+      return res.status(400).json({ error: "Write a premise first." });
+    }
+    if (premise.length > MAX_PREMISE_LENGTH) {
+      return res.status(400).json({ error: `Keep the premise under ${MAX_PREMISE_LENGTH} characters.` });
+    }
+  } else if (!idea) {
+    return res.status(400).json({ error: "Pick an idea to build on." });
+  }
+
+  const options = normalizeStoryOptions({ ...project.story_options, ...storyOptions });
+  const moderationContext = { source: "story-ideas", userId: user.id, projectId };
+
+  const inputDecision = await moderateText(
+    userText(project.kid_name, project.kid_interests, options, premise),
+    moderationContext
+  );
+  if (inputDecision.action === "block") {
+    return sendBlocked(res, inputDecision);
+  }
+
+  const generated = await generateIdeas(mode, {
+    name: project.kid_name,
+    interests: project.kid_interests,
+    options,
+    idea,
+    premise,
+  }, { userId: user.id, projectId });
+
+  const newIdeas = await screenIdeas(generated, moderationContext);
+  if (newIdeas.length === 0) {
+    return sendBlocked(res, NO_SAFE_IDEAS);
+  }
+
+  // origin tells the picker where an idea came from; custom ideas keep the
+  // parent's own words for write-story.js
+  const ideas = mode === "custom"
+    ? [{ ...newIdeas[0], origin: "custom", premise }, ...currentIdeas]
+    : [idea, ...newIdeas.map(i => ({ ...i, origin: mode }))];
+
+  const { error: updateError } = await supabase
+    .from("book_projects")
+    .update({ story_ideas: ideas, story_options: options })
+    .eq("id", projectId)
+    .eq("user_id", user.id);
+
+  if (updateError) {
+    console.error("Update failed:", updateError);
+    return res.status(500).json({ error: "Update failed", details: updateError });
+  }
+
+  return res.status(200).json({
+    ideas,
+    projectId,
+    storyOptions: options,
+  });
 }
 
 async function handler(req, res) {
@@ -45,43 +262,42 @@ async function handler(req, res) {
     });
   }
 
-  const { name, interests, projectId } = req.body;
+  const { name, interests, projectId, storyOptions, mode = "new" } = req.body;
+
+  if (REFINE_MODES.includes(mode)) {
+    try {
+      return await refineIdeas(req, res, user);
+    } catch (error) {
+      console.error("Error refining ideas:", error);
+      return res.status(500).json({ error: "Failed to generate story ideas" });
+    }
+  }
+
+  if (mode !== "new") {
+    return res.status(400).json({ error: `Unknown mode: ${mode}` });
+  }
 
   if (!name) {
     return res.status(400).json({ error: "Missing child name" });
   }
 
-  try {
-    const prompt = `
-You are a children's author. Create 5 fun, kid-friendly story ideas.
+  // Saved with the project so write-story.js picks them up
+  const options = normalizeStoryOptions(storyOptions);
+  const moderationContext = { source: "story-ideas", userId: user.id, projectId: projectId || null };
 
-Return ONLY JSON:
-{
-  "ideas": [
-    { "title": "...", "description": "..." }
-  ]
-}
-
-Child:
-- Name: ${name}
-- Interests: ${interests || "not specified"}
-- Age: assume 4–7 years old
-`;
+  try {
+    const inputDecision = await moderateText(userText(name, interests, options), moderationContext);
+    if (inputDecision.action === "block") {
+      return sendBlocked(res, inputDecision);
+    }
 
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      input: prompt
-    });
+    const generated = await generateIdeas("new", { name, interests, options }, { userId: user.id, projectId: projectId || null });
 
-    let raw = response.output_text;
-    if (!raw && response.output?.[0]?.content?.[0]?.text) {
-      raw = response.output[0].content[0].text;
+    const ideas = await screenIdeas(generated, moderationContext);
+    if (ideas.length === 0) {
+      return sendBlocked(res, NO_SAFE_IDEAS);
     }
 
-    // ⭐ CLEAN THE MODEL OUTPUT
-    const cleaned = cleanJsonOutput(raw);
-    const parsed = JSON.parse(cleaned);
-
     let finalProjectId;
 
     // Do we have a candidate projectId?
@@ -113,7 +329,8 @@ Child:
           .update({
             kid_name: name,
             kid_interests: interests,
-            story_ideas: parsed.ideas
+            story_ideas: ideas,
+            story_options: options
           })
           .eq("id", projectId)
           .eq("user_id", user.id) // Extra safety
@@ -140,7 +357,8 @@ Child:
           .insert({
             kid_name: name,
             kid_interests: interests,
-            story_ideas: parsed.ideas,
+            story_ideas: ideas,
+            story_options: options,
             user_id: user.id
           })
           .select("*")
@@ -163,7 +381,8 @@ Child:
         .insert({
           kid_name: name,
           kid_interests: interests,
-          story_ideas: parsed.ideas,
+          story_ideas: ideas,
+          story_options: options,
           user_id: user.id
         })
         .select("*")
@@ -178,8 +397,9 @@ Child:
     }
 
     return res.status(200).json({
-      ideas: parsed.ideas,
-      projectId: finalProjectId
+      ideas,
+      projectId: finalProjectId,
+      storyOptions: options
     });
   } catch (error) {
     console.error("Error generating ideas:", error);
@@ -188,3 +408,4 @@ Child:
 }
 
 module.exports = handler;
+module.exports.generateIdeas = generateIdeas;
@@ -0,0 +1,303 @@
+// api/story-pages.js (CommonJS)
+// Insert, delete and move story pages
+// POST { projectId, operation, ... }
+//   { operation: "insert", position, text } - new page at `position` (1-based)
+//   { operation: "delete", page }
+//   { operation: "move", page, to }
+//   storyPages (optional) - the editor's current text, saved with the operation
+//                           (only while the story is unlocked)
+//
+// Everything keyed by page number or page index moves with its page in one
+// update of the project row: story_json, illustrations (with revision
+// history and scene composition), pinned scene plans, finalized_story_json,
+// story_report, narration clips and the compositor's per-page crop/frame/text
+// settings.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { ACTIVE_JOB_STATUSES } = require("./_generation-jobs.js");
+const { normalizeStoryOptions } = require("./_story-options.js");
+const { buildStoryReport } = require("./_readability.js");
+const { recordStoryVersion } = require("./_story-versions.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Compositor layout settings stored per page index
+const LAYOUT_PAGE_SETTINGS = ["pageCropSettings", "pageFrameSettings", "pageTextSettings"];
+
+/**
+ * New page order as a list of old page numbers (null = inserted page)
+ */
+function buildPageOrder(pageCount, { operation, position, page, to }) {
+  const order = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+  if (operation === "insert") {
+    const at = Math.min(Math.max(1, position), pageCount + 1);
+    order.splice(at - 1, 0, null);
+    return order;
+  }
+
+  if (page < 1 || page > pageCount) {
+    throw Object.assign(new Error(`Page ${page} does not exist`), { status: 400 });
+  }
+
+  if (operation === "delete") {
+    if (pageCount <= 1) {
+      throw Object.assign(new Error("Story must have at least one page"), { status: 400 });
+    }
+    order.splice(page - 1, 1);
+    return order;
+  }
+
+  // move
+  const target = Math.min(Math.max(1, to), pageCount);
+  const [moved] = order.splice(page - 1, 1);
+  order.splice(target - 1, 0, moved);
+  return order;
+}
+
+// Re-key an array of { page, ... } entries; entries for deleted pages are dropped
+function remapByPage(entries, newNumberFor) {
+  if (!Array.isArray(entries)) return entries;
+  return entries
+    .filter(e => newNumberFor.has(Number(e.page)))
+    .map(e => ({ ...e, page: newNumberFor.get(Number(e.page)) }));
+}
+
+// Re-key the compositor's { [pageIndex]: settings } maps
+function remapLayout(layout, newNumberFor, pageCount) {
+  if (!layout || typeof layout !== "object") return layout;
+  const next = { ...layout };
+
+  for (const key of LAYOUT_PAGE_SETTINGS) {
+    const settings = layout[key];
+    if (!settings || typeof settings !== "object") continue;
+    next[key] = {};
+    for (const [index, value] of Object.entries(settings)) {
+      const newNumber = newNumberFor.get(Number(index) + 1);
+      if (newNumber) next[key][newNumber - 1] = value;
+    }
+  }
+
+  if (Number.isInteger(layout.currentPageIndex)) {
+    const newNumber = newNumberFor.get(layout.currentPageIndex + 1);
+    next.currentPageIndex = newNumber ? newNumber - 1 : Math.min(layout.currentPageIndex, pageCount - 1);
+  }
+
+  return next;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit your story"
+    });
+  }
+
+  const { projectId, operation, storyPages } = req.body || {};
+  const position = Number(req.body?.position);
+  const page = Number(req.body?.page);
+  const to = Number(req.body?.to);
+  const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!["insert", "delete", "move"].includes(operation)) {
+    return res.status(400).json({ error: "operation must be insert, delete or move" });
+  }
+
+  if (operation === "insert" && !Number.isInteger(position)) {
+    return res.status(400).json({ error: "Missing position" });
+  }
+
+  if (operation !== "insert" && !Number.isInteger(page)) {
+    return res.status(400).json({ error: "Missing page" });
+  }
+
+  if (operation === "move" && !Number.isInteger(to)) {
+    return res.status(400).json({ error: "Missing target position (to)" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select(`
+        user_id,
+        story_json,
+        story_locked,
+        story_options,
+        illustrations,
+        scene_plans,
+        finalized_story_json,
+        narration,
+        compositor_layout,
+        compositor_layout_version
+      `)
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to modify this project"
+      });
+    }
+
+    const hasEditorText = Array.isArray(storyPages) && storyPages.length > 0;
+
+    if (hasEditorText && project.story_locked === true) {
+      return res.status(400).json({ error: "Story is locked and cannot be edited." });
+    }
+
+    // Finalized stories can't get a blank page - there'd be nothing to illustrate
+    if (operation === "insert" && project.story_locked === true && !text) {
+      return res.status(400).json({ error: "New page needs text" });
+    }
+
+    const moderation = await moderateText(
+      [text, ...(hasEditorText ? storyPages.map(p => p?.text) : [])],
+      { source: "story-pages", userId: user.id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    // A queued or running scene is tied to its page number
+    const { count: activeJobs } = await supabase
+      .from("generation_jobs")
+      .select("id", { count: "exact", head: true })
+      .eq("project_id", projectId)
+      .in("status", ACTIVE_JOB_STATUSES);
+
+    if (activeJobs > 0) {
+      return res.status(409).json({
+        error: "Illustrations are generating",
+        message: "Wait for the queued illustrations to finish (or cancel them) before changing pages.",
+      });
+    }
+
+    const currentPages = hasEditorText ? storyPages : (project.story_json || []);
+
+    let order;
+    try {
+      order = buildPageOrder(currentPages.length, { operation, position, page, to });
+    } catch (err) {
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    // old page number -> new page number
+    const newNumberFor = new Map();
+    order.forEach((oldNumber, i) => {
+      if (oldNumber != null) newNumberFor.set(oldNumber, i + 1);
+    });
+
+    const textByPage = new Map(currentPages.map((p, i) => [i + 1, p.text || ""]));
+    const nextPages = order.map((oldNumber, i) => ({
+      page: i + 1,
+      text: oldNumber == null ? text : textByPage.get(oldNumber),
+    }));
+
+    const layoutChanged = !!project.compositor_layout;
+    const update = {
+      story_json: nextPages,
+      illustrations: remapByPage(project.illustrations || [], newNumberFor),
+      story_report: buildStoryReport(nextPages, normalizeStoryOptions(project.story_options)),
+    };
+
+    if (project.scene_plans) {
+      update.scene_plans = remapByPage(project.scene_plans, newNumberFor);
+    }
+
+    if (project.finalized_story_json) {
+      update.finalized_story_json = remapByPage(project.finalized_story_json, newNumberFor);
+    }
+
+    if (project.narration?.clips) {
+      update.narration = { ...project.narration, clips: remapByPage(project.narration.clips, newNumberFor) };
+    }
+
+    if (layoutChanged) {
+      update.compositor_layout = remapLayout(project.compositor_layout, newNumberFor, nextPages.length);
+      // Invalidates layouts open in other tabs - their page indexes are now wrong
+      update.compositor_layout_version = (project.compositor_layout_version || 0) + 1;
+    }
+
+    // Conditional on the layout version so a concurrent layout save isn't lost
+    let query = supabase
+      .from("book_projects")
+      .update(update)
+      .eq("id", projectId);
+
+    if (layoutChanged) {
+      query = project.compositor_layout_version == null
+        ? query.is("compositor_layout_version", null)
+        : query.eq("compositor_layout_version", project.compositor_layout_version);
+    }
+
+    const { data: updated, error: updateError } = await query
+      .select("id, story_json, illustrations, scene_plans, story_report, finalized_story_json, narration, compositor_layout_version")
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("STORY-PAGES ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to update pages." });
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        error: "Layout changed",
+        message: "The book layout was just saved somewhere else. Please try again.",
+      });
+    }
+
+    await recordStoryVersion({
+      projectId,
+      userId: user.id,
+      storyPages: updated.story_json,
+      source: "user",
+      reason: "pages",
+    });
+
+    return res.status(200).json({
+      projectId: updated.id,
+      operation,
+      story_json: updated.story_json,
+      illustrations: updated.illustrations || [],
+      scene_plans: updated.scene_plans || [],
+      story_report: updated.story_report,
+      finalized_story_json: updated.finalized_story_json,
+      narration: updated.narration,
+      compositor_layout_version: updated.compositor_layout_version,
+      moderation: publicDecision(moderation),
+    });
+
+  } catch (err) {
+    console.error("STORY-PAGES ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to update pages.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "2mb" } },
+};
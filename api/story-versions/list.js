@@ -0,0 +1,82 @@
+// api/story-versions/list.js
+// Version history of a project's story, newest first
+// GET ?projectId=<id>
+// Versions include their pages so the editor can diff them without another request
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const { toClientVersion } = require("../_story-versions.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Enough for any realistic editing session; older versions stay in the table
+const MAX_VERSIONS = 100;
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in",
+    });
+  }
+
+  const { projectId } = req.query || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, story_locked")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to access this project",
+      });
+    }
+
+    const { data: versions, error } = await supabase
+      .from("story_versions")
+      .select("*")
+      .eq("project_id", projectId)
+      .order("version_number", { ascending: false })
+      .limit(MAX_VERSIONS);
+
+    if (error) {
+      throw new Error(`Failed to load story versions: ${error.message}`);
+    }
+
+    return res.status(200).json({
+      versions: (versions || []).map(toClientVersion),
+      // Restoring is only allowed until the story is finalized
+      canRestore: project.story_locked !== true,
+    });
+
+  } catch (err) {
+    console.error("STORY VERSIONS ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to load story versions",
+      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,146 @@
+// api/story-versions/restore.js
+// Restore an earlier version of a project's story as the current draft
+// POST { projectId, versionId }
+// Only while the story is unlocked (before finalize-story.js). The restore is
+// itself recorded as a new version, so it can be undone the same way.
+// A version with a different number of pages is refused once illustrations,
+// scene plans, narration or layout settings are keyed to the current pages:
+// there's no telling which old page each of them belongs to. Insert or delete
+// pages (api/story-pages.js) first so they move with their pages.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("../_auth.js");
+const { normalizeStoryOptions } = require("../_story-options.js");
+const { buildStoryReport } = require("../_readability.js");
+const { recordStoryVersion, toClientVersion } = require("../_story-versions.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Compositor layout settings stored per page index (see api/story-pages.js)
+const LAYOUT_PAGE_SETTINGS = ["pageCropSettings", "pageFrameSettings", "pageTextSettings"];
+
+const hasEntries = (value) => Array.isArray(value)
+  ? value.length > 0
+  : !!value && typeof value === "object" && Object.keys(value).length > 0;
+
+// Whether anything besides the text is tied to the current page numbers
+function hasPageData(project) {
+  return hasEntries(project.illustrations)
+    || hasEntries(project.scene_plans)
+    || hasEntries(project.finalized_story_json)
+    || hasEntries(project.narration?.clips)
+    || LAYOUT_PAGE_SETTINGS.some(key => hasEntries(project.compositor_layout?.[key]));
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit your story",
+    });
+  }
+
+  const { projectId, versionId } = req.body || {};
+
+  if (!projectId || !versionId) {
+    return res.status(400).json({ error: "Missing projectId or versionId" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, story_json, story_locked, story_options, illustrations, scene_plans, finalized_story_json, narration, compositor_layout")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to modify this project",
+      });
+    }
+
+    if (project.story_locked === true) {
+      return res.status(400).json({
+        error: "Story is locked and cannot be edited.",
+      });
+    }
+
+    const { data: version, error: versionError } = await supabase
+      .from("story_versions")
+      .select("*")
+      .eq("id", versionId)
+      .eq("project_id", projectId)
+      .single();
+
+    if (versionError || !version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    const storyPages = version.story_json || [];
+    const currentPageCount = (project.story_json || []).length;
+
+    if (storyPages.length !== currentPageCount && hasPageData(project)) {
+      return res.status(409).json({
+        error: "Page count differs",
+        message: `Version ${version.version_number} has ${storyPages.length} pages and the story now has ${currentPageCount}. Add or remove pages first so illustrations stay on their pages.`,
+      });
+    }
+    const storyReport = buildStoryReport(storyPages, normalizeStoryOptions(project.story_options));
+
+    const { data: updated, error: updateError } = await supabase
+      .from("book_projects")
+      .update({
+        story_json: storyPages,
+        story_locked: false,
+        story_report: storyReport,
+      })
+      .eq("id", projectId)
+      .select("id, story_json, story_locked, story_report")
+      .single();
+
+    if (updateError) {
+      console.error("RESTORE-STORY ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to restore story." });
+    }
+
+    const restored = await recordStoryVersion({
+      projectId,
+      userId: user.id,
+      storyPages,
+      source: "user",
+      reason: "restore",
+      restoredFrom: version.id,
+    });
+
+    return res.status(200).json({
+      projectId: updated.id,
+      story_json: updated.story_json,
+      story_locked: updated.story_locked,
+      story_report: updated.story_report,
+      version: restored ? toClientVersion(restored) : null,
+    });
+
+  } catch (err) {
+    console.error("RESTORE-STORY ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to restore story.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,266 @@
+// api/translate-book.js (CommonJS)
+// Creates a translated edition of a book
+// POST { projectId, language, preserveRhyme }
+//   preserveRhyme - keep rhyming verse rhyming in the new language
+//                   (defaults to on for rhyming stories)
+//
+// The edition is a new book_projects row linked back through
+// source_project_id. It gets translated story_json and title, and reuses the
+// source's illustrations, art style, characters, registries and layout as-is -
+// nothing is regenerated. Special pages are copied untranslated for the user
+// to edit. The translated title and pages are screened by api/_moderation.js
+// before the edition is saved.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { generateJson } = require("./_llm.js");
+const { LANGUAGES, getLanguage } = require("./_languages.js");
+const { normalizeStoryOptions } = require("./_story-options.js");
+const { buildStoryReport } = require("./_readability.js");
+const { recordStoryVersion } = require("./_story-versions.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Page count is pinned per request so a page can't be merged or split -
+// each translated page has to sit under the same illustration
+function translationSchema(pageCount) {
+  return {
+    type: "object",
+    required: ["title", "story"],
+    properties: {
+      title: { type: "string", minLength: 1 },
+      story: {
+        type: "array",
+        minItems: pageCount,
+        maxItems: pageCount,
+        items: {
+          type: "object",
+          required: ["page", "text"],
+          properties: {
+            page: { type: "integer", minimum: 1 },
+            text: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+  };
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to translate your book"
+    });
+  }
+
+  const { projectId, language } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  if (!LANGUAGES[language]) {
+    return res.status(400).json({
+      error: "Invalid language",
+      message: `language must be one of: ${Object.keys(LANGUAGES).join(", ")}`
+    });
+  }
+
+  try {
+    const { data: source, error: sourceError } = await supabase
+      .from("book_projects")
+      .select(`
+        id,
+        user_id,
+        source_project_id,
+        kid_name,
+        kid_interests,
+        selected_idea,
+        story_json,
+        story_locked,
+        story_options,
+        finalized_story_json,
+        illustrations,
+        character_model_url,
+        character_models,
+        context_registry,
+        props_registry,
+        compositor_layout,
+        special_pages,
+        art_style
+      `)
+      .eq("id", projectId)
+      .single();
+
+    if (sourceError || !source) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (source.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to translate this project"
+      });
+    }
+
+    const pages = source.story_json || [];
+    if (pages.length === 0) {
+      return res.status(400).json({ error: "Write the story before translating it." });
+    }
+
+    // Mid-edit text may not match the illustrations the edition would reuse
+    if (source.finalized_story_json) {
+      return res.status(409).json({
+        error: "Story is being edited",
+        message: "Finalize the story again before translating it.",
+      });
+    }
+
+    const options = normalizeStoryOptions(source.story_options);
+    if (options.language === language) {
+      return res.status(400).json({ error: `This book is already in ${getLanguage(language).englishName}.` });
+    }
+
+    const preserveRhyme = typeof req.body?.preserveRhyme === "boolean"
+      ? req.body.preserveRhyme
+      : options.style === "rhyming";
+
+    const from = getLanguage(options.language);
+    const to = getLanguage(language);
+
+    const prompt = `
+You are translating a children's picture book from ${from.englishName} into ${to.englishName} (${to.label}).
+
+BOOK:
+- Title: ${source.selected_idea?.title || "Untitled"}
+- Main character: ${source.kid_name || "the child"}
+
+PAGES:
+${pages.map(p => `Page ${p.page}: ${p.text}`).join("\n")}
+
+RULES:
+- Translate every page separately. Keep exactly ${pages.length} pages in the same order - each page sits under the same illustration, so what happens on a page must stay on that page.
+- Keep character names as they are.
+- Write natural, idiomatic ${to.englishName} for a native-speaking child at the same reading level.
+${preserveRhyme
+  ? "- Keep it rhyming verse with a steady rhythm in " + to.englishName + ". Rhyme and rhythm matter more than word-for-word accuracy, but keep every event and detail a picture might show."
+  : "- Translate as prose (no rhyming needed), staying close to the meaning of each page."}
+- Translate the title too.
+
+Return ONLY JSON:
+{
+  "title": "...",
+  "story": [
+    { "page": 1, "text": "..." }
+  ]
+}
+`;
+
+    const { data: translated } = await generateJson({
+      name: "translate-book",
+      model: "gpt-4.1-mini",
+      prompt,
+      schema: translationSchema(pages.length),
+      context: { projectId, userId: user.id },
+    });
+
+    // Page numbers come from the source, not the model
+    const storyPages = pages.map((p, i) => ({ page: p.page, text: translated.story[i].text.trim() }));
+    const textByPage = new Map(storyPages.map(p => [Number(p.page), p.text]));
+
+    const moderation = await moderateText(
+      [translated.title, ...storyPages.map(p => p.text)],
+      { source: "translate-book", userId: user.id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
+    const editionOptions = {
+      ...options,
+      language,
+      style: preserveRhyme ? options.style : "prose",
+    };
+
+    // page_text is what finalize-story.js compares against to flag changed pages,
+    // so it has to be in the edition's language
+    const illustrations = (source.illustrations || []).map(illus => (
+      illus.page_text != null && textByPage.has(Number(illus.page))
+        ? { ...illus, page_text: textByPage.get(Number(illus.page)) }
+        : illus
+    ));
+
+    const { data: edition, error: insertError } = await supabase
+      .from("book_projects")
+      .insert({
+        user_id: user.id,
+        // Editions of editions all point at the original book
+        source_project_id: source.source_project_id || source.id,
+        kid_name: source.kid_name,
+        kid_interests: source.kid_interests,
+        selected_idea: { ...(source.selected_idea || {}), title: translated.title.trim() },
+        story_json: storyPages,
+        story_locked: source.story_locked === true,
+        story_options: editionOptions,
+        story_report: buildStoryReport(storyPages, normalizeStoryOptions(editionOptions)),
+        illustrations,
+        character_model_url: source.character_model_url,
+        character_models: source.character_models,
+        context_registry: source.context_registry,
+        props_registry: source.props_registry,
+        compositor_layout: source.compositor_layout,
+        special_pages: source.special_pages,
+        art_style: source.art_style,
+      })
+      .select("id, source_project_id, selected_idea, story_json, story_options, story_report")
+      .single();
+
+    if (insertError) {
+      console.error("TRANSLATE-BOOK ERROR:", insertError);
+      return res.status(500).json({ error: "Failed to save translated edition." });
+    }
+
+    await recordStoryVersion({
+      projectId: edition.id,
+      userId: user.id,
+      storyPages: edition.story_json,
+      source: "ai",
+      reason: "translate",
+    });
+
+    return res.status(200).json({
+      projectId: edition.id,
+      sourceProjectId: edition.source_project_id,
+      language,
+      preserveRhyme,
+      selected_idea: edition.selected_idea,
+      story_json: edition.story_json,
+      story_options: edition.story_options,
+      story_report: edition.story_report,
+      moderation: publicDecision(moderation),
+    });
+
+  } catch (err) {
+    console.error("TRANSLATE-BOOK ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to translate book.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: { sizeLimit: "2mb" } },
+};
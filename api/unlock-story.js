@@ -0,0 +1,113 @@
+// api/unlock-story.js (CommonJS)
+// Unlocks a finalized story so its text can be edited again
+// Keeps a copy of the finalized text in finalized_story_json; when the story
+// is finalized again, finalize-story.js uses it to re-extract only what's new
+// and to flag illustrations whose page text changed.
+
+const { createClient } = require("@supabase/supabase-js");
+const { getCurrentUser } = require("./_auth.js");
+const { ACTIVE_JOB_STATUSES } = require("./_generation-jobs.js");
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { user, error: authError } = await getCurrentUser(req, res);
+
+  if (!user) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: authError || "Please log in to edit your story"
+    });
+  }
+
+  const { projectId } = req.body || {};
+
+  if (!projectId) {
+    return res.status(400).json({ error: "Missing projectId" });
+  }
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from("book_projects")
+      .select("user_id, story_json, story_locked, illustrations, finalized_story_json")
+      .eq("id", projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (project.user_id !== user.id) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You don't have permission to modify this project"
+      });
+    }
+
+    // Already unlocked - nothing to do
+    if (project.finalized_story_json) {
+      return res.status(200).json({
+        projectId,
+        story_locked: false,
+        finalized_story_json: project.finalized_story_json,
+      });
+    }
+
+    // Legacy projects count as finalized once they have illustrations
+    const hasIllustrations = Array.isArray(project.illustrations) && project.illustrations.length > 0;
+    if (project.story_locked !== true && !hasIllustrations) {
+      return res.status(400).json({ error: "Story is not finalized." });
+    }
+
+    // Illustrations in flight would be drawn from text that's about to change
+    const { count: activeJobs } = await supabase
+      .from("generation_jobs")
+      .select("id", { count: "exact", head: true })
+      .eq("project_id", projectId)
+      .in("status", ACTIVE_JOB_STATUSES);
+
+    if (activeJobs > 0) {
+      return res.status(409).json({
+        error: "Illustrations are generating",
+        message: "Wait for the queued illustrations to finish (or cancel them) before editing the story.",
+      });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from("book_projects")
+      .update({
+        story_locked: false,
+        finalized_story_json: project.story_json || [],
+      })
+      .eq("id", projectId)
+      .select("id, story_locked, finalized_story_json")
+      .single();
+
+    if (updateError) {
+      console.error("UNLOCK-STORY ERROR:", updateError);
+      return res.status(500).json({ error: "Failed to unlock story." });
+    }
+
+    return res.status(200).json({
+      projectId: updated.id,
+      story_locked: false,
+      finalized_story_json: updated.finalized_story_json,
+    });
+
+  } catch (err) {
+    console.error("UNLOCK-STORY ERROR:", err);
+    return res.status(500).json({
+      error: "Failed to unlock story.",
+      details: err.message,
+    });
+  }
+}
+
+module.exports = handler;
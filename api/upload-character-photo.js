@@ -3,6 +3,7 @@
 
 import { createClient } from "@supabase/supabase-js";
 import { uploadToR2 } from "./_r2.js";
+import { moderateText, moderateImage, sendBlocked } from "./_moderation.js";
 
 const DEV_MODE = process.env.DEV_MODE === "true";
 // placehold.co returns SVG by default - use .png extension to force PNG format
@@ -83,6 +84,23 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const moderationContext = { source: "upload-character-photo", projectId };
+
+    const nameModeration = await moderateText(characterName, moderationContext);
+    if (nameModeration.action === "block") {
+      return sendBlocked(res, nameModeration);
+    }
+
+    if (fileBuffer) {
+      const photoModeration = await moderateImage(
+        { buffer: fileBuffer, mimeType: fileInfo.mimeType },
+        moderationContext
+      );
+      if (photoModeration.action === "block") {
+        return sendBlocked(res, photoModeration);
+      }
+    }
+
     const characterKey = generateCharacterKey(characterName);
     
     let photoUrl;
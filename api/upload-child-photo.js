@@ -1,5 +1,6 @@
 import { createClient } from "@supabase/supabase-js";
 import { uploadToR2 } from "./_r2.js";
+import { moderateImage, sendBlocked } from "./_moderation.js";
 
 // Supabase client (for database operations)
 const supabase = createClient(
@@ -60,6 +61,14 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const moderation = await moderateImage(
+      { buffer: fileBuffer, mimeType: fileInfo.mimeType },
+      { source: "upload-child-photo", projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
+
     const ext = fileInfo.filename.split(".").pop();
     const filePath = `source_photos/${projectId}.${ext}`;
 
@@ -5,6 +5,7 @@
 
 import { createClient } from "@supabase/supabase-js";
 import { uploadToR2 } from "./_r2.js";
+import { moderateText, moderateImage, sendBlocked } from "./_moderation.js";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -80,6 +81,21 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
+    const moderationContext = { source: "upload-prop-photo", projectId };
+
+    const nameModeration = await moderateText(propName, moderationContext);
+    if (nameModeration.action === "block") {
+      return sendBlocked(res, nameModeration);
+    }
+
+    const photoModeration = await moderateImage(
+      { buffer: fileBuffer, mimeType: fileInfo.mimeType },
+      moderationContext
+    );
+    if (photoModeration.action === "block") {
+      return sendBlocked(res, photoModeration);
+    }
+
     // Use provided key or generate from name
     const finalPropKey = propKey || generatePropKey(propName);
     
@@ -1,12 +1,13 @@
 // api/write-story.js (CommonJS)
 // Generates the story text only - context extraction happens in finalize-story.js
+// The generated story is screened by api/_moderation.js before it is saved.
 
-const OpenAI = require("openai");
 const { createClient } = require("@supabase/supabase-js");
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { generateJson } = require("./_llm.js");
+const { normalizeStoryOptions, describeStoryOptions } = require("./_story-options.js");
+const { buildStoryReport } = require("./_readability.js");
+const { recordStoryVersion } = require("./_story-versions.js");
+const { moderateText, publicDecision, sendBlocked } = require("./_moderation.js");
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -14,24 +15,70 @@ const supabase = createClient(
 );
 
 /* -------------------------------------------------
-   Helpers
+   Output schema
 ------------------------------------------------- */
 
-function cleanJsonOutput(text) {
-  if (!text) return text;
+const STORY_SCHEMA = {
+  type: "object",
+  required: ["story"],
+  properties: {
+    story: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["page", "text"],
+        properties: {
+          page: { type: "integer", minimum: 1 },
+          text: { type: "string", minLength: 1 },
+        },
+      },
+    },
+  },
+};
 
-  text = text.replace(/```json/gi, "");
-  text = text.replace(/```/g, "");
-  text = text.trim();
+/* -------------------------------------------------
+   Story generation
+------------------------------------------------- */
 
-  const firstBrace = text.indexOf("{");
-  const lastBrace = text.lastIndexOf("}");
+/**
+ * Write the pages of a picture book for a story idea
+ * @returns {Promise<Array<{page: number, text: string}>>}
+ */
+async function writeStoryPages({ idea, options, kidName, kidInterests, projectId = null }) {
+  const storyPrompt = `
+You are a children's author writing a picture book.
 
-  if (firstBrace === -1 || lastBrace === -1) {
-    throw new Error("No JSON object found in model output.");
-  }
+BOOK:
+${describeStoryOptions(options)}
+
+CHILD:
+- Name: ${kidName}
+- Interests: ${kidInterests || "not specified"}
 
-  return text.substring(firstBrace, lastBrace + 1);
+STORY IDEA:
+- Title: ${idea.title}
+- Description: ${idea.description}
+${idea.premise ? `- The parent's own premise (follow it closely): ${idea.premise}\n` : ""}
+Return ONLY JSON:
+
+{
+  "story": [
+    { "page": 1, "text": "..." }
+  ]
+}
+
+The "story" array must have exactly ${options.pageCount} entries.
+`;
+
+  const { data: parsed } = await generateJson({
+    name: "write-story",
+    model: "gpt-4.1-mini",
+    prompt: storyPrompt,
+    schema: STORY_SCHEMA,
+    context: { projectId },
+  });
+  return parsed.story;
 }
 
 /* -------------------------------------------------
@@ -43,7 +90,9 @@ async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { projectId, selectedIdeaIndex, selectedIdea } = req.body;
+  // storyOptions: { ageBand, pageCount, style, tone, readingLevel, lesson, occasion, ... } - overrides
+  // what the project already has saved (see api/_story-options.js)
+  const { projectId, selectedIdeaIndex, selectedIdea, storyOptions } = req.body;
 
   if (!projectId) {
     return res.status(400).json({ error: "Missing projectId" });
@@ -55,7 +104,7 @@ async function handler(req, res) {
     --------------------------------------------- */
     const { data: project, error: projectError } = await supabase
       .from("book_projects")
-      .select("kid_name, kid_interests, story_ideas")
+      .select("user_id, kid_name, kid_interests, story_ideas, story_options")
       .eq("id", projectId)
       .single();
 
@@ -64,6 +113,7 @@ async function handler(req, res) {
     }
 
     const { kid_name, kid_interests, story_ideas } = project;
+    const options = normalizeStoryOptions({ ...project.story_options, ...storyOptions });
 
     /* ---------------------------------------------
        2. Resolve idea
@@ -89,41 +139,33 @@ async function handler(req, res) {
     /* ---------------------------------------------
        3. Generate story
     --------------------------------------------- */
-    const storyPrompt = `
-You are a children's author writing a short, rhyming picture book
-for a child aged 4–7.
-
-CHILD:
-- Name: ${kid_name}
-- Interests: ${kid_interests || "not specified"}
-
-STORY IDEA:
-- Title: ${ideaToUse.title}
-- Description: ${ideaToUse.description}
-
-Return ONLY JSON:
-
-{
-  "story": [
-    { "page": 1, "text": "..." }
-  ]
-}
-`;
-
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      input: storyPrompt,
+    const storyPages = await writeStoryPages({
+      idea: ideaToUse,
+      options,
+      kidName: kid_name,
+      kidInterests: kid_interests,
+      projectId,
     });
 
-    const raw =
-      response.output_text ??
-      response.output?.[0]?.content?.[0]?.text;
+    const moderation = await moderateText(
+      [ideaToUse.title, ideaToUse.description, ...storyPages.map(p => p.text)],
+      { source: "write-story", userId: project.user_id, projectId }
+    );
+    if (moderation.action === "block") {
+      return sendBlocked(res, moderation);
+    }
 
-    const parsed = JSON.parse(cleanJsonOutput(raw));
-    const storyPages = parsed.story;
+    /* ---------------------------------------------
+       4. Check length and readability
+    --------------------------------------------- */
+    const storyReport = buildStoryReport(storyPages, options);
+
+    if (storyReport.actualPageCount !== options.pageCount) {
+      console.warn(`WRITE-STORY: asked for ${options.pageCount} pages, got ${storyReport.actualPageCount}`);
+    }
 
     /* ---------------------------------------------
-       4. Save story as draft (no context yet)
+       5. Save story as draft (no context yet)
     --------------------------------------------- */
     const { data: updated, error: updateError } = await supabase
       .from("book_projects")
@@ -131,6 +173,8 @@ Return ONLY JSON:
         selected_idea: ideaToUse,
         story_json: storyPages,
         story_locked: false, // Mark as editable
+        story_options: options,
+        story_report: storyReport,
       })
       .eq("id", projectId)
       .select("*")
@@ -140,14 +184,25 @@ Return ONLY JSON:
       return res.status(500).json({ error: "Failed to save story." });
     }
 
+    await recordStoryVersion({
+      projectId,
+      userId: project.user_id,
+      storyPages: updated.story_json,
+      source: "ai",
+      reason: "generate",
+    });
+
     /* ---------------------------------------------
-       5. Respond with draft story
+       6. Respond with draft story
     --------------------------------------------- */
     return res.status(200).json({
       projectId: updated.id,
       story_json: updated.story_json,
       selected_idea: updated.selected_idea,
       story_locked: false,
+      story_options: updated.story_options,
+      story_report: updated.story_report,
+      moderation: publicDecision(moderation),
     });
 
   } catch (err) {
@@ -160,6 +215,7 @@ Return ONLY JSON:
 }
 
 module.exports = handler;
+module.exports.writeStoryPages = writeStoryPages;
 module.exports.config = {
   api: { bodyParser: { sizeLimit: "2mb" } },
 };
\ No newline at end of file
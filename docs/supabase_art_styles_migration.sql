@@ -0,0 +1,22 @@
+-- ============================================
+-- SUPABASE ART STYLES MIGRATION
+-- Kids Book Creator - Per-Book Illustration Style
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.ART_STYLE
+-- ============================================
+-- The book's illustration style, saved by api/art-style.js:
+--   {
+--     "id": "watercolor",
+--     "reference_url": "https://...",
+--     "previews": {"watercolor": "https://...", "crayon": "https://..."}
+--   }
+-- "id" is a key of shared/art-styles.json. Scene and character-model prompts
+-- use its bullets; "reference_url" (optional) is sent along as a look-only
+-- reference image. "previews" are gallery samples, kept per style.
+-- NULL means the default style ("soft-pastel"), the look every book had
+-- before styles were added.
+
+alter table public.book_projects
+    add column if not exists art_style jsonb;
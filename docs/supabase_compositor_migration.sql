@@ -0,0 +1,18 @@
+-- ============================================
+-- SUPABASE COMPOSITOR LAYOUT MIGRATION
+-- Kids Book Creator - Persisted Book Layouts
+-- ============================================
+
+-- ============================================
+-- 1. ADD LAYOUT COLUMNS TO BOOK_PROJECTS
+-- ============================================
+-- compositor_layout holds the full compositor document:
+--   template choice, global customizations, page size, A/B pattern mode
+--   and the per-page crop / frame / text adjustments.
+-- compositor_layout_version is bumped on every save and used for
+-- optimistic concurrency (a save must name the version it was based on).
+
+alter table public.book_projects
+    add column if not exists compositor_layout jsonb default null,
+    add column if not exists compositor_layout_version integer not null default 0,
+    add column if not exists compositor_layout_updated_at timestamp with time zone;
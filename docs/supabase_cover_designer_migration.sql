@@ -0,0 +1,15 @@
+-- ============================================
+-- SUPABASE COVER DESIGNER MIGRATION
+-- Kids Book Creator - Compositor Cover Designer
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.PRINT_COVER_SPEC
+-- ============================================
+-- Geometry the designed cover wrap (print_cover_image) was rendered for:
+-- { sizeCode, pageCount, width, height, trimWidth, trimHeight, margin, spineWidth, source }
+-- generateCoverPdf only uses print_cover_image when this still matches the order.
+-- NULL means print_cover_image is a legacy single-page render and is ignored.
+
+alter table public.book_projects
+    add column if not exists print_cover_spec jsonb;
@@ -0,0 +1,30 @@
+-- ============================================
+-- SUPABASE EXPORT DOWNLOADS MIGRATION
+-- Kids Book Creator - Server-Enforced Ebook Downloads
+-- ============================================
+
+-- ============================================
+-- 1. EXPORT_DOWNLOADS TABLE
+-- ============================================
+-- One row per download handed out by /api/exports/download.
+-- book_exports.download_count is the enforced counter; this table is the audit trail.
+
+create table public.export_downloads (
+    id uuid default gen_random_uuid() primary key,
+    export_id uuid references public.book_exports(id) on delete cascade not null,
+    user_id uuid references auth.users(id) on delete cascade not null,
+    file_path text not null, -- R2 key of the file that was signed
+    ip_address text,
+    user_agent text,
+    created_at timestamp with time zone default now()
+);
+
+create index idx_export_downloads_export_id on public.export_downloads(export_id);
+create index idx_export_downloads_user_id on public.export_downloads(user_id);
+
+-- RLS: Users can only see their own downloads (writes go through the service role)
+alter table public.export_downloads enable row level security;
+
+create policy "Users can view their own downloads"
+    on public.export_downloads for select
+    using (auth.uid() = user_id);
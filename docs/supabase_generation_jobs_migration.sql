@@ -0,0 +1,58 @@
+-- ============================================
+-- SUPABASE GENERATION JOBS MIGRATION
+-- Kids Book Creator - Server-Side Scene Generation Queue
+-- ============================================
+-- Scene generation used to run inside a single /api/generate-scene request
+-- driven by a queue in the browser, so closing the tab lost the queue.
+-- Jobs now live here; /api/generation-jobs/* enqueues, reports and cancels
+-- them, and /api/cron/process-generation-jobs works through them.
+
+-- ============================================
+-- 1. GENERATION_JOBS TABLE
+-- ============================================
+-- status: queued -> running -> complete | failed | cancelled
+-- A failed attempt goes back to 'queued' with run_after pushed out until
+-- attempts reaches max_attempts. Safety rejections are never retried.
+-- batch_id groups the pages enqueued together (e.g. "generate all") so the
+-- client can show "3 of 12" progress.
+
+create table public.generation_jobs (
+    id uuid default gen_random_uuid() primary key,
+    user_id uuid references auth.users(id) on delete cascade not null,
+    project_id uuid references public.book_projects(id) on delete cascade not null,
+    project_title text,
+    batch_id uuid not null,
+    page integer not null,
+    page_text text not null,
+    is_regeneration boolean not null default false,
+    shot_type_override text,
+    status text not null default 'queued'
+        check (status in ('queued', 'running', 'complete', 'failed', 'cancelled')),
+    attempts integer not null default 0,
+    max_attempts integer not null default 3,
+    run_after timestamp with time zone not null default now(),
+    locked_at timestamp with time zone, -- when a worker claimed it; stale locks are re-queued
+    result jsonb, -- { image_url, revisions, revision_history } on completion
+    error text,
+    safety_rejection boolean not null default false,
+    created_at timestamp with time zone default now(),
+    updated_at timestamp with time zone default now(),
+    completed_at timestamp with time zone
+);
+
+create index idx_generation_jobs_user_id on public.generation_jobs(user_id);
+create index idx_generation_jobs_project_id on public.generation_jobs(project_id);
+create index idx_generation_jobs_batch_id on public.generation_jobs(batch_id);
+create index idx_generation_jobs_pending on public.generation_jobs(run_after)
+    where status = 'queued';
+
+-- Only one active job per page
+create unique index idx_generation_jobs_active_page on public.generation_jobs(project_id, page)
+    where status in ('queued', 'running');
+
+-- RLS: Users can only see their own jobs (writes go through the service role)
+alter table public.generation_jobs enable row level security;
+
+create policy "Users can view their own generation jobs"
+    on public.generation_jobs for select
+    using (auth.uid() = user_id);
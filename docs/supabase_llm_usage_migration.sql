@@ -0,0 +1,33 @@
+-- ============================================
+-- SUPABASE LLM USAGE MIGRATION
+-- Kids Book Creator - Text Generation Token & Cost Accounting
+-- ============================================
+
+-- ============================================
+-- 1. LLM_USAGE TABLE
+-- ============================================
+-- One row per api/_llm.js generateJson() call (first answer + any repairs).
+-- cost_usd is an estimate from MODEL_PRICING in api/_llm.js; NULL for
+-- models without a price entry. Replayed fixtures are not recorded.
+
+create table public.llm_usage (
+    id uuid default gen_random_uuid() primary key,
+    call_name text not null, -- e.g. 'story-ideas', 'scene-composition'
+    model text not null,
+    provider text not null, -- 'openai' | 'record'
+    project_id uuid references public.book_projects(id) on delete set null,
+    user_id uuid references auth.users(id) on delete set null,
+    input_tokens integer not null default 0,
+    output_tokens integer not null default 0,
+    cost_usd numeric(10, 6),
+    attempts integer not null default 1, -- > 1 means the output needed repair
+    succeeded boolean not null default true, -- false when the call fell back or failed
+    created_at timestamp with time zone default now()
+);
+
+create index idx_llm_usage_created_at on public.llm_usage(created_at);
+create index idx_llm_usage_project_id on public.llm_usage(project_id);
+create index idx_llm_usage_call_name on public.llm_usage(call_name);
+
+-- RLS: service role only (internal accounting)
+alter table public.llm_usage enable row level security;
@@ -0,0 +1,40 @@
+-- ============================================
+-- SUPABASE MODERATION MIGRATION
+-- Kids Book Creator - Content Safety Decisions & Admin Review
+-- ============================================
+
+-- ============================================
+-- 1. MODERATION_EVENTS TABLE
+-- ============================================
+-- One row per flag or block decision from api/_moderation.js. Allowed
+-- content is not recorded. Blocked content was never saved, so excerpt
+-- (first 500 characters of text) is the only copy; images that were
+-- already stored keep their URL in content_url.
+-- review_status is set from the admin dashboard (api/admin/moderation.js).
+
+create table public.moderation_events (
+    id uuid default gen_random_uuid() primary key,
+    kind text not null check (kind in ('text', 'image')),
+    source text not null, -- endpoint, e.g. 'story-ideas', 'generate-scene'
+    action text not null check (action in ('flag', 'block')),
+    categories text[] not null default '{}',
+    reason text, -- shown to the parent
+    provider text not null, -- 'local' | 'openai' | 'local+openai'
+    excerpt text,
+    content_url text,
+    project_id uuid references public.book_projects(id) on delete set null,
+    user_id uuid references auth.users(id) on delete set null,
+    review_status text not null default 'pending'
+        check (review_status in ('pending', 'approved', 'rejected')),
+    review_note text,
+    reviewed_by text, -- admin email
+    reviewed_at timestamp with time zone,
+    created_at timestamp with time zone default now()
+);
+
+create index idx_moderation_events_created_at on public.moderation_events(created_at);
+create index idx_moderation_events_review_status on public.moderation_events(review_status);
+create index idx_moderation_events_project_id on public.moderation_events(project_id);
+
+-- RLS: service role only (admin review)
+alter table public.moderation_events enable row level security;
@@ -0,0 +1,25 @@
+-- ============================================
+-- SUPABASE NARRATION MIGRATION
+-- Kids Book Creator - Read-Aloud Audio
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.NARRATION
+-- ============================================
+-- One audio clip per story page, saved by api/narration.js:
+--   {
+--     "voice": "coral",
+--     "clips": [
+--       {"page": 1, "audio_url": "https://...", "source": "tts", "voice": "coral",
+--        "text": "Once upon a time...", "mime_type": "audio/mpeg",
+--        "duration_seconds": null, "created_at": "..."},
+--       {"page": 2, "audio_url": "https://...", "source": "recorded", "voice": null, ...}
+--     ]
+--   }
+-- "voice" is the book's default TTS voice (shared/narration-voices.json).
+-- A clip whose "text" no longer matches the page was made before an edit.
+-- Page insert/delete/move (api/story-pages.js) renumbers clips with their pages.
+-- NULL means no narration yet.
+
+alter table public.book_projects
+    add column if not exists narration jsonb;
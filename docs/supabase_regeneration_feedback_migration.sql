@@ -0,0 +1,32 @@
+-- ============================================
+-- SUPABASE REGENERATION FEEDBACK MIGRATION
+-- Kids Book Creator - "What Should Change" on Regenerated Illustrations
+-- ============================================
+-- When regenerating a page the user can say what was wrong: toggles for a
+-- wrong character look, a missing character, the wrong time of day or the
+-- wrong location, plus free text. api/_regeneration-feedback.js defines the
+-- toggles and folds the feedback into the scene analysis and image prompt.
+
+-- ============================================
+-- 1. GENERATION_JOBS.FEEDBACK
+-- ============================================
+-- Queued with the regeneration so the worker can pass it on:
+--   {"issues": ["time_of_day", "location"], "notes": "it should be at the beach"}
+-- NULL for first-time generations and regenerations without feedback.
+
+alter table public.generation_jobs
+    add column if not exists feedback jsonb;
+
+-- ============================================
+-- 2. BOOK_PROJECTS.ILLUSTRATIONS (no schema change)
+-- ============================================
+-- The illustration made from a regeneration keeps the feedback that asked
+-- for it as "feedback", and carries it into revision_history when it is
+-- replaced in turn. For example, how often each issue is reported:
+--
+--   select issue, count(*)
+--   from public.book_projects,
+--        jsonb_array_elements(illustrations) as ill,
+--        jsonb_array_elements_text(ill -> 'feedback' -> 'issues') as issue
+--   group by issue
+--   order by count(*) desc;
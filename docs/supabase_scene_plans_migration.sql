@@ -0,0 +1,27 @@
+-- ============================================
+-- SUPABASE SCENE PLANS MIGRATION
+-- Kids Book Creator - Editable Scene Composition
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.SCENE_PLANS
+-- ============================================
+-- Scene composition plans the user reviewed and pinned in the storyboard
+-- (api/analyze-scene.js), one per page:
+--   [
+--     {
+--       "page": 3,
+--       "plan": {"characters_in_scene": [...], "props_in_scene": [...],
+--                "location": "park", "time_of_day": "evening",
+--                "shot_type": "wide", ...},
+--       "page_text": "the page text the plan was made for",
+--       "pinned_at": "2026-10-19T12:00:00Z"
+--     }
+--   ]
+-- generate-scene.js draws a page from its pinned plan instead of analyzing
+-- the text again, unless page_text no longer matches the page or the
+-- regeneration carries feedback. api/story-pages.js moves entries with their page.
+-- NULL or no entry for a page means the plan is analyzed on every generation.
+
+alter table public.book_projects
+    add column if not exists scene_plans jsonb;
@@ -0,0 +1,22 @@
+-- ============================================
+-- SUPABASE SPECIAL PAGES MIGRATION
+-- Kids Book Creator - Title Page, Dedication & Back Matter
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.SPECIAL_PAGES
+-- ============================================
+-- Front and back matter saved by api/special-pages.js, one entry per kind
+-- from shared/special-pages.json:
+--   {
+--     "title":        {"enabled": true, "title": "", "subtitle": "", "author": ""},
+--     "dedication":   {"enabled": true, "text": "For Grandma"},
+--     "about-author": {"enabled": true, "heading": "", "text": "", "photoUrl": "https://..."},
+--     "the-end":      {"enabled": false, "text": ""}
+--   }
+-- Blank fields fall back to the book title, child's name, main character's
+-- photo or the registry defaults when the pages are laid out.
+-- NULL means story pages only (the legacy print title page still applies).
+
+alter table public.book_projects
+    add column if not exists special_pages jsonb;
@@ -0,0 +1,20 @@
+-- ============================================
+-- SUPABASE STORY OPTIONS MIGRATION
+-- Kids Book Creator - Age Band, Length, Style, Tone & Reading Level
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS COLUMNS
+-- ============================================
+-- story_options: what the new-story modal asked for, normalized by
+--   api/_story-options.js, e.g.
+--   {"ageBand": "4-7", "pageCount": 12, "style": "rhyming",
+--    "tone": "playful", "readingLevel": "read-aloud"}
+--   NULL on older projects, which are written with the defaults.
+-- story_report: the post-generation check from api/_readability.js
+--   (requested vs actual page count, Flesch-Kincaid grade per page).
+--   Rebuilt by write-story.js and on every save-story.js draft save.
+
+alter table public.book_projects
+    add column if not exists story_options jsonb,
+    add column if not exists story_report jsonb;
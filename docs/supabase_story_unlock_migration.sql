@@ -0,0 +1,17 @@
+-- ============================================
+-- SUPABASE STORY UNLOCK MIGRATION
+-- Kids Book Creator - Edit a Finalized Story
+-- ============================================
+
+-- ============================================
+-- 1. BOOK_PROJECTS.FINALIZED_STORY_JSON
+-- ============================================
+-- Copy of story_json taken by api/unlock-story.js when a finalized story is
+-- unlocked for editing: the text the registry and illustrations were built
+-- from. finalize-story.js diffs against it to extract only new characters,
+-- props and environments and to flag illustrations whose page text changed
+-- (illustrations[].stale), then clears it.
+-- NULL means the story is not unlocked; while set, new generation jobs are refused.
+
+alter table public.book_projects
+    add column if not exists finalized_story_json jsonb;
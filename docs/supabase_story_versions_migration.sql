@@ -0,0 +1,53 @@
+-- ============================================
+-- SUPABASE STORY VERSIONS MIGRATION
+-- Kids Book Creator - Story Version History & Restore
+-- ============================================
+
+-- ============================================
+-- 1. STORY_VERSIONS TABLE
+-- ============================================
+-- One row per change to book_projects.story_json (see api/_story-versions.js).
+-- source: who wrote the text - 'ai' (write-story) or 'user' (save, finalize, restore)
+-- reason: 'generate' | 'save' | 'finalize' | 'restore' | 'pages' | 'translate',
+--         or 'backfill' for drafts that predate this table (section 2)
+-- A save identical to the latest version is not recorded again.
+
+create table public.story_versions (
+    id uuid default gen_random_uuid() primary key,
+    project_id uuid not null references public.book_projects(id) on delete cascade,
+    user_id uuid references auth.users(id) on delete set null,
+    version_number integer not null,
+    source text not null check (source in ('ai', 'user')),
+    reason text not null,
+    restored_from uuid references public.story_versions(id) on delete set null,
+    story_json jsonb not null,
+    created_at timestamp with time zone default now(),
+    unique (project_id, version_number)
+);
+
+create index idx_story_versions_project_id on public.story_versions(project_id);
+
+-- RLS: Users can only see their own versions (writes go through the service role)
+alter table public.story_versions enable row level security;
+
+create policy "Users can view their own story versions"
+    on public.story_versions for select
+    using (auth.uid() = user_id);
+
+-- ============================================
+-- 2. BACKFILL EXISTING DRAFTS
+-- ============================================
+-- Versions are recorded after each write, so without this the first save of
+-- a story written before this table existed would replace its only copy.
+-- Records the current story_json as version 1 of every project that has a
+-- story and no versions yet (safe to run again). Who wrote these drafts is
+-- unknown; source is 'user' so the text counts as the parent's.
+
+insert into public.story_versions (project_id, user_id, version_number, source, reason, story_json)
+select p.id, p.user_id, 1, 'user', 'backfill', p.story_json::jsonb
+from public.book_projects p
+where jsonb_typeof(p.story_json::jsonb) = 'array'
+  and p.story_json::jsonb <> '[]'::jsonb
+  and not exists (
+      select 1 from public.story_versions v where v.project_id = p.id
+  );
@@ -0,0 +1,28 @@
+-- ============================================
+-- SUPABASE TRANSLATED EDITIONS MIGRATION
+-- Kids Book Creator - Story Language & Translated Editions
+-- ============================================
+
+-- ============================================
+-- 1. STORY LANGUAGE
+-- ============================================
+-- No column needed: the language lives in story_options.language
+-- (see supabase_story_options_migration.sql), e.g. {"language": "es", ...}.
+-- Codes come from shared/languages.json; NULL/missing means English.
+
+-- ============================================
+-- 2. BOOK_PROJECTS.SOURCE_PROJECT_ID
+-- ============================================
+-- Set on editions created by api/translate-book.js: the book it was
+-- translated from. Editions of editions point at the original book.
+-- An edition copies the source's illustrations (same image URLs),
+-- characters, registries and layout; only the text is new.
+-- NULL for books that aren't translations.
+
+alter table public.book_projects
+    add column if not exists source_project_id uuid
+        references public.book_projects(id) on delete set null;
+
+create index if not exists idx_book_projects_source_project
+    on public.book_projects(source_project_id)
+    where source_project_id is not null;
@@ -0,0 +1,95 @@
+-- ============================================
+-- SUPABASE TRIM SIZES MIGRATION
+-- Kids Book Creator - Unified Trim-Size Registry
+-- ============================================
+-- shared/trim-sizes.json is now the source of truth for trim sizes.
+-- The compositor (js/core/trim-sizes.js) and the print pipeline
+-- (api/_trim-sizes.js) both read it. This migration brings the
+-- hardcover_sizes and lulu_pod_packages tables in line with it.
+--
+-- Size code changes:
+--   portrait-medium  -> portrait   (lulu_pod_packages used the old name)
+--   landscape-medium -> landscape  (lulu_pod_packages used the old name)
+--   standard         -> portrait   (duplicate 8.5" x 11" entry, retired)
+
+-- ============================================
+-- 1. HARDCOVER_SIZES
+-- ============================================
+-- Dimensions shown in the cart previously disagreed with what was printed
+-- (e.g. square-medium listed as 8" x 8" but printed at 8.5" x 8.5")
+
+update public.hardcover_sizes set dimensions = '7" × 7"', price_cents = 2499, sort_order = 1
+    where size_code = 'square-small';
+update public.hardcover_sizes set dimensions = '8.5" × 8.5"', price_cents = 2999, sort_order = 2
+    where size_code = 'square-medium';
+update public.hardcover_sizes set dimensions = '10" × 10"', price_cents = 3999, sort_order = 3
+    where size_code = 'square-large';
+update public.hardcover_sizes set dimensions = '8.5" × 11"', price_cents = 3499, sort_order = 4
+    where size_code = 'portrait';
+update public.hardcover_sizes set dimensions = '11" × 8.5"', price_cents = 3499, sort_order = 5
+    where size_code = 'landscape';
+
+update public.hardcover_sizes set is_active = false
+    where size_code = 'standard';
+
+-- ============================================
+-- 2. LULU_POD_PACKAGES
+-- ============================================
+
+update public.lulu_pod_packages set size_code = 'portrait', updated_at = now()
+    where size_code = 'portrait-medium'
+    and not exists (select 1 from public.lulu_pod_packages where size_code = 'portrait');
+
+update public.lulu_pod_packages set size_code = 'landscape', updated_at = now()
+    where size_code = 'landscape-medium'
+    and not exists (select 1 from public.lulu_pod_packages where size_code = 'landscape');
+
+update public.lulu_pod_packages set is_active = false, updated_at = now()
+    where size_code in ('portrait-medium', 'landscape-medium');
+
+-- ============================================
+-- 3. EXISTING CARTS AND ORDERS
+-- ============================================
+-- Orders keep their legacy codes for history; the server normalizes them
+-- (normalizeSizeCode) when generating PDFs or submitting to Lulu.
+-- Cart items are unique per (user, book, product, size), so merge quantities
+-- into an existing 'portrait' row before renaming the rest.
+
+update public.cart_items target
+    set quantity = target.quantity + legacy.quantity,
+        updated_at = now()
+    from public.cart_items legacy
+    where legacy.size in ('standard', 'portrait-medium')
+    and target.size = 'portrait'
+    and target.user_id = legacy.user_id
+    and target.book_id = legacy.book_id
+    and target.product_type = legacy.product_type;
+
+delete from public.cart_items legacy
+    where legacy.size in ('standard', 'portrait-medium')
+    and exists (
+        select 1 from public.cart_items target
+        where target.size = 'portrait'
+        and target.user_id = legacy.user_id
+        and target.book_id = legacy.book_id
+        and target.product_type = legacy.product_type
+    );
+
+update public.cart_items set size = 'portrait', updated_at = now()
+    where size in ('standard', 'portrait-medium');
+
+update public.cart_items set size = 'landscape', updated_at = now()
+    where size = 'landscape-medium';
+
+-- ============================================
+-- 4. PRE-RENDERED PRINT PAGES
+-- ============================================
+-- Size code the compositor rendered print_pages at. NULL means the pages
+-- predate the registry and their size is unknown (square-medium was rendered
+-- at 576pt, not 612pt). Existing pages are kept: generate-print-pdf fails an
+-- order whose size doesn't match the recorded one, and checks legacy pages
+-- against the ordered page shape, asking for a re-render at that size rather
+-- than cropping them.
+
+alter table public.book_projects
+    add column if not exists print_pages_size_code text;
@@ -0,0 +1,62 @@
+// js/api/art-style.js
+// Art style API calls (api/art-style.js)
+
+import { state, getProjectId } from '../core/state.js';
+import { showToast } from '../core/utils.js';
+
+async function postArtStyle(body, failureTitle) {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch("/api/art-style", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, ...body }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast(failureTitle, data.message || data.error, "error");
+      return null;
+    }
+
+    if (state.cachedProject) {
+      state.cachedProject.art_style = data.art_style;
+    }
+    return data;
+  } catch (err) {
+    console.error("Art style error:", err);
+    showToast(failureTitle, "Network error", "error");
+    return null;
+  }
+}
+
+// Use a style for new illustrations and character models
+export function setArtStyle(styleId) {
+  return postArtStyle({ action: "set", styleId }, "Couldn't change art style");
+}
+
+// Make a sample image in a style for the gallery
+export function previewArtStyle(styleId) {
+  return postArtStyle({ action: "preview", styleId }, "Couldn't make a preview");
+}
+
+// Upload a style reference image (a File), or clear it with null
+export async function setStyleReference(file) {
+  let image = null;
+  if (file) {
+    image = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  return postArtStyle(
+    { action: "reference", image },
+    file ? "Couldn't upload style reference" : "Couldn't remove style reference"
+  );
+}
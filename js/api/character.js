@@ -45,7 +45,7 @@ export async function uploadCharacterPhoto(file, characterName, characterRole =
     const data = await res.json();
 
     if (data.error) {
-      showToast("Upload failed", data.error, "error");
+      showToast("Upload failed", data.message || data.error, "error");
       return null;
     }
 
@@ -96,7 +96,7 @@ export async function generateCharacterModel(characterName = null, characterRole
     const data = await res.json();
 
     if (data.error) {
-      showToast("Generation failed", data.error, "error");
+      showToast("Generation failed", data.message || data.error, "error");
       return null;
     }
 
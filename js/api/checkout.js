@@ -69,6 +69,30 @@ export async function initEmbeddedCheckout(bookId, productType) {
   return createCheckoutSession(bookId, productType, true);
 }
 
+/**
+ * Request a download of a purchased ebook
+ * The server checks remaining downloads, records this one and returns a short-lived signed URL
+ * @param {string} bookId
+ * @returns {Promise<{url: string, filename: string, downloadsRemaining: number|null}>}
+ */
+export async function requestEbookDownload(bookId) {
+  const response = await fetch('/api/exports/download', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({ bookId }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || error.error || 'Failed to prepare download');
+  }
+
+  return response.json();
+}
+
 /**
  * Check if returning from a successful payment
  * @returns {{ success: boolean, orderId: string | null, cancelled: boolean, sessionId: string | null }}
@@ -0,0 +1,52 @@
+// js/api/compositor.js
+// Frontend API module for persisting compositor layouts
+
+/**
+ * Load the saved compositor layout for a project
+ * @param {string} projectId
+ * @returns {Promise<{layout: Object|null, version: number, updatedAt: string|null}>}
+ */
+export async function loadCompositorLayout(projectId) {
+  const response = await fetch('/api/load-layout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ projectId }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || error.error || 'Failed to load layout');
+  }
+
+  return response.json();
+}
+
+/**
+ * Save the compositor layout for a project
+ * Rejects with status 409 if the server copy moved past baseVersion
+ * @param {string} projectId
+ * @param {Object} layout - Compositor document from CompositorUI.getLayoutDocument()
+ * @param {number} baseVersion - Version the layout was based on
+ * @param {object} options - { keepalive: boolean } for saves during page unload
+ * @returns {Promise<{version: number, updatedAt: string}>}
+ */
+export async function saveCompositorLayout(projectId, layout, baseVersion, options = {}) {
+  const response = await fetch('/api/save-layout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    keepalive: !!options.keepalive,
+    body: JSON.stringify({ projectId, layout, baseVersion }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || data.error || 'Failed to save layout');
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return response.json();
+}
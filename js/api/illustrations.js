@@ -1,160 +1,317 @@
 // js/api/illustrations.js
-// Illustration generation API calls with queue system
+// Illustration generation API calls backed by the server-side generation queue
 
 import { state, getProjectId, getLastStoryPages } from '../core/state.js';
-import { $, showToast } from '../core/utils.js';
+import { $, showToast, showModerationNotice } from '../core/utils.js';
 import { reRenderCurrentView } from '../ui/render.js';
 import { openProjectById, recordCompletedIllustration } from './projects.js';
 import { closeImageModal } from '../ui/modals.js';
-import { addToHistory, updateQueueBadge, refreshDropdownIfOpen } from '../ui/queue.js';
+import { addToHistory, updateQueueBadge, refreshDropdownIfOpen, setActiveJobs, setBatchProgress } from '../ui/queue.js';
 import { isCharacterGenerating } from '../ui/panels.js';
 
-// Queue system
-const MAX_CONCURRENT = 2;
-const generationQueue = [];
-let activeGenerations = 0;
-
-// Process the next item in queue if we have capacity
-function processQueue() {
-  while (activeGenerations < MAX_CONCURRENT && generationQueue.length > 0) {
-    const next = generationQueue.shift();
-    state.queuedPages.delete(next.pageNum);
-    executeGeneration(next.pageNum, next.pageText, next.isRegeneration);
+// Generation runs server-side as generation_jobs (api/generation-jobs/*);
+// this module enqueues pages and polls for progress so the queue survives reloads
+const POLL_INTERVAL_MS = 4000;
+
+// Jobs we're tracking that are still queued/running: jobId -> job
+const activeJobs = new Map();
+
+// Pages sent to the enqueue endpoint that haven't come back yet: "projectId:page"
+const pendingPages = new Set();
+
+let pollTimer = null;
+let isPolling = false;
+
+// Server time of the last status poll, so finished jobs are only reported once
+let lastPollTime = null;
+
+function isJobActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+// Rebuild the current project's generating/queued page sets from the job list
+// (also called by projects.js when a different project is opened)
+export function syncPageState() {
+  const projectId = getProjectId();
+  state.generatingPages.clear();
+  state.queuedPages.clear();
+
+  for (const job of activeJobs.values()) {
+    if (job.projectId !== projectId) continue;
+    if (job.status === 'running') {
+      state.generatingPages.add(Number(job.page));
+    } else {
+      state.queuedPages.add(Number(job.page));
+    }
+  }
+
+  for (const key of pendingPages) {
+    const [pendingProjectId, page] = key.split(':');
+    if (pendingProjectId === projectId && !state.generatingPages.has(Number(page))) {
+      state.queuedPages.add(Number(page));
+    }
   }
+
+  setActiveJobs([...activeJobs.values()]);
   updateQueueBadge();
   refreshDropdownIfOpen();
-  reRenderCurrentView();
 }
 
-// Actually run the generation (internal)
-async function executeGeneration(pageNum, pageText, isRegeneration, shotTypeOverride = null) {
-  const projectId = getProjectId();
-  if (!projectId) return;
-
+function updateStatusLine(message = null) {
   const status = $("illustration-status");
-  const actionLabel = isRegeneration ? "Regenerating" : "Generating";
+  if (!status) return;
 
-  // Mark as actively generating
-  activeGenerations++;
-  state.generatingPages.add(pageNum);
-  reRenderCurrentView();
-
-  if (status) {
-    const queuedCount = state.queuedPages.size;
-    status.textContent = `${actionLabel} page ${pageNum}...` + 
-      (queuedCount > 0 ? ` (${queuedCount} queued)` : '');
+  if (message) {
+    status.textContent = message;
+    return;
   }
 
-  try {
-    const res = await fetch("/api/generate-scene", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        projectId,
-        page: pageNum,
-        pageText,
-        isRegeneration,
-        shotTypeOverride,
-      }),
-    });
-
-    const data = await res.json();
-
-    // Clean up
-    state.generatingPages.delete(pageNum);
-    activeGenerations--;
+  const generating = state.generatingPages.size;
+  const queued = state.queuedPages.size;
+  if (generating > 0 || queued > 0) {
+    status.textContent = `${generating} generating, ${queued} queued.`;
+  }
+}
 
-    if (!res.ok || data?.error) {
-      console.error("Illustration error:", data);
-      
-      // Check for safety system rejection (copyright, content policy)
-      if (data?.safety_rejection) {
-        showToast(
-          "Content Policy Violation", 
-          "Image rejected due to potential copyright or policy violation. Please use original, non-copyrighted reference images.", 
-          "error"
-        );
-      } else {
-        showToast("Illustration failed", `Page ${pageNum}`, "error");
-      }
-      
-      if (status) status.textContent = data?.safety_rejection 
-        ? `Page ${pageNum}: Content policy violation` 
-        : `Failed on page ${pageNum}.`;
-      processQueue();
-      return;
-    }
+// A tracked job reached complete/failed/cancelled
+function handleFinishedJob(job) {
+  const pageNum = Number(job.page);
 
-    // Build illustration object with timestamp for cache busting
+  if (job.status === 'complete') {
     const newIllustration = {
       page: pageNum,
-      image_url: data.image_url,
-      revisions: data.revisions || 0,
+      image_url: job.imageUrl,
+      print_url: job.printUrl || null,
+      revisions: job.revisions || 0,
       last_updated: Date.now(),
-      revision_history: data.revision_history || [],
+      revision_history: job.revisionHistory || [],
     };
 
     // Record for cross-navigation persistence
-    recordCompletedIllustration(projectId, newIllustration);
+    recordCompletedIllustration(job.projectId, newIllustration);
 
     // Update cached project with new illustration
-    if (state.cachedProject) {
+    if (state.cachedProject?.id === job.projectId) {
       const existingIllus = state.cachedProject.illustrations || [];
       const filteredIllus = existingIllus.filter((i) => Number(i.page) !== pageNum);
       filteredIllus.push(newIllustration);
       state.cachedProject.illustrations = filteredIllus;
     }
 
-    // Add to generation history
+    // The worker already wrote this to generation_history under the job id
     addToHistory({
-      projectId,
-      projectTitle: state.cachedProject?.selected_idea?.title || 'Untitled Book',
+      id: job.id,
+      synced: true,
+      projectId: job.projectId,
+      projectTitle: job.projectTitle,
       page: pageNum,
-      imageUrl: data.image_url,
+      imageUrl: job.imageUrl,
       status: 'complete',
       timestamp: Date.now(),
     });
 
     showToast(
-      isRegeneration ? "Illustration regenerated" : "Illustration generated",
+      job.isRegeneration ? "Illustration regenerated" : "Illustration generated",
       `Page ${pageNum}`,
       "success"
     );
+    updateStatusLine(`Done: page ${pageNum}`);
 
-    if (status) {
-      const queuedCount = state.queuedPages.size;
-      if (queuedCount > 0 || activeGenerations > 0) {
-        status.textContent = `Done: page ${pageNum}. ${activeGenerations} generating, ${queuedCount} queued.`;
-      } else {
-        status.textContent = `Done: page ${pageNum}`;
-      }
-    }
+  } else if (job.status === 'failed') {
+    console.error("Illustration error:", job.error);
 
-    processQueue();
-
-  } catch (err) {
-    console.error("Illustration request failed:", err);
-    state.generatingPages.delete(pageNum);
-    activeGenerations--;
-    
-    // Add failed generation to history
     addToHistory({
-      projectId,
-      projectTitle: state.cachedProject?.selected_idea?.title || 'Untitled Book',
+      id: job.id,
+      synced: true,
+      projectId: job.projectId,
+      projectTitle: job.projectTitle,
       page: pageNum,
       imageUrl: null,
       status: 'failed',
       timestamp: Date.now(),
     });
-    
-    showToast("Network error", `Could not generate page ${pageNum}`, "error");
-    if (status) status.textContent = `Failed on page ${pageNum}.`;
-    processQueue();
+
+    // Check for safety system rejection (copyright, content policy)
+    if (job.safetyRejection) {
+      showToast(
+        "Content Policy Violation", 
+        "Image rejected due to potential copyright or policy violation. Please use original, non-copyrighted reference images.", 
+        "error"
+      );
+    } else {
+      showToast("Illustration failed", `Page ${pageNum}`, "error");
+    }
+
+    updateStatusLine(job.safetyRejection
+      ? `Page ${pageNum}: Content policy violation`
+      : `Failed on page ${pageNum}.`);
+  }
+}
+
+// Fetch job progress from the server and apply any changes
+async function pollGenerationJobs() {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    const params = new URLSearchParams();
+    if (lastPollTime) params.set("since", lastPollTime);
+
+    const res = await fetch(`/api/generation-jobs/status?${params}`, {
+      credentials: 'include',
+    });
+
+    if (res.status === 401) {
+      activeJobs.clear();
+      return;
+    }
+
+    const data = await res.json();
+    if (!res.ok) {
+      console.warn("Could not load generation status:", data?.error);
+      return;
+    }
+
+    lastPollTime = data.serverTime;
+    setBatchProgress(data.batches || {});
+
+    const stillActive = new Set();
+    let changed = false;
+
+    for (const job of data.jobs || []) {
+      const previous = activeJobs.get(job.id);
+
+      if (isJobActive(job)) {
+        stillActive.add(job.id);
+        if (!previous || previous.status !== job.status) changed = true;
+        activeJobs.set(job.id, job);
+      } else if (previous) {
+        activeJobs.delete(job.id);
+        handleFinishedJob(job);
+        changed = true;
+      }
+    }
+
+    // Anything we were tracking that the server no longer lists as active
+    for (const jobId of [...activeJobs.keys()]) {
+      if (!stillActive.has(jobId)) {
+        activeJobs.delete(jobId);
+        changed = true;
+      }
+    }
+
+    syncPageState();
+    if (changed) {
+      updateStatusLine();
+      reRenderCurrentView();
+    }
+
+  } catch (err) {
+    console.warn("Generation status poll failed:", err);
+  } finally {
+    isPolling = false;
+    scheduleNextPoll();
+  }
+}
+
+function scheduleNextPoll() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+
+  if (activeJobs.size > 0 || pendingPages.size > 0) {
+    pollTimer = setTimeout(pollGenerationJobs, POLL_INTERVAL_MS);
+  }
+}
+
+// Pick up jobs left running by an earlier visit (call on load / login)
+export function resumeGenerationJobs() {
+  lastPollTime = null;
+  return pollGenerationJobs();
+}
+
+// Send pages to the server queue
+async function enqueuePages(projectId, pages) {
+  const keys = pages.map(p => `${projectId}:${Number(p.page)}`);
+  keys.forEach(key => pendingPages.add(key));
+  syncPageState();
+  reRenderCurrentView();
+
+  try {
+    const res = await fetch("/api/generation-jobs/enqueue", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: 'include',
+      body: JSON.stringify({ projectId, pages }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok || data?.error) {
+      throw new Error(data?.message || data?.error || "Could not queue illustrations");
+    }
+
+    for (const job of data.jobs || []) {
+      activeJobs.set(job.id, job);
+    }
+
+    // First jobs this session: report anything that finishes from here on
+    if (!lastPollTime && data.jobs?.length) {
+      lastPollTime = data.jobs[0].createdAt;
+    }
+    return data;
+
+  } finally {
+    keys.forEach(key => pendingPages.delete(key));
+    syncPageState();
+    updateStatusLine();
+    reRenderCurrentView();
+    scheduleNextPoll();
+  }
+}
+
+/**
+ * Cancel queued generation jobs
+ * @param {Object} target - { jobId } | { batchId } | { projectId }
+ */
+export async function cancelGeneration(target) {
+  try {
+    const res = await fetch("/api/generation-jobs/cancel", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: 'include',
+      body: JSON.stringify(target),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok || data?.error) {
+      showToast("Cancel failed", data?.error || "Could not cancel generation", "error");
+      return;
+    }
+
+    for (const job of data.cancelled || []) {
+      activeJobs.delete(job.id);
+    }
+
+    const cancelledCount = data.cancelled?.length || 0;
+    if (cancelledCount > 0) {
+      showToast("Cancelled", `${cancelledCount} page${cancelledCount === 1 ? '' : 's'} removed from the queue`, "success");
+    } else if (data.stillRunning > 0) {
+      showToast("Already generating", "Pages that have started will finish", "warn");
+    }
+
+    syncPageState();
+    reRenderCurrentView();
+    await pollGenerationJobs();
+
+  } catch (err) {
+    console.error("Cancel request failed:", err);
+    showToast("Network error", "Could not cancel generation", "error");
   }
 }
 
 // Public API: Generate a single illustration (queued)
-export function generateSingleIllustration(pageNum, pageText, isRegeneration = false, shotTypeOverride = null) {
+export async function generateSingleIllustration(pageNum, pageText, isRegeneration = false, shotTypeOverride = null, feedback = null) {
   const projectId = getProjectId();
   if (!projectId) {
     showToast("No project loaded", "Open or create a project first.", "error");
@@ -177,22 +334,30 @@ export function generateSingleIllustration(pageNum, pageText, isRegeneration = f
     return;
   }
 
-  // If we have capacity, start immediately
-  if (activeGenerations < MAX_CONCURRENT) {
-    showToast(
-      isRegeneration ? "Regenerating illustration" : "Generating illustration",
-      `Page ${pageNum}`,
-      "success"
-    );
-    executeGeneration(pageNum, pageText, isRegeneration, shotTypeOverride);
-    updateQueueBadge();
-  } else {
-    // Add to queue (note: queue doesn't support shot type override currently)
-    state.queuedPages.add(pageNum);
-    generationQueue.push({ pageNum, pageText, isRegeneration });
-    showToast("Queued", `Page ${pageNum} will generate next`, "success");
-    updateQueueBadge();
-    reRenderCurrentView();
+  try {
+    const data = await enqueuePages(projectId, [{
+      page: pageNum,
+      pageText,
+      isRegeneration,
+      shotTypeOverride,
+      feedback,
+    }]);
+
+    if (data.jobs?.length) {
+      showToast(
+        isRegeneration ? "Regenerating illustration" : "Generating illustration",
+        `Page ${pageNum}`,
+        "success"
+      );
+      showModerationNotice(data.moderation);
+    } else {
+      showToast("Already queued", `Page ${pageNum} is in the queue`, "warn");
+    }
+
+  } catch (err) {
+    console.error("Illustration request failed:", err);
+    showToast("Illustration failed", err.message || `Could not queue page ${pageNum}`, "error");
+    updateStatusLine(`Failed on page ${pageNum}.`);
   }
 }
 
@@ -221,29 +386,64 @@ export async function generateIllustrations() {
   const pages = project.story_json;
   const existing = new Set((project.illustrations || []).map((i) => Number(i.page)));
 
-  // Count how many we're adding
-  const missingPages = pages.filter(p => !existing.has(Number(p.page)));
+  // Missing pages that aren't already on their way
+  const missingPages = pages.filter(p =>
+    !existing.has(Number(p.page)) &&
+    !state.generatingPages.has(Number(p.page)) &&
+    !state.queuedPages.has(Number(p.page))
+  );
   
   if (missingPages.length === 0) {
     showToast("All done", "All pages already have illustrations", "success");
     return;
   }
 
-  showToast("Generating illustrations", `${missingPages.length} pages to generate`, "success");
+  try {
+    const result = await enqueuePages(projectId, missingPages.map(p => ({
+      page: Number(p.page),
+      pageText: p.text,
+      isRegeneration: false,
+    })));
 
-  // Queue all missing pages
-  for (const p of missingPages) {
-    if (!state.generatingPages.has(Number(p.page)) && !state.queuedPages.has(Number(p.page))) {
-      if (activeGenerations < MAX_CONCURRENT) {
-        executeGeneration(p.page, p.text, false);
-      } else {
-        state.queuedPages.add(Number(p.page));
-        generationQueue.push({ pageNum: p.page, pageText: p.text, isRegeneration: false });
-      }
-    }
+    showToast("Generating illustrations", `${result.jobs?.length || 0} pages queued`, "success");
+
+  } catch (err) {
+    console.error("Queue request failed:", err);
+    showToast("Could not start generation", err.message, "error");
   }
+}
 
-  reRenderCurrentView();
+// Regenerate illustrations flagged stale after the story was edited
+// (finalize-story.js sets illustrations[].stale when a page's text changed)
+export async function regenerateStaleIllustrations() {
+  const projectId = getProjectId();
+  const project = state.cachedProject;
+  if (!projectId || !project) return;
+
+  const textByPage = new Map((project.story_json || []).map(p => [Number(p.page), p.text]));
+  const stalePages = (project.illustrations || [])
+    .filter(i => i.stale && textByPage.get(Number(i.page)))
+    .map(i => Number(i.page))
+    .filter(page => !state.generatingPages.has(page) && !state.queuedPages.has(page));
+
+  if (stalePages.length === 0) {
+    showToast("Nothing to regenerate", "No illustrations are out of date", "success");
+    return;
+  }
+
+  try {
+    const result = await enqueuePages(projectId, stalePages.map(page => ({
+      page,
+      pageText: textByPage.get(page),
+      isRegeneration: true,
+    })));
+
+    showToast("Regenerating changed pages", `${result.jobs?.length || 0} pages queued`, "success");
+
+  } catch (err) {
+    console.error("Queue request failed:", err);
+    showToast("Could not start generation", err.message, "error");
+  }
 }
 
 // Handle regeneration from modal
@@ -265,10 +465,10 @@ export async function handleRegenerateIllustration() {
     return;
   }
 
+  // What was wrong with this version (api/_regeneration-feedback.js)
+  const issues = [...document.querySelectorAll(".regen-issue:checked")].map(input => input.value);
   const revisionText = (notes?.value || "").trim();
-  const pageTextWithNotes = revisionText
-    ? `${pageData.text}\n\nArtist revision notes: ${revisionText}`
-    : pageData.text;
+  const feedback = issues.length || revisionText ? { issues, notes: revisionText } : null;
     
   // Get shot type override if selected
   const shotTypeOverride = shotTypeSelect?.value || null;
@@ -276,7 +476,7 @@ export async function handleRegenerateIllustration() {
   // Close modal immediately so user sees the tile updating
   closeImageModal();
   
-  generateSingleIllustration(pageNum, pageTextWithNotes, true, shotTypeOverride);
+  generateSingleIllustration(pageNum, pageData.text, true, shotTypeOverride, feedback);
 
   // The UI will update via reRenderCurrentView from the queue system
 }
@@ -326,6 +526,7 @@ export async function handleSetIllustration() {
       filteredIllus.push({
         page: pageNum,
         image_url: data.image_url,
+        print_url: data.print_url || null,
         revisions: data.revisions,
         last_updated: Date.now(),
         revision_history: data.revision_history || [],
@@ -349,11 +550,59 @@ export async function handleSetIllustration() {
   }
 }
 
+// Edit the painted part of a page's current illustration (api/edit-scene.js)
+// mask is a PNG data URL from the image modal; returns the response or null
+export async function editIllustration(pageNum, mask, instruction) {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch("/api/edit-scene", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, page: pageNum, mask, instruction }),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok || data?.error) {
+      console.error("Edit illustration error:", data);
+      showToast("Edit failed", data?.message || data?.error || "Could not edit illustration", "error");
+      return null;
+    }
+
+    if (state.cachedProject) {
+      const existingIllus = state.cachedProject.illustrations || [];
+      const previous = existingIllus.find((i) => Number(i.page) === pageNum);
+      state.cachedProject.illustrations = [
+        ...existingIllus.filter((i) => Number(i.page) !== pageNum),
+        {
+          ...previous,
+          page: pageNum,
+          image_url: data.image_url,
+          print_url: data.print_url || null,
+          revisions: data.revisions,
+          last_updated: Date.now(),
+          revision_history: data.revision_history || [],
+        },
+      ];
+    }
+
+    showModerationNotice(data.moderation);
+    reRenderCurrentView();
+    return data;
+  } catch (err) {
+    console.error("Edit illustration request failed:", err);
+    showToast("Network error", "Could not edit illustration", "error");
+    return null;
+  }
+}
+
 // Get queue status for UI
 export function getQueueStatus() {
   return {
-    active: activeGenerations,
+    active: state.generatingPages.size,
     queued: state.queuedPages.size,
-    total: activeGenerations + state.queuedPages.size,
+    total: state.generatingPages.size + state.queuedPages.size,
   };
-}
\ No newline at end of file
+}
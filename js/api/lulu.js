@@ -24,6 +24,29 @@ export async function calculateShipping(items, shippingAddress) {
   return data;
 }
 
+/**
+ * Get the full cover wrap geometry (back, spine, front) for a size and page count
+ * @param {string} sizeCode - Trim size code
+ * @param {number} pageCount - Number of interior pages
+ * @returns {Promise<Object>} Cover spec in points: width, height, margin, spineWidth...
+ */
+export async function getCoverDimensions(sizeCode, pageCount) {
+  const response = await fetch('/api/lulu/cover-dimensions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ sizeCode, pageCount }),
+  });
+
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to get cover dimensions');
+  }
+
+  return data.spec;
+}
+
 /**
  * Get PDF generation requirements for a book
  * @param {string} orderId - Order ID (optional)
@@ -0,0 +1,64 @@
+// js/api/narration.js
+// Read-aloud narration API calls (api/narration.js)
+
+import { state, getProjectId } from '../core/state.js';
+import { showToast } from '../core/utils.js';
+
+async function postNarration(body, failureTitle) {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch("/api/narration", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, ...body }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast(failureTitle, data.message || data.error, "error");
+      return null;
+    }
+
+    if (state.cachedProject) {
+      state.cachedProject.narration = data.narration;
+    }
+    return data;
+  } catch (err) {
+    console.error("Narration error:", err);
+    showToast(failureTitle, "Network error", "error");
+    return null;
+  }
+}
+
+// Narrate one page with a TTS voice (the book's voice when omitted)
+export function generateNarration(page, voice = null) {
+  return postNarration({ action: "generate", page, voice }, `Couldn't narrate page ${page}`);
+}
+
+// Save the parent's own recording for a page
+// audio is a Blob from MediaRecorder
+export async function saveRecording(page, audio, durationSeconds) {
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(audio);
+  });
+
+  return postNarration(
+    { action: "record", page, audio: dataUrl, durationSeconds },
+    "Couldn't save recording"
+  );
+}
+
+export function deleteNarration(page) {
+  return postNarration({ action: "delete", page }, "Couldn't remove narration");
+}
+
+// The book's default voice for new clips
+export function setNarrationVoice(voice) {
+  return postNarration({ action: "voice", voice }, "Couldn't change voice");
+}
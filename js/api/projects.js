@@ -5,6 +5,7 @@ import { state, setPhase, setProjectId } from '../core/state.js';
 import { $, showLoader, setWorkspaceTitle, showToast } from '../core/utils.js';
 import { navigate } from '../core/router.js';
 import { renderDashboard, renderStoryboard, renderStoryEditor, renderIdeas } from '../ui/render.js';
+import { syncPageState } from './illustrations.js';
 
 // Track recently completed illustrations that may not be on server yet
 const recentlyCompletedIllustrations = new Map(); // projectId -> [{page, image_url, revisions}]
@@ -83,6 +84,7 @@ export async function loadDashboard() {
 // Load a specific project by ID
 export async function openProjectById(projectId, phaseHint = null) {
   setProjectId(projectId);
+  syncPageState();
   
   // Check if we already have this project cached with active generations
   const hasActiveGenerations = state.generatingPages.size > 0 || state.queuedPages.size > 0;
@@ -169,7 +171,8 @@ export async function openProjectById(projectId, phaseHint = null) {
     // Also treat projects with existing illustrations as "locked" (legacy projects)
     const hasIllustrations = project.illustrations?.length > 0;
     const hasCharacterModel = !!project.character_model_url;
-    const isEffectivelyLocked = project.story_locked === true || hasIllustrations || hasCharacterModel;
+    const isEffectivelyLocked = !isUnlockedForEditing(project) &&
+      (project.story_locked === true || hasIllustrations || hasCharacterModel);
     
     console.log("Phase detection:", {
       story_locked: project.story_locked,
@@ -221,27 +224,36 @@ export async function openProjectById(projectId, phaseHint = null) {
     compositor.initialize(bookData);
     if (project.id) {
       compositor.setProjectId(project.id);
+      compositor.restoreSavedLayout();
     }
   }
 }
 
 // Check if a phase is valid for the current project state
+// A finalized story that was unlocked for editing (api/unlock-story.js)
+function isUnlockedForEditing(project) {
+  return !project.story_locked && !!project.finalized_story_json;
+}
+
 function isPhaseValidForProject(phase, project) {
   if (phase === "ideas") return true;
   if (phase === "select-idea") return project.story_ideas?.length > 0;
   
   // For edit-story, must have story but NOT be locked and have no illustrations/character
+  // (unless it was unlocked for editing)
   if (phase === "edit-story") {
     const hasIllustrations = project.illustrations?.length > 0;
     const hasCharacterModel = !!project.character_model_url;
-    return project.story_json?.length > 0 && !project.story_locked && !hasIllustrations && !hasCharacterModel;
+    return project.story_json?.length > 0 &&
+      (isUnlockedForEditing(project) || (!project.story_locked && !hasIllustrations && !hasCharacterModel));
   }
   
   // For storyboard, must have story and be locked OR have illustrations/character
   if (phase === "storyboard") {
     const hasIllustrations = project.illustrations?.length > 0;
     const hasCharacterModel = !!project.character_model_url;
-    return project.story_json?.length > 0 && (project.story_locked || hasIllustrations || hasCharacterModel);
+    return project.story_json?.length > 0 && !isUnlockedForEditing(project) &&
+      (project.story_locked || hasIllustrations || hasCharacterModel);
   }
   
   // For compositor, must have illustrations
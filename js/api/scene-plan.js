@@ -0,0 +1,50 @@
+// js/api/scene-plan.js
+// Scene composition plan API calls (api/analyze-scene.js)
+
+import { state, getProjectId } from '../core/state.js';
+import { showToast, showModerationNotice } from '../core/utils.js';
+
+async function postScenePlan(body, failureTitle) {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch("/api/analyze-scene", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, ...body }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast(failureTitle, data.message || data.error, "error");
+      return null;
+    }
+
+    if (state.cachedProject && data.scene_plans) {
+      state.cachedProject.scene_plans = data.scene_plans;
+    }
+    showModerationNotice(data.moderation);
+    return data;
+  } catch (err) {
+    console.error("Scene plan error:", err);
+    showToast(failureTitle, "Network error", "error");
+    return null;
+  }
+}
+
+// The page's pinned plan, or a new analysis (always a new one with fresh)
+export function analyzeScene(page, fresh = false) {
+  return postScenePlan({ action: "analyze", page, fresh }, "Couldn't plan the scene");
+}
+
+// Save an edited plan; generation uses it for this page from now on
+export function pinScenePlan(page, plan) {
+  return postScenePlan({ action: "pin", page, plan }, "Couldn't save the plan");
+}
+
+// Go back to planning the page automatically
+export function unpinScenePlan(page) {
+  return postScenePlan({ action: "unpin", page }, "Couldn't unpin the plan");
+}
@@ -2,10 +2,12 @@
 // Story ideas and story writing API calls
 
 import { state, setPhase, getProjectId, setProjectId, setLastStoryPages } from '../core/state.js';
-import { $, showLoader, setWorkspaceTitle, showToast } from '../core/utils.js';
+import { $, showLoader, setWorkspaceTitle, showToast, showModerationNotice, escapeHtml } from '../core/utils.js';
 
 // Generate story ideas from child info
-export async function fetchIdeas() {
+// storyOptions come from the new-story modal; regenerating ideas for an open
+// project reuses the options saved on it
+export async function fetchIdeas(storyOptions = null) {
   const name = $("kid-name").value.trim();
   const interests = $("kid-interests").value.trim();
   if (!name) return;
@@ -27,13 +29,16 @@ export async function fetchIdeas() {
     body: JSON.stringify({ 
       name, 
       interests, 
-      projectId: shouldUseExistingProject ? existingProjectId : null 
+      projectId: shouldUseExistingProject ? existingProjectId : null,
+      storyOptions: storyOptions || (shouldUseExistingProject ? state.cachedProject?.story_options : null),
     }),
   });
 
   const data = await res.json();
   if (data.error) {
-    $("results").innerHTML = `<div class="loader">Failed to generate ideas.</div>`;
+    // Blocked input comes back with a reason the parent can act on
+    const message = data.moderation ? data.message : "Failed to generate ideas.";
+    $("results").innerHTML = `<div class="loader">${escapeHtml(message)}</div>`;
     return;
   }
 
@@ -46,6 +51,7 @@ export async function fetchIdeas() {
     kid_name: name,
     kid_interests: interests,
     story_ideas: data.ideas,
+    story_options: data.storyOptions || null,
   };
 
   setPhase("select-idea");
@@ -56,6 +62,39 @@ export async function fetchIdeas() {
   renderIdeas(data.ideas);
 }
 
+// Build on the current ideas (api/story-ideas.js): "more" or "remix" an idea
+// by index, or turn the parent's own premise into an idea ("custom")
+export async function refineIdeas(mode, { ideaIndex, premise } = {}) {
+  const projectId = getProjectId();
+  if (!projectId) return;
+
+  showLoader(mode === "custom" ? "Adding your idea..." : "Generating story ideas...");
+
+  try {
+    const res = await fetch("/api/story-ideas", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, mode, ideaIndex, premise }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Couldn't update ideas", data.message || data.error, "error");
+    } else if (state.cachedProject) {
+      state.cachedProject.story_ideas = data.ideas;
+      state.cachedProject.story_options = data.storyOptions || state.cachedProject.story_options;
+    }
+  } catch (err) {
+    console.error("Refine ideas error:", err);
+    showToast("Couldn't update ideas", "Network error", "error");
+  }
+
+  // Show the list either way - the loader replaced it
+  const { renderIdeas } = await import('../ui/render.js');
+  renderIdeas(state.cachedProject?.story_ideas || []);
+}
+
 // Write a full story from a selected idea (goes to edit phase, not storyboard)
 export async function writeStoryFromIdeaIndex(selectedIdeaIndex) {
   const projectId = getProjectId();
@@ -72,7 +111,8 @@ export async function writeStoryFromIdeaIndex(selectedIdeaIndex) {
   const data = await res.json();
   if (data.error) {
     console.error(data);
-    $("results").innerHTML = `<div class="loader">Failed to write story.</div>`;
+    const message = data.moderation ? data.message : "Failed to write story.";
+    $("results").innerHTML = `<div class="loader">${escapeHtml(message)}</div>`;
     return;
   }
 
@@ -84,6 +124,8 @@ export async function writeStoryFromIdeaIndex(selectedIdeaIndex) {
     selected_idea: data.selected_idea || null,
     story_json: data.story_json || [],
     story_locked: false,
+    story_options: data.story_options || null,
+    story_report: data.story_report || null,
     illustrations: [],
     character_models: [],
   };
@@ -97,6 +139,7 @@ export async function writeStoryFromIdeaIndex(selectedIdeaIndex) {
   // Dynamic import to avoid circular dependency
   const { renderStoryEditor } = await import('../ui/render.js');
   renderStoryEditor(project);
+  showModerationNotice(data.moderation);
 }
 
 // Save story edits (without finalizing)
@@ -114,17 +157,20 @@ export async function saveStoryEdits(storyPages) {
     const data = await res.json();
     if (data.error) {
       console.error(data);
-      showToast("Save failed", data.error, "error");
+      showToast("Save failed", data.message || data.error, "error");
       return { success: false };
     }
 
+    showModerationNotice(data.moderation);
+
     // Update cached project
     if (state.cachedProject) {
       state.cachedProject.story_json = data.story_json;
+      state.cachedProject.story_report = data.story_report || null;
     }
     setLastStoryPages(data.story_json);
 
-    return { success: true, story_json: data.story_json };
+    return { success: true, story_json: data.story_json, story_report: data.story_report || null };
   } catch (err) {
     console.error("Save error:", err);
     showToast("Save failed", "Network error", "error");
@@ -132,6 +178,168 @@ export async function saveStoryEdits(storyPages) {
   }
 }
 
+// Unlock a finalized story for editing (finalizing again re-checks the
+// registry and flags illustrations whose page text changed)
+export async function unlockStory() {
+  const projectId = getProjectId();
+  if (!projectId) return;
+
+  try {
+    const res = await fetch("/api/unlock-story", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Can't edit story", data.message || data.error, "error");
+      return;
+    }
+
+    if (state.cachedProject) {
+      state.cachedProject.story_locked = false;
+      state.cachedProject.finalized_story_json = data.finalized_story_json;
+    }
+
+    setWorkspaceTitle(state.cachedProject?.selected_idea?.title || "Edit Your Story", "Review and edit the story before continuing.");
+    setPhase("edit-story");
+
+    // Dynamic import to avoid circular dependency
+    const { renderStoryEditor } = await import('../ui/render.js');
+    renderStoryEditor(state.cachedProject);
+  } catch (err) {
+    console.error("Unlock error:", err);
+    showToast("Can't edit story", "Network error", "error");
+  }
+}
+
+// Insert, delete or move a page; illustrations and layout settings move with it
+// operation: { operation: "insert", position, text } | { operation: "delete", page }
+//          | { operation: "move", page, to }
+// storyPages: the editor's current text (draft stories only), saved along with it
+export async function editStoryPages(operation, storyPages = null) {
+  const projectId = getProjectId();
+  if (!projectId) return { success: false };
+
+  try {
+    const res = await fetch("/api/story-pages", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, ...operation, storyPages }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Couldn't change pages", data.message || data.error, "error");
+      return { success: false };
+    }
+
+    showModerationNotice(data.moderation);
+
+    if (state.cachedProject) {
+      state.cachedProject.story_json = data.story_json;
+      state.cachedProject.illustrations = data.illustrations;
+      state.cachedProject.scene_plans = data.scene_plans || [];
+      state.cachedProject.story_report = data.story_report || null;
+      state.cachedProject.finalized_story_json = data.finalized_story_json || null;
+      state.cachedProject.narration = data.narration || null;
+    }
+    setLastStoryPages(data.story_json);
+
+    return { success: true, ...data };
+  } catch (err) {
+    console.error("Page edit error:", err);
+    showToast("Couldn't change pages", "Network error", "error");
+    return { success: false };
+  }
+}
+
+// Ask for an AI rewrite of one page (nothing is saved until the user accepts)
+// action: "simplify" | "rhyme" | "lengthen" | "shorten" | "tone" (with tone)
+export async function rewritePage(page, action, { tone, storyPages } = {}) {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch("/api/rewrite-page", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, page, action, tone, storyPages }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Rewrite failed", data.message || data.error, "error");
+      return null;
+    }
+
+    showModerationNotice(data.moderation);
+    return data;
+  } catch (err) {
+    console.error("Rewrite error:", err);
+    showToast("Rewrite failed", "Network error", "error");
+    return null;
+  }
+}
+
+// Version history of the current project's story (newest first)
+export async function fetchStoryVersions() {
+  const projectId = getProjectId();
+  if (!projectId) return null;
+
+  try {
+    const res = await fetch(`/api/story-versions/list?projectId=${encodeURIComponent(projectId)}`);
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Couldn't load history", data.message || data.error, "error");
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error("Story versions error:", err);
+    showToast("Couldn't load history", "Network error", "error");
+    return null;
+  }
+}
+
+// Make an earlier version the current draft
+export async function restoreStoryVersion(versionId) {
+  const projectId = getProjectId();
+  if (!projectId) return { success: false };
+
+  try {
+    const res = await fetch("/api/story-versions/restore", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, versionId }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Restore failed", data.message || data.error, "error");
+      return { success: false };
+    }
+
+    if (state.cachedProject) {
+      state.cachedProject.story_json = data.story_json;
+      state.cachedProject.story_report = data.story_report || null;
+    }
+    setLastStoryPages(data.story_json);
+
+    return { success: true, story_json: data.story_json, story_report: data.story_report || null };
+  } catch (err) {
+    console.error("Restore error:", err);
+    showToast("Restore failed", "Network error", "error");
+    return { success: false };
+  }
+}
+
 // Finalize story and proceed to storyboard
 export async function finalizeStory(storyPages) {
   const projectId = getProjectId();
@@ -150,7 +358,7 @@ export async function finalizeStory(storyPages) {
     if (data.error) {
       console.error(data);
       $("results").innerHTML = `<div class="loader">Failed to finalize story.</div>`;
-      showToast("Finalize failed", data.error, "error");
+      showToast("Finalize failed", data.message || data.error, "error");
       return;
     }
 
@@ -162,6 +370,8 @@ export async function finalizeStory(storyPages) {
       state.cachedProject.props_registry = data.props_registry;  // Unified registry
       state.cachedProject.story_registry = data.story_registry;  // Also available as story_registry
       state.cachedProject.character_models = data.character_models || [];
+      state.cachedProject.illustrations = data.illustrations || state.cachedProject.illustrations || [];
+      state.cachedProject.finalized_story_json = null;
     }
     setLastStoryPages(data.story_json);
 
@@ -172,10 +382,84 @@ export async function finalizeStory(storyPages) {
     const { renderStoryboard } = await import('../ui/render.js');
     renderStoryboard(state.cachedProject);
 
-    showToast("Story finalized", "Now add character models to generate illustrations", "success");
+    if (data.stale_pages?.length) {
+      showToast(
+        "Story finalized",
+        `${data.stale_pages.length} illustration(s) no longer match their page text`,
+        "warn"
+      );
+    } else {
+      showToast("Story finalized", "Now add character models to generate illustrations", "success");
+    }
+    showModerationNotice(data.moderation);
   } catch (err) {
     console.error("Finalize error:", err);
     $("results").innerHTML = `<div class="loader">Failed to finalize story.</div>`;
     showToast("Finalize failed", "Network error", "error");
   }
-}
\ No newline at end of file
+}
+// Create a translated edition of the open book (a new project that reuses
+// its illustrations) and open it
+export async function translateBook(language, preserveRhyme) {
+  const projectId = getProjectId();
+  if (!projectId) return { success: false };
+
+  try {
+    const res = await fetch("/api/translate-book", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, language, preserveRhyme }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Translation failed", data.message || data.error, "error");
+      return { success: false };
+    }
+
+    // Dynamic import to avoid circular dependency
+    const { openProjectById } = await import('./projects.js');
+    await openProjectById(data.projectId);
+    showModerationNotice(data.moderation);
+
+    return { success: true, ...data };
+  } catch (err) {
+    console.error("Translate error:", err);
+    showToast("Translation failed", "Network error", "error");
+    return { success: false };
+  }
+}
+
+// Save the title page, dedication and back matter (api/special-pages.js)
+// authorPhoto is an optional data URL for the "About the author" page
+export async function saveSpecialPages(specialPages, authorPhoto = null) {
+  const projectId = getProjectId();
+  if (!projectId) return { success: false };
+
+  try {
+    const res = await fetch("/api/special-pages", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId, specialPages, authorPhoto }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      console.error(data);
+      showToast("Save failed", data.message || data.error, "error");
+      return { success: false };
+    }
+
+    if (state.cachedProject) {
+      state.cachedProject.special_pages = data.special_pages;
+    }
+    showModerationNotice(data.moderation);
+
+    return { success: true, special_pages: data.special_pages };
+  } catch (err) {
+    console.error("Special pages error:", err);
+    showToast("Save failed", "Network error", "error");
+    return { success: false };
+  }
+}
@@ -14,7 +14,7 @@ import { loadDashboard, openProjectById } from './api/projects.js';
 import { initViewControls, initAccountMenu, initSearch } from './ui/controls.js';
 import { initImageModalEvents } from './ui/modals.js';
 import { initAuthUI } from './ui/auth.js';
-import { closeNewStoryModal } from './ui/render.js';
+import { closeNewStoryModal, getNewStoryOptions } from './ui/render.js';
 import { initQueueUI } from './ui/queue.js';
 import { initCart, refreshCart } from './ui/cart.js';
 import { initOrderConfirmation } from './ui/order-confirmation.js';
@@ -36,6 +36,10 @@ async function initApp() {
       const { loadHistoryFromServer } = await import('./ui/queue.js');
       loadHistoryFromServer();
       
+      // Pick up illustrations still generating server-side from an earlier visit
+      const { resumeGenerationJobs } = await import('./api/illustrations.js');
+      resumeGenerationJobs();
+      
       // Refresh cart
       refreshCart();
       
@@ -89,9 +93,10 @@ async function initApp() {
     closeNewStoryModal();
     
     // Start a new project and generate ideas
+    const storyOptions = getNewStoryOptions();
     startNewProject();
     const { fetchIdeas } = await import('./api/story.js');
-    await fetchIdeas();
+    await fetchIdeas(storyOptions);
   });
 
   // Close new story modal
@@ -1,14 +1,35 @@
 // js/compositor/exporter.js
 // Export engine for generating PDFs from composed book pages
 
-import { PageRenderer, PAGE_DIMENSIONS } from './renderer.js';
+import { PageRenderer, PAGE_DIMENSIONS, PRINT_SPECS } from './renderer.js';
+import { DEFAULT_SIZE_CODE, normalizeSizeCode } from '../core/trim-sizes.js';
 import { getTemplate } from './templates.js';
+import { fallbackFontsFor } from '../core/languages.js';
+import { getBookPurchaseStatus } from '../api/checkout.js';
+
+/**
+ * Every page of the book in reading order: title page and dedication, the
+ * story pages, then the back matter
+ * @param {Object} bookData - { pages, frontMatter?, backMatter? }
+ * @returns {Object[]} Page data for PageRenderer.render
+ */
+export function bookPageSequence(bookData) {
+  return [...(bookData.frontMatter || []), ...bookData.pages, ...(bookData.backMatter || [])];
+}
+
+/**
+ * Page data for print output: the upscaled print copy of the illustration
+ * when the page has one (illustrations[].print_url), else the web image
+ */
+export function forPrint(pageData) {
+  return pageData.printImageUrl ? { ...pageData, imageUrl: pageData.printImageUrl } : pageData;
+}
 
 /**
  * BookExporter - Handles exporting composed books to various formats
  * 
  * Primary format: PDF
- * Future formats: ePub, image sequence, print-ready PDF
+ * Formats: PDF, image sequence, ePub, print-ready PDF (bleed, crop marks, CMYK)
  * 
  * Architecture designed for extensibility - each format is a separate method
  */
@@ -19,24 +40,59 @@ export class BookExporter {
     this.jsPDFLoaded = false;
   }
 
+  /**
+   * Point the internal renderer at the export's trim size
+   * @returns {{width: number, height: number, name: string}} Page dimensions
+   */
+  usePageSize(pageSize) {
+    const sizeCode = normalizeSizeCode(pageSize);
+    if (this.renderer.pageSize !== sizeCode) {
+      this.renderer = new PageRenderer({ pageSize: sizeCode });
+    }
+    return PAGE_DIMENSIONS[sizeCode];
+  }
+
+  /**
+   * Decide whether an export gets the watermark layer
+   * When a bookId is given the purchase status is authoritative - callers
+   * can't opt out of the watermark on an unpaid book. If the status can't be
+   * fetched we fail closed and watermark anyway.
+   * @param {Object} options - { bookId, watermark }
+   * @returns {Promise<Object|boolean|null>} - Watermark config for PageRenderer.setWatermark
+   */
+  async resolveWatermark(options = {}) {
+    if (!options.bookId) {
+      return options.watermark || null;
+    }
+
+    try {
+      const status = await getBookPurchaseStatus(options.bookId);
+      if (status.hasWatermark === false) return null;
+    } catch (err) {
+      console.warn('[Exporter] Could not verify purchase status, applying watermark:', err.message);
+    }
+
+    return options.watermark || true;
+  }
+
   /**
    * Export book to PDF
-   * @param {Object} bookData - { pages: [{page, text, imageUrl}], title, author }
+   * @param {Object} bookData - { pages: [{page, text, imageUrl}], frontMatter, backMatter, title, author, language }
    * @param {string|Object} template - Template ID or template object
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options (pass bookId so unpaid books get watermarked)
    * @returns {Promise<Blob>} - PDF blob
    */
   async exportToPDF(bookData, template, options = {}) {
     await this.ensureJsPDFLoaded();
 
     const {
-      pageSize = 'square-medium',
+      pageSize = DEFAULT_SIZE_CODE,
       quality = 'standard', // 'draft', 'standard', 'high', 'print'
       includeMetadata = true,
       includeCover = false,
     } = options;
 
-    const dimensions = PAGE_DIMENSIONS[pageSize];
+    const dimensions = this.usePageSize(pageSize);
     const { width, height } = dimensions;
 
     // Quality settings
@@ -72,30 +128,37 @@ export class BookExporter {
     const tmpl = typeof template === 'string' ? getTemplate(template) : template;
     
     // Preload fonts
-    await this.renderer.preloadFonts([tmpl.typography?.fontFamily || 'Georgia']);
+    await this.renderer.preloadFonts([tmpl.typography?.fontFamily || 'Georgia', ...fallbackFontsFor(bookData.language)]);
 
-    for (let i = 0; i < bookData.pages.length; i++) {
-      const pageData = bookData.pages[i];
-      
-      // Add new page for all except first
-      if (i > 0) {
-        pdf.addPage([width, height]);
-      }
+    this.renderer.setWatermark(await this.resolveWatermark(options));
 
-      // Render page to SVG (async to handle image conversion)
-      const svg = await this.renderer.render(pageData, tmpl, options.overrides || {});
-      
-      // Convert SVG to image and add to PDF
-      await this.addSvgToPdf(pdf, svg, width, height, scale, imageQuality);
-
-      // Progress callback
-      if (options.onProgress) {
-        options.onProgress({
-          current: i + 1,
-          total: bookData.pages.length,
-          percent: Math.round(((i + 1) / bookData.pages.length) * 100),
-        });
+    try {
+      const sequence = bookPageSequence(bookData);
+      for (let i = 0; i < sequence.length; i++) {
+        const pageData = sequence[i];
+        
+        // Add new page for all except first
+        if (i > 0) {
+          pdf.addPage([width, height]);
+        }
+
+        // Render page to SVG (async to handle image conversion)
+        const svg = await this.renderer.render(pageData, tmpl, options.overrides || {});
+        
+        // Convert SVG to image and add to PDF
+        await this.addSvgToPdf(pdf, svg, width, height, scale, imageQuality);
+
+        // Progress callback
+        if (options.onProgress) {
+          options.onProgress({
+            current: i + 1,
+            total: sequence.length,
+            percent: Math.round(((i + 1) / sequence.length) * 100),
+          });
+        }
       }
+    } finally {
+      this.renderer.setWatermark(null);
     }
 
     // Return as blob
@@ -159,39 +222,48 @@ export class BookExporter {
    */
   async exportToImages(bookData, template, options = {}) {
     const {
-      pageSize = 'square-medium',
+      pageSize = DEFAULT_SIZE_CODE,
       format = 'png',
       scale = 2,
     } = options;
 
-    const dimensions = PAGE_DIMENSIONS[pageSize];
+    const dimensions = this.usePageSize(pageSize);
     const { width, height } = dimensions;
     const tmpl = typeof template === 'string' ? getTemplate(template) : template;
 
-    await this.renderer.preloadFonts([tmpl.typography?.fontFamily || 'Georgia']);
+    await this.renderer.preloadFonts([tmpl.typography?.fontFamily || 'Georgia', ...fallbackFontsFor(bookData.language)]);
 
-    const images = [];
+    this.renderer.setWatermark(await this.resolveWatermark(options));
 
-    for (let i = 0; i < bookData.pages.length; i++) {
-      const pageData = bookData.pages[i];
-      
-      // Async render
-      const svg = await this.renderer.render(pageData, tmpl, options.overrides || {});
-      
-      const blob = await this.svgToImageBlob(svg, width, height, scale, format);
-      images.push({
-        page: pageData.page,
-        blob,
-        filename: `page-${String(pageData.page).padStart(3, '0')}.${format}`,
-      });
+    const images = [];
 
-      if (options.onProgress) {
-        options.onProgress({
-          current: i + 1,
-          total: bookData.pages.length,
-          percent: Math.round(((i + 1) / bookData.pages.length) * 100),
+    try {
+      const sequence = bookPageSequence(bookData);
+      for (let i = 0; i < sequence.length; i++) {
+        const pageData = sequence[i];
+        
+        // Async render
+        const svg = await this.renderer.render(pageData, tmpl, options.overrides || {});
+        
+        // Files are numbered in reading order so special pages sort into place
+        const blob = await this.svgToImageBlob(svg, width, height, scale, format);
+        images.push({
+          page: pageData.page ?? null,
+          kind: pageData.kind || null,
+          blob,
+          filename: `page-${String(i + 1).padStart(3, '0')}.${format}`,
         });
+
+        if (options.onProgress) {
+          options.onProgress({
+            current: i + 1,
+            total: sequence.length,
+            percent: Math.round(((i + 1) / sequence.length) * 100),
+          });
+        }
       }
+    } finally {
+      this.renderer.setWatermark(null);
     }
 
     return images;
@@ -238,6 +310,276 @@ export class BookExporter {
     });
   }
 
+  /**
+   * Export a print-ready PDF
+   * Each page is rasterized at print resolution with the art extended into the
+   * bleed, and the PDF carries TrimBox/BleedBox so printers know where to cut.
+   * Built with pdf-lib (same as the server-side Lulu PDFs) because jsPDF can't
+   * write CMYK images or output intents.
+   * @param {Object} bookData - { pages: [{page, text, imageUrl}], title, author, language }
+   * @param {string|Object} template - Template ID or template object
+   * @param {Object} options - { pageSize, dpi, bleed, cropMarks, colorMode: 'rgb'|'cmyk', iccProfile (URL or File of a CMYK .icc), bookId, overrides, onProgress }
+   * @returns {Promise<Blob>} - PDF blob
+   */
+  async exportToPrintPDF(bookData, template, options = {}) {
+    const {
+      pageSize = DEFAULT_SIZE_CODE,
+      dpi = 300,
+      bleed = PRINT_SPECS.bleed,
+      cropMarks = true,
+      colorMode = 'rgb',
+      iccProfile = null,
+    } = options;
+
+    const {
+      PDFDocument, PDFName, PDFString, rgb, cmyk,
+      pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject,
+    } = await import('pdf-lib');
+
+    const { width, height } = this.usePageSize(pageSize);
+    const scale = dpi / 72;
+    const useCmyk = colorMode === 'cmyk';
+
+    // Crop marks sit in a slug outside the bleed
+    const slug = cropMarks ? PRINT_SPECS.cropMarkOffset + PRINT_SPECS.cropMarkLength : 0;
+    const bleedWidth = width + bleed * 2;
+    const bleedHeight = height + bleed * 2;
+    const mediaWidth = bleedWidth + slug * 2;
+    const mediaHeight = bleedHeight + slug * 2;
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(bookData.title || 'My Book');
+    pdfDoc.setAuthor(bookData.author || 'Created with Book Compositor');
+    pdfDoc.setSubject('Children\'s Picture Book');
+    pdfDoc.setCreator('Book Compositor');
+
+    // Tag CMYK output with the printer's ICC profile when one is supplied
+    let cmykColorSpace = 'DeviceCMYK';
+    if (useCmyk && iccProfile) {
+      const { bytes: iccBytes, name: iccName } = await loadIccProfile(iccProfile);
+
+      const iccRef = pdfDoc.context.register(
+        pdfDoc.context.flateStream(iccBytes, { N: 4 })
+      );
+      cmykColorSpace = pdfDoc.context.obj([PDFName.of('ICCBased'), iccRef]);
+
+      pdfDoc.catalog.set(PDFName.of('OutputIntents'), pdfDoc.context.obj([{
+        Type: 'OutputIntent',
+        S: 'GTS_PDFX',
+        OutputConditionIdentifier: PDFString.of('Custom'),
+        Info: PDFString.of(iccName),
+        DestOutputProfile: iccRef,
+      }]));
+    }
+
+    const tmpl = typeof template === 'string' ? getTemplate(template) : template;
+    await this.renderer.preloadFonts([tmpl.typography?.fontFamily || 'Georgia', ...fallbackFontsFor(bookData.language)]);
+
+    this.renderer.setWatermark(await this.resolveWatermark(options));
+
+    try {
+      const sequence = bookPageSequence(bookData).map(forPrint);
+      for (let i = 0; i < sequence.length; i++) {
+        const pageData = sequence[i];
+        const svg = await this.renderer.render(pageData, tmpl, options.overrides || {});
+        const canvas = await this.rasterizeWithBleed(svg, width, height, bleed, scale);
+
+        const page = pdfDoc.addPage([mediaWidth, mediaHeight]);
+        page.setBleedBox(slug, slug, bleedWidth, bleedHeight);
+        page.setTrimBox(slug + bleed, slug + bleed, width, height);
+
+        if (useCmyk) {
+          const ctx = canvas.getContext('2d');
+          const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          const imageRef = pdfDoc.context.register(
+            pdfDoc.context.flateStream(rgbaToCmyk(data), {
+              Type: 'XObject',
+              Subtype: 'Image',
+              Width: canvas.width,
+              Height: canvas.height,
+              ColorSpace: cmykColorSpace,
+              BitsPerComponent: 8,
+            })
+          );
+          const imageName = page.node.newXObject('Image', imageRef);
+          page.pushOperators(
+            pushGraphicsState(),
+            concatTransformationMatrix(bleedWidth, 0, 0, bleedHeight, slug, slug),
+            drawObject(imageName),
+            popGraphicsState()
+          );
+        } else {
+          const jpegBytes = await canvasToBytes(canvas, 'image/jpeg', 0.95);
+          const image = await pdfDoc.embedJpg(jpegBytes);
+          page.drawImage(image, { x: slug, y: slug, width: bleedWidth, height: bleedHeight });
+        }
+
+        if (cropMarks) {
+          drawCropMarks(page, {
+            x: slug + bleed,
+            y: slug + bleed,
+            width,
+            height,
+            bleed,
+            color: useCmyk ? cmyk(1, 1, 1, 1) : rgb(0, 0, 0), // Registration black
+          });
+        }
+
+        if (options.onProgress) {
+          options.onProgress({
+            current: i + 1,
+            total: sequence.length,
+            percent: Math.round(((i + 1) / sequence.length) * 100),
+          });
+        }
+      }
+    } finally {
+      this.renderer.setWatermark(null);
+    }
+
+    const pdfBytes = await pdfDoc.save();
+    return new Blob([pdfBytes], { type: 'application/pdf' });
+  }
+
+  /**
+   * Rasterize a trim-size SVG onto a canvas that includes the bleed
+   * The bleed is filled by a slightly enlarged copy of the page underneath
+   * the exact-size page, so full-bleed art runs past the trim line.
+   */
+  async rasterizeWithBleed(svg, width, height, bleed, scale) {
+    const serializer = new XMLSerializer();
+    const svgBlob = new Blob([serializer.serializeToString(svg)], { type: 'image/svg+xml;charset=utf-8' });
+    const url = URL.createObjectURL(svgBlob);
+
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Failed to load SVG image'));
+        image.src = url;
+      });
+
+      const fullWidth = width + bleed * 2;
+      const fullHeight = height + bleed * 2;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(fullWidth * scale);
+      canvas.height = Math.round(fullHeight * scale);
+
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, fullWidth, fullHeight);
+
+      // Stretched copy fills the bleed, exact copy covers everything inside the trim
+      ctx.drawImage(img, 0, 0, fullWidth, fullHeight);
+      ctx.drawImage(img, bleed, bleed, width, height);
+
+      return canvas;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Export book as a fixed-layout ePub 3
+   * One XHTML document per page with the rendered art as a raster image and
+   * the page text kept as real (visually hidden) text for screen readers.
+   * @param {Object} bookData - { pages: [{page, text, imageUrl}], title, author, language }
+   * @param {string|Object} template - Template ID or template object
+   * @param {Object} options - Export options (same as exportToPDF, plus language)
+   * @returns {Promise<Blob>} - ePub blob
+   */
+  async exportToEPUB(bookData, template, options = {}) {
+    await this.ensureJSZipLoaded();
+
+    const {
+      pageSize = DEFAULT_SIZE_CODE,
+      quality = 'standard',
+      language = bookData.language || 'en',
+    } = options;
+
+    const { width, height } = this.usePageSize(pageSize);
+    const scale = { draft: 1, standard: 1.5, high: 2, print: 3 }[quality] || 1.5;
+    const title = bookData.title || 'My Book';
+    const author = bookData.author || 'Created with Book Compositor';
+    const identifier = `urn:uuid:${crypto.randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    // Rasterize every page through the same renderer (and watermark rules) as PDF export
+    const images = await this.exportToImages(bookData, template, {
+      ...options,
+      format: 'jpg',
+      scale,
+    });
+
+    const zip = new window.JSZip();
+
+    // mimetype must be the first entry and stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', buildEpubContainer());
+
+    const sequence = bookPageSequence(bookData);
+    const pages = images.map((img, i) => {
+      const num = String(i + 1).padStart(3, '0');
+      const pageData = sequence[i] || {};
+      const label = pageData.kind ? pageData.label : `Page ${img.page ?? i + 1}`;
+      return {
+        id: `page-${num}`,
+        href: `pages/page-${num}.xhtml`,
+        imageId: `img-${num}`,
+        imageHref: `images/page-${num}.jpg`,
+        label,
+        text: pageData.text || '',
+        kind: pageData.kind || null,
+        blob: img.blob,
+      };
+    });
+
+    // Cover reuses the first story page's art
+    const cover = pages.find(p => !p.kind) || pages[0];
+    zip.file('OEBPS/cover.xhtml', buildEpubPage({
+      title,
+      width,
+      height,
+      imageHref: cover ? cover.imageHref : '',
+      alt: title,
+      text: `${title} by ${author}`,
+      language,
+    }));
+
+    for (const page of pages) {
+      zip.file(`OEBPS/${page.imageHref}`, page.blob);
+      zip.file(`OEBPS/${page.href}`, buildEpubPage({
+        title: `${title} - ${page.label}`,
+        width,
+        height,
+        imageHref: `../${page.imageHref}`,
+        alt: page.kind ? page.label : `Illustration for ${page.label.toLowerCase()}`,
+        text: page.text,
+        language,
+      }));
+    }
+
+    zip.file('OEBPS/nav.xhtml', buildEpubNav(title, pages, language));
+    zip.file('OEBPS/css/fixed.css', buildEpubStyles(width, height));
+    zip.file('OEBPS/content.opf', buildEpubPackage({
+      identifier,
+      title,
+      author,
+      language,
+      modified,
+      pages,
+      coverImageId: cover?.imageId,
+    }));
+
+    return zip.generateAsync({
+      type: 'blob',
+      mimeType: EXPORT_FORMATS.epub.mimeType,
+      compression: 'DEFLATE',
+    });
+  }
+
   /**
    * Download PDF
    */
@@ -251,6 +593,32 @@ export class BookExporter {
     return blob;
   }
 
+  /**
+   * Download print-ready PDF
+   */
+  async downloadPrintPDF(bookData, template, options = {}) {
+    const blob = await this.exportToPrintPDF(bookData, template, options);
+
+    const filename = options.filename ||
+      `${(bookData.title || 'my-book').toLowerCase().replace(/\s+/g, '-')}-print.pdf`;
+
+    this.downloadBlob(blob, filename);
+    return blob;
+  }
+
+  /**
+   * Download ePub
+   */
+  async downloadEPUB(bookData, template, options = {}) {
+    const blob = await this.exportToEPUB(bookData, template, options);
+
+    const filename = options.filename ||
+      `${(bookData.title || 'my-book').toLowerCase().replace(/\s+/g, '-')}.epub`;
+
+    this.downloadBlob(blob, filename);
+    return blob;
+  }
+
   /**
    * Download all pages as ZIP
    */
@@ -308,6 +676,21 @@ export class BookExporter {
     });
   }
 
+  /**
+   * Ensure JSZip is loaded (used for ePub packaging)
+   */
+  async ensureJSZipLoaded() {
+    if (window.JSZip) return;
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Failed to load JSZip'));
+      document.head.appendChild(script);
+    });
+  }
+
   /**
    * Get estimated file size
    */
@@ -331,6 +714,216 @@ export class BookExporter {
   }
 }
 
+// =============================================
+// PRINT PDF HELPERS
+// =============================================
+
+function canvasToBytes(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(async (blob) => {
+      if (!blob) return reject(new Error('Failed to encode page image'));
+      resolve(new Uint8Array(await blob.arrayBuffer()));
+    }, type, quality);
+  });
+}
+
+/**
+ * Read an ICC profile for the print PDF's output intent
+ * Accepts a URL or a File/Blob picked in the export options. Only CMYK
+ * output profiles can describe the CMYK images the exporter writes.
+ * @param {string|Blob} profile
+ * @returns {Promise<{bytes: Uint8Array, name: string}>}
+ */
+async function loadIccProfile(profile) {
+  let bytes;
+  let name;
+
+  if (typeof profile === 'string') {
+    const response = await fetch(profile);
+    if (!response.ok) throw new Error(`Failed to load ICC profile (${response.status})`);
+    bytes = new Uint8Array(await response.arrayBuffer());
+    name = profile.split('/').pop();
+  } else {
+    bytes = new Uint8Array(await profile.arrayBuffer());
+    name = profile.name || 'profile.icc';
+  }
+
+  // Header: data colour space at 16, 'acsp' signature at 36
+  const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 128 || text(36) !== 'acsp') {
+    throw new Error(`${name} is not an ICC profile`);
+  }
+  if (text(16) !== 'CMYK') {
+    throw new Error(`${name} is not a CMYK profile`);
+  }
+
+  return { bytes, name };
+}
+
+/**
+ * Convert canvas RGBA pixels to 8-bit CMYK
+ * Simple device conversion with full black generation - a real ICC transform
+ * happens in the RIP when an output intent is attached.
+ */
+function rgbaToCmyk(rgba) {
+  const out = new Uint8Array((rgba.length / 4) * 4);
+
+  for (let i = 0; i < rgba.length; i += 4) {
+    const r = rgba[i] / 255;
+    const g = rgba[i + 1] / 255;
+    const b = rgba[i + 2] / 255;
+    const k = 1 - Math.max(r, g, b);
+    const inv = k < 1 ? 1 / (1 - k) : 0;
+
+    out[i] = Math.round((1 - r - k) * inv * 255);
+    out[i + 1] = Math.round((1 - g - k) * inv * 255);
+    out[i + 2] = Math.round((1 - b - k) * inv * 255);
+    out[i + 3] = Math.round(k * 255);
+  }
+
+  return out;
+}
+
+/**
+ * Draw corner crop marks around the trim box, kept clear of the bleed
+ */
+function drawCropMarks(page, { x, y, width, height, bleed, color }) {
+  const offset = bleed + PRINT_SPECS.cropMarkOffset;
+  const length = PRINT_SPECS.cropMarkLength;
+  const line = (start, end) => page.drawLine({ start, end, thickness: 0.25, color });
+
+  for (const cx of [x, x + width]) {
+    for (const cy of [y, y + height]) {
+      const dirX = cx === x ? -1 : 1;
+      const dirY = cy === y ? -1 : 1;
+
+      // Horizontal mark lines up with the trim edge, vertical mark likewise
+      line({ x: cx + dirX * offset, y: cy }, { x: cx + dirX * (offset + length), y: cy });
+      line({ x: cx, y: cy + dirY * offset }, { x: cx, y: cy + dirY * (offset + length) });
+    }
+  }
+}
+
+// =============================================
+// EPUB PACKAGE HELPERS
+// =============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function buildEpubContainer() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+}
+
+function buildEpubPage({ title, width, height, imageHref, alt, text, language }) {
+  const cssHref = imageHref.startsWith('../') ? '../css/fixed.css' : 'css/fixed.css';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <meta name="viewport" content="width=${width}, height=${height}"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="${cssHref}"/>
+</head>
+<body>
+  <div class="page">
+    <img src="${escapeXml(imageHref)}" alt="${escapeXml(alt)}"/>
+    <p class="page-text">${escapeXml(text)}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function buildEpubNav(title, pages, language) {
+  const items = pages
+    .map(p => `      <li><a href="${p.href}">${escapeXml(p.label)}</a></li>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+      <li><a href="cover.xhtml">Cover</a></li>
+${items}
+    </ol>
+  </nav>
+  <nav epub:type="page-list" hidden="">
+    <ol>
+${items}
+    </ol>
+  </nav>
+</body>
+</html>`;
+}
+
+function buildEpubStyles(width, height) {
+  return `html, body { margin: 0; padding: 0; width: ${width}px; height: ${height}px; }
+.page { position: relative; width: ${width}px; height: ${height}px; overflow: hidden; }
+.page img { display: block; width: ${width}px; height: ${height}px; }
+/* Text is baked into the art; keep a real copy for screen readers and search */
+.page-text { position: absolute; left: 0; top: 0; width: 1px; height: 1px; margin: 0; overflow: hidden; clip: rect(0 0 0 0); }
+`;
+}
+
+function buildEpubPackage({ identifier, title, author, language, modified, pages, coverImageId }) {
+  const manifest = [
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="css" href="css/fixed.css" media-type="text/css"/>',
+    '    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    ...pages.flatMap(p => [
+      `    <item id="${p.id}" href="${p.href}" media-type="application/xhtml+xml"/>`,
+      `    <item id="${p.imageId}" href="${p.imageHref}" media-type="image/jpeg"${p.imageId === coverImageId ? ' properties="cover-image"' : ''}/>`,
+    ]),
+  ].join('\n');
+
+  const spine = [
+    '    <itemref idref="cover"/>',
+    ...pages.map(p => `    <itemref idref="${p.id}"/>`),
+  ].join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:creator>${escapeXml(author)}</dc:creator>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">none</meta>
+    <meta property="schema:accessMode">visual</meta>
+    <meta property="schema:accessMode">textual</meta>
+    <meta property="schema:accessibilityFeature">alternativeText</meta>
+  </metadata>
+  <manifest>
+${manifest}
+  </manifest>
+  <spine>
+${spine}
+  </spine>
+</package>`;
+}
+
 // Export formats registry (for future extensibility)
 export const EXPORT_FORMATS = {
   pdf: {
@@ -363,15 +956,15 @@ export const EXPORT_FORMATS = {
     extension: 'epub',
     mimeType: 'application/epub+zip',
     description: 'For e-readers and tablets',
-    available: false, // Coming soon
+    available: true,
   },
   printReady: {
     id: 'printReady',
     name: 'Print-Ready PDF',
     extension: 'pdf',
     mimeType: 'application/pdf',
-    description: 'CMYK with bleed for professional printing',
-    available: false, // Coming soon
+    description: 'Bleed, crop marks and optional CMYK for professional printing',
+    available: true,
   },
 };
 
@@ -1,9 +1,14 @@
 // js/compositor/index.js
 // Main entry point for the book compositor module
 
+import { DEFAULT_LANGUAGE } from '../core/languages.js';
+import { resolveSpecialPages } from '../core/special-pages.js';
+import { getNarrationClip } from '../core/narration.js';
+
 // Core exports
 export { 
   TEMPLATES, 
+  COVER_TEMPLATES,
   FRAME_SHAPES, 
   FONT_FAMILIES, 
   COLOR_THEMES,
@@ -14,17 +19,28 @@ export {
   getTemplatesByCategory,
   getCategories,
   customizeTemplate,
+  getCoverTemplate,
+  getAllCoverTemplates,
+  SPECIAL_PAGE_TEMPLATES,
+  getSpecialPageTemplate,
 } from './templates.js';
 
 export { 
   PageRenderer, 
   pageRenderer,
   PAGE_DIMENSIONS,
+  WATERMARK_DEFAULTS,
+  PRINT_SPECS,
+  COVER_SPECS,
+  getSafeArea,
+  getCoverPanels,
 } from './renderer.js';
 
 export { 
   BookExporter, 
   bookExporter,
+  bookPageSequence,
+  forPrint,
   EXPORT_FORMATS,
 } from './exporter.js';
 
@@ -82,6 +98,9 @@ export function initCompositor(containerId, bookData, options = {}) {
 export function projectToBookData(project) {
   if (!project) return null;
   
+  // Picks fallback fonts and line breaking for non-Latin text (js/core/languages.js)
+  const language = project.story_options?.language || DEFAULT_LANGUAGE;
+
   const pages = (project.story_json || []).map((page, index) => {
     const illustration = (project.illustrations || []).find(
       i => Number(i.page) === Number(page.page)
@@ -91,14 +110,32 @@ export function projectToBookData(project) {
       page: page.page,
       text: page.text,
       imageUrl: illustration?.image_url || null,
+      printImageUrl: illustration?.print_url || null,
+      narrationUrl: getNarrationClip(project, page.page)?.audio_url || null,
+      language,
     };
   });
   
+  // Title page, dedication and back matter, rendered with SPECIAL_PAGE_TEMPLATES
+  const special = resolveSpecialPages(project);
+  const toPageData = ({ kind, label, fields }) => ({
+    kind,
+    label,
+    fields,
+    // Plain text for ePub pages
+    text: Object.entries(fields).filter(([field]) => field !== 'photoUrl').map(([, value]) => value).filter(Boolean).join('\n'),
+    imageUrl: fields.photoUrl || null,
+    language,
+  });
+  
   return {
     pages,
+    frontMatter: special.front.map(toPageData),
+    backMatter: special.back.map(toPageData),
     title: project.selected_idea?.title || `Book for ${project.kid_name}`,
     author: project.kid_name || 'Author',
     projectId: project.id,
+    language,
   };
 }
 
@@ -34,9 +34,11 @@ export function initCompositorPhase() {
   compositorInstance = new CompositorUI("results");
   compositorInstance.initialize(bookData);
   
-  // Set the project ID for checkout operations
+  // Set the project ID for checkout operations and layout autosave
   if (project.id) {
     compositorInstance.setProjectId(project.id);
+    // Restore the last saved layout (template, page size, per-page adjustments)
+    compositorInstance.restoreSavedLayout();
   }
   
   // Set up callbacks
@@ -46,7 +48,7 @@ export function initCompositorPhase() {
   };
   
   compositorInstance.onTemplateChange = (templateId) => {
-    // Could save preferred template to project
+    // Template choice is persisted with the rest of the layout via autosave
     console.log("Template changed to:", templateId);
   };
   
@@ -1,7 +1,9 @@
 // js/compositor/renderer.js
 // SVG-based page renderer for book compositor
 
-import { FRAME_SHAPES, FONT_FAMILIES, BACKGROUND_PATTERNS, getTemplate } from './templates.js';
+import { FRAME_SHAPES, FONT_FAMILIES, BACKGROUND_PATTERNS, getTemplate, getCoverTemplate, getSpecialPageTemplate } from './templates.js';
+import { TRIM_SIZES, BLEED, normalizeSizeCode } from '../core/trim-sizes.js';
+import { FALLBACK_FONTS, fontStackFor, estimateTextWidth, wrapLines } from '../core/languages.js';
 
 /**
  * PageRenderer - Renders a single book page as SVG
@@ -16,15 +18,94 @@ import { FRAME_SHAPES, FONT_FAMILIES, BACKGROUND_PATTERNS, getTemplate } from '.
  * - Converted to PNG/PDF for export
  */
 
-// Standard book page dimensions (in pixels at 72dpi)
-export const PAGE_DIMENSIONS = {
-  // Common children's book sizes
-  'square-small': { width: 504, height: 504, name: '7" × 7"' },
-  'square-medium': { width: 576, height: 576, name: '8" × 8"' },
-  'square-large': { width: 720, height: 720, name: '10" × 10"' },
-  'portrait': { width: 504, height: 648, name: '7" × 9"' },
-  'landscape': { width: 720, height: 504, name: '10" × 7"' },
-  'standard': { width: 612, height: 792, name: '8.5" × 11"' },
+// Book page dimensions (in pixels at 72dpi), derived from the shared trim-size
+// registry so previews match the printed book exactly
+export const PAGE_DIMENSIONS = Object.fromEntries(
+  Object.entries(TRIM_SIZES).map(([code, size]) => [code, {
+    width: size.width,
+    height: size.height,
+    name: size.name,
+  }])
+);
+
+// Print production margins (in points)
+// bleed comes from the shared trim-size registry (0.125")
+// safeMargin keeps text 0.5" inside the trim, gutter adds extra room on the binding side
+export const PRINT_SPECS = {
+  bleed: BLEED,
+  safeMargin: 36,
+  gutter: 18,
+  cropMarkLength: 18,
+  cropMarkOffset: 9,
+};
+
+/**
+ * Safe area for a page in page coordinates
+ * Odd pages are right-hand (recto) pages, so their binding edge is on the left
+ * @param {number} width - Trim width
+ * @param {number} height - Trim height
+ * @param {number} pageNumber - 1-based page number
+ * @returns {{x: number, y: number, width: number, height: number, bindingSide: string}}
+ */
+export function getSafeArea(width, height, pageNumber = 1, specs = PRINT_SPECS) {
+  const bindingSide = pageNumber % 2 === 1 ? 'left' : 'right';
+  const inner = specs.safeMargin + specs.gutter;
+  const outer = specs.safeMargin;
+
+  return {
+    x: bindingSide === 'left' ? inner : outer,
+    y: specs.safeMargin,
+    width: width - inner - outer,
+    height: height - specs.safeMargin * 2,
+    bindingSide,
+  };
+}
+
+// Cover production specs (in points)
+// Lulu stamps the ISBN barcode bottom-right of the back cover, so that area stays clear.
+// Spines thinner than minSpineTextWidth (0.25") are too narrow to print text on.
+export const COVER_SPECS = {
+  safeMargin: 36,
+  spineSafe: 4.5,
+  minSpineTextWidth: 18,
+  barcode: { width: 144, height: 86, inset: 36 },
+};
+
+/**
+ * Panel rectangles of a full cover wrap, in cover coordinates
+ * The wrap reads back | spine | front with margin (bleed + board wrap) on every outer edge
+ * @param {Object} spec - Cover spec from /api/lulu/cover-dimensions
+ * @returns {{back: Object, spine: Object, front: Object, barcode: Object}}
+ */
+export function getCoverPanels(spec, specs = COVER_SPECS) {
+  const { margin, trimWidth, trimHeight, spineWidth } = spec;
+
+  const back = { x: margin, y: margin, width: trimWidth, height: trimHeight };
+  const spine = { x: margin + trimWidth, y: margin, width: spineWidth, height: trimHeight };
+  const front = { x: margin + trimWidth + spineWidth, y: margin, width: trimWidth, height: trimHeight };
+  const barcode = {
+    x: back.x + back.width - specs.barcode.inset - specs.barcode.width,
+    y: back.y + back.height - specs.barcode.inset - specs.barcode.height,
+    width: specs.barcode.width,
+    height: specs.barcode.height,
+  };
+
+  return { back, spine, front, barcode };
+}
+
+// Default watermark for unpaid exports
+// placement: 'tiled' repeats across the page, 'center' draws one large mark,
+// 'bottom-right' draws a small corner mark
+export const WATERMARK_DEFAULTS = {
+  text: 'BrightStories.ai Preview',
+  logoUrl: null,
+  opacity: 0.18,
+  color: '#000000',
+  fontFamily: 'Arial',
+  fontSize: 22,
+  rotation: -30,
+  placement: 'tiled',
+  spacing: 280,
 };
 
 // Image cache for data URLs
@@ -32,11 +113,28 @@ const imageCache = new Map();
 
 export class PageRenderer {
   constructor(options = {}) {
-    this.pageSize = options.pageSize || 'square-medium';
+    this.pageSize = normalizeSizeCode(options.pageSize);
     this.dimensions = PAGE_DIMENSIONS[this.pageSize];
     this.dpi = options.dpi || 72;
     this.fontsLoaded = new Set();
     this.clipIdCounter = 0;
+    this.watermark = null;
+    if (options.watermark) this.setWatermark(options.watermark);
+  }
+
+  /**
+   * Enable or disable the watermark layer drawn on top of every page
+   * @param {Object|boolean|null} watermark - true for defaults, an object to override defaults, null to disable
+   */
+  setWatermark(watermark) {
+    if (!watermark) {
+      this.watermark = null;
+      return;
+    }
+    this.watermark = {
+      ...WATERMARK_DEFAULTS,
+      ...(typeof watermark === 'object' ? watermark : {}),
+    };
   }
 
   /**
@@ -107,12 +205,17 @@ export class PageRenderer {
 
   /**
    * Render a single page (ASYNC version - converts images to data URLs)
-   * @param {Object} pageData - { page: number, text: string, imageUrl: string }
+   * @param {Object} pageData - { page: number, text: string, imageUrl: string, language?: string },
+   *                            or a special page { kind, fields, language } (see renderSpecialPage)
    * @param {string|Object} template - Template ID or template object
    * @param {Object} overrides - Custom overrides for this page
    * @returns {Promise<SVGElement>} - The rendered SVG element
    */
   async render(pageData, template, overrides = {}) {
+    if (pageData.kind) {
+      return this.renderSpecialPage(pageData, template, overrides);
+    }
+
     console.log('[Renderer] render() called for page:', pageData.page);
     console.log('[Renderer] pageData.imageUrl:', pageData.imageUrl ? 'present' : 'missing');
     
@@ -139,14 +242,75 @@ export class PageRenderer {
     }
     
     this.renderImage(svg, imageUrl, config, width, height);
-    this.renderText(svg, pageData.text, config, width, height);
+    this.renderText(svg, pageData.text, config, width, height, pageData.language);
     this.renderPageNumber(svg, pageData.page, config, width, height);
     this.renderEffects(svg, config, width, height);
     
+    // Watermark goes last so nothing can be layered over it
+    if (this.watermark) {
+      const logoUrl = await this.loadImageAsDataUrl(this.watermark.logoUrl);
+      this.renderWatermark(svg, { ...this.watermark, logoUrl }, width, height);
+    }
+    
     console.log('[Renderer] render() complete');
     return svg;
   }
 
+  /**
+   * Render a title page, dedication or back-matter page
+   * Uses the book's page template for colors, background and font, and the
+   * kind's SPECIAL_PAGE_TEMPLATES entry for where each field goes.
+   * @param {Object} pageData - { kind, fields: { [field]: string }, language? }
+   * @param {string|Object} template - Page template ID or template object
+   * @param {Object} overrides - Custom overrides (colors, typography, effects)
+   * @returns {Promise<SVGElement>}
+   */
+  async renderSpecialPage(pageData, template, overrides = {}) {
+    const tmpl = typeof template === 'string' ? getTemplate(template) : template;
+    const config = this.mergeConfig(tmpl, overrides);
+    const layout = getSpecialPageTemplate(pageData.kind) || { text: {} };
+    const fields = pageData.fields || {};
+
+    const { width, height } = this.dimensions;
+    const svg = this.createSvgElement(width, height);
+    svg.setAttribute('class', `special-page special-page-${pageData.kind}`);
+
+    this.renderBackground(svg, config, width, height);
+
+    const imageUrl = layout.image && fields[layout.image.field];
+    if (imageUrl) {
+      const border = layout.image.border && {
+        ...layout.image.border,
+        color: this.resolveCoverColor(layout.image.border.color, config.colors),
+      };
+      this.renderImage(svg, await this.loadImageAsDataUrl(imageUrl), {
+        ...config,
+        layout: { image: { ...layout.image, border } },
+        // Per-page crop and frame edits belong to story pages
+        cropSettings: null,
+        showCropOverlay: false,
+      }, width, height);
+    }
+
+    const typography = config.typography || {};
+    for (const [field, element] of Object.entries(layout.text)) {
+      this.renderText(svg, fields[field], {
+        layout: { text: element },
+        typography: { ...typography, baseFontSize: Math.round((typography.baseFontSize || 18) * element.scale) },
+        colors: { ...config.colors, text: this.resolveCoverColor(element.color, config.colors) },
+        effects: config.effects,
+      }, width, height, pageData.language);
+    }
+
+    // Watermark goes last so nothing can be layered over it
+    if (this.watermark) {
+      const logoUrl = await this.loadImageAsDataUrl(this.watermark.logoUrl);
+      this.renderWatermark(svg, { ...this.watermark, logoUrl }, width, height);
+    }
+
+    return svg;
+  }
+
   /**
    * Synchronous render (uses URL directly - may not work with CORS)
    * Use this only when you know the images are same-origin or data URLs
@@ -161,9 +325,10 @@ export class PageRenderer {
     
     this.renderBackground(svg, config, width, height);
     this.renderImage(svg, pageData.imageUrl, config, width, height);
-    this.renderText(svg, pageData.text, config, width, height);
+    this.renderText(svg, pageData.text, config, width, height, pageData.language);
     this.renderPageNumber(svg, pageData.page, config, width, height);
     this.renderEffects(svg, config, width, height);
+    this.renderWatermark(svg, this.watermark, width, height);
     
     return svg;
   }
@@ -199,10 +364,150 @@ export class PageRenderer {
     return serializer.serializeToString(svg);
   }
 
+  /**
+   * Render the full cover wrap (back, spine, front) as one SVG
+   * @param {Object} coverData - { title, author, blurb, imageUrl, showSpineText, language }
+   * @param {string|Object} template - Cover template ID or template object
+   * @param {Object} spec - Cover spec from /api/lulu/cover-dimensions
+   * @param {Object} overrides - e.g. { colors } from a color theme
+   * @returns {Promise<SVGElement>}
+   */
+  async renderCover(coverData, template, spec, overrides = {}) {
+    const tmpl = typeof template === 'string' ? getCoverTemplate(template) : template;
+    const config = this.mergeConfig(tmpl, overrides);
+    const panels = getCoverPanels(spec);
+
+    const svg = this.createSvgElement(spec.width, spec.height);
+    svg.setAttribute('class', 'cover-wrap');
+
+    // Background and pattern run across the whole wrap so bleed and board wrap are covered
+    this.renderBackground(svg, config, spec.width, spec.height);
+
+    // Spine band runs off the top and bottom edges into the wrap
+    const spineBand = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    spineBand.setAttribute('x', panels.spine.x);
+    spineBand.setAttribute('y', 0);
+    spineBand.setAttribute('width', panels.spine.width);
+    spineBand.setAttribute('height', spec.height);
+    spineBand.setAttribute('fill', this.resolveCoverColor(config.spine?.background, config.colors));
+    svg.appendChild(spineBand);
+
+    const imageUrl = coverData.imageUrl ? await this.loadImageAsDataUrl(coverData.imageUrl) : null;
+
+    // Front panel
+    const frontImage = config.front?.image;
+    if (frontImage && imageUrl) {
+      // Full-bleed images extend past the trim to the outer edges of the wrap
+      const rect = frontImage.bleed
+        ? { x: panels.front.x, y: 0, width: panels.front.width + spec.margin, height: spec.height }
+        : panels.front;
+      const imagePanel = this.createPanel(svg, rect);
+      const border = frontImage.border && {
+        ...frontImage.border,
+        color: this.resolveCoverColor(frontImage.border.color, config.colors),
+      };
+      this.renderImage(imagePanel, imageUrl, {
+        ...config,
+        layout: { image: { ...frontImage, border } },
+      }, rect.width, rect.height);
+    }
+
+    const front = this.createPanel(svg, panels.front);
+    this.renderText(front, coverData.title, this.getCoverTextConfig(config, 'title', config.front?.title), panels.front.width, panels.front.height, coverData.language);
+    if (coverData.author) {
+      this.renderText(front, coverData.author, this.getCoverTextConfig(config, 'author', config.front?.author), panels.front.width, panels.front.height, coverData.language);
+    }
+
+    // Back panel
+    const back = this.createPanel(svg, panels.back);
+    if (coverData.blurb) {
+      this.renderText(back, coverData.blurb, this.getCoverTextConfig(config, 'blurb', config.back?.blurb), panels.back.width, panels.back.height, coverData.language);
+    }
+
+    // Keep the barcode area plain white so Lulu's barcode scans
+    const barcode = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    barcode.setAttribute('x', panels.barcode.x);
+    barcode.setAttribute('y', panels.barcode.y);
+    barcode.setAttribute('width', panels.barcode.width);
+    barcode.setAttribute('height', panels.barcode.height);
+    barcode.setAttribute('fill', '#FFFFFF');
+    barcode.setAttribute('class', 'cover-barcode-area');
+    svg.appendChild(barcode);
+
+    // Spine
+    if (coverData.showSpineText !== false && panels.spine.width >= COVER_SPECS.minSpineTextWidth) {
+      this.renderSpineText(svg, coverData, config, panels.spine);
+    }
+
+    return svg;
+  }
+
   // =============================================
   // PRIVATE RENDERING METHODS
   // =============================================
 
+  // Nested SVG viewport so page-relative rendering methods can draw into a cover panel
+  createPanel(svg, rect) {
+    const panel = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    panel.setAttribute('x', rect.x);
+    panel.setAttribute('y', rect.y);
+    panel.setAttribute('width', rect.width);
+    panel.setAttribute('height', rect.height);
+    panel.setAttribute('viewBox', `0 0 ${rect.width} ${rect.height}`);
+    panel.setAttribute('overflow', 'visible');
+    svg.appendChild(panel);
+    return panel;
+  }
+
+  // Cover templates may name theme colors ('accent') instead of literal values
+  resolveCoverColor(value, colors = {}) {
+    if (!value) return 'transparent';
+    return colors[value] || value;
+  }
+
+  // Build a renderText config for one cover text element (title, author, blurb)
+  getCoverTextConfig(config, role, element = {}) {
+    return {
+      layout: {
+        text: {
+          ...element,
+          background: element.background ? this.resolveCoverColor(element.background, config.colors) : undefined,
+        },
+      },
+      typography: config.typography?.[role] || {},
+      colors: { ...config.colors, text: this.resolveCoverColor(element.color || 'text', config.colors) },
+      effects: config.effects,
+    };
+  }
+
+  renderSpineText(svg, coverData, config, spine) {
+    const typography = config.typography?.spine || {};
+    const fontSize = Math.min(16, (spine.width - COVER_SPECS.spineSafe * 2) * 0.75);
+    const text = coverData.author ? `${coverData.title}  ·  ${coverData.author}` : coverData.title;
+
+    // Drop the author if the estimated line won't fit the spine length
+    const maxLength = spine.height - COVER_SPECS.safeMargin * 2;
+    const fits = (value) => estimateTextWidth(value, fontSize) <= maxLength;
+    const label = fits(text) ? text : coverData.title;
+
+    // Reads top to bottom, as on English-language spines
+    const textEl = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    const cx = spine.x + spine.width / 2;
+    const cy = spine.y + spine.height / 2;
+    textEl.setAttribute('x', cx);
+    textEl.setAttribute('y', cy);
+    textEl.setAttribute('transform', `rotate(90 ${cx} ${cy})`);
+    textEl.setAttribute('text-anchor', 'middle');
+    textEl.setAttribute('dominant-baseline', 'central');
+    textEl.setAttribute('font-family', fontStackFor(typography.fontFamily, label, coverData.language));
+    textEl.setAttribute('font-size', fontSize);
+    textEl.setAttribute('font-weight', typography.fontWeight || '400');
+    textEl.setAttribute('fill', this.resolveCoverColor(config.spine?.color, config.colors));
+    textEl.setAttribute('class', 'cover-spine-text');
+    textEl.textContent = label;
+    svg.appendChild(textEl);
+  }
+
   createSvgElement(width, height) {
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     svg.setAttribute('width', width);
@@ -842,7 +1147,7 @@ export class PageRenderer {
     svg.appendChild(borderShape);
   }
 
-  renderText(svg, text, config, pageWidth, pageHeight) {
+  renderText(svg, text, config, pageWidth, pageHeight, language) {
     if (!text) return;
 
     const textConfig = config.layout?.text || {};
@@ -903,7 +1208,7 @@ export class PageRenderer {
       const textEl = document.createElementNS('http://www.w3.org/2000/svg', 'text');
       textEl.setAttribute('x', textX);
       textEl.setAttribute('y', startY + i * lineHeight);
-      textEl.setAttribute('font-family', `"${typography.fontFamily}", sans-serif`);
+      textEl.setAttribute('font-family', fontStackFor(typography.fontFamily, line, language));
       textEl.setAttribute('font-size', scaledFontSize);
       textEl.setAttribute('font-weight', typography.fontWeight || '400');
       textEl.setAttribute('fill', config.colors?.text || '#333333');
@@ -981,6 +1286,72 @@ export class PageRenderer {
     }
   }
 
+  renderWatermark(svg, watermark, width, height) {
+    if (!watermark) return;
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const group = document.createElementNS(ns, 'g');
+    group.setAttribute('class', 'watermark');
+    group.setAttribute('opacity', watermark.opacity);
+    group.setAttribute('pointer-events', 'none');
+
+    const createMark = (cx, cy, fontSize) => {
+      const mark = document.createElementNS(ns, 'g');
+      mark.setAttribute('transform', `translate(${cx}, ${cy}) rotate(${watermark.rotation})`);
+
+      if (watermark.logoUrl) {
+        const logoSize = fontSize * 2.5;
+        const logo = document.createElementNS(ns, 'image');
+        logo.setAttribute('href', watermark.logoUrl);
+        logo.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', watermark.logoUrl);
+        logo.setAttribute('x', -logoSize / 2);
+        logo.setAttribute('y', -logoSize - fontSize * 0.5);
+        logo.setAttribute('width', logoSize);
+        logo.setAttribute('height', logoSize);
+        logo.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        mark.appendChild(logo);
+      }
+
+      if (watermark.text) {
+        const text = document.createElementNS(ns, 'text');
+        text.setAttribute('x', 0);
+        text.setAttribute('y', 0);
+        text.setAttribute('font-family', `"${watermark.fontFamily}", sans-serif`);
+        text.setAttribute('font-size', fontSize);
+        text.setAttribute('font-weight', 'bold');
+        text.setAttribute('fill', watermark.color);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'middle');
+        text.textContent = watermark.text;
+        mark.appendChild(text);
+      }
+
+      return mark;
+    };
+
+    if (watermark.placement === 'center') {
+      group.appendChild(createMark(width / 2, height / 2, watermark.fontSize * 2));
+    } else if (watermark.placement === 'bottom-right') {
+      const fontSize = watermark.fontSize * 0.6;
+      const mark = createMark(0, 0, fontSize);
+      mark.setAttribute('transform', `translate(${width - 16}, ${height - 16})`);
+      mark.querySelector('text')?.setAttribute('text-anchor', 'end');
+      group.appendChild(mark);
+    } else {
+      // Tiled: offset every other row so the marks form a diagonal lattice
+      const spacing = Math.max(watermark.spacing, 40);
+      let row = 0;
+      for (let y = 0; y <= height + spacing; y += spacing / 2, row++) {
+        const offset = row % 2 ? spacing / 2 : 0;
+        for (let x = -spacing; x <= width + spacing; x += spacing) {
+          group.appendChild(createMark(x + offset, y, watermark.fontSize));
+        }
+      }
+    }
+
+    svg.appendChild(group);
+  }
+
   // =============================================
   // HELPER METHODS
   // =============================================
@@ -1008,23 +1379,8 @@ export class PageRenderer {
     const minFontSize = 12;
     const maxFontSize = baseFontSize * 1.5;
 
-    // Estimate characters per line at base font size
-    const avgCharWidth = baseFontSize * 0.5;
-    const charsPerLine = Math.floor(maxWidth / avgCharWidth);
-    
-    // Estimate number of lines needed
-    const words = text.split(/\s+/);
-    let lines = 1;
-    let currentLineLength = 0;
-    
-    for (const word of words) {
-      if (currentLineLength + word.length > charsPerLine) {
-        lines++;
-        currentLineLength = word.length;
-      } else {
-        currentLineLength += word.length + 1;
-      }
-    }
+    // Estimate number of lines needed at base font size
+    const lines = Math.max(1, this.wrapText(text, maxWidth, baseFontSize).length);
 
     // Calculate if text fits
     const textHeight = lines * fontSize * lineHeight;
@@ -1044,32 +1400,11 @@ export class PageRenderer {
 
   /**
    * Word wrap text to fit width
+   * Chinese and Japanese have no spaces between words, so lines can break
+   * between any two characters; their characters are also about twice as wide.
    */
   wrapText(text, maxWidth, fontSize, fontFamily) {
-    const words = text.split(/\s+/);
-    const lines = [];
-    let currentLine = '';
-    
-    // Estimate average character width
-    const avgCharWidth = fontSize * 0.5;
-    const maxChars = Math.floor(maxWidth / avgCharWidth);
-
-    for (const word of words) {
-      const testLine = currentLine ? `${currentLine} ${word}` : word;
-      
-      if (testLine.length > maxChars && currentLine) {
-        lines.push(currentLine);
-        currentLine = word;
-      } else {
-        currentLine = testLine;
-      }
-    }
-    
-    if (currentLine) {
-      lines.push(currentLine);
-    }
-
-    return lines;
+    return wrapLines(text, maxWidth, (line) => estimateTextWidth(line, fontSize));
   }
 
   mergeConfig(template, overrides) {
@@ -1092,7 +1427,7 @@ export class PageRenderer {
    */
   async preloadFonts(fontFamilies) {
     const fontsToLoad = fontFamilies.filter(f => {
-      const fontConfig = FONT_FAMILIES[f];
+      const fontConfig = FONT_FAMILIES[f] || FALLBACK_FONTS[f];
       return fontConfig?.googleFont && !this.fontsLoaded.has(f);
     });
 
@@ -1100,7 +1435,7 @@ export class PageRenderer {
 
     // Build Google Fonts URL
     const families = fontsToLoad.map(f => {
-      const config = FONT_FAMILIES[f];
+      const config = FONT_FAMILIES[f] || FALLBACK_FONTS[f];
       return `${f.replace(/ /g, '+')}:wght@${config.weight}`;
     }).join('&family=');
 
@@ -889,6 +889,126 @@ export const TEMPLATES = {
   },
 };
 
+// COVER TEMPLATES - laid out per panel of the full cover wrap (back | spine | front)
+// Regions are fractions of the panel they sit in; color values can be theme keys
+export const COVER_TEMPLATES = {
+  'classic-cover': {
+    id: 'classic-cover', name: 'Classic', description: 'Framed illustration with the title below', preview: '📕',
+    colors: COLOR_THEMES.sunshine,
+    backgroundPattern: 'none',
+    typography: {
+      title: { fontFamily: 'Fredoka One', baseFontSize: 40, lineHeight: 1.2, fontWeight: '400' },
+      author: { fontFamily: 'Quicksand', baseFontSize: 18, lineHeight: 1.3, fontWeight: '600' },
+      blurb: { fontFamily: 'Quicksand', baseFontSize: 16, lineHeight: 1.6, fontWeight: '500' },
+      spine: { fontFamily: 'Fredoka One', fontWeight: '400' },
+    },
+    front: {
+      image: { position: { region: { x: 0.1, y: 0.08, width: 0.8, height: 0.58 } }, frame: 'superRounded', padding: 0, border: { width: 5, color: 'accent' } },
+      title: { position: { region: { x: 0.08, y: 0.68, width: 0.84, height: 0.17 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+      author: { position: { region: { x: 0.15, y: 0.85, width: 0.7, height: 0.08 } }, align: 'center', verticalAlign: 'center', color: 'secondary' },
+    },
+    spine: { background: 'accent', color: 'background' },
+    back: {
+      blurb: { position: { region: { x: 0.12, y: 0.15, width: 0.76, height: 0.45 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+    },
+    effects: { imageDropShadow: true },
+  },
+  'full-bleed-cover': {
+    id: 'full-bleed-cover', name: 'Full Bleed', description: 'Illustration fills the front with the title on a banner', preview: '🖼️',
+    colors: COLOR_THEMES.oceanSplash,
+    backgroundPattern: 'none',
+    typography: {
+      title: { fontFamily: 'Luckiest Guy', baseFontSize: 40, lineHeight: 1.2, fontWeight: '400' },
+      author: { fontFamily: 'Nunito', baseFontSize: 18, lineHeight: 1.3, fontWeight: '700' },
+      blurb: { fontFamily: 'Nunito', baseFontSize: 16, lineHeight: 1.6, fontWeight: '600' },
+      spine: { fontFamily: 'Luckiest Guy', fontWeight: '400' },
+    },
+    front: {
+      // bleed: the image runs off the trim into the wrap so no edge shows once the case is made
+      image: { position: { region: { x: 0, y: 0, width: 1, height: 1 } }, frame: 'rectangle', padding: 0, bleed: true },
+      title: { position: { region: { x: 0.08, y: 0.07, width: 0.84, height: 0.2 } }, align: 'center', verticalAlign: 'center', color: 'text', background: 'rgba(255,255,255,0.9)', borderRadius: 18 },
+      author: { position: { region: { x: 0.2, y: 0.86, width: 0.6, height: 0.07 } }, align: 'center', verticalAlign: 'center', color: 'text', background: 'rgba(255,255,255,0.9)', borderRadius: 14 },
+    },
+    spine: { background: 'accent', color: 'background' },
+    back: {
+      blurb: { position: { region: { x: 0.12, y: 0.2, width: 0.76, height: 0.4 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+    },
+    effects: { imageDropShadow: false },
+  },
+  'storybook-oval': {
+    id: 'storybook-oval', name: 'Storybook', description: 'Oval portrait on a starry night sky', preview: '🌙',
+    colors: COLOR_THEMES.starryNight,
+    backgroundPattern: 'stars',
+    typography: {
+      title: { fontFamily: 'Caveat', baseFontSize: 48, lineHeight: 1.1, fontWeight: '600' },
+      author: { fontFamily: 'Kalam', baseFontSize: 18, lineHeight: 1.3, fontWeight: '400' },
+      blurb: { fontFamily: 'Kalam', baseFontSize: 17, lineHeight: 1.6, fontWeight: '400' },
+      spine: { fontFamily: 'Caveat', fontWeight: '600' },
+    },
+    front: {
+      image: { position: { region: { x: 0.15, y: 0.24, width: 0.7, height: 0.56 } }, frame: 'oval', padding: 0, border: { width: 4, color: 'highlight' } },
+      title: { position: { region: { x: 0.06, y: 0.04, width: 0.88, height: 0.19 } }, align: 'center', verticalAlign: 'center', color: 'accent' },
+      author: { position: { region: { x: 0.15, y: 0.83, width: 0.7, height: 0.08 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+    },
+    spine: { background: 'secondary', color: 'accent' },
+    back: {
+      blurb: { position: { region: { x: 0.12, y: 0.15, width: 0.76, height: 0.45 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+    },
+    effects: { imageDropShadow: true },
+  },
+  'bold-banner': {
+    id: 'bold-banner', name: 'Bold Banner', description: 'Big title banner over a playful pattern', preview: '🎉',
+    colors: COLOR_THEMES.partyTime,
+    backgroundPattern: 'confetti',
+    typography: {
+      title: { fontFamily: 'Chewy', baseFontSize: 44, lineHeight: 1.15, fontWeight: '400' },
+      author: { fontFamily: 'Baloo 2', baseFontSize: 18, lineHeight: 1.3, fontWeight: '700' },
+      blurb: { fontFamily: 'Baloo 2', baseFontSize: 16, lineHeight: 1.6, fontWeight: '600' },
+      spine: { fontFamily: 'Chewy', fontWeight: '400' },
+    },
+    front: {
+      image: { position: { region: { x: 0.12, y: 0.3, width: 0.76, height: 0.52 } }, frame: 'blob', padding: 0, border: { width: 5, color: 'secondary' } },
+      title: { position: { region: { x: 0.05, y: 0.05, width: 0.9, height: 0.21 } }, align: 'center', verticalAlign: 'center', color: 'background', background: 'accent', borderRadius: 24 },
+      author: { position: { region: { x: 0.15, y: 0.85, width: 0.7, height: 0.08 } }, align: 'center', verticalAlign: 'center', color: 'text' },
+    },
+    spine: { background: 'secondary', color: 'background' },
+    back: {
+      blurb: { position: { region: { x: 0.12, y: 0.15, width: 0.76, height: 0.45 } }, align: 'center', verticalAlign: 'center', color: 'text', background: 'rgba(255,255,255,0.85)', borderRadius: 18 },
+    },
+    effects: { imageDropShadow: true },
+  },
+};
+
+// Layouts for the title page, dedication and back matter (shared/special-pages.json
+// kinds). They take their colors, background and font from the book's page
+// template; each text element is sized at scale × the template's baseFontSize.
+export const SPECIAL_PAGE_TEMPLATES = {
+  title: {
+    text: {
+      title: { position: { region: { x: 0.1, y: 0.22, width: 0.8, height: 0.26 } }, align: 'center', verticalAlign: 'center', color: 'accent', scale: 2 },
+      subtitle: { position: { region: { x: 0.12, y: 0.48, width: 0.76, height: 0.12 } }, align: 'center', verticalAlign: 'top', color: 'secondary', scale: 1.1 },
+      author: { position: { region: { x: 0.15, y: 0.72, width: 0.7, height: 0.1 } }, align: 'center', verticalAlign: 'center', color: 'text', scale: 1 },
+    },
+  },
+  dedication: {
+    text: {
+      text: { position: { region: { x: 0.18, y: 0.3, width: 0.64, height: 0.4 } }, align: 'center', verticalAlign: 'center', color: 'text', scale: 0.9 },
+    },
+  },
+  'about-author': {
+    image: { field: 'photoUrl', position: { region: { x: 0.3, y: 0.08, width: 0.4, height: 0.4 } }, frame: 'circle', padding: 0, border: { width: 5, color: 'accent' } },
+    text: {
+      heading: { position: { region: { x: 0.1, y: 0.5, width: 0.8, height: 0.1 } }, align: 'center', verticalAlign: 'center', color: 'accent', scale: 1.4 },
+      text: { position: { region: { x: 0.12, y: 0.61, width: 0.76, height: 0.32 } }, align: 'center', verticalAlign: 'top', color: 'text', scale: 0.85 },
+    },
+  },
+  'the-end': {
+    text: {
+      text: { position: { region: { x: 0.1, y: 0.35, width: 0.8, height: 0.3 } }, align: 'center', verticalAlign: 'center', color: 'accent', scale: 2.4 },
+    },
+  },
+};
+
 // Helper functions
 export function getTemplatesByCategory(category) {
   return Object.values(TEMPLATES).filter(t => t.category === category);
@@ -922,4 +1042,16 @@ function deepMerge(target, source) {
     }
   }
   return result;
-}
\ No newline at end of file
+}
+
+export function getCoverTemplate(id) {
+  return COVER_TEMPLATES[id] || COVER_TEMPLATES['classic-cover'];
+}
+
+export function getAllCoverTemplates() {
+  return Object.values(COVER_TEMPLATES);
+}
+
+export function getSpecialPageTemplate(kind) {
+  return SPECIAL_PAGE_TEMPLATES[kind] || null;
+}
@@ -5,13 +5,23 @@ import {
   getAllTemplates, 
   getTemplate, 
   getCategories, 
+  getAllCoverTemplates,
   FRAME_SHAPES, 
   FONT_FAMILIES, 
   COLOR_THEMES 
 } from './templates.js';
-import { PageRenderer, PAGE_DIMENSIONS } from './renderer.js';
-import { bookExporter, EXPORT_FORMATS } from './exporter.js';
+import { 
+  PageRenderer, 
+  PAGE_DIMENSIONS, 
+  PRINT_SPECS, 
+  COVER_SPECS, 
+  getSafeArea, 
+  getCoverPanels 
+} from './renderer.js';
+import { TRIM_SIZES, normalizeSizeCode } from '../core/trim-sizes.js';
+import { bookExporter, forPrint, EXPORT_FORMATS } from './exporter.js';
 import { state } from '../core/state.js';
+import { escapeHtml } from '../core/utils.js';
 import { 
   getBookPurchaseStatus, 
   checkPaymentReturn,
@@ -22,6 +32,22 @@ import {
   updateCartItem,
   getHardcoverSizes 
 } from '../api/cart.js';
+import { 
+  loadCompositorLayout, 
+  saveCompositorLayout 
+} from '../api/compositor.js';
+import { getCoverDimensions } from '../api/lulu.js';
+
+// Bump when the shape of the saved layout document changes
+const LAYOUT_SCHEMA_VERSION = 1;
+
+// Cover wrap is rendered at 300ppi; the upload is re-encoded at lower JPEG
+// quality until it fits under the serverless request body limit
+const COVER_PRINT_SCALE = 300 / 72;
+const MAX_COVER_UPLOAD_CHARS = 4 * 1024 * 1024;
+
+// Read-aloud holds a page with no narration this long before turning it
+const NARRATION_SILENT_PAGE_MS = 2500;
 
 // API function to start a new print upload session (clears old pages)
 async function startPrintUpload(bookId) {
@@ -41,7 +67,7 @@ async function startPrintUpload(bookId) {
 }
 
 // API function to upload a single rendered page for print
-async function uploadSinglePrintPage(bookId, pageNumber, imageData) {
+async function uploadSinglePrintPage(bookId, pageNumber, imageData, sizeCode) {
   const response = await fetch('/api/lulu/upload-page-images', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -49,7 +75,7 @@ async function uploadSinglePrintPage(bookId, pageNumber, imageData) {
     body: JSON.stringify({ 
       bookId, 
       pages: [{ pageNumber, imageData }],
-      coverImage: pageNumber === 1 ? imageData : null,
+      sizeCode,
     }),
   });
 
@@ -61,6 +87,28 @@ async function uploadSinglePrintPage(bookId, pageNumber, imageData) {
   return response.json();
 }
 
+// API function to upload the designed cover wrap for print
+async function uploadPrintCover(bookId, imageData, coverSpec) {
+  const response = await fetch('/api/lulu/upload-page-images', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ 
+      bookId, 
+      pages: [],
+      coverImage: imageData,
+      coverSpec,
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to upload cover');
+  }
+
+  return response.json();
+}
+
 // API function to mark print pages upload complete
 async function finalizePrintPages(bookId) {
   const response = await fetch('/api/lulu/finalize-print-pages', {
@@ -106,7 +154,7 @@ export class CompositorUI {
     // Per-page text settings: { [pageIndex]: { scale, offsetX, offsetY } }
     this.pageTextSettings = {};
     
-    // View mode: 'single', 'sideBySide', 'grid', 'list'
+    // View mode: 'single', 'sideBySide', 'grid', 'list', 'cover'
     this.viewMode = 'single';
     
     // A/B pattern mode: when enabled, odd pages share settings, even pages share settings
@@ -140,6 +188,28 @@ export class CompositorUI {
     this.redoStack = [];
     this.maxUndoSteps = 50;
     
+    // Trim/bleed/safe-area guides on the canvas (preview only, never exported)
+    this.showPrintGuides = false;
+    
+    // Read-aloud playback (pages with narrationUrl, see js/ui/narration.js)
+    this.narrationAudio = null;
+    this.narrationTimer = null;
+    
+    // Cover designer (full wrap: back | spine | front)
+    // title/author of null fall back to the book's own title and author
+    this.cover = {
+      templateId: 'classic-cover',
+      colorTheme: null,
+      title: null,
+      author: null,
+      blurb: '',
+      imagePage: null,
+      showSpineText: true,
+    };
+    this.coverSpec = null; // Cover geometry for the current size + page count
+    this.coverSpecKey = null;
+    this.coverRenderTimer = null;
+    
     // Cart modal state
     this.purchaseStatus = null;
     this.projectId = null;
@@ -148,6 +218,15 @@ export class CompositorUI {
     this.hardcoverSizes = [];
     this.productPrices = { ebook: 999, hardcover: 2999 };
     
+    // Layout persistence (autosave to book_projects.compositor_layout)
+    this.layoutVersion = 0;
+    this.layoutDirty = false;
+    this.isSavingLayout = false;
+    this.layoutConflict = false; // Another session saved over our base version
+    this.autosaveTimer = null;
+    this.autosaveDelay = 1500;
+    this.beforeUnloadHandler = null;
+    
     // Callbacks
     this.onExportComplete = null;
     this.onTemplateChange = null;
@@ -234,6 +313,11 @@ export class CompositorUI {
             </button>
             <div class="topbar-divider"></div>
             <span class="topbar-title">${this.bookData?.title || 'Book Layout'}</span>
+            <span id="autosave-status" class="autosave-status"></span>
+            <span id="autosave-conflict" class="autosave-conflict hidden">
+              <button id="layout-keep-mine" class="topbar-btn" title="Save this layout over the other session's">Keep mine</button>
+              <button id="layout-load-theirs" class="topbar-btn" title="Discard these edits and load the other session's layout">Load theirs</button>
+            </span>
           </div>
           <div class="topbar-center">
             <button id="prev-page" class="topbar-btn" title="Previous page" ${this.viewMode === 'grid' ? 'style="display:none"' : ''}>
@@ -247,6 +331,12 @@ export class CompositorUI {
                 <path d="M9 18l6-6-6-6"/>
               </svg>
             </button>
+            ${this.hasNarration() ? `
+            <button id="narration-play-btn" class="topbar-btn" title="Read aloud from this page" ${['single', 'sideBySide'].includes(this.viewMode) ? '' : 'style="display:none"'}>
+              ${this.getNarrationIcon(false)}
+              <span>Read aloud</span>
+            </button>
+            ` : ''}
             
             <div class="topbar-divider" ${this.viewMode === 'grid' || this.viewMode === 'list' ? 'style="display:none"' : ''}></div>
             
@@ -313,6 +403,13 @@ export class CompositorUI {
                   </svg>
                   <span>List View</span>
                 </button>
+                <button class="dropdown-item ${this.viewMode === 'cover' ? 'active' : ''}" data-view="cover">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="2" y="4" width="20" height="16" rx="1"/>
+                    <path d="M10.5 4v16M13.5 4v16"/>
+                  </svg>
+                  <span>Cover</span>
+                </button>
               </div>
             </div>
             
@@ -334,6 +431,10 @@ export class CompositorUI {
               <input type="checkbox" id="show-page-numbers" checked>
               <span>Page #</span>
             </label>
+            <label class="topbar-checkbox" title="Show trim, bleed and safe-area guides">
+              <input type="checkbox" id="show-print-guides" ${this.showPrintGuides ? 'checked' : ''}>
+              <span>Guides</span>
+            </label>
             <div class="topbar-divider"></div>
             
             <!-- Page Size Dropdown with Icons -->
@@ -386,12 +487,20 @@ export class CompositorUI {
               </div>
               
               <!-- Templates Section -->
-              <div class="sidebar-section">
+              <div class="sidebar-section page-templates-section">
                 <div class="sidebar-section-header">
                   <span>Layout Templates</span>
                 </div>
                 <div id="template-gallery" class="template-gallery"></div>
               </div>
+              
+              <!-- Cover Designer Section (cover view only) -->
+              <div class="sidebar-section cover-design-section">
+                <div class="sidebar-section-header">
+                  <span>Cover</span>
+                </div>
+                <div id="cover-designer" class="cover-designer"></div>
+              </div>
             </div>
           </aside>
 
@@ -526,6 +635,30 @@ export class CompositorUI {
                   <div class="export-option-label">PNG Images</div>
                   <div class="export-option-desc">High quality images</div>
                 </div>
+                <div class="export-option" data-format="epub">
+                  <div class="export-option-icon">📚</div>
+                  <div class="export-option-label">ePub E-book</div>
+                  <div class="export-option-desc">For e-readers and tablets</div>
+                </div>
+                <div class="export-option" data-format="printReady">
+                  <div class="export-option-icon">🖨️</div>
+                  <div class="export-option-label">Print-Ready PDF</div>
+                  <div class="export-option-desc">Bleed and crop marks</div>
+                </div>
+              </div>
+              <div class="export-print-options">
+                <label class="export-checkbox">
+                  <input type="checkbox" id="export-crop-marks" checked>
+                  <span>Crop marks</span>
+                </label>
+                <label class="export-checkbox">
+                  <input type="checkbox" id="export-cmyk">
+                  <span>CMYK color</span>
+                </label>
+                <label class="export-checkbox export-icc hidden" title="Your printer's CMYK profile (.icc), e.g. FOGRA39 or GRACoL">
+                  <span>Color profile</span>
+                  <input type="file" id="export-icc-profile" accept=".icc,.icm">
+                </label>
               </div>
               <div class="export-quality">
                 <label>Quality</label>
@@ -575,6 +708,7 @@ export class CompositorUI {
     `;
 
     this.renderTemplateGallery();
+    this.renderCoverDesigner();
     this.renderPreview();
     this.renderThumbnails();
     this.bindEvents();
@@ -849,6 +983,7 @@ export class CompositorUI {
       sideBySide: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="8" height="18" rx="1"/><rect x="14" y="3" width="8" height="18" rx="1"/></svg>',
       grid: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7" rx="1"/><rect x="14" y="3" width="7" height="7" rx="1"/><rect x="3" y="14" width="7" height="7" rx="1"/><rect x="14" y="14" width="7" height="7" rx="1"/></svg>',
       list: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="4" y="4" width="16" height="4" rx="1"/><rect x="4" y="10" width="16" height="4" rx="1"/><rect x="4" y="16" width="16" height="4" rx="1"/></svg>',
+      cover: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="4" width="20" height="16" rx="1"/><path d="M10.5 4v16M13.5 4v16"/></svg>',
     };
     return icons[mode] || icons.single;
   }
@@ -859,6 +994,7 @@ export class CompositorUI {
       sideBySide: 'Spread',
       grid: 'Grid',
       list: 'List',
+      cover: 'Cover',
     };
     return labels[mode] || 'Single';
   }
@@ -870,9 +1006,8 @@ export class CompositorUI {
       'square-large': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/></svg>',
       'portrait': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="6" y="3" width="12" height="18" rx="2"/></svg>',
       'landscape': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="6" width="18" height="12" rx="2"/></svg>',
-      'standard': '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="5" y="2" width="14" height="20" rx="2"/></svg>',
     };
-    return icons[size] || icons['square-medium'];
+    return icons[normalizeSizeCode(size)] || icons['square-medium'];
   }
 
   renderColorThemes() {
@@ -1135,6 +1270,7 @@ export class CompositorUI {
     try {
       await this.renderer.renderToContainer(container, pageData, config, this.customizations);
       this.setupPreviewInteraction(container);
+      this.renderPrintGuides(container, this.currentPageIndex);
       
       // Update selection overlay
       const svg = container.querySelector('svg');
@@ -1413,6 +1549,7 @@ export class CompositorUI {
     try {
       await this.renderer.renderToContainer(container, pageData, config, this.customizations);
       this.setupPreviewInteraction(container);
+      this.renderPrintGuides(container, this.currentPageIndex);
     } catch (error) {
       console.error('Failed to render preview:', error);
       container.innerHTML = `<div class="preview-error">Failed to load preview</div>`;
@@ -1755,8 +1892,8 @@ export class CompositorUI {
     const container = document.getElementById('preview-thumbnails');
     const strip = document.getElementById('thumbnails-strip');
     
-    // Hide thumbnails in grid and list views
-    if (this.viewMode === 'grid' || this.viewMode === 'list') {
+    // Hide thumbnails in grid, list and cover views
+    if (this.viewMode === 'grid' || this.viewMode === 'list' || this.viewMode === 'cover') {
       if (strip) strip.style.display = 'none';
       return;
     } else {
@@ -1809,6 +1946,7 @@ export class CompositorUI {
         this.renderViewMode();
         this.updateThumbnailSelection();
         this.hideTaskbar();
+        this.syncNarration();
       });
     }
   }
@@ -1873,6 +2011,7 @@ export class CompositorUI {
         this.renderViewMode();
         this.updateSpreadThumbnailSelection();
         this.hideTaskbar();
+        this.syncNarration();
       });
     }
   }
@@ -2063,6 +2202,7 @@ export class CompositorUI {
         this.updateThumbnailSelection();
         this.hideTaskbar();
       }
+      this.syncNarration();
     });
 
     document.getElementById('next-page')?.addEventListener('click', () => {
@@ -2082,6 +2222,15 @@ export class CompositorUI {
         this.updateThumbnailSelection();
         this.hideTaskbar();
       }
+      this.syncNarration();
+    });
+
+    document.getElementById('narration-play-btn')?.addEventListener('click', () => {
+      if (this.narrationAudio || this.narrationTimer) {
+        this.stopNarration();
+      } else {
+        this.playNarration(this.currentPageIndex);
+      }
     });
 
     document.addEventListener('keydown', (e) => {
@@ -2101,11 +2250,18 @@ export class CompositorUI {
         return;
       }
       
+      // The cover is a single canvas - no pages to step through
+      if (this.viewMode === 'cover' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) return;
+      
       if (e.key === 'ArrowLeft') document.getElementById('prev-page')?.click();
       else if (e.key === 'ArrowRight') document.getElementById('next-page')?.click();
       else if (e.key === 'Escape') this.hideTaskbar();
     });
 
+    // Layout save conflict choices
+    document.getElementById('layout-keep-mine')?.addEventListener('click', () => this.keepLocalLayout());
+    document.getElementById('layout-load-theirs')?.addEventListener('click', () => this.loadServerLayout());
+
     // Undo/Redo buttons
     document.getElementById('undo-btn')?.addEventListener('click', () => this.undo());
     document.getElementById('redo-btn')?.addEventListener('click', () => this.redo());
@@ -2121,6 +2277,14 @@ export class CompositorUI {
         this.saveUndoState();
         document.querySelectorAll('.color-theme-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
+        
+        // In cover view the theme recolors the cover, not the pages
+        if (this.viewMode === 'cover') {
+          this.cover.colorTheme = btn.dataset.theme;
+          this.renderCoverView();
+          return;
+        }
+        
         this.customizations.colorTheme = btn.dataset.theme;
         this.renderViewMode();
         this.renderThumbnails();
@@ -2193,6 +2357,12 @@ export class CompositorUI {
       this.renderThumbnails();
     });
 
+    // Print guides toggle (view-only, not part of undo history)
+    document.getElementById('show-print-guides')?.addEventListener('change', (e) => {
+      this.showPrintGuides = e.target.checked;
+      this.renderViewMode();
+    });
+
     // Add to Cart button - opens cart modal
     document.getElementById('checkout-btn')?.addEventListener('click', () => {
       this.openAddToCartModal();
@@ -2247,6 +2417,11 @@ export class CompositorUI {
       opt.addEventListener('click', () => this.handleExport(opt.dataset.format));
     });
 
+    // The output profile only applies to CMYK print PDFs
+    document.getElementById('export-cmyk')?.addEventListener('change', (e) => {
+      document.querySelector('.export-icc')?.classList.toggle('hidden', !e.target.checked);
+    });
+
     // A/B Confirm Modal buttons
     document.getElementById('ab-confirm-yes')?.addEventListener('click', () => {
       this.enableABPattern();
@@ -2268,6 +2443,18 @@ export class CompositorUI {
       }
     });
     
+    // Save pending layout edits if the tab is closed mid-debounce; edits
+    // held back by a save conflict can't be saved, so ask before leaving
+    this.beforeUnloadHandler = (e) => {
+      if (this.layoutConflict) {
+        e.preventDefault();
+        e.returnValue = '';
+        return;
+      }
+      if (this.layoutDirty) this.flushAutosave({ keepalive: true });
+    };
+    window.addEventListener('beforeunload', this.beforeUnloadHandler);
+    
     // Bind zoom events
     this.bindZoomEvents();
   }
@@ -2284,7 +2471,7 @@ export class CompositorUI {
 
     try {
       const quality = document.getElementById('export-quality')?.value || 'standard';
-      const pageSize = document.getElementById('page-size-select')?.value || 'square-medium';
+      const pageSize = this.renderer.pageSize;
       
       const tmpl = getTemplate(this.selectedTemplate);
       const config = this.applyCustomizations(tmpl);
@@ -2292,6 +2479,7 @@ export class CompositorUI {
       const options = {
         pageSize,
         quality,
+        bookId: this.projectId, // Exporter checks purchase status and watermarks unpaid books
         overrides: this.customizations,
         pageCropSettings: this.pageCropSettings,
         filename: `${this.bookData.title || 'my-book'}.pdf`,
@@ -2303,6 +2491,20 @@ export class CompositorUI {
 
       if (format === 'pdf') {
         await bookExporter.downloadPDF(this.bookData, config, options);
+      } else if (format === 'printReady') {
+        await bookExporter.downloadPrintPDF(this.bookData, config, {
+          ...options,
+          dpi: quality === 'print' ? 300 : 150,
+          cropMarks: document.getElementById('export-crop-marks')?.checked !== false,
+          colorMode: document.getElementById('export-cmyk')?.checked ? 'cmyk' : 'rgb',
+          iccProfile: document.getElementById('export-icc-profile')?.files?.[0] || null,
+          filename: `${this.bookData.title || 'my-book'}-print.pdf`,
+        });
+      } else if (format === 'epub') {
+        await bookExporter.downloadEPUB(this.bookData, config, {
+          ...options,
+          filename: `${this.bookData.title || 'my-book'}.epub`,
+        });
       } else {
         await bookExporter.downloadImagesZip(this.bookData, config, { ...options, format });
       }
@@ -2348,20 +2550,20 @@ export class CompositorUI {
     const container = document.getElementById('hardcover-sizes-container');
     if (container) container.innerHTML = '';
     
-    // Use cached sizes if available, otherwise use defaults immediately
+    // Use cached sizes if available, otherwise use registry defaults immediately
     if (!this.hardcoverSizes || this.hardcoverSizes.length === 0) {
-      this.hardcoverSizes = [
-        { size_code: 'square-small', display_name: 'Small Square', dimensions: '7" × 7"', price_cents: 2499, priceFormatted: '$24.99' },
-        { size_code: 'square-medium', display_name: 'Medium Square', dimensions: '8" × 8"', price_cents: 2999, priceFormatted: '$29.99' },
-        { size_code: 'square-large', display_name: 'Large Square', dimensions: '10" × 10"', price_cents: 3999, priceFormatted: '$39.99' },
-        { size_code: 'portrait', display_name: 'Portrait', dimensions: '7" × 9"', price_cents: 2999, priceFormatted: '$29.99' },
-        { size_code: 'landscape', display_name: 'Landscape', dimensions: '10" × 7"', price_cents: 3499, priceFormatted: '$34.99' },
-        { size_code: 'standard', display_name: 'Standard', dimensions: '8.5" × 11"', price_cents: 3499, priceFormatted: '$34.99' },
-      ];
-    }
-    
-    // Add initial hardcover row IMMEDIATELY (before async calls)
-    this.addHardcoverSizeRow();
+      this.hardcoverSizes = Object.values(TRIM_SIZES).map(size => ({
+        size_code: size.code,
+        display_name: size.displayName,
+        dimensions: size.name,
+        price_cents: size.priceCents,
+        priceFormatted: formatPrice(size.priceCents),
+      }));
+    }
+    
+    // Add initial hardcover row IMMEDIATELY (before async calls),
+    // defaulting to the size the book is being laid out at
+    this.addHardcoverSizeRow(this.renderer.pageSize);
     this.updateCartModalUI();
     
     // Show modal
@@ -2443,6 +2645,8 @@ export class CompositorUI {
   addHardcoverSizeRow(selectedSize = 'square-medium') {
     const container = document.getElementById('hardcover-sizes-container');
     if (!container) return;
+    
+    selectedSize = normalizeSizeCode(selectedSize);
 
     const rowIndex = this.hardcoverItems.length;
     const sizeInfo = this.hardcoverSizes.find(s => s.size_code === selectedSize) || this.hardcoverSizes[1];
@@ -2708,14 +2912,16 @@ export class CompositorUI {
           await startPrintUpload(this.projectId);
           console.log('[Cart] Started print upload session');
           
-          // Render all pages as high-quality images
-          const totalPages = this.bookData?.pages?.length || 0;
+          // Render all pages (title page and back matter included) as high-quality images
+          const printPages = this.bookData?.pages ? this.getPrintPages() : [];
+          const totalPages = printPages.length;
           const template = getTemplate(this.selectedTemplate);
-          const scale = 5; // 5x resolution for 300ppi print (576px × 5 = 2880px for ~8.5" at 300ppi)
+          const scale = 5; // 5x the 72dpi page size = 360ppi, comfortably above Lulu's 300ppi
           
           for (let i = 0; i < totalPages; i++) {
-            const pageData = this.bookData.pages[i];
-            const pageNumber = pageData.page || (i + 1);
+            const { pageData, overrides } = printPages[i];
+            // Interior order comes from pageNumber, so number in reading order
+            const pageNumber = i + 1;
             
             // Update button to show progress
             if (addBtn) {
@@ -2728,21 +2934,38 @@ export class CompositorUI {
               `;
             }
             
-            // Get customizations for this page
-            const overrides = this.getPageOverrides(i);
-            
-            // Render page as SVG
-            const svg = await this.renderer.render(pageData, template, overrides);
+            // Render page as SVG, with the print-resolution illustration
+            const svg = await this.renderer.render(forPrint(pageData), template, overrides);
             
             // Convert SVG to PNG data URL
             const imageData = await this.svgToDataUrl(svg, scale);
             
             // Upload this single page
-            await uploadSinglePrintPage(this.projectId, pageNumber, imageData);
+            await uploadSinglePrintPage(this.projectId, pageNumber, imageData, this.renderer.pageSize);
             
             console.log(`[Cart] Uploaded page ${pageNumber}/${totalPages}`);
           }
           
+          // Render and upload the designed cover wrap
+          if (addBtn) {
+            addBtn.innerHTML = `
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="spinner-icon">
+                <circle cx="12" cy="12" r="10" stroke-opacity="0.3"/>
+                <path d="M12 2a10 10 0 0 1 10 10" stroke-linecap="round"/>
+              </svg>
+              Uploading cover...
+            `;
+          }
+          
+          try {
+            const cover = await this.renderCoverForPrint();
+            await uploadPrintCover(this.projectId, cover.imageData, cover.spec);
+            console.log('[Cart] Uploaded cover');
+          } catch (coverErr) {
+            // Server falls back to its default cover design
+            console.error('[Cart] Failed to upload cover:', coverErr);
+          }
+          
           // Finalize the upload
           if (addBtn) {
             addBtn.innerHTML = `
@@ -2858,7 +3081,7 @@ export class CompositorUI {
    * Render all pages as high-quality images for print
    * This captures the exact design from the compositor
    * @param {function} onProgress - Progress callback (current, total)
-   * @returns {Promise<{pages: Array, coverImage: string|null}>}
+   * @returns {Promise<{pages: Array, coverImage: string|null, coverSpec: Object|null}>}
    */
   async renderPagesForPrint(onProgress = null) {
     if (!this.bookData || !this.bookData.pages) {
@@ -2867,30 +3090,29 @@ export class CompositorUI {
 
     const template = getTemplate(this.selectedTemplate);
     const pages = [];
-    const totalPages = this.bookData.pages.length;
-    const scale = 5; // 5x resolution for 300ppi print (576px × 5 = 2880px)
+    const printPages = this.getPrintPages();
+    const totalPages = printPages.length;
+    const scale = 5; // 5x the 72dpi page size = 360ppi
 
     console.log(`[Print] Rendering ${totalPages} pages for print...`);
 
     for (let i = 0; i < totalPages; i++) {
-      const pageData = this.bookData.pages[i];
+      const { pageData, overrides } = printPages[i];
       
       if (onProgress) {
         onProgress(i + 1, totalPages);
       }
 
       try {
-        // Get customizations for this page
-        const overrides = this.getPageOverrides(i);
-        
         // Render page as SVG using the compositor renderer
         const svg = await this.renderer.render(pageData, template, overrides);
         
         // Convert SVG to high-quality PNG
         const imageData = await this.svgToDataUrl(svg, scale);
         
+        // Interior order comes from pageNumber, so number in reading order
         pages.push({
-          pageNumber: pageData.page || (i + 1),
+          pageNumber: i + 1,
           imageData,
         });
         
@@ -2901,19 +3123,24 @@ export class CompositorUI {
       }
     }
 
-    // Also render the cover (first page) at higher quality for cover image
+    // Render the designed cover wrap (back, spine, front)
     let coverImage = null;
-    if (pages.length > 0) {
-      coverImage = pages[0].imageData;
+    let coverSpec = null;
+    try {
+      const cover = await this.renderCoverForPrint();
+      coverImage = cover.imageData;
+      coverSpec = cover.spec;
+    } catch (err) {
+      console.error('[Print] Failed to render cover:', err);
     }
 
-    return { pages, coverImage };
+    return { pages, coverImage, coverSpec };
   }
 
   /**
    * Convert SVG element to data URL (JPEG for smaller size)
    */
-  async svgToDataUrl(svg, scale = 2) {
+  async svgToDataUrl(svg, scale = 2, quality = 0.95) {
     return new Promise((resolve, reject) => {
       const serializer = new XMLSerializer();
       const svgString = serializer.serializeToString(svg);
@@ -2936,8 +3163,8 @@ export class CompositorUI {
         ctx.fillRect(0, 0, width, height);
         ctx.drawImage(img, 0, 0, width, height);
 
-        // Use JPEG for smaller file size (0.95 quality for print)
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.95);
+        // Use JPEG for smaller file size (0.95 quality for print by default)
+        const dataUrl = canvas.toDataURL('image/jpeg', quality);
         
         URL.revokeObjectURL(url);
         resolve(dataUrl);
@@ -2976,6 +3203,21 @@ export class CompositorUI {
     return overrides;
   }
 
+  /**
+   * Every page of the printed interior, in reading order
+   * Story pages carry their own crop/frame/text adjustments; the title page,
+   * dedication and back matter use the book-wide customizations.
+   * @returns {Array<{pageData: Object, overrides: Object}>}
+   */
+  getPrintPages() {
+    const special = (pageData) => ({ pageData, overrides: { ...this.customizations } });
+    return [
+      ...(this.bookData.frontMatter || []).map(special),
+      ...this.bookData.pages.map((pageData, i) => ({ pageData, overrides: this.getPageOverrides(i) })),
+      ...(this.bookData.backMatter || []).map(special),
+    ];
+  }
+
   // Set the project ID for cart operations
   setProjectId(projectId) {
     this.projectId = projectId;
@@ -3015,6 +3257,15 @@ export class CompositorUI {
     // Clear any selection when changing views
     this.hideTaskbar();
     
+    // Read-aloud follows single pages and spreads only
+    const narrationBtn = document.getElementById('narration-play-btn');
+    if (mode === 'single' || mode === 'sideBySide') {
+      narrationBtn?.style.removeProperty('display');
+    } else {
+      this.stopNarration();
+      narrationBtn?.style.setProperty('display', 'none');
+    }
+    
     // Reset zoom when changing view modes
     this.canvasZoom = 1;
     const wrapper = document.getElementById('preview-wrapper');
@@ -3027,6 +3278,12 @@ export class CompositorUI {
     const compositor = document.querySelector('.compositor-canva');
     if (compositor) compositor.dataset.viewMode = mode;
     
+    // Theme swatches recolor the cover in cover view and the pages otherwise
+    const activeTheme = mode === 'cover' ? this.cover.colorTheme : this.customizations.colorTheme;
+    document.querySelectorAll('.color-theme-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.theme === activeTheme);
+    });
+    
     // Update button
     const btn = document.getElementById('view-mode-btn');
     if (btn) {
@@ -3058,6 +3315,15 @@ export class CompositorUI {
       if (zoomDivider?.classList.contains('topbar-divider')) {
         zoomDivider.style.setProperty('display', 'none');
       }
+    } else if (mode === 'cover') {
+      // Cover keeps zoom but has no pages to navigate
+      prevBtn?.style.setProperty('display', 'none');
+      nextBtn?.style.setProperty('display', 'none');
+      pageIndicator?.style.setProperty('display', 'none');
+      zoomControls?.style.removeProperty('display');
+      if (zoomDivider?.classList.contains('topbar-divider')) {
+        zoomDivider.style.removeProperty('display');
+      }
     } else {
       prevBtn?.style.removeProperty('display');
       nextBtn?.style.removeProperty('display');
@@ -3077,12 +3343,67 @@ export class CompositorUI {
     this.renderThumbnails();
   }
 
+  // Draw trim/bleed/safe-area guides over a rendered page
+  // The overlay extends past the page by the bleed so the bleed band is visible,
+  // and flags text that strays outside the safe area (e.g. into the gutter)
+  renderPrintGuides(container, pageIndex) {
+    container.querySelector('.print-guides')?.remove();
+    container.classList.toggle('show-print-guides', this.showPrintGuides);
+    if (!this.showPrintGuides) return;
+
+    const pageSvg = container.querySelector('svg');
+    if (!pageSvg) return;
+
+    const { width, height } = this.renderer.dimensions;
+    const { bleed } = PRINT_SPECS;
+    const pageNumber = this.bookData?.pages?.[pageIndex]?.page || pageIndex + 1;
+    const safe = getSafeArea(width, height, pageNumber);
+
+    // Text bounds in page units (the page SVG's viewBox is the trim size)
+    let textBox = null;
+    const textGroup = Array.from(pageSvg.querySelectorAll('g')).find(g => g.querySelector('text'));
+    try {
+      textBox = textGroup?.getBBox();
+    } catch (e) {
+      textBox = null;
+    }
+    const textOutsideSafe = textBox && textBox.width > 0 && (
+      textBox.x < safe.x ||
+      textBox.y < safe.y ||
+      textBox.x + textBox.width > safe.x + safe.width ||
+      textBox.y + textBox.height > safe.y + safe.height
+    );
+
+    const gutterX = safe.bindingSide === 'left' ? 0 : width - PRINT_SPECS.gutter;
+
+    const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    overlay.setAttribute('class', `print-guides ${textOutsideSafe ? 'has-warning' : ''}`);
+    overlay.setAttribute('viewBox', `${-bleed} ${-bleed} ${width + bleed * 2} ${height + bleed * 2}`);
+    overlay.style.left = `${(-bleed / width) * 100}%`;
+    overlay.style.top = `${(-bleed / height) * 100}%`;
+    overlay.style.width = `${((width + bleed * 2) / width) * 100}%`;
+    overlay.style.height = `${((height + bleed * 2) / height) * 100}%`;
+    overlay.innerHTML = `
+      <path class="guide-bleed" fill-rule="evenodd"
+        d="M${-bleed},${-bleed}h${width + bleed * 2}v${height + bleed * 2}h${-(width + bleed * 2)}z M0,0v${height}h${width}v${-height}z"/>
+      <rect class="guide-gutter" x="${gutterX}" y="0" width="${PRINT_SPECS.gutter}" height="${height}"/>
+      <rect class="guide-trim" x="0" y="0" width="${width}" height="${height}"/>
+      <rect class="guide-safe" x="${safe.x}" y="${safe.y}" width="${safe.width}" height="${safe.height}"/>
+      ${textOutsideSafe ? `
+        <rect class="guide-text-warning" x="${textBox.x}" y="${textBox.y}" width="${textBox.width}" height="${textBox.height}"/>
+        <text class="guide-label" x="${safe.x}" y="${safe.y - 6}">Text outside safe area</text>
+      ` : ''}
+    `;
+
+    container.appendChild(overlay);
+  }
+
   renderViewMode() {
     const canvasContainer = document.querySelector('.canvas-container');
     if (!canvasContainer) return;
 
     // Clear existing content classes
-    canvasContainer.classList.remove('view-single', 'view-side-by-side', 'view-grid', 'view-list');
+    canvasContainer.classList.remove('view-single', 'view-side-by-side', 'view-grid', 'view-list', 'view-cover');
 
     switch (this.viewMode) {
       case 'single':
@@ -3101,6 +3422,10 @@ export class CompositorUI {
         canvasContainer.classList.add('view-list');
         this.renderListView();
         break;
+      case 'cover':
+        canvasContainer.classList.add('view-cover');
+        this.renderCoverView();
+        break;
     }
   }
 
@@ -3143,6 +3468,9 @@ export class CompositorUI {
 
     // Setup interactive editing on both pages
     this.setupSpreadInteraction(ssContainer);
+    ssContainer.querySelectorAll('.spread-page').forEach(pageWrap => {
+      this.renderPrintGuides(pageWrap, parseInt(pageWrap.dataset.pageIndex));
+    });
     
     this.updatePageIndicator();
   }
@@ -3408,7 +3736,27 @@ export class CompositorUI {
     const gridInner = document.getElementById('grid-view-inner');
     const tmpl = getTemplate(this.selectedTemplate);
 
+    // Title page, dedication and back matter are shown in place but aren't
+    // selectable - they're edited from the story editor, not page by page
+    const addSpecialPages = async (specialPages = []) => {
+      const config = this.applyCustomizations(tmpl);
+      for (const pageData of specialPages) {
+        const pageWrap = document.createElement('div');
+        pageWrap.className = 'grid-page grid-page-special';
+        pageWrap.appendChild(await this.renderer.render(pageData, config));
+
+        const pageLabel = document.createElement('span');
+        pageLabel.className = 'grid-page-label';
+        pageLabel.textContent = pageData.label;
+        pageWrap.appendChild(pageLabel);
+
+        gridInner.appendChild(pageWrap);
+      }
+    };
+
     // Render all pages
+    await addSpecialPages(this.bookData.frontMatter);
+
     for (let i = 0; i < this.bookData.pages.length; i++) {
       const config = this.applyCustomizationsForPage(tmpl, i);
       const svg = await this.renderer.render(this.bookData.pages[i], config);
@@ -3426,6 +3774,8 @@ export class CompositorUI {
       gridInner.appendChild(pageWrap);
     }
 
+    await addSpecialPages(this.bookData.backMatter);
+
     // Apply current zoom
     this.applyGridZoom();
 
@@ -3438,7 +3788,7 @@ export class CompositorUI {
     const gridInner = document.getElementById('grid-view-inner');
 
     // Click on page to select
-    gridInner?.querySelectorAll('.grid-page').forEach(page => {
+    gridInner?.querySelectorAll('.grid-page:not(.grid-page-special)').forEach(page => {
       page.addEventListener('click', () => {
         this.currentPageIndex = parseInt(page.dataset.pageIndex);
         this.setViewMode('single');
@@ -3645,6 +3995,447 @@ export class CompositorUI {
     }
   }
 
+  // ============================================
+  // Cover Designer
+  // ============================================
+  
+  // Text and artwork the cover is drawn from
+  getCoverData() {
+    const pages = this.bookData?.pages || [];
+    const imagePage = pages.find(p => p.page === this.cover.imagePage && p.imageUrl)
+      || pages.find(p => p.imageUrl);
+    
+    return {
+      title: this.cover.title ?? this.bookData?.title ?? 'My Book',
+      author: this.cover.author ?? this.bookData?.author ?? '',
+      blurb: this.cover.blurb,
+      imageUrl: imagePage?.imageUrl || null,
+      showSpineText: this.cover.showSpineText,
+      language: this.bookData?.language,
+    };
+  }
+  
+  getCoverOverrides() {
+    return this.cover.colorTheme ? { colors: COLOR_THEMES[this.cover.colorTheme] } : {};
+  }
+  
+  // Cover geometry for the current size and page count
+  // Spine width depends on both, so it's re-fetched whenever either changes
+  async getCoverSpec() {
+    const sizeCode = this.renderer.pageSize;
+    const pageCount = this.bookData?.pages?.length || 1;
+    const key = `${sizeCode}:${pageCount}`;
+    
+    if (this.coverSpec && this.coverSpecKey === key) return this.coverSpec;
+    
+    const spec = await getCoverDimensions(sizeCode, pageCount);
+    this.coverSpec = spec;
+    this.coverSpecKey = key;
+    this.updateCoverSpecInfo();
+    return spec;
+  }
+  
+  updateCoverSpecInfo() {
+    const info = document.getElementById('cover-spec-info');
+    if (!info || !this.coverSpec) return;
+    
+    const { width, height, spineWidth, pageCount } = this.coverSpec;
+    const spineNote = spineWidth < COVER_SPECS.minSpineTextWidth ? ' · too thin for spine text' : '';
+    info.textContent = `${(width / 72).toFixed(2)}" × ${(height / 72).toFixed(2)}" · ${pageCount} pages · spine ${(spineWidth / 72).toFixed(3)}"${spineNote}`;
+  }
+  
+  renderCoverDesigner() {
+    const panel = document.getElementById('cover-designer');
+    if (!panel) return;
+    
+    const illustratedPages = (this.bookData?.pages || []).filter(p => p.imageUrl);
+    const coverData = this.getCoverData();
+    const selectedImagePage = this.cover.imagePage ?? illustratedPages[0]?.page;
+    
+    panel.innerHTML = `
+      <div class="cover-template-grid">
+        ${getAllCoverTemplates().map(tmpl => `
+          <button class="cover-template-card ${tmpl.id === this.cover.templateId ? 'selected' : ''}" data-cover-template="${tmpl.id}" title="${tmpl.description}">
+            <span class="cover-template-preview">${tmpl.preview}</span>
+            <span class="cover-template-name">${tmpl.name}</span>
+          </button>
+        `).join('')}
+      </div>
+      <label class="cover-field">
+        <span>Title</span>
+        <input type="text" id="cover-title" value="${escapeHtml(coverData.title)}" maxlength="80">
+      </label>
+      <label class="cover-field">
+        <span>Author</span>
+        <input type="text" id="cover-author" value="${escapeHtml(coverData.author)}" maxlength="60">
+      </label>
+      <label class="cover-field">
+        <span>Back cover blurb</span>
+        <textarea id="cover-blurb" rows="4" maxlength="400" placeholder="A few lines about the story...">${escapeHtml(coverData.blurb || '')}</textarea>
+      </label>
+      <label class="cover-field">
+        <span>Front illustration</span>
+        <select id="cover-image-page">
+          ${illustratedPages.map(p => `
+            <option value="${p.page}" ${p.page === selectedImagePage ? 'selected' : ''}>Page ${p.page}</option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="cover-field cover-field-inline">
+        <input type="checkbox" id="cover-spine-text" ${this.cover.showSpineText ? 'checked' : ''}>
+        <span>Title on spine</span>
+      </label>
+      <div id="cover-spec-info" class="cover-spec-info"></div>
+    `;
+    
+    this.updateCoverSpecInfo();
+    this.bindCoverDesignerEvents();
+  }
+  
+  bindCoverDesignerEvents() {
+    document.querySelectorAll('.cover-template-card').forEach(card => {
+      card.addEventListener('click', () => {
+        this.saveUndoState();
+        this.cover.templateId = card.dataset.coverTemplate;
+        document.querySelectorAll('.cover-template-card').forEach(c => {
+          c.classList.toggle('selected', c === card);
+        });
+        this.renderCoverView();
+      });
+    });
+    
+    // Text fields snapshot undo state once per edit session (on focus),
+    // then re-render as the user types
+    const textFields = { 'cover-title': 'title', 'cover-author': 'author', 'cover-blurb': 'blurb' };
+    Object.entries(textFields).forEach(([id, field]) => {
+      const input = document.getElementById(id);
+      input?.addEventListener('focus', () => this.saveUndoState());
+      input?.addEventListener('input', () => {
+        this.cover[field] = input.value;
+        this.scheduleAutosave();
+        this.renderCoverThrottled();
+      });
+    });
+    
+    document.getElementById('cover-image-page')?.addEventListener('change', (e) => {
+      this.saveUndoState();
+      this.cover.imagePage = Number(e.target.value);
+      this.renderCoverView();
+    });
+    
+    document.getElementById('cover-spine-text')?.addEventListener('change', (e) => {
+      this.saveUndoState();
+      this.cover.showSpineText = e.target.checked;
+      this.renderCoverView();
+    });
+  }
+  
+  renderCoverThrottled() {
+    clearTimeout(this.coverRenderTimer);
+    this.coverRenderTimer = setTimeout(() => this.renderCoverView(), 250);
+  }
+  
+  async renderCoverView() {
+    if (this.viewMode !== 'cover') return;
+    
+    const container = document.getElementById('page-preview');
+    if (!container || !this.bookData?.pages?.length) return;
+    
+    container.innerHTML = `<div class="preview-loading"><div class="spinner"></div></div>`;
+    
+    try {
+      const spec = await this.getCoverSpec();
+      const svg = await this.renderer.renderCover(
+        this.getCoverData(),
+        this.cover.templateId,
+        spec,
+        this.getCoverOverrides()
+      );
+      container.innerHTML = '';
+      container.appendChild(svg);
+      this.renderCoverGuides(container, spec);
+    } catch (error) {
+      console.error('Failed to render cover:', error);
+      container.innerHTML = `<div class="preview-error">Failed to load cover</div>`;
+    }
+  }
+  
+  // Fold lines, wrap/bleed, safe areas and the barcode box over the cover wrap
+  renderCoverGuides(container, spec) {
+    container.querySelector('.print-guides')?.remove();
+    container.classList.toggle('show-print-guides', this.showPrintGuides);
+    if (!this.showPrintGuides) return;
+    
+    const { width, height, margin } = spec;
+    const { back, spine, front, barcode } = getCoverPanels(spec);
+    const safe = COVER_SPECS.safeMargin;
+    const safeRect = (panel) => `
+      <rect class="guide-safe" x="${panel.x + safe}" y="${panel.y + safe}" width="${panel.width - safe * 2}" height="${panel.height - safe * 2}"/>
+    `;
+    
+    const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    overlay.setAttribute('class', 'print-guides cover-guides');
+    overlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    overlay.style.left = '0';
+    overlay.style.top = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.innerHTML = `
+      <path class="guide-bleed" fill-rule="evenodd"
+        d="M0,0h${width}v${height}h${-width}z M${margin},${margin}v${height - margin * 2}h${width - margin * 2}v${-(height - margin * 2)}z"/>
+      <rect class="guide-trim" x="${margin}" y="${margin}" width="${width - margin * 2}" height="${height - margin * 2}"/>
+      <line class="guide-fold" x1="${spine.x}" y1="0" x2="${spine.x}" y2="${height}"/>
+      <line class="guide-fold" x1="${spine.x + spine.width}" y1="0" x2="${spine.x + spine.width}" y2="${height}"/>
+      ${safeRect(back)}
+      ${safeRect(front)}
+      <rect class="guide-barcode" x="${barcode.x}" y="${barcode.y}" width="${barcode.width}" height="${barcode.height}"/>
+      <text class="guide-label" x="${barcode.x + 6}" y="${barcode.y + 16}">Barcode</text>
+      <text class="guide-label" x="${back.x + safe}" y="${margin - 6}">Back</text>
+      <text class="guide-label" x="${front.x + safe}" y="${margin - 6}">Front</text>
+    `;
+    
+    container.appendChild(overlay);
+  }
+  
+  // Render the cover wrap at print resolution for upload
+  async renderCoverForPrint() {
+    const spec = await this.getCoverSpec();
+    const svg = await this.renderer.renderCover(
+      this.getCoverData(),
+      this.cover.templateId,
+      spec,
+      this.getCoverOverrides()
+    );
+    
+    let quality = 0.92;
+    let imageData = await this.svgToDataUrl(svg, COVER_PRINT_SCALE, quality);
+    while (imageData.length > MAX_COVER_UPLOAD_CHARS && quality > 0.6) {
+      quality -= 0.1;
+      imageData = await this.svgToDataUrl(svg, COVER_PRINT_SCALE, quality);
+    }
+    
+    return { imageData, spec };
+  }
+
+  // ============================================
+  // Layout Persistence (server-side autosave)
+  // ============================================
+  
+  // Snapshot everything needed to restore the compositor exactly
+  getLayoutDocument() {
+    return {
+      schemaVersion: LAYOUT_SCHEMA_VERSION,
+      selectedTemplate: this.selectedTemplate,
+      pageSize: this.renderer?.pageSize || 'square-medium',
+      customizations: JSON.parse(JSON.stringify(this.customizations)),
+      pageCropSettings: JSON.parse(JSON.stringify(this.pageCropSettings)),
+      pageFrameSettings: JSON.parse(JSON.stringify(this.pageFrameSettings)),
+      pageTextSettings: JSON.parse(JSON.stringify(this.pageTextSettings)),
+      cover: JSON.parse(JSON.stringify(this.cover)),
+      abPatternMode: this.abPatternMode,
+      viewMode: this.viewMode,
+      currentPageIndex: this.currentPageIndex,
+      imageFrame: this.getImageFrame(),
+    };
+  }
+
+  // The selected template's illustration frame in points. Saved with the
+  // layout so new scenes are generated in a matching shape and upscaled
+  // enough for print (api/generate-scene.js)
+  getImageFrame() {
+    const { width, height } = PAGE_DIMENSIONS[this.renderer?.pageSize || 'square-medium'];
+    const image = getTemplate(this.selectedTemplate)?.layout?.image;
+    const region = image?.position?.region;
+    if (!region) return { width, height };
+
+    const padding = image.padding || 0;
+    return {
+      width: Math.round((region.width - padding * 2) * width),
+      height: Math.round((region.height - padding * 2) * height),
+    };
+  }
+
+  // Apply a saved layout document and refresh the UI to match
+  applyLayoutDocument(doc) {
+    if (!doc || typeof doc !== 'object') return;
+    
+    this.selectedTemplate = doc.selectedTemplate || this.selectedTemplate;
+    this.customizations = { ...this.customizations, ...(doc.customizations || {}) };
+    this.pageCropSettings = doc.pageCropSettings || {};
+    this.pageFrameSettings = doc.pageFrameSettings || {};
+    this.pageTextSettings = doc.pageTextSettings || {};
+    this.cover = { ...this.cover, ...(doc.cover || {}) };
+    this.abPatternMode = doc.abPatternMode === true;
+    
+    const pageCount = this.bookData?.pages?.length || 1;
+    const savedIndex = Number.isInteger(doc.currentPageIndex) ? doc.currentPageIndex : 0;
+    this.currentPageIndex = Math.max(0, Math.min(savedIndex, pageCount - 1));
+    
+    if (doc.pageSize) {
+      // Older layouts may use retired size codes (e.g. 'standard')
+      const pageSize = normalizeSizeCode(doc.pageSize);
+      this.renderer = new PageRenderer({ pageSize });
+      this.updatePageSizeButton(pageSize);
+    }
+    
+    // Sync topbar/sidebar controls with restored state
+    document.querySelectorAll('.template-card').forEach(card => {
+      card.classList.toggle('selected', card.dataset.template === this.selectedTemplate);
+    });
+    document.querySelectorAll('.color-theme-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.theme === this.customizations.colorTheme);
+    });
+    document.getElementById('ab-pattern-btn')?.classList.toggle('active', this.abPatternMode);
+    const pageNumbersToggle = document.getElementById('show-page-numbers');
+    if (pageNumbersToggle) pageNumbersToggle.checked = this.customizations.showPageNumbers !== false;
+    this.renderCoverDesigner();
+    
+    // setViewMode re-renders the canvas and thumbnails
+    this.setViewMode(doc.viewMode || this.viewMode);
+    this.updatePageIndicator();
+  }
+
+  // Fetch the saved layout for this project and restore it
+  async restoreSavedLayout() {
+    if (!this.projectId) return false;
+    
+    try {
+      const { layout, version } = await loadCompositorLayout(this.projectId);
+      this.layoutVersion = version || 0;
+      this.layoutConflict = false;
+      
+      if (layout) {
+        this.applyLayoutDocument(layout);
+        this.setAutosaveStatus('saved');
+        return true;
+      }
+    } catch (err) {
+      console.error('[Layout] Failed to load saved layout:', err);
+    }
+    return false;
+  }
+
+  // Mark layout as changed and save after a short idle period
+  scheduleAutosave() {
+    if (!this.projectId) return;
+    
+    this.layoutDirty = true;
+    this.setAutosaveStatus('pending');
+    
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => {
+      // Wait for drags to finish so the final position is what gets saved
+      if (this.isDragging || this.isResizing) {
+        this.scheduleAutosave();
+        return;
+      }
+      this.saveLayoutNow();
+    }, this.autosaveDelay);
+  }
+
+  // Save immediately if there are unsaved changes
+  async flushAutosave(options = {}) {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (this.layoutDirty) {
+      await this.saveLayoutNow(options);
+    }
+  }
+
+  async saveLayoutNow(options = {}) {
+    if (!this.projectId || !this.layoutDirty) return;
+    
+    // Edits made after a conflict stay local until the user picks a side
+    if (this.layoutConflict) {
+      this.setAutosaveStatus('conflict');
+      return;
+    }
+    
+    // A save is already running - try again once it settles
+    if (this.isSavingLayout) {
+      this.scheduleAutosave();
+      return;
+    }
+    
+    this.isSavingLayout = true;
+    this.layoutDirty = false;
+    this.setAutosaveStatus('saving');
+    
+    try {
+      const result = await saveCompositorLayout(
+        this.projectId,
+        this.getLayoutDocument(),
+        this.layoutVersion,
+        options
+      );
+      this.layoutVersion = result.version;
+      this.setAutosaveStatus(this.layoutDirty ? 'pending' : 'saved');
+    } catch (err) {
+      if (err.status === 409) {
+        // Another session saved first - keep these edits on screen and let
+        // the user choose which copy to keep
+        console.warn('[Layout] Save conflict, waiting for the user to keep or discard local edits');
+        this.layoutDirty = true;
+        this.layoutConflict = true;
+        this.setAutosaveStatus('conflict');
+      } else {
+        console.error('[Layout] Autosave failed:', err);
+        this.layoutDirty = true;
+        this.setAutosaveStatus('error');
+      }
+    } finally {
+      this.isSavingLayout = false;
+    }
+  }
+
+  // Resolve a conflict by saving this layout over the other session's
+  async keepLocalLayout() {
+    if (!this.layoutConflict) return;
+    
+    try {
+      const { version } = await loadCompositorLayout(this.projectId);
+      this.layoutVersion = version || 0;
+    } catch (err) {
+      console.error('[Layout] Failed to load server version:', err);
+      this.setAutosaveStatus('conflict');
+      return;
+    }
+    
+    this.layoutConflict = false;
+    this.layoutDirty = true;
+    await this.saveLayoutNow();
+  }
+
+  // Resolve a conflict by dropping local edits for the other session's layout
+  async loadServerLayout() {
+    if (!this.layoutConflict) return;
+    if (!confirm('Load the layout saved in another session? Your unsaved edits here will be lost.')) return;
+    
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.layoutConflict = false;
+    this.layoutDirty = false;
+    if (!await this.restoreSavedLayout()) {
+      this.setAutosaveStatus('saved');
+    }
+  }
+
+  setAutosaveStatus(status) {
+    const el = document.getElementById('autosave-status');
+    if (!el) return;
+    
+    const labels = {
+      pending: 'Unsaved changes',
+      saving: 'Saving…',
+      saved: 'All changes saved',
+      conflict: 'Changed in another session - not saved',
+      error: 'Save failed',
+    };
+    el.textContent = labels[status] || '';
+    el.dataset.status = status;
+    document.getElementById('autosave-conflict')?.classList.toggle('hidden', status !== 'conflict');
+  }
+
   // ============================================
   // Undo/Redo System
   // ============================================
@@ -3656,6 +4447,7 @@ export class CompositorUI {
       pageFrameSettings: JSON.parse(JSON.stringify(this.pageFrameSettings)),
       pageTextSettings: JSON.parse(JSON.stringify(this.pageTextSettings)),
       pageCropSettings: JSON.parse(JSON.stringify(this.pageCropSettings)),
+      cover: JSON.parse(JSON.stringify(this.cover)),
     };
     
     this.undoStack.push(state);
@@ -3669,6 +4461,9 @@ export class CompositorUI {
     this.redoStack = [];
     
     this.updateUndoRedoButtons();
+    
+    // Every edit snapshots undo state first, so this catches all layout changes
+    this.scheduleAutosave();
   }
 
   undo() {
@@ -3681,6 +4476,7 @@ export class CompositorUI {
       pageFrameSettings: JSON.parse(JSON.stringify(this.pageFrameSettings)),
       pageTextSettings: JSON.parse(JSON.stringify(this.pageTextSettings)),
       pageCropSettings: JSON.parse(JSON.stringify(this.pageCropSettings)),
+      cover: JSON.parse(JSON.stringify(this.cover)),
     };
     this.redoStack.push(currentState);
     
@@ -3701,6 +4497,7 @@ export class CompositorUI {
       pageFrameSettings: JSON.parse(JSON.stringify(this.pageFrameSettings)),
       pageTextSettings: JSON.parse(JSON.stringify(this.pageTextSettings)),
       pageCropSettings: JSON.parse(JSON.stringify(this.pageCropSettings)),
+      cover: JSON.parse(JSON.stringify(this.cover)),
     };
     this.undoStack.push(currentState);
     
@@ -3717,6 +4514,7 @@ export class CompositorUI {
     this.pageFrameSettings = state.pageFrameSettings;
     this.pageTextSettings = state.pageTextSettings;
     this.pageCropSettings = state.pageCropSettings;
+    this.cover = state.cover || this.cover;
     
     // Clear selection on undo/redo
     this.hideTaskbar();
@@ -3731,8 +4529,10 @@ export class CompositorUI {
       btn.classList.toggle('active', btn.dataset.theme === state.customizations.colorTheme);
     });
     
+    this.renderCoverDesigner();
     this.renderViewMode();
     this.renderThumbnails();
+    this.scheduleAutosave();
   }
 
   updateUndoRedoButtons() {
@@ -3989,11 +4789,119 @@ export class CompositorUI {
     this.renderThumbnails();
   }
 
+  // ============================================
+  // Read-aloud narration
+  // Plays each page's clip in turn and turns the page when it ends. Pages
+  // without a clip stay up for a moment before turning. Turning the page by
+  // hand while playing moves the narration to that page.
+  // ============================================
+  
+  hasNarration() {
+    return !!this.bookData?.pages?.some(p => p.narrationUrl);
+  }
+  
+  getNarrationIcon(playing) {
+    return playing
+      ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="5" width="4" height="14" rx="1"/><rect x="14" y="5" width="4" height="14" rx="1"/></svg>'
+      : '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>';
+  }
+  
+  updateNarrationButton() {
+    const btn = document.getElementById('narration-play-btn');
+    if (!btn) return;
+    const playing = !!(this.narrationAudio || this.narrationTimer);
+    btn.classList.toggle('active', playing);
+    btn.title = playing ? 'Stop reading' : 'Read aloud from this page';
+    btn.querySelector('svg').outerHTML = this.getNarrationIcon(playing);
+    btn.querySelector('span').textContent = playing ? 'Stop' : 'Read aloud';
+  }
+  
+  playNarration(index) {
+    this.clearNarrationPlayback();
+    
+    const pageData = this.bookData?.pages?.[index];
+    if (!pageData) {
+      this.stopNarration();
+      return;
+    }
+    
+    if (pageData.narrationUrl) {
+      const audio = new Audio(pageData.narrationUrl);
+      this.narrationAudio = audio;
+      audio.addEventListener('ended', () => {
+        if (this.narrationAudio === audio) this.turnNarrationPage(index);
+      });
+      audio.addEventListener('error', () => {
+        if (this.narrationAudio === audio) this.turnNarrationPage(index);
+      });
+      audio.play().catch(err => {
+        console.warn('Narration playback failed:', err);
+        this.stopNarration();
+      });
+    } else {
+      this.narrationTimer = setTimeout(() => this.turnNarrationPage(index), NARRATION_SILENT_PAGE_MS);
+    }
+    
+    this.updateNarrationButton();
+  }
+  
+  // Clip finished: show the next page (or spread) and read it
+  turnNarrationPage(index) {
+    const next = index + 1;
+    if (next >= this.bookData.pages.length) {
+      this.stopNarration();
+      return;
+    }
+    
+    const spreadChanged = this.viewMode !== 'sideBySide' || Math.floor(next / 2) !== Math.floor(index / 2);
+    this.currentPageIndex = next;
+    if (spreadChanged) {
+      this.renderViewMode();
+      if (this.viewMode === 'sideBySide') {
+        this.updateSpreadThumbnailSelection();
+      } else {
+        this.updateThumbnailSelection();
+      }
+    }
+    this.updatePageIndicator();
+    this.playNarration(next);
+  }
+  
+  // After a manual page turn
+  syncNarration() {
+    if (this.narrationAudio || this.narrationTimer) {
+      this.playNarration(this.currentPageIndex);
+    }
+  }
+  
+  clearNarrationPlayback() {
+    if (this.narrationAudio) {
+      this.narrationAudio.pause();
+      this.narrationAudio = null;
+    }
+    clearTimeout(this.narrationTimer);
+    this.narrationTimer = null;
+  }
+  
+  stopNarration() {
+    this.clearNarrationPlayback();
+    this.updateNarrationButton();
+  }
+  
   // ============================================
   // Navigation
   // ============================================
   
   goBackToStoryboard() {
+    this.stopNarration();
+    
+    // Persist any pending layout edits before tearing down
+    this.flushAutosave();
+    if (this.beforeUnloadHandler) {
+      window.removeEventListener('beforeunload', this.beforeUnloadHandler);
+      this.beforeUnloadHandler = null;
+    }
+    
     // Clear the compositor UI from the container
     if (this.container) {
       this.container.innerHTML = '';
@@ -0,0 +1,31 @@
+// js/core/art-styles.js
+// Shared art style registry (frontend side)
+// The data lives in shared/art-styles.json so the style gallery offers
+// exactly the styles api/_art-styles.js puts into the image prompts.
+
+import registry from '../../shared/art-styles.json';
+
+export const DEFAULT_ART_STYLE = registry.defaultStyle;
+
+/**
+ * All styles, keyed by id, in gallery order
+ */
+export const ART_STYLES = Object.fromEntries(
+  Object.entries(registry.styles)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([id, style]) => [id, { id, ...style }])
+);
+
+/**
+ * A project's art style with blanks filled in
+ * @param {Object} project
+ * @returns {{id: string, reference_url: string|null, previews: Object}}
+ */
+export function getProjectArtStyle(project) {
+  const artStyle = project?.art_style || {};
+  return {
+    id: ART_STYLES[artStyle.id] ? artStyle.id : DEFAULT_ART_STYLE,
+    reference_url: artStyle.reference_url || null,
+    previews: artStyle.previews || {},
+  };
+}
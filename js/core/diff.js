@@ -0,0 +1,68 @@
+// js/core/diff.js
+// Word-level text diff for previewing story rewrites
+
+import { escapeHtml } from './utils.js';
+
+// Words and the whitespace between them, so joining the tokens gives back the text
+function tokenize(text) {
+  return (text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Diff two passages word by word (longest common subsequence)
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return parts;
+}
+
+/**
+ * Diff rendered as HTML with <del>/<ins> around changed words
+ */
+export function renderWordDiff(before, after) {
+  return diffWords(before, after).map(part => {
+    const text = escapeHtml(part.text);
+    if (part.type === "added") return `<ins class="diff-added">${text}</ins>`;
+    if (part.type === "removed") return `<del class="diff-removed">${text}</del>`;
+    return text;
+  }).join("");
+}
@@ -0,0 +1,158 @@
+// js/core/languages.js
+// Shared language/script registry (frontend side)
+// The data lives in shared/languages.json so the print pipeline
+// (api/_languages.js) detects scripts and wraps lines the same way as the
+// compositor.
+
+import registry from '../../shared/languages.json';
+
+export const DEFAULT_LANGUAGE = registry.defaultLanguage;
+
+/**
+ * All supported languages, keyed by code, in display order
+ */
+export const LANGUAGES = Object.fromEntries(
+  Object.entries(registry.languages)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([code, language]) => [code, { code, ...language }])
+);
+
+const SCRIPTS = registry.scripts;
+
+const SCRIPT_PATTERNS = Object.fromEntries(
+  registry.detectOrder.map(script => [script, new RegExp(SCRIPTS[script].pattern)])
+);
+
+const BREAK_ANYWHERE = new RegExp(registry.breakAnywherePattern);
+const WIDE_CHAR = new RegExp(registry.wideCharPattern);
+
+/**
+ * Fallback web fonts for non-Latin scripts, in the same shape as FONT_FAMILIES
+ * (templates.js) so the renderer can preload them the same way
+ */
+export const FALLBACK_FONTS = Object.fromEntries(
+  Object.values(SCRIPTS)
+    .filter(script => script.webFont)
+    .map(script => [script.webFont, { weight: '400,700', googleFont: true }])
+);
+
+/**
+ * @param {string} code
+ * @returns {Object} Language entry (the default language for unknown codes)
+ */
+export function getLanguage(code) {
+  return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Script a piece of text needs a font for
+ * Han characters are shared by Chinese and Japanese, so a Japanese book's
+ * kanji-only text still gets the Japanese font.
+ * @param {string} text
+ * @param {string} [language] - The book's language, if known
+ * @returns {string}
+ */
+export function detectScript(text, language) {
+  const value = text || '';
+  const script = registry.detectOrder.find(s => SCRIPT_PATTERNS[s].test(value)) || 'latin';
+
+  if (script === 'chinese' && getLanguage(language).script === 'japanese') {
+    return 'japanese';
+  }
+  return script;
+}
+
+/**
+ * SVG font-family value with a fallback font for the text's script
+ * Decorative template fonts only cover Latin; without the fallback the
+ * browser picks whatever system font it finds, or draws boxes.
+ * @param {string} fontFamily - Template font
+ * @param {string} text
+ * @param {string} [language]
+ * @param {string} [generic] - CSS generic family
+ * @returns {string}
+ */
+export function fontStackFor(fontFamily, text, language, generic = 'sans-serif') {
+  const fallback = SCRIPTS[detectScript(text, language)].webFont;
+  return fallback
+    ? `"${fontFamily}", "${fallback}", ${generic}`
+    : `"${fontFamily}", ${generic}`;
+}
+
+/**
+ * Web fonts a book in this language needs besides the template font
+ * @param {string} [language]
+ * @returns {string[]}
+ */
+export function fallbackFontsFor(language) {
+  const font = SCRIPTS[getLanguage(language).script].webFont;
+  return font ? [font] : [];
+}
+
+/**
+ * Rough rendered width of a line, without measuring the font
+ * Full-width (CJK) characters are about 1em, everything else about half.
+ * @param {string} text
+ * @param {number} fontSize
+ * @returns {number}
+ */
+export function estimateTextWidth(text, fontSize) {
+  let ems = 0;
+  for (const char of text) {
+    ems += WIDE_CHAR.test(char) ? 1 : 0.5;
+  }
+  return ems * fontSize;
+}
+
+/**
+ * Split text into line-wrapping units
+ * Words stay whole; Chinese/Japanese characters (written without spaces) are
+ * one unit each so a line can break between any two of them.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeForWrap(text) {
+  const tokens = [];
+  for (const part of (text || '').match(/\s+|\S+/g) || []) {
+    if (/^\s/.test(part) || !BREAK_ANYWHERE.test(part)) {
+      tokens.push(part);
+      continue;
+    }
+    tokens.push(...part.match(new RegExp(`${registry.breakAnywherePattern}|(?:(?!${registry.breakAnywherePattern})\\S)+`, 'g')));
+  }
+  return tokens;
+}
+
+/**
+ * Greedy line wrap that understands scripts written without spaces
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {Function} measure - (line) => width, in the same units as maxWidth
+ * @returns {string[]}
+ */
+export function wrapLines(text, maxWidth, measure) {
+  const lines = [];
+  let line = '';
+  let space = false;
+
+  for (const token of tokenizeForWrap((text || '').replace(/\s+/g, ' ').trim())) {
+    if (/^\s/.test(token)) {
+      space = !!line;
+      continue;
+    }
+
+    const candidate = space ? `${line} ${token}` : line + token;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = candidate;
+    }
+    space = false;
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
@@ -0,0 +1,38 @@
+// js/core/narration.js
+// Shared narration voice registry (frontend side)
+// The data lives in shared/narration-voices.json so the voice picker offers
+// exactly the voices api/_tts-provider.js accepts.
+
+import registry from '../../shared/narration-voices.json';
+
+export const DEFAULT_VOICE = registry.defaultVoice;
+export const RECORDING_TYPES = registry.recordingTypes;
+export const MAX_RECORDING_SECONDS = registry.maxRecordingSeconds;
+
+/**
+ * All voices, keyed by id, in picker order
+ */
+export const VOICES = Object.fromEntries(
+  Object.entries(registry.voices)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([id, voice]) => [id, { id, ...voice }])
+);
+
+/**
+ * The narration clip for a page, or null
+ * @param {Object} project
+ * @param {number} page
+ */
+export function getNarrationClip(project, page) {
+  const clips = project?.narration?.clips || [];
+  return clips.find(c => Number(c.page) === Number(page)) || null;
+}
+
+/**
+ * A clip is stale once its page text has been edited
+ * @param {Object} clip
+ * @param {string} pageText
+ */
+export function isClipStale(clip, pageText) {
+  return !!clip && (clip.text || '').trim() !== (pageText || '').trim();
+}
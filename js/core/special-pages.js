@@ -0,0 +1,69 @@
+// js/core/special-pages.js
+// Shared special page registry (frontend side)
+// The data lives in shared/special-pages.json so the print pipeline
+// (api/_special-pages.js) fills in and orders the title page, dedication and
+// back matter exactly like the story editor and compositor.
+
+import registry from '../../shared/special-pages.json';
+
+export const MAX_TEXT_LENGTH = registry.maxTextLength;
+
+/**
+ * All special page kinds, keyed by kind, in reading order
+ * fields maps each field to its default value
+ */
+export const SPECIAL_PAGE_KINDS = Object.fromEntries(
+  Object.entries(registry.kinds)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([kind, page]) => [kind, { kind, ...page }])
+);
+
+/**
+ * Fill in and trim special pages
+ * Unknown kinds and fields are dropped; every kind is present in the result.
+ * @param {Object} [input] - { [kind]: { enabled, ...fields } }
+ * @returns {Object}
+ */
+export function normalizeSpecialPages(input) {
+  const pages = input && typeof input === 'object' ? input : {};
+
+  return Object.fromEntries(Object.values(SPECIAL_PAGE_KINDS).map(({ kind, fields }) => {
+    const page = pages[kind] && typeof pages[kind] === 'object' ? pages[kind] : {};
+    const values = Object.fromEntries(Object.keys(fields).map(field => [
+      field,
+      typeof page[field] === 'string' ? page[field].trim().slice(0, MAX_TEXT_LENGTH) : '',
+    ]));
+    return [kind, { enabled: page.enabled === true, ...values }];
+  }));
+}
+
+/**
+ * Enabled special pages, with blank fields filled in
+ * Title and author default to the book title and child's name, the author
+ * photo to the main character's photo, other fields to the registry defaults.
+ * @param {Object} project
+ * @returns {{front: Array<{kind, label, fields}>, back: Array<{kind, label, fields}>}}
+ */
+export function resolveSpecialPages(project) {
+  const pages = normalizeSpecialPages(project?.special_pages);
+  const protagonist = (project?.character_models || []).find(cm => cm.is_protagonist || cm.role === 'protagonist');
+
+  const fallbacks = {
+    title: project?.selected_idea?.title || 'My Book',
+    author: project?.kid_name || '',
+    photoUrl: protagonist?.source_photo_url || '',
+  };
+
+  const resolved = { front: [], back: [] };
+  for (const { kind, label, placement, fields } of Object.values(SPECIAL_PAGE_KINDS)) {
+    if (!pages[kind].enabled) continue;
+
+    const values = Object.fromEntries(Object.keys(fields).map(field => [
+      field,
+      pages[kind][field] || fields[field] || fallbacks[field] || '',
+    ]));
+
+    resolved[placement].push({ kind, label, fields: values });
+  }
+  return resolved;
+}
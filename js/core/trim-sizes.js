@@ -0,0 +1,48 @@
+// js/core/trim-sizes.js
+// Shared trim-size registry (frontend side)
+// The data lives in shared/trim-sizes.json so the Lulu pipeline (api/_trim-sizes.js)
+// reads exactly the same sizes, bleed and POD package ids as the compositor.
+
+import registry from '../../shared/trim-sizes.json';
+
+// Bleed added on every side of a trim-size page for print (in points)
+export const BLEED = registry.bleedPt;
+
+export const DEFAULT_SIZE_CODE = registry.defaultSizeCode;
+
+/**
+ * All supported trim sizes, keyed by size code, in display order
+ * width/height are in points (72 per inch)
+ */
+export const TRIM_SIZES = Object.fromEntries(
+  Object.entries(registry.sizes)
+    .sort(([, a], [, b]) => a.sortOrder - b.sortOrder)
+    .map(([code, size]) => [code, {
+      code,
+      ...size,
+      width: size.widthIn * 72,
+      height: size.heightIn * 72,
+      name: `${size.widthIn}" × ${size.heightIn}"`,
+    }])
+);
+
+/**
+ * Map legacy or Lulu-table size codes (e.g. 'portrait-medium', 'standard') to a registry code
+ * Unknown codes fall back to the default size
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeSizeCode(code) {
+  if (code && TRIM_SIZES[code]) return code;
+  if (code && registry.aliases[code]) return registry.aliases[code];
+  return DEFAULT_SIZE_CODE;
+}
+
+/**
+ * Look up a trim size by (possibly legacy) code
+ * @param {string} code
+ * @returns {Object} Trim size entry
+ */
+export function getTrimSize(code) {
+  return TRIM_SIZES[normalizeSizeCode(code)];
+}
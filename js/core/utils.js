@@ -51,4 +51,11 @@ export function showToast(title, message = "", type = "success") {
   `;
   container.appendChild(box);
   setTimeout(() => box.remove(), 3200);
-}
\ No newline at end of file
+}
+
+// Content that was saved but flagged by moderation (api/_moderation.js)
+// comes back with { action: "flag", reason }; blocked content is an error
+export function showModerationNotice(moderation) {
+  if (moderation?.action !== "flag") return;
+  showToast("Please check this content", escapeHtml(moderation.reason || ""), "warn");
+}
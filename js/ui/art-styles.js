@@ -0,0 +1,113 @@
+// js/ui/art-styles.js
+// Art style gallery panel
+// Picks the book's illustration style and an optional style reference image.
+// Cards show a sample picture once one has been made with "Preview", and
+// colour swatches until then. A new style only applies to pages and
+// character models made from now on.
+
+import { escapeHtml, showToast } from '../core/utils.js';
+import { ART_STYLES, getProjectArtStyle } from '../core/art-styles.js';
+import { setArtStyle, previewArtStyle, setStyleReference } from '../api/art-style.js';
+
+// Styles with a preview on the way, across re-renders
+const previewing = new Set();
+
+function renderCard(style, artStyle) {
+  const current = style.id === artStyle.id;
+  const preview = artStyle.previews[style.id];
+  const busy = previewing.has(style.id);
+
+  return `
+    <div class="art-style-card ${current ? "current" : ""}" data-style="${style.id}">
+      <div class="art-style-thumb" style="background: linear-gradient(135deg, ${style.swatch.join(", ")})">
+        ${preview ? `<img src="${escapeHtml(preview)}" alt="${escapeHtml(style.label)} preview" loading="lazy">` : ""}
+      </div>
+      <div class="art-style-info">
+        <div class="art-style-name">
+          ${escapeHtml(style.label)}
+          ${current ? `<span class="art-style-current">Current</span>` : ""}
+        </div>
+        <div class="art-style-description">${escapeHtml(style.description)}</div>
+      </div>
+      <div class="art-style-actions">
+        <button class="btn btn-ghost btn-sm art-style-preview" data-style="${style.id}" ${busy ? "disabled" : ""}>
+          ${busy ? "Drawing..." : preview ? "New preview" : "Preview"}
+        </button>
+        ${current ? "" : `<button class="btn btn-secondary btn-sm art-style-use" data-style="${style.id}">Use this style</button>`}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Show the art style gallery in a container
+ *
+ * @param {HTMLElement} container
+ * @param {Object} project - Open project (art_style, illustrations)
+ */
+export function renderArtStylePanel(container, project) {
+  const artStyle = getProjectArtStyle(project);
+  const hasIllustrations = (project.illustrations || []).some(i => i.image_url);
+
+  container.innerHTML = `
+    <div class="art-style-intro">
+      Choose how the illustrations are drawn. Previews show your main character in each style.
+      ${hasIllustrations ? `<strong>Pages already illustrated keep their style until you regenerate them.</strong>` : ""}
+    </div>
+    <div class="art-style-grid">
+      ${Object.values(ART_STYLES).map(style => renderCard(style, artStyle)).join("")}
+    </div>
+    <div class="art-style-reference">
+      <div class="art-style-reference-text">
+        <span class="label">Style reference (optional)</span>
+        <div class="art-style-note">An example picture whose look you like. New illustrations copy its colours, line work and texture, never its contents.</div>
+      </div>
+      ${artStyle.reference_url ? `<img class="art-style-reference-img" src="${escapeHtml(artStyle.reference_url)}" alt="Style reference">` : ""}
+      <label class="btn btn-ghost btn-sm">
+        ${artStyle.reference_url ? "Replace" : "Upload"}
+        <input type="file" id="art-style-reference-input" accept="image/jpeg,image/png,image/webp" hidden>
+      </label>
+      ${artStyle.reference_url ? `<button id="art-style-reference-clear" class="btn btn-ghost btn-sm">Remove</button>` : ""}
+    </div>
+  `;
+
+  const rerender = (data) => {
+    if (data) project.art_style = data.art_style;
+    renderArtStylePanel(container, project);
+  };
+
+  container.querySelectorAll(".art-style-use").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      const data = await setArtStyle(btn.dataset.style);
+      if (data) showToast("Art style changed", `New illustrations will be ${ART_STYLES[btn.dataset.style].label}`, "success");
+      rerender(data);
+    });
+  });
+
+  container.querySelectorAll(".art-style-preview").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const styleId = btn.dataset.style;
+      previewing.add(styleId);
+      rerender();
+
+      const data = await previewArtStyle(styleId);
+      previewing.delete(styleId);
+      // The panel may have been closed or re-rendered for another project
+      if (data) project.art_style = data.art_style;
+      if (container.isConnected) rerender();
+    });
+  });
+
+  container.querySelector("#art-style-reference-input").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const data = await setStyleReference(file);
+    if (data) showToast("Style reference saved", "New illustrations will follow its look", "success");
+    rerender(data);
+  });
+
+  container.querySelector("#art-style-reference-clear")?.addEventListener("click", async () => {
+    rerender(await setStyleReference(null));
+  });
+}
@@ -2,8 +2,8 @@
 // Modal dialogs for image preview and file upload
 
 import { state, getProjectId } from '../core/state.js';
-import { $ } from '../core/utils.js';
-import { handleRegenerateIllustration, handleSetIllustration } from '../api/illustrations.js';
+import { $, showToast } from '../core/utils.js';
+import { handleRegenerateIllustration, handleSetIllustration, editIllustration } from '../api/illustrations.js';
 import { uploadPhoto } from '../api/character.js';
 
 // Track which image URL is currently being viewed in the modal
@@ -26,8 +26,12 @@ export function openImageModal(pageNum, imageUrl) {
 
   if (!modal || !img || !notes || !regen) return;
 
+  resetInpaint();
   img.src = imageUrl;
   notes.value = "";
+  document.querySelectorAll(".regen-issue").forEach(input => { input.checked = false; });
+  const hasPinnedPlan = (state.cachedProject?.scene_plans || []).some(entry => Number(entry.page) === Number(pageNum));
+  $("regen-pinned-note")?.classList.toggle("hidden", !hasPinnedPlan);
   regen.dataset.page = String(pageNum);
   subtitle.textContent = `Page ${pageNum}`;
 
@@ -183,6 +187,7 @@ export function closeImageModal() {
   if (!modal) return;
   modal.classList.add("hidden");
   modal.setAttribute("aria-hidden", "true");
+  resetInpaint();
   
   // Reset tracking state
   currentlyViewingUrl = null;
@@ -190,6 +195,149 @@ export function closeImageModal() {
   currentPageNum = null;
 }
 
+// =====================================================
+// Inpaint - paint over part of the current illustration
+// and describe the change (api/edit-scene.js)
+// =====================================================
+
+let inpaintDrawing = false;
+let inpaintPainted = false;
+let inpaintLastPoint = null;
+
+function isViewingCurrent() {
+  return (currentlyViewingUrl?.split('?')[0] || '') === (currentPrimaryUrl?.split('?')[0] || '');
+}
+
+// Lay the canvas exactly over the displayed image (this also clears it)
+function fitInpaintCanvas() {
+  const img = $("modal-image");
+  const canvas = $("inpaint-canvas");
+  canvas.style.left = `${img.offsetLeft}px`;
+  canvas.style.top = `${img.offsetTop}px`;
+  canvas.style.width = `${img.clientWidth}px`;
+  canvas.style.height = `${img.clientHeight}px`;
+  canvas.width = img.clientWidth;
+  canvas.height = img.clientHeight;
+  inpaintPainted = false;
+}
+
+function resetInpaint() {
+  inpaintDrawing = false;
+  inpaintPainted = false;
+  inpaintLastPoint = null;
+  $("inpaint-canvas")?.classList.add("hidden");
+  $("inpaint-controls")?.classList.add("hidden");
+  $("inpaint-start-btn")?.classList.remove("hidden");
+  const instruction = $("inpaint-instruction");
+  if (instruction) instruction.value = "";
+}
+
+async function startInpaint() {
+  const img = $("modal-image");
+
+  // Edits apply to the current version, so switch back to it first
+  if (!isViewingCurrent()) {
+    $("current-version-indicator")?.querySelector(".revision-thumb")?.click();
+  }
+  if (!img.complete) {
+    await new Promise(resolve => img.addEventListener("load", resolve, { once: true }));
+  }
+
+  $("inpaint-start-btn").classList.add("hidden");
+  $("inpaint-controls").classList.remove("hidden");
+  $("inpaint-canvas").classList.remove("hidden");
+  fitInpaintCanvas();
+  $("inpaint-instruction").focus();
+}
+
+function paintAt(e) {
+  const canvas = $("inpaint-canvas");
+  const rect = canvas.getBoundingClientRect();
+  const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  const ctx = canvas.getContext("2d");
+
+  ctx.strokeStyle = "#8b5cf6";
+  ctx.lineWidth = Number($("inpaint-brush-size")?.value || 40);
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.beginPath();
+  ctx.moveTo((inpaintLastPoint || point).x, (inpaintLastPoint || point).y);
+  ctx.lineTo(point.x, point.y);
+  ctx.stroke();
+
+  inpaintLastPoint = point;
+  inpaintPainted = true;
+}
+
+// Mask at the image's real size: opaque everywhere except the painted area,
+// which is transparent - the area the model may change
+function buildInpaintMask() {
+  const img = $("modal-image");
+  const mask = document.createElement("canvas");
+  mask.width = img.naturalWidth;
+  mask.height = img.naturalHeight;
+
+  const ctx = mask.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, mask.width, mask.height);
+  ctx.globalCompositeOperation = "destination-out";
+  ctx.drawImage($("inpaint-canvas"), 0, 0, mask.width, mask.height);
+
+  return mask.toDataURL("image/png");
+}
+
+async function applyInpaint() {
+  const pageNum = currentPageNum;
+  const instruction = $("inpaint-instruction").value.trim();
+
+  if (!inpaintPainted) {
+    showToast("Nothing painted", "Paint over the part of the picture you want to change", "warn");
+    return;
+  }
+  if (!instruction) {
+    showToast("Describe the change", "Say what should be different in the painted area", "warn");
+    return;
+  }
+
+  const applyBtn = $("inpaint-apply-btn");
+  applyBtn.disabled = true;
+  applyBtn.textContent = "Editing...";
+
+  const data = await editIllustration(pageNum, buildInpaintMask(), instruction);
+
+  applyBtn.disabled = false;
+  applyBtn.textContent = "Apply Edit";
+
+  if (data && currentPageNum === pageNum) {
+    showToast("Illustration edited", `Page ${pageNum} - the previous version is in Previous Versions`, "success");
+    openImageModal(pageNum, data.image_url);
+  }
+}
+
+function initInpaintEvents() {
+  const canvas = $("inpaint-canvas");
+  if (!canvas) return;
+
+  canvas.addEventListener("pointerdown", (e) => {
+    inpaintDrawing = true;
+    inpaintLastPoint = null;
+    canvas.setPointerCapture(e.pointerId);
+    paintAt(e);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (inpaintDrawing) paintAt(e);
+  });
+  ["pointerup", "pointercancel"].forEach(type => canvas.addEventListener(type, () => {
+    inpaintDrawing = false;
+    inpaintLastPoint = null;
+  }));
+
+  $("inpaint-start-btn")?.addEventListener("click", startInpaint);
+  $("inpaint-clear-btn")?.addEventListener("click", fitInpaintCanvas);
+  $("inpaint-cancel-btn")?.addEventListener("click", resetInpaint);
+  $("inpaint-apply-btn")?.addEventListener("click", applyInpaint);
+}
+
 // =====================================================
 // Human Request Modal
 // =====================================================
@@ -261,6 +409,8 @@ export function initImageModalEvents() {
   });
 
   $("regen-btn")?.addEventListener("click", handleRegenerateIllustration);
+
+  initInpaintEvents();
   
   // Wire up "Use This Version" button
   $("use-version-btn")?.addEventListener("click", handleSetIllustration);
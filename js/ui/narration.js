@@ -0,0 +1,195 @@
+// js/ui/narration.js
+// Read-aloud narration panel
+// Each page gets a clip from a TTS voice or the parent's own recording.
+// Clips made before the page text was edited are marked out of date; they
+// still play, but "Narrate all" redoes voice clips and the parent can
+// re-record their own.
+
+import { escapeHtml, showToast } from '../core/utils.js';
+import { VOICES, DEFAULT_VOICE, RECORDING_TYPES, MAX_RECORDING_SECONDS, getNarrationClip, isClipStale } from '../core/narration.js';
+import { generateNarration, saveRecording, deleteNarration, setNarrationVoice } from '../api/narration.js';
+
+// Only one recording at a time across re-renders
+let activeRecording = null;
+
+function pickRecordingType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return Object.keys(RECORDING_TYPES).find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function clipStatus(clip, pageText) {
+  if (!clip) return { label: "Not narrated", className: "narration-none" };
+  if (isClipStale(clip, pageText)) return { label: "Out of date", className: "narration-stale" };
+  if (clip.source === "recorded") return { label: "Your recording", className: "narration-recorded" };
+  return { label: `Voice: ${VOICES[clip.voice]?.label || clip.voice}`, className: "narration-tts" };
+}
+
+function renderRow(project, page) {
+  const clip = getNarrationClip(project, page.page);
+  const status = clipStatus(clip, page.text);
+  const recording = activeRecording?.page === Number(page.page);
+
+  return `
+    <div class="narration-row" data-page="${page.page}">
+      <div class="narration-page">
+        <span class="narration-page-number">Page ${page.page}</span>
+        <span class="narration-status ${status.className}">${status.label}</span>
+        <div class="narration-excerpt">${escapeHtml(page.text || "")}</div>
+      </div>
+      <div class="narration-actions">
+        ${clip ? `<audio class="narration-audio" controls preload="none" src="${escapeHtml(clip.audio_url)}"></audio>` : ""}
+        <button class="btn btn-ghost btn-sm narration-generate" data-page="${page.page}" ${activeRecording ? "disabled" : ""}>
+          ${clip?.source === "tts" ? "Redo voice" : "Use voice"}
+        </button>
+        <button class="btn ${recording ? "btn-primary" : "btn-ghost"} btn-sm narration-record" data-page="${page.page}" ${activeRecording && !recording ? "disabled" : ""}>
+          ${recording ? "Stop recording" : "Record"}
+        </button>
+        ${clip ? `<button class="btn btn-ghost btn-sm narration-delete" data-page="${page.page}" ${activeRecording ? "disabled" : ""}>Remove</button>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Show the narration panel in a container
+ *
+ * @param {HTMLElement} container
+ * @param {Object} project - Open project (story_json, narration)
+ */
+export function renderNarrationPanel(container, project) {
+  const pages = project.story_json || [];
+  const voice = project.narration?.voice || DEFAULT_VOICE;
+  const canRecord = !!pickRecordingType() && !!navigator.mediaDevices?.getUserMedia;
+
+  container.innerHTML = `
+    <div class="narration-intro">Read-aloud audio for each page. It plays in the Layout & Export preview and turns the pages as it goes.</div>
+    <div class="narration-toolbar">
+      <label class="narration-voice">
+        <span class="label">Voice</span>
+        <select id="narration-voice" class="input">
+          ${Object.values(VOICES).map(v => `
+            <option value="${v.id}" ${v.id === voice ? "selected" : ""}>${escapeHtml(v.label)} - ${escapeHtml(v.description)}</option>
+          `).join("")}
+        </select>
+      </label>
+      <button id="narration-all-btn" class="btn btn-primary btn-sm" ${activeRecording ? "disabled" : ""}>Narrate All Pages</button>
+      <span id="narration-progress" class="narration-progress"></span>
+    </div>
+    ${canRecord ? "" : `<div class="narration-note">Recording isn't supported in this browser.</div>`}
+    <div class="narration-list">
+      ${pages.map(page => renderRow(project, page)).join("")}
+    </div>
+  `;
+
+  const rerender = (data) => {
+    if (data) project.narration = data.narration;
+    renderNarrationPanel(container, project);
+  };
+
+  container.querySelector("#narration-voice").addEventListener("change", async (e) => {
+    rerender(await setNarrationVoice(e.target.value));
+  });
+
+  container.querySelector("#narration-all-btn").addEventListener("click", async (e) => {
+    // Pages with no clip, plus voice clips that no longer match the text;
+    // out-of-date recordings are left for the parent to redo
+    const todo = pages.filter(page => {
+      const clip = getNarrationClip(project, page.page);
+      return page.text?.trim() && (!clip || (clip.source === "tts" && isClipStale(clip, page.text)));
+    });
+
+    if (todo.length === 0) {
+      showToast("Narration up to date", "Every page already has audio", "success");
+      return;
+    }
+
+    e.target.disabled = true;
+    const progress = container.querySelector("#narration-progress");
+    let done = 0;
+
+    // One page at a time - each call saves the whole narration object
+    for (const page of todo) {
+      progress.textContent = `Narrating page ${page.page} (${done + 1} of ${todo.length})...`;
+      const data = await generateNarration(page.page);
+      if (!data) break;
+      project.narration = data.narration;
+      done++;
+    }
+
+    if (done === todo.length) {
+      showToast("Narration ready", `${done} page(s) narrated`, "success");
+    }
+    rerender();
+  });
+
+  container.querySelectorAll(".narration-generate").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      btn.textContent = "Narrating...";
+      rerender(await generateNarration(Number(btn.dataset.page)));
+    });
+  });
+
+  container.querySelectorAll(".narration-delete").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      if (!confirm(`Remove the narration for page ${btn.dataset.page}?`)) return;
+      rerender(await deleteNarration(Number(btn.dataset.page)));
+    });
+  });
+
+  container.querySelectorAll(".narration-record").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const page = Number(btn.dataset.page);
+
+      if (activeRecording?.page === page) {
+        activeRecording.recorder.stop();
+        return;
+      }
+
+      if (!canRecord) {
+        showToast("Can't record", "Recording isn't supported in this browser", "error");
+        return;
+      }
+
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (err) {
+        console.error("Microphone error:", err);
+        showToast("Can't record", "Allow microphone access to record", "error");
+        return;
+      }
+
+      const recorder = new MediaRecorder(stream, { mimeType: pickRecordingType() });
+      const chunks = [];
+      const startedAt = Date.now();
+
+      recorder.addEventListener("dataavailable", (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      });
+
+      recorder.addEventListener("stop", async () => {
+        clearTimeout(activeRecording?.timer);
+        stream.getTracks().forEach(track => track.stop());
+        activeRecording = null;
+
+        const durationSeconds = Math.round((Date.now() - startedAt) / 100) / 10;
+        // Strip codecs so the type matches RECORDING_TYPES on the server
+        const type = recorder.mimeType.split(";")[0];
+        rerender();
+
+        const data = await saveRecording(page, new Blob(chunks, { type }), durationSeconds);
+        if (data) showToast("Recording saved", `Page ${page}`, "success");
+        rerender(data);
+      });
+
+      activeRecording = {
+        page,
+        recorder,
+        timer: setTimeout(() => recorder.state === "recording" && recorder.stop(), MAX_RECORDING_SECONDS * 1000),
+      };
+      recorder.start();
+      rerender();
+    });
+  });
+}
@@ -15,6 +15,7 @@ import {
   formatDate,
   formatDateTime 
 } from '../api/orders.js';
+import { requestEbookDownload } from '../api/checkout.js';
 
 let currentOrders = [];
 let selectedOrderId = null;
@@ -99,6 +100,7 @@ function renderOrderCard(order) {
   const isCancelled = order.fulfillmentStatus === 'cancelled' || isRefunded;
   const canCancel = !isCancelled && !['shipped', 'delivered'].includes(order.fulfillmentStatus) && !order.cancellationRequestedAt;
   const canReorder = isDelivered || isCancelled; // Can reorder if delivered or cancelled/refunded
+  const canDownload = order.productType === 'ebook' && order.status === 'paid' && !isCancelled;
 
   return `
     <div class="order-card ${isCancelled ? 'order-card-cancelled' : ''}" data-order-id="${order.id}">
@@ -161,6 +163,11 @@ function renderOrderCard(order) {
         <button class="btn btn-sm btn-ghost order-details-btn" data-order-id="${order.id}">
           View Details
         </button>
+        ${canDownload ? `
+          <button class="btn btn-sm btn-primary order-download-btn" data-book-id="${order.bookId}">
+            Download PDF
+          </button>
+        ` : ''}
         ${canReorder ? `
           <button class="btn btn-sm btn-primary order-reorder-btn" data-order-id="${order.id}">
             Reorder
@@ -211,6 +218,26 @@ function bindOrderEvents() {
     });
   });
 
+  // Ebook download
+  document.querySelectorAll('.order-download-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        btn.disabled = true;
+        btn.textContent = 'Preparing...';
+        const { url, downloadsRemaining } = await requestEbookDownload(btn.dataset.bookId);
+        window.location.href = url;
+        if (downloadsRemaining !== null) {
+          showToast('Download started', `${downloadsRemaining} download${downloadsRemaining === 1 ? '' : 's'} remaining`, 'success');
+        }
+      } catch (err) {
+        showToast('Download failed', err.message, 'error');
+      } finally {
+        btn.textContent = 'Download PDF';
+        btn.disabled = false;
+      }
+    });
+  });
+
   // Support
   document.querySelectorAll('.order-support-btn').forEach(btn => {
     btn.addEventListener('click', () => {
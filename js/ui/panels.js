@@ -1079,7 +1079,10 @@ async function handlePropFileSelect(file, propKey, propName, modal) {
     if (!res.ok) {
       const text = await res.text();
       console.error("Upload failed:", res.status, text);
-      if (status) status.textContent = `Upload failed: ${res.status}`;
+      // Moderation blocks (422) explain why the photo was refused
+      let message = `Upload failed: ${res.status}`;
+      try { message = JSON.parse(text).message || message; } catch {}
+      if (status) status.textContent = message;
       if (dropzone) dropzone.style.display = "block";
       return;
     }
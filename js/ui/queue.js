@@ -5,6 +5,7 @@ import { state, getProjectId } from '../core/state.js';
 import { $, showToast } from '../core/utils.js';
 import { openProjectById } from '../api/projects.js';
 import { openImageModal } from './modals.js';
+import { cancelGeneration } from '../api/illustrations.js';
 
 // Local history storage (synced with server for logged-in users)
 let generationHistory = [];
@@ -21,6 +22,13 @@ let isDropdownOpen = false;
 // Track if we've already fetched from server this session
 let hasFetchedThisSession = false;
 
+// Server-side generation jobs still queued/running, across all projects
+// (kept up to date by the status poll in api/illustrations.js)
+let activeJobs = [];
+
+// Per-batch totals for "generate all" runs: batchId -> { projectId, total, complete, ... }
+let batchProgress = {};
+
 // Initialize queue UI
 export function initQueueUI() {
   const btn = $("queue-btn");
@@ -146,16 +154,17 @@ function mergeServerHistory(serverHistory) {
 
 // Add a generation to history
 export async function addToHistory(item) {
-  // item: { projectId, projectTitle, page, imageUrl, status, timestamp }
+  // item: { projectId, projectTitle, page, imageUrl, status, timestamp, id?, synced? }
+  // Items from server-side jobs arrive with the job id and are already synced
   const historyItem = {
-    id: `${item.projectId}-${item.page}-${Date.now()}`,
+    id: item.id || `${item.projectId}-${item.page}-${Date.now()}`,
     projectId: item.projectId,
     projectTitle: item.projectTitle || 'Untitled Book',
     page: item.page,
     imageUrl: item.imageUrl,
     status: item.status || 'complete',
     timestamp: item.timestamp || Date.now(),
-    synced: false, // Track if synced to server
+    synced: !!item.synced, // Track if synced to server
   };
   
   // Add to front of local history
@@ -174,7 +183,9 @@ export async function addToHistory(item) {
   refreshDropdownIfOpen();
   
   // Persist to server (non-blocking)
-  persistToServer(item, historyItem.id);
+  if (!historyItem.synced) {
+    persistToServer(item, historyItem.id);
+  }
 }
 
 // Persist history item to server
@@ -222,9 +233,20 @@ export function updateHistoryItem(projectId, page, updates) {
   }
 }
 
+// Replace the list of queued/running server jobs
+export function setActiveJobs(jobs) {
+  activeJobs = jobs || [];
+}
+
+// Replace the per-batch progress totals
+export function setBatchProgress(batches) {
+  batchProgress = batches || {};
+}
+
 // Get active generations count
 function getActiveCount() {
-  return state.generatingPages.size + state.queuedPages.size;
+  // Pages being enqueued show in the page sets before the server returns their jobs
+  return Math.max(activeJobs.length, state.generatingPages.size + state.queuedPages.size);
 }
 
 // Update the badge showing active generations
@@ -255,6 +277,8 @@ function getThumbnailHtml(item) {
     return `<div class="queue-thumb-icon generating"><div class="spinner"></div></div>`;
   } else if (item.status === 'queued') {
     return `<div class="queue-thumb-icon queued">⏳</div>`;
+  } else if (item.status === 'cancelled') {
+    return `<div class="queue-thumb-icon">–</div>`;
   } else if (item.status === 'failed') {
     return `<div class="queue-thumb-icon failed">✕</div>`;
   } else if (item.imageUrl) {
@@ -269,27 +293,29 @@ function renderQueueDropdown() {
   const list = $("queue-list");
   if (!list) return;
   
-  // Get active generations first
-  const activeItems = [];
-  
-  // Add currently generating pages
-  state.generatingPages.forEach(pageNum => {
-    activeItems.push({
-      id: `gen-${pageNum}`,
-      projectId: getProjectId(),
-      projectTitle: state.cachedProject?.selected_idea?.title || 'Current Project',
-      page: pageNum,
+  // Active server jobs first (all projects), running before queued
+  const activeItems = [...activeJobs]
+    .sort((a, b) => (a.status === 'running' ? 0 : 1) - (b.status === 'running' ? 0 : 1))
+    .map(job => ({
+      id: job.id,
+      jobId: job.id,
+      projectId: job.projectId,
+      projectTitle: job.projectTitle,
+      page: job.page,
       imageUrl: null,
-      status: 'generating',
+      status: job.status === 'running' ? 'generating' : 'queued',
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
       timestamp: Date.now(),
-    });
-  });
-  
-  // Add queued pages
+    }));
+
+  // Pages still on their way to the server
+  const projectId = getProjectId();
   state.queuedPages.forEach(pageNum => {
+    if (activeItems.some(item => item.projectId === projectId && Number(item.page) === pageNum)) return;
     activeItems.push({
       id: `queue-${pageNum}`,
-      projectId: getProjectId(),
+      projectId,
       projectTitle: state.cachedProject?.selected_idea?.title || 'Current Project',
       page: pageNum,
       imageUrl: null,
@@ -301,7 +327,7 @@ function renderQueueDropdown() {
   // Combine with recent history
   const recentHistory = generationHistory
     .filter(h => h.status === 'complete' || h.status === 'failed')
-    .slice(0, MAX_DROPDOWN_ITEMS - activeItems.length);
+    .slice(0, Math.max(0, MAX_DROPDOWN_ITEMS - activeItems.length));
   
   const allItems = [...activeItems, ...recentHistory];
   
@@ -310,19 +336,39 @@ function renderQueueDropdown() {
     return;
   }
   
-  list.innerHTML = allItems.map(item => `
+  list.innerHTML = renderBatchProgress() + allItems.map(item => `
     <div class="queue-item" data-project-id="${item.projectId}" data-page="${item.page}" data-status="${item.status}" data-image-url="${item.imageUrl || ''}">
       <div class="queue-item-thumb">
         ${getThumbnailHtml(item)}
       </div>
       <div class="queue-item-info">
         <div class="queue-item-title">${escapeHtml(item.projectTitle)}</div>
-        <div class="queue-item-meta">Page ${item.page}</div>
+        <div class="queue-item-meta">Page ${item.page}${getAttemptLabel(item)}</div>
       </div>
       <span class="queue-item-status ${item.status}">${getStatusLabel(item.status)}</span>
+      ${item.jobId && item.status === 'queued' ? `
+        <button class="queue-item-cancel" data-job-id="${item.jobId}" title="Remove from queue">✕</button>
+      ` : ''}
     </div>
   `).join("");
   
+  // Wire cancel buttons (before the row click handlers)
+  list.querySelectorAll("[data-job-id]").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      btn.disabled = true;
+      cancelGeneration({ jobId: btn.dataset.jobId });
+    });
+  });
+  
+  list.querySelectorAll("[data-batch-id]").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      btn.disabled = true;
+      cancelGeneration({ batchId: btn.dataset.batchId });
+    });
+  });
+  
   // Wire click events
   list.querySelectorAll(".queue-item").forEach(el => {
     el.addEventListener("click", async () => {
@@ -350,6 +396,30 @@ function renderQueueDropdown() {
   });
 }
 
+// Progress rows for multi-page batches ("generate all")
+function renderBatchProgress() {
+  return Object.entries(batchProgress)
+    .filter(([, batch]) => batch.total > 1)
+    .map(([batchId, batch]) => {
+      const done = batch.complete + batch.failed + batch.cancelled;
+      const percent = Math.round((done / batch.total) * 100);
+      const title = activeJobs.find(j => j.batchId === batchId)?.projectTitle || 'Untitled Book';
+      return `
+        <div class="queue-batch">
+          <div class="queue-batch-header">
+            <span class="queue-item-title">${escapeHtml(title)}</span>
+            <span class="queue-item-meta">${done} of ${batch.total} pages${batch.failed ? ` · ${batch.failed} failed` : ''}</span>
+          </div>
+          <div class="queue-batch-bar"><div class="queue-batch-fill" style="width: ${percent}%"></div></div>
+          ${batch.queued > 0 ? `
+            <button class="btn btn-ghost btn-sm queue-batch-cancel" data-batch-id="${batchId}">Cancel ${batch.queued} queued</button>
+          ` : ''}
+        </div>
+      `;
+    })
+    .join("");
+}
+
 // Open history modal
 function openHistoryModal() {
   const modal = $("history-modal");
@@ -421,6 +491,14 @@ function renderHistoryModal() {
   });
 }
 
+// Retry info for server jobs that have already failed at least once
+function getAttemptLabel(item) {
+  if (!item.attempts) return '';
+  if (item.status === 'queued') return ' · Will retry';
+  if (item.status === 'generating' && item.attempts > 1) return ` · Attempt ${item.attempts} of ${item.maxAttempts}`;
+  return '';
+}
+
 // Status label helper
 function getStatusLabel(status) {
   switch(status) {
@@ -428,6 +506,7 @@ function getStatusLabel(status) {
     case 'complete': return 'Complete';
     case 'failed': return 'Failed';
     case 'queued': return 'Queued';
+    case 'cancelled': return 'Cancelled';
     default: return status;
   }
 }
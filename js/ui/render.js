@@ -4,10 +4,17 @@
 import { state, setLastStoryPages, getProjectId, startNewProject } from '../core/state.js';
 import { $, escapeHtml, showToast, showLoader } from '../core/utils.js';
 import { projectStatusText, openProjectById } from '../api/projects.js';
-import { generateSingleIllustration, generateIllustrations } from '../api/illustrations.js';
+import { generateSingleIllustration, generateIllustrations, regenerateStaleIllustrations } from '../api/illustrations.js';
 import { openImageModal, initUploadModal } from './modals.js';
 import { renderCharacterPanel, openAddCharacterModal } from './panels.js';
-import { finalizeStory, saveStoryEdits } from '../api/story.js';
+import { finalizeStory, saveStoryEdits, rewritePage, unlockStory, editStoryPages, translateBook } from '../api/story.js';
+import { renderWordDiff } from '../core/diff.js';
+import { renderStoryVersions } from './story-versions.js';
+import { renderSpecialPagesPanel } from './special-pages.js';
+import { renderNarrationPanel } from './narration.js';
+import { renderArtStylePanel } from './art-styles.js';
+import { renderScenePlanPanel } from './scene-plan.js';
+import { LANGUAGES, getLanguage } from '../core/languages.js';
 
 // New Story Modal functions
 export function openNewStoryModal() {
@@ -25,6 +32,24 @@ export function openNewStoryModal() {
   modal.querySelector("#new-story-name")?.focus();
 }
 
+// Story options chosen in the new-story modal (validated server-side in
+// api/_story-options.js; blank page count / reading level mean "auto")
+export function getNewStoryOptions() {
+  const pageCount = parseInt($("new-story-pages")?.value, 10);
+  return {
+    ageBand: $("new-story-age")?.value || undefined,
+    pageCount: Number.isFinite(pageCount) ? pageCount : undefined,
+    style: $("new-story-style")?.value || undefined,
+    tone: $("new-story-tone")?.value || undefined,
+    readingLevel: $("new-story-reading-level")?.value || undefined,
+    language: $("new-story-language")?.value || undefined,
+    lesson: $("new-story-lesson")?.value.trim() || undefined,
+    occasion: $("new-story-occasion")?.value || undefined,
+    setting: $("new-story-setting")?.value.trim() || undefined,
+    supportingCast: $("new-story-cast")?.value.trim() || undefined,
+  };
+}
+
 export function closeNewStoryModal() {
   const modal = $("new-story-modal");
   if (!modal) return;
@@ -94,6 +119,12 @@ export function renderDashboard(projects) {
       ? `<img src="${p.illustrations[0].image_url}" alt="thumb">`
       : "";
     
+    // Non-English books and translated editions show their language
+    const language = p.story_options?.language;
+    const languageNote = p.source_project_id
+      ? `${getLanguage(language).label} edition`
+      : (language && language !== "en" ? getLanguage(language).label : "");
+
     // Add draft class for styling
     const cardClass = isDraft ? "story-card draft" : "story-card";
 
@@ -105,7 +136,7 @@ export function renderDashboard(projects) {
         </div>
         <div class="card-body">
           <div class="card-title">${escapeHtml(title)}</div>
-          <p class="card-sub">${escapeHtml(p.kid_name || "Unknown child")}</p>
+          <p class="card-sub">${escapeHtml(p.kid_name || "Unknown child")}${languageNote ? ` · ${escapeHtml(languageNote)}` : ""}</p>
           <div class="card-meta">
             <span>${escapeHtml(p.id.slice(0, 8))}</span>
             <span>${isDraft ? "Edit Draft" : "Open"}</span>
@@ -131,6 +162,13 @@ export function renderDashboard(projects) {
 }
 
 // Render story ideas selection
+// Badge text for where an idea came from (origin is set by api/story-ideas.js)
+const IDEA_ORIGIN_LABELS = {
+  more: "More like this",
+  remix: "Remix",
+  custom: "Your idea",
+};
+
 export function renderIdeas(ideas) {
   removeDashboardMode();
   const results = $("results");
@@ -138,11 +176,15 @@ export function renderIdeas(ideas) {
   const cards = ideas.map((idea, idx) => `
     <div class="story-card" data-idea-index="${idx}">
       <div class="thumb">
-        <span class="badge">Idea</span>
+        <span class="badge">${IDEA_ORIGIN_LABELS[idea.origin] || "Idea"}</span>
       </div>
       <div class="card-body">
         <div class="card-title">${escapeHtml(idea.title)}</div>
         <p class="card-sub">${escapeHtml(idea.description)}</p>
+        <div class="idea-actions">
+          <button class="btn btn-ghost btn-xs idea-refine" data-mode="more">More like this</button>
+          <button class="btn btn-ghost btn-xs idea-refine" data-mode="remix">Remix</button>
+        </div>
         <div class="card-meta">
           <span>#${idx + 1}</span>
           <span>Write story</span>
@@ -153,6 +195,11 @@ export function renderIdeas(ideas) {
 
   results.innerHTML = `
     <div class="grid">${cards}</div>
+    <div class="custom-premise">
+      <label for="custom-premise-input" class="label">Or write your own premise</label>
+      <textarea id="custom-premise-input" class="input" rows="3" maxlength="1000" placeholder="e.g., Maya finds a shy dragon living under her bed who is afraid of the dark"></textarea>
+      <button id="custom-premise-btn" class="btn btn-secondary btn-sm">Use My Idea</button>
+    </div>
     <div style="margin-top:14px; display:flex; gap:10px; flex-wrap:wrap;">
       <button id="regen-ideas" class="btn btn-secondary">Generate New Ideas</button>
     </div>
@@ -167,6 +214,25 @@ export function renderIdeas(ideas) {
     });
   });
 
+  results.querySelectorAll(".idea-refine").forEach((btn) => {
+    btn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      const idx = Number(btn.closest("[data-idea-index]").getAttribute("data-idea-index"));
+      const { refineIdeas } = await import('../api/story.js');
+      await refineIdeas(btn.dataset.mode, { ideaIndex: idx });
+    });
+  });
+
+  $("custom-premise-btn")?.addEventListener("click", async () => {
+    const premise = $("custom-premise-input").value.trim();
+    if (!premise) {
+      showToast("Nothing to add", "Describe your story idea first", "warn");
+      return;
+    }
+    const { refineIdeas } = await import('../api/story.js');
+    await refineIdeas("custom", { premise });
+  });
+
   $("regen-ideas")?.addEventListener("click", async () => {
     const { fetchIdeas } = await import('../api/story.js');
     await fetchIdeas();
@@ -174,39 +240,66 @@ export function renderIdeas(ideas) {
 }
 
 // Render the story editor (edit phase before finalization)
+// Tones offered by the per-page rewrite tools (TONES in api/_story-options.js)
+const REWRITE_TONES = ["playful", "gentle", "adventurous", "funny", "heartwarming", "educational"];
+
 export function renderStoryEditor(project) {
   removeDashboardMode();
   const results = $("results");
   const pages = project.story_json || [];
   
   // Store current state for editing
-  let editedPages = JSON.parse(JSON.stringify(pages)); // Deep clone
+  const editedPages = JSON.parse(JSON.stringify(pages)); // Deep clone
+
+  // Length/readability check from the last write or save (api/_readability.js)
+  const report = project.story_report || null;
+  const pageScores = new Map((report?.pages || []).map(r => [Number(r.page), r]));
   
   // Header with actions
   const headerHtml = `
     <div class="editor-header">
       <div class="editor-info">
         <p>Review and edit your story below. Click on any page text to edit it. When you're happy with the story, click "Finalize & Continue" to proceed to illustration generation.</p>
+        ${project.finalized_story_json ? `
+          <p class="editor-unlocked-note">This story was already finalized. When you finalize it again, only new characters, props and places are added, and illustrations on pages whose text you changed are marked for regeneration.</p>
+        ` : ""}
       </div>
       <div class="editor-actions">
+        <button id="story-history-btn" class="btn btn-ghost">History</button>
+        <button id="special-pages-btn" class="btn btn-ghost">Extra Pages</button>
         <button id="save-draft-btn" class="btn btn-secondary">Save Draft</button>
         <button id="add-page-btn" class="btn btn-secondary">+ Add Page</button>
         <button id="finalize-btn" class="btn btn-primary">Finalize & Continue →</button>
       </div>
     </div>
+    ${renderStoryReportSummary(report)}
     <div id="editor-status" class="status-line"></div>
+    <div id="story-versions-panel" class="story-versions-panel hidden"></div>
+    <div id="special-pages-panel" class="special-pages-panel hidden"></div>
   `;
   
   // Build page editor cards (horizontal layout: textarea left, actions right)
   const pageCards = editedPages.map((p, idx) => `
     <div class="editor-card" data-page-index="${idx}">
       <div class="editor-card-main">
-        <span class="editor-page-num">Page ${p.page}</span>
+        <span class="editor-page-num">Page ${p.page}${renderPageScore(pageScores.get(Number(p.page)))}</span>
         <textarea class="editor-textarea" data-page-index="${idx}" rows="3" placeholder="Enter page text...">${escapeHtml(p.text)}</textarea>
+        <div class="rewrite-tools">
+          <button class="btn btn-ghost btn-xs rewrite-btn" data-action="simplify">Simplify</button>
+          <button class="btn btn-ghost btn-xs rewrite-btn" data-action="rhyme">Make it rhyme</button>
+          <button class="btn btn-ghost btn-xs rewrite-btn" data-action="lengthen">Lengthen</button>
+          <button class="btn btn-ghost btn-xs rewrite-btn" data-action="shorten">Shorten</button>
+          <select class="select select-sm rewrite-tone" title="Tone">
+            ${REWRITE_TONES.map(t => `<option value="${t}">${t[0].toUpperCase()}${t.slice(1)}</option>`).join("")}
+          </select>
+          <button class="btn btn-ghost btn-xs rewrite-btn" data-action="tone">Change tone</button>
+        </div>
+        <div class="rewrite-preview hidden"></div>
       </div>
       <div class="editor-card-actions">
         ${idx > 0 ? `<button class="icon-btn move-up" title="Move up">↑</button>` : `<button class="icon-btn" disabled style="opacity:0.3">↑</button>`}
         ${idx < editedPages.length - 1 ? `<button class="icon-btn move-down" title="Move down">↓</button>` : `<button class="icon-btn" disabled style="opacity:0.3">↓</button>`}
+        <button class="icon-btn insert-page" title="Insert page after">＋</button>
         <button class="icon-btn delete-page" title="Delete page">🗑</button>
       </div>
     </div>
@@ -240,18 +333,94 @@ export function renderStoryEditor(project) {
     });
   });
   
+  // AI rewrite of one page - shows a diff, nothing changes until "Accept"
+  results.querySelectorAll(".rewrite-btn").forEach(btn => {
+    btn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      const card = btn.closest(".editor-card");
+      const idx = Number(card.dataset.pageIndex);
+      const textarea = card.querySelector(".editor-textarea");
+      const preview = card.querySelector(".rewrite-preview");
+      const tools = card.querySelectorAll(".rewrite-btn, .rewrite-tone");
+
+      if (!textarea.value.trim()) {
+        showToast("Nothing to rewrite", "Write some text on this page first", "warn");
+        return;
+      }
+
+      tools.forEach(el => { el.disabled = true; });
+      preview.classList.remove("hidden");
+      preview.innerHTML = `<div class="rewrite-loading">Rewriting page ${idx + 1}...</div>`;
+
+      const result = await rewritePage(idx + 1, btn.dataset.action, {
+        tone: card.querySelector(".rewrite-tone")?.value,
+        storyPages: collectEditedPages(),
+      });
+
+      tools.forEach(el => { el.disabled = false; });
+
+      if (!result) {
+        preview.classList.add("hidden");
+        preview.innerHTML = "";
+        return;
+      }
+
+      const before = result.readability?.before?.fleschKincaidGrade;
+      const after = result.readability?.after?.fleschKincaidGrade;
+
+      preview.innerHTML = `
+        <div class="rewrite-diff">${renderWordDiff(textarea.value.trim(), result.text)}</div>
+        <div class="rewrite-preview-footer">
+          ${before != null && after != null ? `<span class="rewrite-grade">Reading grade ${before} → ${after}</span>` : ""}
+          <button class="btn btn-ghost btn-xs rewrite-reject">Reject</button>
+          <button class="btn btn-primary btn-xs rewrite-accept">Accept</button>
+        </div>
+      `;
+
+      preview.querySelector(".rewrite-accept").addEventListener("click", () => {
+        textarea.value = result.text;
+        preview.classList.add("hidden");
+        preview.innerHTML = "";
+        const status = $("editor-status");
+        if (status) status.textContent = "Unsaved changes...";
+      });
+
+      preview.querySelector(".rewrite-reject").addEventListener("click", () => {
+        preview.classList.add("hidden");
+        preview.innerHTML = "";
+      });
+    });
+  });
+
+  // Page operations go through the server so illustrations and layout
+  // settings move with their page; the editor's text is saved with them
+  async function applyPageOperation(operation, successMessage, focusIndex = null) {
+    const result = await editStoryPages(operation, collectEditedPages());
+    if (!result.success) return;
+
+    renderStoryEditor({
+      ...project,
+      story_json: result.story_json,
+      illustrations: result.illustrations,
+      story_report: result.story_report,
+      finalized_story_json: result.finalized_story_json,
+    });
+    if (successMessage) showToast(successMessage, "", "success");
+
+    if (focusIndex != null) {
+      setTimeout(() => {
+        results.querySelectorAll(".editor-textarea")[focusIndex]?.focus();
+      }, 100);
+    }
+  }
+
   // Move up
   results.querySelectorAll(".move-up").forEach(btn => {
     btn.addEventListener("click", (e) => {
       e.stopPropagation();
-      const card = btn.closest(".editor-card");
-      const idx = Number(card.dataset.pageIndex);
+      const idx = Number(btn.closest(".editor-card").dataset.pageIndex);
       if (idx > 0) {
-        editedPages = collectEditedPages();
-        [editedPages[idx - 1], editedPages[idx]] = [editedPages[idx], editedPages[idx - 1]];
-        editedPages = editedPages.map((p, i) => ({ ...p, page: i + 1 }));
-        if (state.cachedProject) state.cachedProject.story_json = editedPages;
-        renderStoryEditor({ ...project, story_json: editedPages });
+        applyPageOperation({ operation: "move", page: idx + 1, to: idx });
       }
     });
   });
@@ -260,31 +429,29 @@ export function renderStoryEditor(project) {
   results.querySelectorAll(".move-down").forEach(btn => {
     btn.addEventListener("click", (e) => {
       e.stopPropagation();
-      const card = btn.closest(".editor-card");
-      const idx = Number(card.dataset.pageIndex);
-      editedPages = collectEditedPages();
+      const idx = Number(btn.closest(".editor-card").dataset.pageIndex);
       if (idx < editedPages.length - 1) {
-        [editedPages[idx], editedPages[idx + 1]] = [editedPages[idx + 1], editedPages[idx]];
-        editedPages = editedPages.map((p, i) => ({ ...p, page: i + 1 }));
-        if (state.cachedProject) state.cachedProject.story_json = editedPages;
-        renderStoryEditor({ ...project, story_json: editedPages });
+        applyPageOperation({ operation: "move", page: idx + 1, to: idx + 2 });
       }
     });
   });
   
+  // Insert a blank page after this one
+  results.querySelectorAll(".insert-page").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const idx = Number(btn.closest(".editor-card").dataset.pageIndex);
+      applyPageOperation({ operation: "insert", position: idx + 2, text: "" }, "Page added", idx + 1);
+    });
+  });
+  
   // Delete page
   results.querySelectorAll(".delete-page").forEach(btn => {
     btn.addEventListener("click", (e) => {
       e.stopPropagation();
-      const card = btn.closest(".editor-card");
-      const idx = Number(card.dataset.pageIndex);
-      editedPages = collectEditedPages();
+      const idx = Number(btn.closest(".editor-card").dataset.pageIndex);
       if (editedPages.length > 1) {
-        editedPages.splice(idx, 1);
-        editedPages = editedPages.map((p, i) => ({ ...p, page: i + 1 }));
-        if (state.cachedProject) state.cachedProject.story_json = editedPages;
-        renderStoryEditor({ ...project, story_json: editedPages });
-        showToast("Page deleted", "", "success");
+        applyPageOperation({ operation: "delete", page: idx + 1 }, "Page deleted");
       } else {
         showToast("Cannot delete", "Story must have at least one page", "warn");
       }
@@ -293,21 +460,31 @@ export function renderStoryEditor(project) {
   
   // Add page
   $("add-page-btn")?.addEventListener("click", () => {
-    editedPages = collectEditedPages();
-    editedPages.push({
-      page: editedPages.length + 1,
-      text: ""
-    });
-    if (state.cachedProject) state.cachedProject.story_json = editedPages;
-    renderStoryEditor({ ...project, story_json: editedPages });
-    showToast("Page added", "", "success");
-    
-    setTimeout(() => {
-      const textareas = results.querySelectorAll(".editor-textarea");
-      textareas[textareas.length - 1]?.focus();
-    }, 100);
+    applyPageOperation(
+      { operation: "insert", position: editedPages.length + 1, text: "" },
+      "Page added",
+      editedPages.length
+    );
   });
   
+  // Version history (list, compare, restore)
+  $("story-history-btn")?.addEventListener("click", () => {
+    const panel = $("story-versions-panel");
+    const opening = panel.classList.contains("hidden");
+    panel.classList.toggle("hidden", !opening);
+    if (!opening) return;
+
+    renderStoryVersions(panel, {
+      getCurrentPages: collectEditedPages,
+      onRestored: (restored) => {
+        renderStoryEditor({ ...project, story_json: restored.story_json, story_report: restored.story_report });
+      },
+    });
+  });
+
+  // Title page, dedication and back matter
+  $("special-pages-btn")?.addEventListener("click", () => toggleSpecialPagesPanel(project));
+
   // Save draft
   $("save-draft-btn")?.addEventListener("click", async () => {
     const btn = $("save-draft-btn");
@@ -321,9 +498,11 @@ export function renderStoryEditor(project) {
     btn.textContent = "Save Draft";
     
     if (result.success) {
+      showToast("Draft saved", "", "success");
+      // Re-render with the refreshed readability check
+      renderStoryEditor({ ...project, story_json: result.story_json, story_report: result.story_report });
       const status = $("editor-status");
       if (status) status.textContent = "Draft saved!";
-      showToast("Draft saved", "", "success");
     }
   });
   
@@ -343,6 +522,80 @@ export function renderStoryEditor(project) {
   });
 }
 
+// Summary line for the story editor: requested vs actual length and
+// average reading grade against the target
+function renderStoryReportSummary(report) {
+  if (!report) {
+    return `<div class="story-report story-report-stale">Save the draft to re-check length and readability.</div>`;
+  }
+
+  const lengthOk = report.actualPageCount === report.requestedPageCount;
+  const aboveTarget = report.pagesAboveTarget || [];
+
+  return `
+    <div class="story-report">
+      <span class="story-report-item ${lengthOk ? "" : "story-report-warn"}">
+        ${report.actualPageCount} of ${report.requestedPageCount} requested pages
+      </span>
+      ${report.averageGrade != null ? `
+        <span class="story-report-item">
+          Average reading grade ${report.averageGrade}${report.maxGrade != null ? ` (target ≤ ${report.maxGrade}, ${escapeHtml(report.readingLevelLabel || "")})` : ""}
+        </span>
+      ` : ""}
+      ${aboveTarget.length ? `
+        <span class="story-report-item story-report-warn">
+          Above target on page${aboveTarget.length === 1 ? "" : "s"} ${aboveTarget.join(", ")}
+        </span>
+      ` : ""}
+    </div>
+  `;
+}
+
+function renderPageScore(score) {
+  if (!score || score.fleschKincaidGrade == null) return "";
+  return ` <span class="story-report-grade ${score.aboveTarget ? "story-report-warn" : ""}" title="Flesch-Kincaid grade level (reading ease ${score.fleschReadingEase})">Grade ${score.fleschKincaidGrade}</span>`;
+}
+
+// Extra pages can be edited whether or not the story is locked, so the
+// editor and the storyboard share one panel
+function toggleSpecialPagesPanel(project) {
+  const panel = $("special-pages-panel");
+  const opening = panel.classList.contains("hidden");
+  panel.classList.toggle("hidden", !opening);
+  if (!opening) return;
+
+  renderSpecialPagesPanel(panel, project, (saved) => {
+    project.special_pages = saved;
+  });
+}
+
+// "Translate this book" - creates a linked edition (api/translate-book.js)
+function renderTranslatePanel(project) {
+  const current = project.story_options?.language || "en";
+  const isRhyming = (project.story_options?.style || "rhyming") === "rhyming";
+  const options = Object.values(LANGUAGES)
+    .filter(l => l.code !== current)
+    .map(l => `<option value="${l.code}">${escapeHtml(l.label)}${l.label === l.englishName ? "" : ` (${escapeHtml(l.englishName)})`}</option>`)
+    .join("");
+
+  return `
+    <div id="translate-panel" class="translate-panel hidden">
+      <div class="translate-panel-text">
+        Create a copy of this ${escapeHtml(getLanguage(current).englishName)} book in another language.
+        It keeps all the illustrations and layout; only the text is translated.
+      </div>
+      <div class="translate-panel-controls">
+        <select id="translate-language" class="select">${options}</select>
+        <label class="translate-rhyme">
+          <input id="translate-rhyme" type="checkbox" ${isRhyming ? "checked" : ""} />
+          Keep it rhyming
+        </label>
+        <button id="translate-start-btn" class="btn btn-primary btn-sm">Create Edition</button>
+      </div>
+    </div>
+  `;
+}
+
 // Check if protagonist model exists
 function hasProtagonistModel(project) {
   const characterModels = project.character_models || [];
@@ -411,6 +664,12 @@ export function renderStoryboard(project) {
   // Check if protagonist model exists - required for generation
   const hasProtagonist = hasProtagonistModel(project);
   
+  // Illustrations whose page text changed after they were drawn (finalize-story.js)
+  const stalePages = new Set(illus.filter(i => i.stale && i.image_url).map(i => Number(i.page)));
+
+  // Pages drawn from a plan the user pinned (api/analyze-scene.js)
+  const pinnedPages = new Set((project.scene_plans || []).map(entry => Number(entry.page)));
+
   // Check if ready for book layout/export with detailed status
   const isReadyForComposition = isProjectReadyForComposition(project);
   const compositionStatus = getCompositionStatus(project);
@@ -426,6 +685,14 @@ export function renderStoryboard(project) {
         </button>
         <span class="warning-text">← Add main character image first</span>
       `}
+      ${stalePages.size > 0 && hasProtagonist ? `
+        <button id="regenerate-stale-btn" class="btn btn-secondary">Regenerate Changed Pages (${stalePages.size})</button>
+      ` : ""}
+      <button id="edit-story-btn" class="btn btn-ghost">Edit Story</button>
+      <button id="translate-book-btn" class="btn btn-ghost">Translate</button>
+      <button id="special-pages-btn" class="btn btn-ghost">Extra Pages</button>
+      <button id="narration-btn" class="btn btn-ghost">Narration</button>
+      <button id="art-style-btn" class="btn btn-ghost">Art Style</button>
       
       <!-- Layout & Export button -->
       <div class="compositor-btn-wrap">
@@ -451,6 +718,11 @@ export function renderStoryboard(project) {
         <button id="add-protagonist-inline" class="btn btn-primary btn-sm">Add ${escapeHtml(project.kid_name || 'Protagonist')} Photo</button>
       </div>
     ` : ''}
+    ${renderTranslatePanel(project)}
+    <div id="special-pages-panel" class="special-pages-panel hidden"></div>
+    <div id="narration-panel" class="narration-panel hidden"></div>
+    <div id="art-style-panel" class="art-style-panel hidden"></div>
+    <div id="scene-plan-panel" class="scene-plan-panel hidden"></div>
     <div id="character-status" class="status-line"></div>
     <div id="illustration-status" class="status-line"></div>
   `;
@@ -504,8 +776,8 @@ export function renderStoryboard(project) {
         ${imageUrl ? `<img src="${imageUrl}" alt="Page ${p.page}" style="opacity: 0.5;">` : ""}
       `;
     } else {
-      badge = url ? `Ready • r${rev}` : "Missing";
-      cardClass = "";
+      badge = url ? (stalePages.has(Number(p.page)) ? `Text changed • r${rev}` : `Ready • r${rev}`) : "Missing";
+      cardClass = stalePages.has(Number(p.page)) ? "stale" : "";
       thumbContent = imageUrl
         ? `<img src="${imageUrl}" alt="Page ${p.page}">`
         : `<div class="thumb-placeholder">${hasProtagonist ? 'Click to generate' : 'Add protagonist first'}</div>`;
@@ -530,7 +802,16 @@ export function renderStoryboard(project) {
           ${thumbContent}
         </div>
         <div class="card-body">
-          <div class="card-title">Page ${p.page}</div>
+          <div class="card-title">
+            <span>Page ${p.page}${pinnedPages.has(Number(p.page)) ? ` <span title="Drawn from a pinned scene plan">📌</span>` : ""}</span>
+            <span class="card-page-tools">
+              <button class="icon-btn page-plan" title="Plan scene">🎬</button>
+              <button class="icon-btn page-move-up" title="Move earlier" ${Number(p.page) <= 1 ? "disabled" : ""}>←</button>
+              <button class="icon-btn page-move-down" title="Move later" ${Number(p.page) >= pages.length ? "disabled" : ""}>→</button>
+              <button class="icon-btn page-insert" title="Insert page after">＋</button>
+              <button class="icon-btn page-delete" title="Delete page">🗑</button>
+            </span>
+          </div>
           <p class="card-sub">${escapeHtml(p.text)}</p>
           <div class="card-meta">
             <span>${isGenerating ? "Generating..." : isQueued ? "Queued" : url ? "Preview / Regenerate" : hasProtagonist ? "Generate" : "Waiting..."}</span>
@@ -593,6 +874,88 @@ export function renderStoryboard(project) {
     openAddCharacterModal(true);
   });
 
+  // Page operations - the illustration, its history and layout settings move with the page
+  const runPageOperation = async (operation, message) => {
+    const result = await editStoryPages(operation);
+    if (!result.success) return;
+    renderStoryboard(state.cachedProject);
+    showToast(message, "", "success");
+  };
+
+  results.querySelectorAll(".card-page-tools .icon-btn").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const pageNum = Number(btn.closest("[data-page]").getAttribute("data-page"));
+
+      if (btn.classList.contains("page-plan")) {
+        if (state.generatingPages.has(pageNum) || state.queuedPages?.has(pageNum)) {
+          showToast("Please wait", "This page is being generated", "warn");
+          return;
+        }
+        const panel = $("scene-plan-panel");
+        renderScenePlanPanel(panel, project, pageNum, { canGenerate: hasProtagonist });
+        panel.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      } else if (btn.classList.contains("page-move-up")) {
+        runPageOperation({ operation: "move", page: pageNum, to: pageNum - 1 }, `Moved to page ${pageNum - 1}`);
+      } else if (btn.classList.contains("page-move-down")) {
+        runPageOperation({ operation: "move", page: pageNum, to: pageNum + 1 }, `Moved to page ${pageNum + 1}`);
+      } else if (btn.classList.contains("page-insert")) {
+        const text = prompt(`Text for the new page after page ${pageNum}:`);
+        if (!text?.trim()) return;
+        runPageOperation({ operation: "insert", position: pageNum + 1, text }, "Page added");
+      } else if (btn.classList.contains("page-delete")) {
+        if (pages.length <= 1) {
+          showToast("Cannot delete", "Story must have at least one page", "warn");
+          return;
+        }
+        if (!confirm(`Delete page ${pageNum} and its illustration?`)) return;
+        runPageOperation({ operation: "delete", page: pageNum }, "Page deleted");
+      }
+    });
+  });
+
+  $("regenerate-stale-btn")?.addEventListener("click", () => {
+    regenerateStaleIllustrations();
+  });
+
+  $("edit-story-btn")?.addEventListener("click", () => {
+    if (!confirm("Edit the story text? You'll need to finalize it again before generating more illustrations.")) return;
+    unlockStory();
+  });
+
+  $("translate-book-btn")?.addEventListener("click", () => {
+    $("translate-panel")?.classList.toggle("hidden");
+  });
+
+  $("special-pages-btn")?.addEventListener("click", () => toggleSpecialPagesPanel(project));
+
+  $("narration-btn")?.addEventListener("click", () => {
+    const panel = $("narration-panel");
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) renderNarrationPanel(panel, project);
+  });
+
+  $("art-style-btn")?.addEventListener("click", () => {
+    const panel = $("art-style-panel");
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) renderArtStylePanel(panel, project);
+  });
+
+  $("translate-start-btn")?.addEventListener("click", async () => {
+    const btn = $("translate-start-btn");
+    const language = $("translate-language").value;
+    btn.disabled = true;
+    btn.textContent = "Translating...";
+
+    const result = await translateBook(language, $("translate-rhyme").checked);
+    if (result.success) {
+      showToast("Edition created", `${getLanguage(language).label} edition of "${result.selected_idea?.title || "your book"}"`, "success");
+    } else {
+      btn.disabled = false;
+      btn.textContent = "Create Edition";
+    }
+  });
+
   // Wire compositor button
   $("open-compositor-btn")?.addEventListener("click", async () => {
     if (!isReadyForComposition) {
@@ -0,0 +1,224 @@
+// js/ui/scene-plan.js
+// Scene plan editor panel
+// Shows who and what the analysis put in a page's picture, where, when and
+// how it's framed. Edits are pinned to the page (api/analyze-scene.js) and
+// every generation of that page draws from the pinned plan until it's
+// unpinned.
+
+import { escapeHtml, showToast } from '../core/utils.js';
+import { analyzeScene, pinScenePlan, unpinScenePlan } from '../api/scene-plan.js';
+import { generateSingleIllustration } from '../api/illustrations.js';
+
+const TIMES_OF_DAY = ["morning", "afternoon", "evening", "night"];
+const SHOT_TYPES = ["wide", "medium", "medium-close", "close-up", "detail"];
+
+// Same limit as the image modal's regenerate button
+const MAX_REGENERATIONS = 2;
+
+const USER_REASON = "Chosen by the user";
+
+function renderOptions(values, selected) {
+  return values
+    .map(value => `<option value="${value}" ${value === selected ? "selected" : ""}>${value}</option>`)
+    .join("");
+}
+
+// Removable chips for one list in the plan, plus a picker for what isn't in it yet
+function renderList(title, listKey, items, available, labelFor) {
+  const inPlan = new Set(items.map(item => item.key));
+  const addable = available.filter(option => !inPlan.has(option.key));
+
+  return `
+    <div class="scene-plan-section">
+      <span class="label label-sm">${title}</span>
+      <div class="scene-plan-chips">
+        ${items.length ? items.map((item, index) => `
+          <span class="scene-plan-chip">
+            ${escapeHtml(labelFor(item))}
+            <button class="scene-plan-remove" data-list="${listKey}" data-index="${index}" title="Remove">×</button>
+          </span>
+        `).join("") : `<span class="scene-plan-empty">None</span>`}
+        ${addable.length ? `
+          <select class="select select-sm scene-plan-add" data-list="${listKey}">
+            <option value="">+ Add</option>
+            ${addable.map(option => `<option value="${escapeHtml(option.key)}">${escapeHtml(option.name)}</option>`).join("")}
+          </select>
+        ` : ""}
+      </div>
+    </div>
+  `;
+}
+
+// What an added entry looks like, per list
+const NEW_ENTRY = {
+  characters_in_scene: (option) => ({ key: option.key, name: option.name, prominence: "secondary", reason: USER_REASON }),
+  props_in_scene: (option) => ({ key: option.key, name: option.name, importance: "supporting", reason: USER_REASON, visible: true }),
+  groups_in_scene: (option) => ({ key: option.key, name: option.name, reason: USER_REASON }),
+};
+
+function showPlanEditor(container, project, pageNum, data, canGenerate) {
+  const plan = structuredClone(data.plan);
+  const { options } = data;
+  const pageText = (project.story_json || []).find(p => Number(p.page) === pageNum)?.text || "";
+  const illustration = (project.illustrations || []).find(i => Number(i.page) === pageNum);
+  const hasImage = !!illustration?.image_url;
+  const limitReached = hasImage && (illustration.revisions || 0) >= MAX_REGENERATIONS;
+
+  const availableFor = {
+    characters_in_scene: options.characters,
+    props_in_scene: options.props,
+    groups_in_scene: options.groups,
+  };
+
+  const render = () => {
+    container.innerHTML = `
+      <div class="scene-plan-header">
+        <strong>Scene plan • Page ${pageNum}</strong>
+        <span class="pill">${data.pinned ? "📌 Pinned" : "Not pinned"}</span>
+        <button class="btn btn-ghost btn-sm scene-plan-close">Close</button>
+      </div>
+      <div class="scene-plan-note">
+        ${data.pinned
+          ? "Generations of this page use this plan. A regeneration with feedback re-plans that one picture and keeps the pin."
+          : "This is what the illustrator would draw. Change anything, then pin it or generate with it."}
+        ${data.stale ? `<strong>The page text has changed since this plan was pinned.</strong> Generation plans the page from its current text until you pin a plan again.` : ""}
+      </div>
+      <div class="scene-plan-fields">
+        <label class="scene-plan-field">
+          <span class="label label-sm">Location</span>
+          <input class="input scene-plan-location" maxlength="120" value="${escapeHtml(plan.location || "")}">
+        </label>
+        <label class="scene-plan-field">
+          <span class="label label-sm">Time of day</span>
+          <select class="select select-sm scene-plan-time">${renderOptions(TIMES_OF_DAY, plan.time_of_day)}</select>
+        </label>
+        <label class="scene-plan-field">
+          <span class="label label-sm">Shot</span>
+          <select class="select select-sm scene-plan-shot">${renderOptions(SHOT_TYPES, plan.shot_type)}</select>
+        </label>
+      </div>
+      ${renderList("Characters", "characters_in_scene", plan.characters_in_scene, options.characters, c => c.name)}
+      ${plan.unnamed_characters_in_scene.length
+        ? renderList("Other people", "unnamed_characters_in_scene", plan.unnamed_characters_in_scene, [], uc => uc.description)
+        : ""}
+      ${options.groups.length ? renderList("Groups", "groups_in_scene", plan.groups_in_scene, options.groups, g => g.name) : ""}
+      ${renderList("Props", "props_in_scene", plan.props_in_scene, options.props, p => p.name)}
+      <div class="scene-plan-actions">
+        <button class="btn btn-ghost btn-sm scene-plan-replan">Re-plan</button>
+        ${data.pinned ? `<button class="btn btn-ghost btn-sm scene-plan-unpin">Unpin</button>` : ""}
+        <button class="btn btn-secondary btn-sm scene-plan-pin">Pin plan</button>
+        <button class="btn btn-primary btn-sm scene-plan-generate" ${!canGenerate || limitReached ? "disabled" : ""}
+          title="${!canGenerate ? "Add main character image first" : limitReached ? "Regeneration limit reached for this page" : ""}">
+          ${hasImage ? "Regenerate with this plan" : "Generate with this plan"}
+        </button>
+      </div>
+    `;
+    wire();
+  };
+
+  const pin = async () => {
+    const saved = await pinScenePlan(pageNum, plan);
+    if (saved) {
+      data = saved;
+      Object.assign(plan, structuredClone(saved.plan));
+    }
+    return saved;
+  };
+
+  const wire = () => {
+    container.querySelector(".scene-plan-close").addEventListener("click", () => {
+      container.classList.add("hidden");
+    });
+
+    // A value the user picked no longer has the analysis' reasoning behind it
+    container.querySelector(".scene-plan-location").addEventListener("change", (e) => {
+      plan.location = e.target.value.trim();
+      plan.location_reasoning = USER_REASON;
+    });
+    container.querySelector(".scene-plan-time").addEventListener("change", (e) => {
+      plan.time_of_day = e.target.value;
+      plan.time_reason = USER_REASON;
+    });
+    container.querySelector(".scene-plan-shot").addEventListener("change", (e) => {
+      plan.shot_type = e.target.value;
+      plan.shot_reason = USER_REASON;
+    });
+
+    container.querySelectorAll(".scene-plan-remove").forEach(btn => {
+      btn.addEventListener("click", () => {
+        plan[btn.dataset.list].splice(Number(btn.dataset.index), 1);
+        render();
+      });
+    });
+
+    container.querySelectorAll(".scene-plan-add").forEach(select => {
+      select.addEventListener("change", () => {
+        const list = select.dataset.list;
+        const option = availableFor[list].find(o => o.key === select.value);
+        if (!option) return;
+        plan[list].push(NEW_ENTRY[list](option));
+        // An added prop is drawn, not hidden or left out
+        if (list === "props_in_scene") {
+          plan.hidden_props = plan.hidden_props.filter(p => p.key !== option.key);
+          plan.absent_props = plan.absent_props.filter(p => p.key !== option.key);
+        }
+        render();
+      });
+    });
+
+    container.querySelector(".scene-plan-replan").addEventListener("click", () => {
+      renderScenePlanPanel(container, project, pageNum, { fresh: true, canGenerate });
+    });
+
+    container.querySelector(".scene-plan-unpin")?.addEventListener("click", async () => {
+      const result = await unpinScenePlan(pageNum);
+      if (!result) return;
+      showToast("Plan unpinned", `Page ${pageNum} will be planned automatically again`, "success");
+      data = { ...data, pinned: false, pinned_at: null, stale: false };
+      render();
+    });
+
+    container.querySelector(".scene-plan-pin").addEventListener("click", async () => {
+      if (await pin()) {
+        showToast("Plan pinned", `Page ${pageNum} will be drawn from this plan`, "success");
+        render();
+      }
+    });
+
+    container.querySelector(".scene-plan-generate").addEventListener("click", async () => {
+      if (!(await pin())) return;
+      container.classList.add("hidden");
+      generateSingleIllustration(pageNum, pageText, hasImage);
+    });
+  };
+
+  render();
+}
+
+/**
+ * Show the scene plan editor for a page in a container
+ * Loads the pinned plan, or asks for a new analysis.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} project - Open project (story_json, illustrations)
+ * @param {number} pageNum
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fresh] - analyze again even if a plan is pinned
+ * @param {boolean} [opts.canGenerate] - generation is allowed (protagonist modelled)
+ */
+export async function renderScenePlanPanel(container, project, pageNum, { fresh = false, canGenerate = true } = {}) {
+  container.classList.remove("hidden");
+  container.dataset.page = String(pageNum);
+  container.innerHTML = `<div class="scene-plan-note">Planning page ${pageNum}...</div>`;
+
+  const data = await analyzeScene(pageNum, fresh);
+
+  // Closed, re-rendered or switched to another page meanwhile
+  if (!container.isConnected || container.dataset.page !== String(pageNum)) return;
+  if (!data) {
+    container.classList.add("hidden");
+    return;
+  }
+
+  showPlanEditor(container, project, pageNum, data, canGenerate);
+}
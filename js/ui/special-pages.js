@@ -0,0 +1,149 @@
+// js/ui/special-pages.js
+// Title page, dedication and back-matter editor
+// Each kind from shared/special-pages.json can be switched on and filled in;
+// blank fields show the value the book will use instead (book title, child's
+// name, main character's photo).
+
+import { escapeHtml, showToast } from '../core/utils.js';
+import { SPECIAL_PAGE_KINDS, MAX_TEXT_LENGTH, normalizeSpecialPages, resolveSpecialPages } from '../core/special-pages.js';
+import { saveSpecialPages } from '../api/story.js';
+
+const FIELD_LABELS = {
+  title: "Title",
+  subtitle: "Subtitle",
+  author: "Author",
+  text: "Text",
+  heading: "Heading",
+};
+
+// Longer fields get a textarea
+const MULTILINE_FIELDS = new Set(["text"]);
+
+const PLACEMENT_NOTES = {
+  front: "Before the story",
+  back: "After the story",
+};
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function renderField(kind, field, value, placeholder) {
+  const attrs = `class="input special-page-input" data-kind="${kind}" data-field="${field}" maxlength="${MAX_TEXT_LENGTH}" placeholder="${escapeHtml(placeholder)}"`;
+  return `
+    <label class="special-page-field">
+      <span class="label">${FIELD_LABELS[field] || field}</span>
+      ${MULTILINE_FIELDS.has(field)
+        ? `<textarea ${attrs} rows="3">${escapeHtml(value)}</textarea>`
+        : `<input type="text" ${attrs} value="${escapeHtml(value)}" />`}
+    </label>
+  `;
+}
+
+function renderPhotoField(kind, photoUrl) {
+  return `
+    <div class="special-page-field special-page-photo">
+      <span class="label">Photo</span>
+      <div class="special-page-photo-row">
+        ${photoUrl
+          ? `<img class="special-page-photo-preview" src="${escapeHtml(photoUrl)}" alt="Author photo" />`
+          : `<span class="special-page-photo-empty">No photo</span>`}
+        <input type="file" class="special-page-photo-input" data-kind="${kind}" accept="image/jpeg,image/png,image/webp" />
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Show the special pages editor in a container
+ *
+ * @param {HTMLElement} container
+ * @param {Object} project - Open project (special_pages, selected_idea, kid_name, character_models)
+ * @param {Function} [onSaved] - Called with the saved special_pages
+ */
+export function renderSpecialPagesPanel(container, project, onSaved = null) {
+  const pages = normalizeSpecialPages(project.special_pages);
+
+  // What blank fields will show, from the same fallbacks the compositor and print use
+  const allEnabled = Object.fromEntries(Object.keys(pages).map(kind => [kind, { enabled: true }]));
+  const { front, back } = resolveSpecialPages({ ...project, special_pages: allEnabled });
+  const defaults = Object.fromEntries([...front, ...back].map(p => [p.kind, p.fields]));
+
+  container.innerHTML = `
+    <div class="special-pages-intro">Extra pages printed around the story. They use the book's layout style and don't change the story pages.</div>
+    <div class="special-pages-list">
+      ${Object.values(SPECIAL_PAGE_KINDS).map(({ kind, label, placement, fields }) => `
+        <div class="special-page-card ${pages[kind].enabled ? "" : "special-page-off"}" data-kind="${kind}">
+          <label class="special-page-toggle">
+            <input type="checkbox" class="special-page-enabled" data-kind="${kind}" ${pages[kind].enabled ? "checked" : ""} />
+            <span class="special-page-name">${escapeHtml(label)}</span>
+            <span class="special-page-placement">${PLACEMENT_NOTES[placement]}</span>
+          </label>
+          <div class="special-page-fields">
+            ${Object.keys(fields).map(field => field === "photoUrl"
+              ? renderPhotoField(kind, pages[kind].photoUrl || defaults[kind]?.photoUrl)
+              : renderField(kind, field, pages[kind][field], defaults[kind]?.[field] || "")
+            ).join("")}
+          </div>
+        </div>
+      `).join("")}
+    </div>
+    <div class="special-pages-footer">
+      <button class="btn btn-primary btn-sm special-pages-save">Save Extra Pages</button>
+    </div>
+  `;
+
+  let authorPhoto = null;
+
+  container.querySelectorAll(".special-page-enabled").forEach(input => {
+    input.addEventListener("change", () => {
+      input.closest(".special-page-card").classList.toggle("special-page-off", !input.checked);
+    });
+  });
+
+  container.querySelectorAll(".special-page-photo-input").forEach(input => {
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      authorPhoto = await readFileAsDataUrl(file);
+      const row = input.closest(".special-page-photo-row");
+      row.querySelector(".special-page-photo-preview, .special-page-photo-empty").outerHTML =
+        `<img class="special-page-photo-preview" src="${authorPhoto}" alt="Author photo" />`;
+    });
+  });
+
+  const saveBtn = container.querySelector(".special-pages-save");
+  saveBtn.addEventListener("click", async () => {
+    const specialPages = {};
+    for (const kind of Object.keys(SPECIAL_PAGE_KINDS)) {
+      // Keep the uploaded photo URL unless a new file replaces it
+      specialPages[kind] = {
+        ...pages[kind],
+        enabled: container.querySelector(`.special-page-enabled[data-kind="${kind}"]`).checked,
+      };
+    }
+    container.querySelectorAll(".special-page-input").forEach(input => {
+      specialPages[input.dataset.kind][input.dataset.field] = input.value;
+    });
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = "Saving...";
+
+    const result = await saveSpecialPages(specialPages, authorPhoto);
+
+    saveBtn.disabled = false;
+    saveBtn.textContent = "Save Extra Pages";
+
+    if (result.success) {
+      authorPhoto = null;
+      showToast("Extra pages saved", "", "success");
+      onSaved?.(result.special_pages);
+    }
+  });
+}
@@ -0,0 +1,134 @@
+// js/ui/story-versions.js
+// Story version history panel for the story editor
+// Lists saved/generated versions, diffs one against the editor's current
+// text, and restores it (until the story is finalized).
+
+import { escapeHtml, showToast } from '../core/utils.js';
+import { renderWordDiff } from '../core/diff.js';
+import { fetchStoryVersions, restoreStoryVersion } from '../api/story.js';
+
+const REASON_LABELS = {
+  generate: "Generated",
+  save: "Saved",
+  finalize: "Finalized",
+  restore: "Restored",
+  pages: "Pages rearranged",
+  translate: "Translated",
+};
+
+function describeVersion(version) {
+  const who = version.source === "ai" ? "AI" : "You";
+  // Backfilled drafts don't know who wrote them
+  const what = version.reason === "backfill"
+    ? "Draft from before version history"
+    : `${REASON_LABELS[version.reason] || version.reason} by ${who}`;
+  const when = version.createdAt ? new Date(version.createdAt).toLocaleString() : "";
+  return `${what} · ${version.pageCount} page${version.pageCount === 1 ? "" : "s"} · ${when}`;
+}
+
+// Page-by-page diff from the editor's current text to a version
+function renderVersionDiff(currentPages, versionPages) {
+  const count = Math.max(currentPages.length, versionPages.length);
+  const rows = [];
+
+  for (let i = 0; i < count; i++) {
+    const current = currentPages[i]?.text ?? null;
+    const version = versionPages[i]?.text ?? null;
+    if (current === version) continue;
+
+    let body;
+    if (current == null) {
+      body = `<ins class="diff-added">${escapeHtml(version)}</ins>`;
+    } else if (version == null) {
+      body = `<del class="diff-removed">${escapeHtml(current)}</del>`;
+    } else {
+      body = renderWordDiff(current, version);
+    }
+
+    rows.push(`
+      <div class="version-diff-page">
+        <span class="editor-page-num">Page ${i + 1}</span>
+        <div class="rewrite-diff">${body}</div>
+      </div>
+    `);
+  }
+
+  return rows.length
+    ? rows.join("")
+    : `<div class="version-diff-empty">Same as the text in the editor.</div>`;
+}
+
+/**
+ * Show the version history in a container
+ *
+ * @param {HTMLElement} container
+ * @param {Object} handlers
+ * @param {Function} handlers.getCurrentPages - The editor's current pages
+ * @param {Function} handlers.onRestored - Called with { story_json, story_report }
+ */
+export async function renderStoryVersions(container, { getCurrentPages, onRestored }) {
+  container.innerHTML = `<div class="rewrite-loading">Loading history...</div>`;
+
+  const data = await fetchStoryVersions();
+  if (!data) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const { versions, canRestore } = data;
+
+  if (!versions.length) {
+    container.innerHTML = `<div class="version-diff-empty">No saved versions yet. Versions are recorded each time the story is generated or saved.</div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="version-list">
+      ${versions.map(v => `
+        <div class="version-item" data-version-id="${v.id}">
+          <div class="version-item-main">
+            <span class="version-number">v${v.versionNumber}</span>
+            <span class="version-meta">${escapeHtml(describeVersion(v))}</span>
+          </div>
+          <div class="version-item-actions">
+            <button class="btn btn-ghost btn-xs version-compare">Compare</button>
+            ${canRestore ? `<button class="btn btn-secondary btn-xs version-restore">Restore</button>` : ""}
+          </div>
+          <div class="version-diff hidden"></div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+
+  const findVersion = (el) => versions.find(v => v.id === el.closest(".version-item").dataset.versionId);
+
+  container.querySelectorAll(".version-compare").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const version = findVersion(btn);
+      const diff = btn.closest(".version-item").querySelector(".version-diff");
+      const opening = diff.classList.contains("hidden");
+
+      diff.classList.toggle("hidden", !opening);
+      btn.textContent = opening ? "Hide" : "Compare";
+      if (opening) {
+        diff.innerHTML = renderVersionDiff(getCurrentPages(), version.storyJson);
+      }
+    });
+  });
+
+  container.querySelectorAll(".version-restore").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const version = findVersion(btn);
+      if (!confirm(`Restore version ${version.versionNumber}? Unsaved changes in the editor will be replaced.`)) return;
+
+      btn.disabled = true;
+      const result = await restoreStoryVersion(version.id);
+      btn.disabled = false;
+
+      if (result.success) {
+        showToast("Version restored", `Version ${version.versionNumber} is now the current draft`, "success");
+        onRestored(result);
+      }
+    });
+  });
+}
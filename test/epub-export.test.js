@@ -0,0 +1,154 @@
+// test/epub-export.test.js
+// ePub export (js/compositor/exporter.js) checked against the structural
+// rules epubcheck applies to a fixed-layout EPUB 3 package
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import JSZip from 'jszip';
+import { BookExporter, bookPageSequence } from '../js/compositor/exporter.js';
+import { projectToBookData } from '../js/compositor/index.js';
+import project from './fixtures/epub-project.json';
+
+// Smallest JPEG-shaped payload; the renderer needs a browser, the package doesn't
+const FAKE_JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+function attributes(tag) {
+  return Object.fromEntries([...tag.matchAll(/([\w:-]+)="([^"]*)"/g)].map(m => [m[1], m[2]]));
+}
+
+function tags(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}\\b[^>]*>`, 'g'))].map(m => attributes(m[0]));
+}
+
+// Paths in the package are relative to the file that references them
+function resolveHref(base, href) {
+  const parts = base.split('/').slice(0, -1);
+  for (const segment of href.split('#')[0].split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+describe('exportToEPUB', () => {
+  let bookData;
+  let raw;
+  let zip;
+  let opf;
+  let opfPath;
+
+  beforeAll(async () => {
+    globalThis.window = { JSZip };
+
+    bookData = projectToBookData(project);
+    const exporter = new BookExporter();
+    exporter.exportToImages = async (data) => bookPageSequence(data).map((page, i) => ({
+      page: page.page ?? i + 1,
+      blob: FAKE_JPEG,
+    }));
+
+    const blob = await exporter.exportToEPUB(bookData, 'bubble-dream', { pageSize: 'square-medium' });
+    raw = new Uint8Array(await blob.arrayBuffer());
+    zip = await JSZip.loadAsync(raw);
+
+    const container = await zip.file('META-INF/container.xml').async('string');
+    opfPath = tags(container, 'rootfile')[0]['full-path'];
+    opf = await zip.file(opfPath).async('string');
+  });
+
+  afterAll(() => {
+    delete globalThis.window;
+  });
+
+  it('includes the special pages from the fixture', () => {
+    expect(bookData.frontMatter.map(p => p.kind)).toEqual(['title', 'dedication']);
+    expect(bookData.backMatter.map(p => p.kind)).toEqual(['about-author', 'the-end']);
+  });
+
+  it('stores mimetype first and uncompressed', () => {
+    const view = new DataView(raw.buffer, raw.byteOffset);
+    expect(view.getUint32(0, true)).toBe(0x04034b50); // local file header
+    expect(view.getUint16(8, true)).toBe(0); // compression method: stored
+
+    const nameLength = view.getUint16(26, true);
+    const extraLength = view.getUint16(28, true);
+    const name = new TextDecoder().decode(raw.subarray(30, 30 + nameLength));
+    const body = new TextDecoder().decode(raw.subarray(30 + nameLength + extraLength, 30 + nameLength + extraLength + 20));
+
+    expect(name).toBe('mimetype');
+    expect(extraLength).toBe(0);
+    expect(body).toBe('application/epub+zip');
+  });
+
+  it('points container.xml at the package document', () => {
+    expect(opfPath).toBe('OEBPS/content.opf');
+    expect(zip.file(opfPath)).not.toBeNull();
+    expect(opf).toContain('<package xmlns="http://www.idpf.org/2007/opf" version="3.0"');
+  });
+
+  it('has a unique id and an existing file for every manifest item', () => {
+    const items = tags(opf, 'item');
+    const ids = items.map(item => item.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    for (const item of items) {
+      expect(zip.file(resolveHref(opfPath, item.href)), item.href).not.toBeNull();
+    }
+
+    // Every story page and special page has a document and an image
+    const pageCount = bookPageSequence(bookData).length;
+    expect(items.filter(i => /^page-\d+$/.test(i.id))).toHaveLength(pageCount);
+    expect(items.filter(i => /^img-\d+$/.test(i.id))).toHaveLength(pageCount);
+    expect(items.filter(i => i.properties === 'nav')).toHaveLength(1);
+    expect(items.filter(i => i.properties === 'cover-image')).toHaveLength(1);
+  });
+
+  it('lists every file in the package in the manifest', () => {
+    const manifested = new Set(tags(opf, 'item').map(item => resolveHref(opfPath, item.href)));
+    const files = Object.keys(zip.files).filter(path => !zip.files[path].dir);
+    const unlisted = files.filter(path => !['mimetype', 'META-INF/container.xml', opfPath].includes(path) && !manifested.has(path));
+
+    expect(unlisted).toEqual([]);
+  });
+
+  it('references only files that exist from content documents', async () => {
+    const documents = tags(opf, 'item').filter(item => item['media-type'] === 'application/xhtml+xml');
+    for (const item of documents) {
+      const path = resolveHref(opfPath, item.href);
+      const xhtml = await zip.file(path).async('string');
+      const refs = [...tags(xhtml, 'img').map(t => t.src), ...tags(xhtml, 'link').map(t => t.href), ...tags(xhtml, 'a').map(t => t.href)];
+      for (const ref of refs) {
+        expect(zip.file(resolveHref(path, ref)), `${path} -> ${ref}`).not.toBeNull();
+      }
+    }
+  });
+
+  it('orders the spine like the navigation', async () => {
+    const hrefById = Object.fromEntries(tags(opf, 'item').map(item => [item.id, item.href]));
+    const spine = tags(opf, 'itemref').map(ref => hrefById[ref.idref]);
+
+    const nav = await zip.file(resolveHref(opfPath, 'nav.xhtml')).async('string');
+    const toc = nav.match(/<nav epub:type="toc"[\s\S]*?<\/nav>/)[0];
+    const tocHrefs = tags(toc, 'a').map(a => a.href);
+
+    expect(spine.every(Boolean)).toBe(true);
+    expect(tocHrefs).toEqual(spine);
+    expect(spine).toHaveLength(bookPageSequence(bookData).length + 1); // + cover
+  });
+
+  it('declares fixed-layout rendition metadata', () => {
+    expect(opf).toContain('<meta property="rendition:layout">pre-paginated</meta>');
+    expect(opf).toMatch(/<meta property="rendition:orientation">\w+<\/meta>/);
+    expect(opf).toMatch(/<meta property="rendition:spread">\w+<\/meta>/);
+    expect(opf).toMatch(/<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+    expect(opf).toMatch(/<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+    expect(opf).toContain('<dc:title>Maya &amp; the Moon &lt;Kite&gt;</dc:title>');
+  });
+
+  it('gives every page document a viewport', async () => {
+    const documents = tags(opf, 'itemref').map(ref => tags(opf, 'item').find(item => item.id === ref.idref));
+    for (const item of documents) {
+      const xhtml = await zip.file(resolveHref(opfPath, item.href)).async('string');
+      expect(xhtml, item.href).toMatch(/<meta name="viewport" content="width=\d+, height=\d+"\/>/);
+    }
+  });
+});
@@ -0,0 +1,164 @@
+// test/llm-replay.test.js
+// Story ideas, story writing, finalizing and scene analysis replayed from
+// fixtures/llm with LLM_PROVIDER=replay, including the repair and fallback
+// paths of api/_llm.js (see docs/LLM_TEXT_GENERATION.md)
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import input from './fixtures/llm-story.json';
+
+process.env.LLM_PROVIDER = 'replay';
+process.env.LLM_USAGE_TRACKING = 'false';
+// The endpoints create their Supabase clients on load; replay never uses them
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const require = createRequire(import.meta.url);
+const { generateJson, LlmOutputError } = require('../api/_llm.js');
+const { normalizeStoryOptions } = require('../api/_story-options.js');
+const { generateIdeas } = require('../api/story-ideas.js');
+const { writeStoryPages } = require('../api/write-story.js');
+const { extractUnifiedRegistry, extractRegistryAdditions } = require('../api/finalize-story.js');
+const { buildRegistry, planScene } = require('../api/generate-scene.js');
+
+const options = normalizeStoryOptions(input.storyOptions);
+const child = { name: input.kidName, interests: input.kidInterests, options };
+
+let warn;
+let error;
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  error = vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function loggedRepair(spy, name) {
+  return spy.mock.calls.some(([message]) => String(message).startsWith(`[LLM] ${name}: invalid output`));
+}
+
+describe('story ideas', () => {
+  it('reads ideas out of a fenced reply', async () => {
+    const ideas = await generateIdeas('new', child);
+
+    expect(ideas).toHaveLength(5);
+    expect(ideas[0]).toEqual(input.idea);
+    expect(loggedRepair(warn, 'story-ideas')).toBe(false);
+  });
+
+  it('repairs a reply with the wrong number of ideas', async () => {
+    const ideas = await generateIdeas('remix', { ...child, idea: input.idea });
+
+    expect(ideas).toHaveLength(4);
+    expect(ideas.map(i => i.title)).not.toContain(input.idea.title);
+    expect(loggedRepair(warn, 'story-ideas-remix')).toBe(true);
+  });
+});
+
+describe('write-story', () => {
+  it('writes one entry per page', async () => {
+    const pages = await writeStoryPages({
+      idea: input.idea,
+      options,
+      kidName: input.kidName,
+      kidInterests: input.kidInterests,
+    });
+
+    expect(pages).toEqual(input.storyPages);
+  });
+
+  it('gives up with the validation errors when repairs keep failing', async () => {
+    const writing = writeStoryPages({
+      idea: input.ideaWithPremise,
+      options,
+      kidName: input.kidName,
+      kidInterests: input.kidInterests,
+    });
+
+    await expect(writing).rejects.toBeInstanceOf(LlmOutputError);
+    await writing.catch(err => {
+      expect(err.errors).toEqual([
+        '$.story[0].text should have at least 1 characters',
+        '$.story[1].page should be integer, got string',
+      ]);
+      expect(err.raw).toContain('"page": "two"');
+    });
+  });
+});
+
+describe('finalize-story', () => {
+  it('extracts the registry and applies uploaded character models', async () => {
+    const registry = await extractUnifiedRegistry(
+      input.storyPages, input.kidInterests, input.kidName, input.characterModels, null
+    );
+
+    expect(Object.keys(registry.characters)).toEqual(['maya', 'abby']);
+    expect(registry.characters.maya).toMatchObject({
+      has_model: true,
+      visual_source: 'user',
+      visual: null,
+      model_url: input.characterModels[0].model_url,
+    });
+    expect(registry.characters.abby.breed).toBe('miniature dachshund');
+    expect(registry.groups).toEqual({});
+    expect(Object.keys(registry.environments)).toEqual(['grassy_hill', 'bedroom']);
+  });
+
+  it('adds only what edited pages introduce', async () => {
+    const registry = await extractRegistryAdditions(
+      input.editedPages, structuredClone(input.registry), input.kidName, null
+    );
+
+    expect(Object.keys(registry.characters)).toEqual(['maya', 'abby', 'owl']);
+    expect(registry.characters.abby).toEqual(input.registry.characters.abby);
+    expect(registry.props.owl_lantern.name).toBe("Owl's Lantern");
+  });
+});
+
+describe('scene analysis', () => {
+  const project = () => ({
+    props_registry: structuredClone(input.registry),
+    character_models: input.characterModels,
+    illustrations: [],
+  });
+
+  it('plans who and what is in the picture', async () => {
+    const book = project();
+    const composition = await planScene(book, buildRegistry(book), {
+      page: 2,
+      pageText: input.storyPages[1].text,
+      allPages: input.storyPages,
+    });
+
+    expect(composition.characters_in_scene.map(c => c.key)).toEqual(['maya', 'abby']);
+    expect(composition.props_in_scene.map(p => p.key)).toEqual(['moon_kite']);
+    expect(composition).toMatchObject({ location: 'Grassy Hill', time_of_day: 'afternoon', shot_type: 'wide' });
+  });
+
+  it('falls back to the protagonist in a medium shot when the plan never validates', async () => {
+    const book = project();
+    const composition = await planScene(book, buildRegistry(book), {
+      page: 3,
+      pageText: input.storyPages[2].text,
+      allPages: input.storyPages,
+    });
+
+    expect(composition.shot_type).toBe('medium');
+    expect(composition.characters_in_scene).toEqual([
+      expect.objectContaining({ key: 'maya', prominence: 'primary' }),
+    ]);
+    expect(loggedRepair(warn, 'scene-composition')).toBe(true);
+    expect(error).toHaveBeenCalledWith('[LLM] scene-composition: using fallback after 3 invalid response(s)');
+  });
+});
+
+describe('replay provider', () => {
+  it('names the fixture it is missing', async () => {
+    await expect(generateJson({ name: 'story-ideas', model: 'gpt-4.1-mini', prompt: 'Not recorded' }))
+      .rejects.toThrow(/No LLM fixture for "story-ideas" at .*fixtures\/llm\/story-ideas\/[0-9a-f]{16}\.json/);
+  });
+});
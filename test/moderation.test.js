@@ -0,0 +1,60 @@
+// test/moderation.test.js
+// Local moderation rules (api/_moderation.js): innocent picture book text
+// passes, ambiguous words are flagged for a person, adult content blocks
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+process.env.MODERATION_PROVIDER = 'local';
+// Flags and blocks are logged to moderation_events; nothing listens here
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const require = createRequire(import.meta.url);
+const { moderateText } = require('../api/_moderation.js');
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('local text rules', () => {
+  it.each([
+    'Maya pulled the weeds out of the vegetable patch.',
+    'At the zoo they watched the naked mole rats dig their tunnels.',
+    'Dad used paint stripper on the old toy box.',
+    'Happy birthday! Love, Grandma xxx',
+  ])('does not block "%s"', async (text) => {
+    const decision = await moderateText(text, { source: 'test' });
+    expect(decision.action).not.toBe('block');
+  });
+
+  it.each([
+    ['Abby pulled a weed from the garden.', 'drugs'],
+    ['The naked mole rat waved hello.', 'sexual'],
+    ['The farmer said the bitch had six puppies.', 'mild-language'],
+  ])('flags ambiguous words in "%s"', async (text, category) => {
+    const decision = await moderateText(text, { source: 'test' });
+    expect(decision.action).toBe('flag');
+    expect(decision.categories).toContain(category);
+  });
+
+  it.each([
+    ['They smoked marijuana behind the shed.', 'drugs'],
+    ['A sexy dance for the grown-ups.', 'sexual'],
+    ['What the fuck is that?', 'profanity'],
+  ])('blocks "%s"', async (text, category) => {
+    const decision = await moderateText(text, { source: 'test' });
+    expect(decision.action).toBe('block');
+    expect(decision.categories).toContain(category);
+  });
+
+  it('allows an ordinary page', async () => {
+    const decision = await moderateText(['The moon gave a wink', 'and tucked Maya in bed.'], { source: 'test' });
+    expect(decision).toMatchObject({ action: 'allow', categories: [] });
+  });
+});
@@ -33,4 +33,10 @@ export default defineConfig({
       },
     },
   },
+
+  // Unit tests (npm test)
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node',
+  },
 });
\ No newline at end of file